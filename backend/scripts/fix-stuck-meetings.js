@@ -19,12 +19,15 @@ console.log('🔧 Fixing stuck meetings...\n');
 const database = new db(DB_PATH);
 
 try {
-  // Find meetings without transcript_path or summary_path
+  // Find meetings still marked as in progress that have no queued or running job
   const stuckMeetings = database.prepare(`
-    SELECT id, title, audio_path, created_at
+    SELECT id, title, audio_path, status, created_at
     FROM meetings
-    WHERE (transcript_path IS NULL OR summary_path IS NULL)
-    AND transcript_path NOT LIKE 'ERROR:%'
+    WHERE status IN ('queued', 'transcribing', 'diarizing', 'saving', 'analyzing', 'indexing')
+    AND NOT EXISTS (
+      SELECT 1 FROM jobs
+      WHERE jobs.meeting_id = meetings.id AND jobs.status IN ('queued', 'running')
+    )
     ORDER BY id DESC
   `).all();
 
@@ -38,15 +41,18 @@ try {
 
   const updateMeeting = database.prepare(`
     UPDATE meetings
-    SET transcript_path = ?,
-        summary_path = NULL,
-        duration = 0
+    SET status = 'error',
+        status_detail = ?,
+        error_code = 'interrupted',
+        processing_finished_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `);
 
   for (const meeting of stuckMeetings) {
     console.log(`Processing meeting ${meeting.id}: "${meeting.title}"`);
     console.log(`  Created: ${meeting.created_at}`);
+    console.log(`  Status: ${meeting.status}`);
     console.log(`  Audio: ${meeting.audio_path}`);
 
     // Check if audio file exists and has content
@@ -68,7 +74,7 @@ try {
     }
 
     // Mark meeting with error
-    updateMeeting.run(`ERROR: ${errorReason}`, meeting.id);
+    updateMeeting.run(errorReason, meeting.id);
     console.log(`  ❌ Marked as ERROR: ${errorReason}\n`);
   }
 
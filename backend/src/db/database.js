@@ -5,7 +5,8 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbPath = path.join(__dirname, '../..', 'aiba.db');
+// DB_PATH lets tests use their own database (':memory:')
+export const dbPath = process.env.DB_PATH || path.join(__dirname, '../..', 'aiba.db');
 
 // Initialize database
 const db = new Database(dbPath);
@@ -35,6 +36,13 @@ function initializeDatabase() {
       transcript_path TEXT,
       summary_path TEXT,
       duration INTEGER,
+      recording_source TEXT,
+      meeting_type TEXT,
+      status TEXT,
+      status_detail TEXT,
+      error_code TEXT,
+      processing_started_at DATETIME,
+      processing_finished_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
@@ -126,12 +134,485 @@ function initializeDatabase() {
     )
   `);
 
+  // Jobs table - persistent background processing queue
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      payload TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      started_at DATETIME,
+      finished_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at
+      ON jobs(status, run_at)
+  `);
+
+  // Processing checkpoints - saved output of each pipeline step so processing can resume
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS processing_checkpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      step TEXT NOT NULL,
+      chunk_index INTEGER,
+      data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_checkpoints_meeting_step
+      ON processing_checkpoints(meeting_id, step)
+  `);
+
+  // Meeting speakers - maps diarization labels (SPEAKER_1, ...) to people's names
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meeting_speakers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      name TEXT,
+      segment_count INTEGER DEFAULT 0,
+      talk_time REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (meeting_id, label),
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Transcript segments - timestamped transcript lines, in seconds from the start of the recording.
+  // original_text keeps the transcribed text of segments corrected by hand (NULL when unedited)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcript_segments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      idx INTEGER NOT NULL,
+      start REAL NOT NULL,
+      "end" REAL NOT NULL,
+      speaker TEXT,
+      text TEXT NOT NULL,
+      original_text TEXT,
+      UNIQUE (meeting_id, idx),
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transcript_segments_meeting_start
+      ON transcript_segments(meeting_id, start)
+  `);
+
+  // Project glossary - jargon to spell correctly. variants is a JSON array of misspellings
+  // the transcription is known to produce, replaced by the term after transcribing
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS glossary_terms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      term TEXT NOT NULL,
+      variants TEXT NOT NULL DEFAULT '[]',
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (project_id, term COLLATE NOCASE),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Project meeting types - analysis templates next to the built-in ones (see services/meetingTypes.js).
+  // sections is a JSON array of { key, title, kind, description, fields? } - the summary's fields
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meeting_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      instructions TEXT,
+      sections TEXT NOT NULL DEFAULT '[]',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (project_id, name COLLATE NOCASE),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Action items - follow-ups from meeting summaries, or added by hand (meeting_id NULL).
+  // segment_idx is the transcript segment the task was said in, due_date is YYYY-MM-DD.
+  // closed_meeting_id is the later meeting whose analysis found the item done
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS action_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER,
+      meeting_id INTEGER,
+      segment_idx INTEGER,
+      task TEXT NOT NULL,
+      owner TEXT,
+      due_date TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      completed_at DATETIME,
+      closed_meeting_id INTEGER,
+      source TEXT NOT NULL DEFAULT 'analysis',
+      analysis_task TEXT,
+      edited_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (closed_meeting_id) REFERENCES meetings(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_action_items_project_status ON action_items(project_id, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_action_items_meeting ON action_items(meeting_id)');
+
+  // Decision log - the decisions of each meeting's summary, in summary order (position).
+  // alternatives is a JSON array of the options not chosen, decided_at the meeting's date.
+  // A decision replaced by a later one is 'superseded', with superseded_by pointing at its replacement
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER,
+      meeting_id INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      decision TEXT NOT NULL,
+      rationale TEXT,
+      alternatives TEXT NOT NULL DEFAULT '[]',
+      decided_at TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      superseded_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (superseded_by) REFERENCES decisions(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_decisions_project ON decisions(project_id, decided_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_decisions_meeting ON decisions(meeting_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_decisions_superseded_by ON decisions(superseded_by)');
+
+  // Possible contradictions between a meeting's decisions and what the project decided before -
+  // an earlier decision (source 'decision') or the wiki (source 'wiki'). The texts are copied so a
+  // warning still reads right after the decisions change; segment_idx and earlier_segment_idx cite
+  // the transcript segments in each meeting
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS decision_conflicts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER,
+      meeting_id INTEGER NOT NULL,
+      decision_id INTEGER,
+      statement TEXT NOT NULL,
+      segment_idx INTEGER,
+      source TEXT NOT NULL,
+      earlier_decision_id INTEGER,
+      earlier_meeting_id INTEGER,
+      earlier_segment_idx INTEGER,
+      earlier_statement TEXT NOT NULL,
+      wiki_section TEXT,
+      explanation TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (decision_id) REFERENCES decisions(id) ON DELETE SET NULL,
+      FOREIGN KEY (earlier_decision_id) REFERENCES decisions(id) ON DELETE SET NULL,
+      FOREIGN KEY (earlier_meeting_id) REFERENCES meetings(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_decision_conflicts_meeting ON decision_conflicts(meeting_id)');
+
+  // Resumable uploads - a recording sent in parts, assembled into storage/audio once every part
+  // has arrived. id is a random token so a session can't be guessed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS uploads (
+      id TEXT PRIMARY KEY,
+      filename TEXT NOT NULL,
+      mimetype TEXT,
+      size INTEGER NOT NULL,
+      part_size INTEGER NOT NULL,
+      total_parts INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Received parts, with the SHA-256 they were verified against
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_parts (
+      upload_id TEXT NOT NULL,
+      part_index INTEGER NOT NULL,
+      size INTEGER NOT NULL,
+      checksum TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (upload_id, part_index),
+      FOREIGN KEY (upload_id) REFERENCES uploads(id) ON DELETE CASCADE
+    )
+  `);
+
   console.log('Database initialized successfully');
 }
 
+// Tables there were before this start - backfill migrations only run into tables they just created
+const existingTables = new Set(
+  db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(table => table.name)
+);
+
 // Initialize on import
 initializeDatabase();
 
+/**
+ * Derive status for meetings that don't have one yet (created before the status
+ * columns existed, or imported from an older export). Older versions stored
+ * failures as 'ERROR: <message>' and cancellations as 'CANCELLED' in transcript_path.
+ * @param {Database} connection - Database connection (defaults to the app database)
+ * @returns {number} Number of meetings updated
+ */
+export function backfillMeetingStatus(connection = db) {
+  const statements = [
+    `UPDATE meetings
+     SET status = 'error',
+         status_detail = TRIM(SUBSTR(transcript_path, 7)),
+         error_code = 'processing_failed',
+         processing_finished_at = updated_at,
+         transcript_path = NULL,
+         summary_path = NULL
+     WHERE status IS NULL AND transcript_path LIKE 'ERROR:%'`,
+    `UPDATE meetings
+     SET status = 'cancelled',
+         status_detail = 'Processing cancelled by user',
+         processing_finished_at = updated_at,
+         transcript_path = NULL,
+         summary_path = NULL
+     WHERE status IS NULL AND transcript_path = 'CANCELLED'`,
+    `UPDATE meetings
+     SET status = 'completed',
+         processing_finished_at = updated_at
+     WHERE status IS NULL AND transcript_path IS NOT NULL AND summary_path IS NOT NULL`,
+    `UPDATE meetings
+     SET status = 'queued'
+     WHERE status IS NULL AND EXISTS (
+       SELECT 1 FROM jobs
+       WHERE jobs.meeting_id = meetings.id AND jobs.status IN ('queued', 'running')
+     )`,
+    `UPDATE meetings
+     SET status = 'error',
+         status_detail = 'Processing was interrupted - try "Reprocess Meeting"',
+         error_code = 'interrupted',
+         processing_finished_at = updated_at
+     WHERE status IS NULL`,
+  ];
+
+  return statements.reduce((total, sql) => total + connection.prepare(sql).run().changes, 0);
+}
+
+// Migration: explicit processing status columns on meetings.
+// Runs before the prepared statements below, which reference these columns.
+function migrateMeetingStatus() {
+  const columns = db.pragma('table_info(meetings)').map(col => col.name);
+  const statusColumns = {
+    status: 'TEXT',
+    status_detail: 'TEXT',
+    error_code: 'TEXT',
+    processing_started_at: 'DATETIME',
+    processing_finished_at: 'DATETIME',
+  };
+
+  const missing = Object.keys(statusColumns).filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    console.log(`Running migration: Adding ${missing.join(', ')} to meetings table...`);
+    runTransaction(() => {
+      for (const name of missing) {
+        db.exec(`ALTER TABLE meetings ADD COLUMN ${name} ${statusColumns[name]}`);
+      }
+    });
+  }
+
+  const converted = runTransaction(() => backfillMeetingStatus());
+  if (converted > 0) {
+    console.log(`Migration: set processing status on ${converted} existing meeting(s)`);
+  }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_meetings_status ON meetings(status)');
+}
+
+migrateMeetingStatus();
+
+// Migration: transcript corrections (databases created before segments could be edited)
+function migrateTranscriptSegments() {
+  const columns = db.pragma('table_info(transcript_segments)').map(col => col.name);
+  if (!columns.includes('original_text')) {
+    console.log('Running migration: Adding original_text to transcript_segments table...');
+    db.exec('ALTER TABLE transcript_segments ADD COLUMN original_text TEXT');
+  }
+}
+
+migrateTranscriptSegments();
+
+// Migration: how a recording was captured - microphone, system (tab/system audio) or mixed.
+// NULL for uploaded files and imported transcripts
+function migrateRecordingSource() {
+  const columns = db.pragma('table_info(meetings)').map(col => col.name);
+  if (!columns.includes('recording_source')) {
+    console.log('Running migration: Adding recording_source to meetings table...');
+    db.exec('ALTER TABLE meetings ADD COLUMN recording_source TEXT');
+  }
+}
+
+migrateRecordingSource();
+
+// Migration: the meeting type that picks the analysis template - a built-in key ('standup', ...)
+// or 'custom-<id>' for a project's own type. NULL analyzes as a general meeting
+function migrateMeetingType() {
+  const columns = db.pragma('table_info(meetings)').map(col => col.name);
+  if (!columns.includes('meeting_type')) {
+    console.log('Running migration: Adding meeting_type to meetings table...');
+    db.exec('ALTER TABLE meetings ADD COLUMN meeting_type TEXT');
+  }
+}
+
+migrateMeetingType();
+
+/**
+ * Create action items from the action_items JSON of meeting_metadata, for meetings analyzed before
+ * action items had their own table (or imported from an older export). Meetings that already have
+ * action items are skipped
+ * @param {Database} connection - Database connection (defaults to the app database)
+ * @returns {number} Number of action items created
+ */
+export function backfillActionItems(connection = db) {
+  return connection.prepare(`
+    INSERT INTO action_items (project_id, meeting_id, task, analysis_task, owner, status, created_at)
+    SELECT m.project_id, m.id,
+      TRIM(CASE item.type WHEN 'object' THEN json_extract(item.value, '$.task') ELSE item.value END),
+      TRIM(CASE item.type WHEN 'object' THEN json_extract(item.value, '$.task') ELSE item.value END),
+      CASE item.type WHEN 'object' THEN NULLIF(TRIM(json_extract(item.value, '$.owner')), '') END,
+      'open', m.created_at
+    FROM meeting_metadata mm
+    JOIN meetings m ON m.id = mm.meeting_id
+    JOIN json_each(CASE WHEN json_valid(mm.action_items) THEN mm.action_items ELSE '[]' END) item
+    WHERE NOT EXISTS (SELECT 1 FROM action_items ai WHERE ai.meeting_id = m.id)
+      AND TRIM(CASE item.type WHEN 'object' THEN json_extract(item.value, '$.task') ELSE item.value END) != ''
+  `).run().changes;
+}
+
+// Migration: action items used to live only in meeting_metadata.action_items.
+// Runs once, when the table is created - an empty table later means the items were deleted
+function migrateActionItems() {
+  if (existingTables.has('action_items')) return;
+
+  const created = runTransaction(() => backfillActionItems());
+  if (created > 0) {
+    console.log(`Migration: created ${created} action item(s) from existing meeting summaries`);
+  }
+}
+
+migrateActionItems();
+
+// Migration: the meeting that closed an action item (databases created before follow-ups were detected).
+// ALTER TABLE can't add the foreign key, so deleting that meeting leaves a dangling ID - the list
+// query's LEFT JOIN then finds no meeting title
+function migrateActionItemFollowUps() {
+  const columns = db.pragma('table_info(action_items)').map(col => col.name);
+  if (!columns.includes('closed_meeting_id')) {
+    console.log('Running migration: Adding closed_meeting_id to action_items table...');
+    db.exec('ALTER TABLE action_items ADD COLUMN closed_meeting_id INTEGER');
+  }
+}
+
+migrateActionItemFollowUps();
+
+/**
+ * Fill in where action items came from, for items saved before it was recorded (or imported from an
+ * older export). Items without a meeting were added by hand; the rest are taken to be from the analysis,
+ * and edited when they changed after they were created - so a reanalysis keeps them
+ * @param {Database} connection - Database connection (defaults to the app database)
+ * @returns {number} Number of action items updated
+ */
+export function backfillActionItemSources(connection = db) {
+  const statements = [
+    `UPDATE action_items SET source = 'manual'
+     WHERE source = 'analysis' AND analysis_task IS NULL AND meeting_id IS NULL`,
+    `UPDATE action_items
+     SET analysis_task = task,
+         edited_at = CASE WHEN updated_at > created_at THEN updated_at END
+     WHERE source = 'analysis' AND analysis_task IS NULL`,
+  ];
+
+  return statements.reduce((total, sql) => total + connection.prepare(sql).run().changes, 0);
+}
+
+// Migration: where each action item came from, so a reanalysis only replaces the analysis' own,
+// unedited items. analysis_task is the task as the analysis wrote it, which still matches the
+// summary after the task is edited
+function migrateActionItemSources() {
+  const columns = db.pragma('table_info(action_items)').map(col => col.name);
+  const sourceColumns = {
+    source: "TEXT NOT NULL DEFAULT 'analysis'",
+    analysis_task: 'TEXT',
+    edited_at: 'DATETIME',
+  };
+
+  const missing = Object.keys(sourceColumns).filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    console.log(`Running migration: Adding ${missing.join(', ')} to action_items table...`);
+    runTransaction(() => {
+      for (const name of missing) {
+        db.exec(`ALTER TABLE action_items ADD COLUMN ${name} ${sourceColumns[name]}`);
+      }
+      backfillActionItemSources();
+    });
+  }
+}
+
+migrateActionItemSources();
+
+/**
+ * Create decision log entries from the decisions JSON of meeting_metadata, for meetings analyzed
+ * before the decision log existed (or imported from an older export). Meetings that already have
+ * decisions are skipped
+ * @param {Database} connection - Database connection (defaults to the app database)
+ * @returns {number} Number of decisions created
+ */
+export function backfillDecisions(connection = db) {
+  return connection.prepare(`
+    INSERT INTO decisions (project_id, meeting_id, position, decision, decided_at, created_at)
+    SELECT m.project_id, m.id, item.key,
+      TRIM(CASE item.type WHEN 'object' THEN json_extract(item.value, '$.decision') ELSE item.value END),
+      m.date, m.created_at
+    FROM meeting_metadata mm
+    JOIN meetings m ON m.id = mm.meeting_id
+    JOIN json_each(CASE WHEN json_valid(mm.decisions) THEN mm.decisions ELSE '[]' END) item
+    WHERE NOT EXISTS (SELECT 1 FROM decisions d WHERE d.meeting_id = m.id)
+      AND TRIM(CASE item.type WHEN 'object' THEN json_extract(item.value, '$.decision') ELSE item.value END) != ''
+  `).run().changes;
+}
+
+// Migration: decisions used to live only in meeting_metadata.decisions.
+// Runs once, when the table is created, like migrateActionItems
+function migrateDecisions() {
+  if (existingTables.has('decisions')) return;
+
+  const created = runTransaction(() => backfillDecisions());
+  if (created > 0) {
+    console.log(`Migration: created ${created} decision(s) from existing meeting summaries`);
+  }
+}
+
+migrateDecisions();
+
 // Helper functions for database operations
 
 // Projects
@@ -157,8 +638,8 @@ export const deleteProject = db.prepare(`
 
 // Meetings
 export const createMeeting = db.prepare(`
-  INSERT INTO meetings (project_id, title, date, duration, audio_path, transcript_path, summary_path)
-  VALUES (?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO meetings (project_id, title, date, duration, audio_path, transcript_path, summary_path, status)
+  VALUES (?, ?, ?, ?, ?, ?, ?, 'queued')
 `);
 
 export const getAllMeetings = db.prepare(`
@@ -173,12 +654,50 @@ export const getMeetingsByProject = db.prepare(`
   SELECT * FROM meetings WHERE project_id = ? ORDER BY date DESC
 `);
 
+export const getMeetingsByStatus = db.prepare(`
+  SELECT * FROM meetings WHERE status = ? ORDER BY date DESC
+`);
+
+export const getMeetingsByProjectAndStatus = db.prepare(`
+  SELECT * FROM meetings WHERE project_id = ? AND status = ? ORDER BY date DESC
+`);
+
 export const updateMeeting = db.prepare(`
   UPDATE meetings
   SET title = ?, date = ?, duration = ?, audio_path = ?, transcript_path = ?, summary_path = ?, updated_at = CURRENT_TIMESTAMP
   WHERE id = ?
 `);
 
+export const setMeetingRecordingSource = db.prepare(`
+  UPDATE meetings SET recording_source = ? WHERE id = ?
+`);
+
+export const setMeetingType = db.prepare(`
+  UPDATE meetings SET meeting_type = ? WHERE id = ?
+`);
+
+// Processing status - status_detail is the human-readable message for the current step
+export const markMeetingProcessingStarted = db.prepare(`
+  UPDATE meetings
+  SET status = ?, status_detail = ?, error_code = NULL,
+      processing_started_at = CURRENT_TIMESTAMP, processing_finished_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const updateMeetingStatus = db.prepare(`
+  UPDATE meetings
+  SET status = ?, status_detail = ?, error_code = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const markMeetingProcessingFinished = db.prepare(`
+  UPDATE meetings
+  SET status = ?, status_detail = ?, error_code = ?,
+      processing_finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
 export const deleteMeeting = db.prepare(`
   DELETE FROM meetings WHERE id = ?
 `);
@@ -312,6 +831,425 @@ export const deleteSetting = db.prepare(`
   DELETE FROM settings WHERE key = ?
 `);
 
+// Jobs
+export const createJob = db.prepare(`
+  INSERT INTO jobs (meeting_id, type, payload, max_attempts)
+  VALUES (?, ?, ?, ?)
+`);
+
+export const getJobById = db.prepare(`
+  SELECT * FROM jobs WHERE id = ?
+`);
+
+export const getRecentJobs = db.prepare(`
+  SELECT * FROM jobs ORDER BY id DESC LIMIT ?
+`);
+
+export const getJobsByStatus = db.prepare(`
+  SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ?
+`);
+
+export const getLatestJobForMeeting = db.prepare(`
+  SELECT * FROM jobs WHERE meeting_id = ? ORDER BY id DESC LIMIT 1
+`);
+
+export const getActiveJobForMeeting = db.prepare(`
+  SELECT * FROM jobs
+  WHERE meeting_id = ? AND status IN ('queued', 'running')
+  ORDER BY id DESC LIMIT 1
+`);
+
+export const getQueuedJobs = db.prepare(`
+  SELECT * FROM jobs WHERE status = 'queued' ORDER BY run_at ASC, id ASC
+`);
+
+export const getNextRunnableJob = db.prepare(`
+  SELECT * FROM jobs
+  WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+  ORDER BY run_at ASC, id ASC
+  LIMIT 1
+`);
+
+export const countJobsByStatus = db.prepare(`
+  SELECT status, COUNT(*) as count FROM jobs GROUP BY status
+`);
+
+export const markJobRunning = db.prepare(`
+  UPDATE jobs
+  SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status = 'queued'
+`);
+
+export const markJobCompleted = db.prepare(`
+  UPDATE jobs
+  SET status = 'completed', last_error = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const markJobFailed = db.prepare(`
+  UPDATE jobs
+  SET status = 'failed', last_error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const markJobCancelled = db.prepare(`
+  UPDATE jobs
+  SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status IN ('queued', 'running')
+`);
+
+export const rescheduleJob = db.prepare(`
+  UPDATE jobs
+  SET status = 'queued', last_error = ?, run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const getRunningJobs = db.prepare(`
+  SELECT * FROM jobs WHERE status = 'running' ORDER BY id ASC
+`);
+
+// Jobs left 'running' by a crash or restart go back to the queue.
+// The interrupted attempt still counts - a job that brings the process down would otherwise
+// be retried on every restart.
+export const requeueRunningJob = db.prepare(`
+  UPDATE jobs
+  SET status = 'queued', run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status = 'running'
+`);
+
+// Processing checkpoints - chunk_index is NULL for steps that aren't per chunk
+export const createCheckpoint = db.prepare(`
+  INSERT INTO processing_checkpoints (meeting_id, step, chunk_index, data)
+  VALUES (?, ?, ?, ?)
+`);
+
+export const getCheckpoint = db.prepare(`
+  SELECT * FROM processing_checkpoints
+  WHERE meeting_id = ? AND step = ? AND chunk_index IS ?
+  ORDER BY id DESC
+  LIMIT 1
+`);
+
+export const getCheckpointsForMeeting = db.prepare(`
+  SELECT * FROM processing_checkpoints
+  WHERE meeting_id = ?
+  ORDER BY step, chunk_index
+`);
+
+export const deleteCheckpoint = db.prepare(`
+  DELETE FROM processing_checkpoints
+  WHERE meeting_id = ? AND step = ? AND chunk_index IS ?
+`);
+
+export const deleteCheckpointsForStep = db.prepare(`
+  DELETE FROM processing_checkpoints WHERE meeting_id = ? AND step = ?
+`);
+
+export const deleteCheckpointsForMeeting = db.prepare(`
+  DELETE FROM processing_checkpoints WHERE meeting_id = ?
+`);
+
+// Meeting speakers - detected speakers keep their name when a meeting is diarized again
+export const upsertMeetingSpeaker = db.prepare(`
+  INSERT INTO meeting_speakers (meeting_id, label, segment_count, talk_time)
+  VALUES (?, ?, ?, ?)
+  ON CONFLICT (meeting_id, label) DO UPDATE SET
+    segment_count = excluded.segment_count,
+    talk_time = excluded.talk_time,
+    updated_at = CURRENT_TIMESTAMP
+`);
+
+export const getMeetingSpeakers = db.prepare(`
+  SELECT * FROM meeting_speakers WHERE meeting_id = ? ORDER BY label
+`);
+
+export const updateMeetingSpeakerName = db.prepare(`
+  UPDATE meeting_speakers
+  SET name = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE meeting_id = ? AND label = ?
+`);
+
+export const deleteMeetingSpeakersExcept = db.prepare(`
+  DELETE FROM meeting_speakers
+  WHERE meeting_id = ? AND label NOT IN (SELECT value FROM json_each(?))
+`);
+
+// Transcript segments
+export const insertTranscriptSegment = db.prepare(`
+  INSERT INTO transcript_segments (meeting_id, idx, start, "end", speaker, text)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+export const deleteTranscriptSegments = db.prepare(`
+  DELETE FROM transcript_segments WHERE meeting_id = ?
+`);
+
+export const getTranscriptSegments = db.prepare(`
+  SELECT idx, start, "end", speaker, text, original_text FROM transcript_segments
+  WHERE meeting_id = ?
+  ORDER BY idx
+`);
+
+// Segments overlapping the [from, to] window
+export const getTranscriptSegmentsInRange = db.prepare(`
+  SELECT idx, start, "end", speaker, text, original_text FROM transcript_segments
+  WHERE meeting_id = ? AND "end" >= ? AND start <= ?
+  ORDER BY idx
+`);
+
+export const updateTranscriptSegmentText = db.prepare(`
+  UPDATE transcript_segments
+  SET text = ?, original_text = ?
+  WHERE meeting_id = ? AND idx = ?
+`);
+
+export const searchTranscriptSegments = db.prepare(`
+  SELECT idx, start, "end", speaker, text FROM transcript_segments
+  WHERE meeting_id = ? AND text LIKE ?
+  ORDER BY idx
+  LIMIT ?
+`);
+
+// Glossary terms
+export const getGlossaryTerms = db.prepare(`
+  SELECT * FROM glossary_terms WHERE project_id = ? ORDER BY term COLLATE NOCASE
+`);
+
+export const getGlossaryTermById = db.prepare(`
+  SELECT * FROM glossary_terms WHERE id = ? AND project_id = ?
+`);
+
+export const createGlossaryTerm = db.prepare(`
+  INSERT INTO glossary_terms (project_id, term, variants, description)
+  VALUES (?, ?, ?, ?)
+`);
+
+export const updateGlossaryTerm = db.prepare(`
+  UPDATE glossary_terms
+  SET term = ?, variants = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND project_id = ?
+`);
+
+export const deleteGlossaryTerm = db.prepare(`
+  DELETE FROM glossary_terms WHERE id = ? AND project_id = ?
+`);
+
+// Meeting types
+export const getMeetingTypes = db.prepare(`
+  SELECT * FROM meeting_types WHERE project_id = ? ORDER BY name COLLATE NOCASE
+`);
+
+export const getMeetingTypeById = db.prepare(`
+  SELECT * FROM meeting_types WHERE id = ? AND project_id = ?
+`);
+
+export const createMeetingType = db.prepare(`
+  INSERT INTO meeting_types (project_id, name, description, instructions, sections)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+export const updateMeetingType = db.prepare(`
+  UPDATE meeting_types
+  SET name = ?, description = ?, instructions = ?, sections = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND project_id = ?
+`);
+
+export const deleteMeetingType = db.prepare(`
+  DELETE FROM meeting_types WHERE id = ? AND project_id = ?
+`);
+
+// Action items - listed with their source meeting and the time the task was said.
+// Open items past their due date are overdue
+const ACTION_ITEM_SELECT = `
+  SELECT ai.*, m.title AS meeting_title, m.date AS meeting_date, ts.start AS segment_start,
+    cm.title AS closed_meeting_title, p.name AS project_name,
+    CASE WHEN ai.status = 'open' AND ai.due_date < date('now', 'localtime') THEN 1 ELSE 0 END AS overdue
+  FROM action_items ai
+  LEFT JOIN meetings m ON m.id = ai.meeting_id
+  LEFT JOIN meetings cm ON cm.id = ai.closed_meeting_id
+  LEFT JOIN projects p ON p.id = ai.project_id
+  LEFT JOIN transcript_segments ts ON ts.meeting_id = ai.meeting_id AND ts.idx = ai.segment_idx
+`;
+
+// Filters left NULL (overdue 0) match every item
+export const getActionItems = db.prepare(`
+  ${ACTION_ITEM_SELECT}
+  WHERE (@project_id IS NULL OR ai.project_id = @project_id)
+    AND (@owner IS NULL OR ai.owner = @owner COLLATE NOCASE)
+    AND (@status IS NULL OR ai.status = @status)
+    AND (@overdue = 0 OR (ai.status = 'open' AND ai.due_date < date('now', 'localtime')))
+  ORDER BY ai.status = 'open' DESC, ai.due_date IS NULL, ai.due_date, ai.created_at DESC, ai.id
+`);
+
+export const getActionItemById = db.prepare(`
+  ${ACTION_ITEM_SELECT}
+  WHERE ai.id = ?
+`);
+
+export const getActionItemsForMeeting = db.prepare(`
+  SELECT * FROM action_items WHERE meeting_id = ? ORDER BY id
+`);
+
+// source is 'analysis' or 'manual'; items from the analysis keep their task as analysis_task
+export const createActionItem = db.prepare(`
+  INSERT INTO action_items (project_id, meeting_id, segment_idx, task, owner, due_date, status, completed_at,
+    source, analysis_task)
+  VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'done' THEN CURRENT_TIMESTAMP END, ?, ?)
+`);
+
+// completed_at keeps the time an item was first marked done, and is cleared when it's reopened
+// along with the meeting that closed it. edited_at marks the item as changed since it was created
+export const updateActionItem = db.prepare(`
+  UPDATE action_items
+  SET task = @task, owner = @owner, due_date = @due_date, status = @status,
+    completed_at = CASE WHEN @status = 'done' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END,
+    closed_meeting_id = CASE WHEN @status = 'done' THEN closed_meeting_id END,
+    edited_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = @id
+`);
+
+// An open item a later meeting found done
+export const closeActionItemFromMeeting = db.prepare(`
+  UPDATE action_items
+  SET status = 'done', completed_at = CURRENT_TIMESTAMP, closed_meeting_id = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status = 'open'
+`);
+
+// Items closed by a meeting that is being deleted are open again
+export const reopenActionItemsClosedByMeeting = db.prepare(`
+  UPDATE action_items
+  SET status = 'open', completed_at = NULL, closed_meeting_id = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE closed_meeting_id = ? AND status = 'done'
+`);
+
+export const updateActionItemSegment = db.prepare(`
+  UPDATE action_items SET segment_idx = ? WHERE id = ?
+`);
+
+export const deleteActionItem = db.prepare(`
+  DELETE FROM action_items WHERE id = ?
+`);
+
+// Decisions
+const DECISION_SELECT = `
+  SELECT d.*, m.title AS meeting_title
+  FROM decisions d
+  LEFT JOIN meetings m ON m.id = d.meeting_id
+`;
+
+// Oldest first, in summary order within a meeting
+export const getProjectDecisions = db.prepare(`
+  ${DECISION_SELECT}
+  WHERE d.project_id = ?
+  ORDER BY d.decided_at, d.meeting_id, d.position, d.id
+`);
+
+export const getDecisionById = db.prepare(`
+  ${DECISION_SELECT}
+  WHERE d.id = ?
+`);
+
+export const getDecisionsForMeeting = db.prepare(`
+  ${DECISION_SELECT}
+  WHERE d.meeting_id = ?
+  ORDER BY d.position, d.id
+`);
+
+export const createDecision = db.prepare(`
+  INSERT INTO decisions (project_id, meeting_id, position, decision, rationale, alternatives, decided_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+// A reanalysis may word the reasoning differently - the decision itself stays
+export const updateDecisionDetails = db.prepare(`
+  UPDATE decisions
+  SET position = ?, rationale = ?, alternatives = ?, decided_at = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const supersedeDecision = db.prepare(`
+  UPDATE decisions
+  SET status = 'superseded', superseded_by = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status = 'active'
+`);
+
+// Decisions whose replacement goes away are in force again
+export const reactivateDecisionsSupersededBy = db.prepare(`
+  UPDATE decisions
+  SET status = 'active', superseded_by = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE superseded_by = ?
+`);
+
+export const reactivateDecisionsSupersededByMeeting = db.prepare(`
+  UPDATE decisions
+  SET status = 'active', superseded_by = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE superseded_by IN (SELECT id FROM decisions WHERE meeting_id = ?)
+`);
+
+export const deleteDecision = db.prepare(`
+  DELETE FROM decisions WHERE id = ?
+`);
+
+// Decision conflicts
+export const getConflictsForMeeting = db.prepare(`
+  SELECT dc.*, ts.start AS segment_start,
+    em.title AS earlier_meeting_title, em.date AS earlier_meeting_date, ets.start AS earlier_segment_start
+  FROM decision_conflicts dc
+  LEFT JOIN transcript_segments ts ON ts.meeting_id = dc.meeting_id AND ts.idx = dc.segment_idx
+  LEFT JOIN meetings em ON em.id = dc.earlier_meeting_id
+  LEFT JOIN transcript_segments ets ON ets.meeting_id = dc.earlier_meeting_id AND ets.idx = dc.earlier_segment_idx
+  WHERE dc.meeting_id = ?
+  ORDER BY dc.id
+`);
+
+export const createConflict = db.prepare(`
+  INSERT INTO decision_conflicts (project_id, meeting_id, decision_id, statement, segment_idx, source,
+    earlier_decision_id, earlier_meeting_id, earlier_segment_idx, earlier_statement, wiki_section, explanation)
+  VALUES (@project_id, @meeting_id, @decision_id, @statement, @segment_idx, @source,
+    @earlier_decision_id, @earlier_meeting_id, @earlier_segment_idx, @earlier_statement, @wiki_section, @explanation)
+`);
+
+export const deleteConflictsForMeeting = db.prepare(`
+  DELETE FROM decision_conflicts WHERE meeting_id = ?
+`);
+
+// Resumable uploads
+export const createUpload = db.prepare(`
+  INSERT INTO uploads (id, filename, mimetype, size, part_size, total_parts)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+export const getUploadById = db.prepare(`
+  SELECT * FROM uploads WHERE id = ?
+`);
+
+export const touchUpload = db.prepare(`
+  UPDATE uploads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const deleteUpload = db.prepare(`
+  DELETE FROM uploads WHERE id = ?
+`);
+
+// Sessions idle for longer than the given SQLite modifier, e.g. '-24 hours'
+export const getStaleUploads = db.prepare(`
+  SELECT * FROM uploads WHERE updated_at < datetime('now', ?)
+`);
+
+export const upsertUploadPart = db.prepare(`
+  INSERT INTO upload_parts (upload_id, part_index, size, checksum)
+  VALUES (?, ?, ?, ?)
+  ON CONFLICT(upload_id, part_index) DO UPDATE SET
+    size = excluded.size,
+    checksum = excluded.checksum,
+    created_at = CURRENT_TIMESTAMP
+`);
+
+export const getUploadParts = db.prepare(`
+  SELECT part_index, size, checksum FROM upload_parts WHERE upload_id = ? ORDER BY part_index
+`);
+
 // Run migrations for existing databases
 function runMigrations() {
   try {
@@ -331,6 +1269,9 @@ function runMigrations() {
       'ai.chat': process.env.AI_BACKEND || 'anthropic',
       'ai.wiki_updates': process.env.AI_BACKEND || 'anthropic',
       'ai.mentor_feedback': process.env.AI_BACKEND || 'anthropic',
+      'ai.transcription': process.env.TRANSCRIPTION_PROVIDER || 'openai',
+      'audio.normalize': process.env.AUDIO_NORMALIZE === 'true' ? 'on' : 'off',
+      'audio.trim_silence': process.env.AUDIO_TRIM_SILENCE === 'true' ? 'on' : 'off',
     };
 
     const existingSettings = getAllSettings.all();
@@ -0,0 +1,45 @@
+// Simple password protection (HTTP Basic Auth)
+// Set APP_PASSWORD env var to enable
+
+/**
+ * Check the credentials of a request
+ * @param {string|undefined} authHeader - Authorization header
+ * @returns {string|null} Why the request is refused ('Authentication required' or 'Invalid password'),
+ *   or null when it may go ahead
+ */
+export const checkCredentials = (authHeader) => {
+  const password = process.env.APP_PASSWORD;
+
+  // Skip auth if no password set (local development)
+  if (!password) {
+    return null;
+  }
+
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return 'Authentication required';
+  }
+
+  const credentials = Buffer.from(authHeader.slice(6), 'base64').toString();
+  const [, pass] = credentials.split(':');
+
+  // Username can be anything, just check password
+  return pass === password ? null : 'Invalid password';
+};
+
+// Express middleware - password protection before everything else
+export const basicAuth = (req, res, next) => {
+  const refused = checkCredentials(req.headers.authorization);
+  if (!refused) {
+    return next();
+  }
+
+  res.setHeader('WWW-Authenticate', 'Basic realm="Aiba PM"');
+  return res.status(401).send(refused);
+};
+
+// Socket.IO middleware - the connection doesn't pass through Express, so the handshake is checked
+// the same way. Browsers send the credentials they logged in with
+export const socketAuth = (socket, next) => {
+  const refused = checkCredentials(socket.handshake.headers.authorization);
+  next(refused ? new Error(refused) : undefined);
+};
@@ -15,6 +15,81 @@ export const createProjectSchema = z.object({
 
 export const updateProjectSchema = createProjectSchema;
 
+// Project glossary schemas
+export const glossaryTermParamSchema = idParamSchema.extend({
+  termId: z.string().regex(/^\d+$/, 'Term ID must be a number').transform(Number),
+});
+
+export const glossaryTermSchema = z.object({
+  term: z.string()
+    .trim()
+    .min(1, 'Term is required')
+    .max(100, 'Term must be less than 100 characters'),
+  variants: z.array(
+    z.string().trim().min(1).max(100, 'Variants must be less than 100 characters')
+  ).max(20, 'A term can have at most 20 variants').optional().default([]),
+  description: z.string()
+    .trim()
+    .max(500, 'Description must be less than 500 characters')
+    .optional()
+    .nullable(),
+});
+
+// Meeting type schemas - a project's own analysis templates. Section kinds are those of
+// services/meetingTypes.js; keys become the fields of the summary JSON
+const sectionKeySchema = z.string()
+  .regex(/^[a-z][a-z0-9_]{0,39}$/, 'Keys must be lowercase letters, digits and underscores, starting with a letter');
+
+export const meetingTypeParamSchema = idParamSchema.extend({
+  typeId: z.string().regex(/^\d+$/, 'Meeting type ID must be a number').transform(Number),
+});
+
+const meetingTypeSectionSchema = z.object({
+  key: sectionKeySchema.refine(key => key !== 'meeting_type', '"meeting_type" is a reserved key'),
+  title: z.string()
+    .trim()
+    .min(1, 'Section title is required')
+    .max(100, 'Section title must be less than 100 characters'),
+  kind: z.enum(['text', 'note', 'tags', 'paragraphs', 'list', 'tasks', 'records']),
+  description: z.string()
+    .trim()
+    .max(500, 'Section description must be less than 500 characters')
+    .optional()
+    .nullable(),
+  fields: z.array(sectionKeySchema).max(8, 'A section can have at most 8 fields').optional(),
+}).refine(section => section.kind !== 'records' || section.fields?.length > 0, {
+  message: 'Record sections need at least one field',
+  path: ['fields'],
+});
+
+export const meetingTypeSchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters'),
+  description: z.string()
+    .trim()
+    .max(500, 'Description must be less than 500 characters')
+    .optional()
+    .nullable(),
+  instructions: z.string()
+    .trim()
+    .max(2000, 'Instructions must be less than 2000 characters')
+    .optional()
+    .nullable(),
+  sections: z.array(meetingTypeSectionSchema)
+    .min(1, 'A meeting type needs at least one section')
+    .max(15, 'A meeting type can have at most 15 sections'),
+}).refine(type => new Set(type.sections.map(section => section.key)).size === type.sections.length, {
+  message: 'Section keys must be unique',
+  path: ['sections'],
+});
+
+// Built-in key ('standup', ...) or 'custom-<id>' - routes check the project has the type
+const meetingTypeKeySchema = z.string()
+  .max(50)
+  .regex(/^(?:[a-z_]+|custom-\d+)$/, 'Invalid meeting type');
+
 // Meeting schemas
 export const createMeetingSchema = z.object({
   projectId: z.string().regex(/^\d+$/).transform(Number).optional(),
@@ -24,6 +99,159 @@ export const createMeetingSchema = z.object({
     .trim(),
   date: z.string()
     .min(1, 'Date is required'),
+  meetingType: meetingTypeKeySchema.optional(),
+});
+
+// start: re-run everything, resume: continue after the last checkpoint,
+// analysis: reuse the saved transcript, index: only rebuild the search index
+export const reprocessMeetingSchema = z.object({
+  from: z.enum(['start', 'resume', 'analysis', 'index']).default('start'),
+  meetingType: meetingTypeKeySchema.optional(),
+});
+
+// Speaker names for diarization labels (SPEAKER_1, ...) - an empty name resets the label
+export const updateSpeakersSchema = z.object({
+  speakers: z.array(z.object({
+    label: z.string().min(1, 'Speaker label is required'),
+    name: z.string()
+      .max(100, 'Speaker name must be less than 100 characters')
+      .trim(),
+  })).min(1, 'At least one speaker is required'),
+});
+
+// Transcript time window in seconds - both ends optional
+export const segmentsQuerySchema = z.object({
+  from: z.coerce.number().min(0, "'from' must be a positive number of seconds").optional(),
+  to: z.coerce.number().min(0, "'to' must be a positive number of seconds").optional(),
+}).refine(
+  ({ from, to }) => from === undefined || to === undefined || from <= to,
+  { message: "'from' must not be after 'to'", path: ['from'] }
+);
+
+// Text (e.g. a key decision) to find in the transcript
+export const locateSegmentSchema = z.object({
+  text: z.string()
+    .min(1, 'Text is required')
+    .max(2000, 'Text must be less than 2,000 characters'),
+});
+
+// Hand corrections to transcript segments, optionally followed by a new analysis of the corrected text
+export const correctTranscriptSchema = z.object({
+  segments: z.array(z.object({
+    idx: z.number().int().min(0),
+    text: z.string()
+      .trim()
+      .min(1, 'Segment text is required - corrections cannot remove a segment')
+      .max(5000, 'Segment text must be less than 5,000 characters'),
+  })).min(1, 'At least one segment is required'),
+  reanalyze: z.boolean().optional().default(false),
+});
+
+// Meeting export - captions (srt, vtt) or a full report (md, html, json)
+export const exportMeetingSchema = z.object({
+  format: z.enum(['srt', 'vtt', 'md', 'json', 'html']).default('md'),
+});
+
+// Action item schemas
+const actionItemStatusSchema = z.enum(['open', 'done', 'cancelled']);
+
+const actionItemFields = {
+  task: z.string()
+    .trim()
+    .min(1, 'Task is required')
+    .max(1000, 'Task must be less than 1,000 characters'),
+  // An empty owner unassigns the item
+  owner: z.string()
+    .trim()
+    .max(100, 'Owner must be less than 100 characters')
+    .transform(owner => owner || null)
+    .nullable(),
+  dueDate: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Due date must be a date (YYYY-MM-DD)')
+    .nullable(),
+  status: actionItemStatusSchema,
+};
+
+// Every filter is optional - overdue=true keeps open items past their due date
+export const actionItemsQuerySchema = z.object({
+  projectId: z.string().regex(/^\d+$/).transform(Number).optional(),
+  owner: z.string().trim().min(1).max(100).optional(),
+  status: actionItemStatusSchema.optional(),
+  overdue: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+});
+
+// Action item export - filtered like the list; as picks to-dos or all-day events for ICS
+const icsComponentSchema = z.enum(['todo', 'event']).default('todo');
+
+export const exportActionItemsSchema = actionItemsQuerySchema.extend({
+  format: z.enum(['ics', 'csv', 'json', 'markdown']).default('csv'),
+  as: icsComponentSchema,
+});
+
+// A project's calendar feed - every item of the project unless filtered
+export const actionItemFeedSchema = actionItemsQuerySchema.pick({ owner: true, status: true }).extend({
+  as: icsComponentSchema,
+});
+
+// Decision log timeline - every decision unless filtered by status
+export const decisionsQuerySchema = z.object({
+  status: z.enum(['active', 'superseded']).optional(),
+});
+
+export const createActionItemSchema = z.object({
+  projectId: z.coerce.number().int().positive().optional().nullable(),
+  meetingId: z.coerce.number().int().positive().optional().nullable(),
+  task: actionItemFields.task,
+  owner: actionItemFields.owner.optional(),
+  dueDate: actionItemFields.dueDate.optional(),
+  status: actionItemFields.status.optional().default('open'),
+});
+
+// Only the fields given are changed
+export const updateActionItemSchema = z.object(actionItemFields)
+  .partial()
+  .refine(fields => Object.keys(fields).length > 0, 'Nothing to update');
+
+// Resumable upload schemas
+export const uploadParamSchema = z.object({
+  uploadId: z.string().uuid('Invalid upload ID'),
+});
+
+export const uploadPartParamSchema = uploadParamSchema.extend({
+  index: z.string().regex(/^\d+$/, 'Part index must be a number').transform(Number),
+});
+
+export const createUploadSchema = z.object({
+  filename: z.string()
+    .trim()
+    .min(1, 'File name is required')
+    .max(255, 'File name must be less than 255 characters'),
+  mimetype: z.string().max(100).optional().default(''),
+  size: z.number().int().positive('File size must be positive'),
+  partSize: z.number()
+    .int()
+    .min(256 * 1024, 'Parts must be at least 256KB')
+    .max(16 * 1024 * 1024, 'Parts must be at most 16MB')
+    .optional(),
+});
+
+// Meeting to create from the assembled file - checksum is the SHA-256 of the whole file (optional),
+// liveSessionId the live transcription made while recording (optional), recordingSource the input
+// the in-app recorder captured (optional - not set for uploaded files)
+export const completeUploadSchema = z.object({
+  projectId: z.coerce.number().int().positive().optional().nullable(),
+  title: z.string()
+    .min(1, 'Title is required')
+    .max(500, 'Title must be less than 500 characters')
+    .trim(),
+  date: z.string()
+    .min(1, 'Date is required'),
+  checksum: z.string()
+    .regex(/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest')
+    .optional(),
+  liveSessionId: z.string().uuid('Invalid live session ID').optional(),
+  recordingSource: z.enum(['microphone', 'system', 'mixed']).optional(),
+  meetingType: meetingTypeKeySchema.optional(),
 });
 
 // Chat schemas
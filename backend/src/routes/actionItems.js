@@ -0,0 +1,200 @@
+import express from 'express';
+import {
+  getProjectById,
+  getMeetingById,
+  createActionItem,
+  updateActionItem,
+  deleteActionItem,
+} from '../db/database.js';
+import {
+  validate,
+  idParamSchema,
+  actionItemsQuerySchema,
+  exportActionItemsSchema,
+  createActionItemSchema,
+  updateActionItemSchema,
+} from '../middleware/validation.js';
+import { listActionItems, getActionItem } from '../services/actionItems.js';
+import {
+  ACTION_ITEM_EXPORT_FORMATS,
+  renderActionItemExport,
+  getActionItemExportFilename,
+} from '../services/actionItemExport.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/action-items
+ * List action items - open ones first, soonest due first
+ * Query params:
+ *   - projectId: filter by project (optional)
+ *   - owner: filter by owner, ignoring case (optional)
+ *   - status: open, done or cancelled (optional)
+ *   - overdue: true for open items past their due date (optional)
+ */
+router.get('/', validate(actionItemsQuerySchema, 'query'), (req, res, next) => {
+  try {
+    const { projectId, owner, status, overdue } = req.query;
+
+    res.json({ actionItems: listActionItems({ projectId, owner, status, overdue }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/action-items/export
+ * Download action items to import into a calendar or task tracker
+ * Query params:
+ *   - format: 'ics' (calendar), 'csv' (Jira and GitHub Projects import), 'json' or 'markdown' - default 'csv'
+ *   - as: for ICS, 'todo' (VTODO) or 'event' (all-day VEVENT on the due date) - default 'todo'
+ *   - projectId, owner, status, overdue: filters, as for the list (optional)
+ */
+router.get('/export', validate(exportActionItemsSchema, 'query'), (req, res, next) => {
+  try {
+    const { format, as, projectId, owner, status, overdue } = req.query;
+
+    const project = projectId ? getProjectById.get(projectId) : null;
+    if (projectId && !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const items = listActionItems({ projectId, owner, status, overdue });
+    const name = project ? `${project.name} - action items` : 'Action items';
+
+    res.attachment(getActionItemExportFilename(project, format));
+    res.type(`${ACTION_ITEM_EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+    res.send(renderActionItemExport(items, format, { name, component: as }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/action-items/:id
+ * Get an action item
+ */
+router.get('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const actionItem = getActionItem(req.params.id);
+
+    if (!actionItem) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    res.json({ actionItem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/action-items
+ * Add an action item by hand
+ * Body:
+ *   - task: what needs doing
+ *   - projectId: project the item belongs to (optional - defaults to the meeting's project)
+ *   - meetingId: meeting the item came up in (optional)
+ *   - owner, dueDate (YYYY-MM-DD), status (optional)
+ */
+router.post('/', validate(createActionItemSchema), (req, res, next) => {
+  try {
+    const { meetingId, task, owner, dueDate, status } = req.body;
+    let { projectId } = req.body;
+
+    if (meetingId) {
+      const meeting = getMeetingById.get(meetingId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      projectId = projectId ?? meeting.project_id;
+    }
+
+    if (projectId && !getProjectById.get(projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = createActionItem.run(
+      projectId ?? null,
+      meetingId ?? null,
+      null, // segment_idx - only known for items from a summary
+      task,
+      owner ?? null,
+      dueDate ?? null,
+      status,
+      status,
+      'manual',
+      null
+    );
+
+    res.status(201).json({
+      message: 'Action item added successfully',
+      actionItem: getActionItem(result.lastInsertRowid),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/action-items/:id
+ * Update an action item - check it off, reassign it or change its due date
+ * Body: any of task, owner, dueDate, status
+ */
+router.put(
+  '/:id',
+  validate(idParamSchema, 'params'),
+  validate(updateActionItemSchema),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const existing = getActionItem(id);
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Action item not found' });
+      }
+
+      const { task, owner, dueDate, status } = req.body;
+      updateActionItem.run({
+        id,
+        task: task ?? existing.task,
+        owner: owner === undefined ? existing.owner : owner,
+        due_date: dueDate === undefined ? existing.due_date : dueDate,
+        status: status ?? existing.status,
+      });
+
+      res.json({
+        message: 'Action item updated successfully',
+        actionItem: getActionItem(id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/action-items/:id
+ * Delete an action item
+ */
+router.delete('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const actionItem = getActionItem(id);
+
+    if (!actionItem) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    deleteActionItem.run(id);
+
+    res.json({
+      message: 'Action item deleted successfully',
+      actionItem,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -3,13 +3,19 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
+import {
+  dbPath,
+  backfillMeetingStatus,
+  backfillActionItems,
+  backfillActionItemSources,
+  backfillDecisions,
+} from '../db/database.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
-const dbPath = path.join(__dirname, '../..', 'aiba.db');
 const storageDir = path.join(__dirname, '../../storage');
 
 /**
@@ -26,6 +32,13 @@ router.get('/export', async (req, res, next) => {
     const projects = db.prepare('SELECT * FROM projects').all();
     const meetings = db.prepare('SELECT * FROM meetings').all();
     const meetingMetadata = db.prepare('SELECT * FROM meeting_metadata').all();
+    const meetingSpeakers = db.prepare('SELECT * FROM meeting_speakers').all();
+    const transcriptSegments = db.prepare('SELECT * FROM transcript_segments').all();
+    const glossaryTerms = db.prepare('SELECT * FROM glossary_terms').all();
+    const meetingTypes = db.prepare('SELECT * FROM meeting_types').all();
+    const actionItems = db.prepare('SELECT * FROM action_items').all();
+    const decisions = db.prepare('SELECT * FROM decisions').all();
+    const decisionConflicts = db.prepare('SELECT * FROM decision_conflicts').all();
     const skills = db.prepare('SELECT * FROM skills').all();
     const chatMessages = db.prepare('SELECT * FROM chat_messages').all();
 
@@ -104,6 +117,13 @@ router.get('/export', async (req, res, next) => {
         projects,
         meetings,
         meetingMetadata,
+        meetingSpeakers,
+        transcriptSegments,
+        glossaryTerms,
+        meetingTypes,
+        actionItems,
+        decisions,
+        decisionConflicts,
         skills,
         chatMessages,
       },
@@ -156,15 +176,24 @@ router.post('/import', express.json({ limit: '100mb' }), async (req, res, next)
     // Use a transaction for database operations
     const importDb = db.transaction(() => {
       // Clear existing data (in reverse order of dependencies)
+      db.prepare('DELETE FROM jobs').run();
+      db.prepare('DELETE FROM processing_checkpoints').run();
+      db.prepare('DELETE FROM transcript_segments').run();
+      db.prepare('DELETE FROM meeting_speakers').run();
       db.prepare('DELETE FROM search_index').run();
       db.prepare('DELETE FROM chat_messages').run();
+      db.prepare('DELETE FROM action_items').run();
+      db.prepare('DELETE FROM decision_conflicts').run();
+      db.prepare('DELETE FROM decisions').run();
       db.prepare('DELETE FROM meeting_metadata').run();
       db.prepare('DELETE FROM meetings').run();
       db.prepare('DELETE FROM skills').run();
+      db.prepare('DELETE FROM glossary_terms').run();
+      db.prepare('DELETE FROM meeting_types').run();
       db.prepare('DELETE FROM projects').run();
 
       // Reset autoincrement counters
-      db.prepare("DELETE FROM sqlite_sequence WHERE name IN ('projects', 'meetings', 'meeting_metadata', 'skills', 'chat_messages', 'search_index')").run();
+      db.prepare("DELETE FROM sqlite_sequence WHERE name IN ('projects', 'meetings', 'meeting_metadata', 'meeting_types', 'action_items', 'decisions', 'decision_conflicts', 'skills', 'chat_messages', 'search_index')").run();
 
       // Import projects
       const insertProject = db.prepare(`
@@ -177,17 +206,24 @@ router.post('/import', express.json({ limit: '100mb' }), async (req, res, next)
 
       // Import meetings (clear audio_path since we're not importing audio)
       const insertMeeting = db.prepare(`
-        INSERT INTO meetings (id, project_id, title, date, audio_path, transcript_path, summary_path, duration, created_at, updated_at)
-        VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?)
+        INSERT INTO meetings (id, project_id, title, date, audio_path, transcript_path, summary_path, duration,
+          recording_source, meeting_type, status, status_detail, error_code, processing_started_at,
+          processing_finished_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       for (const meeting of importData.database.meetings || []) {
         insertMeeting.run(
           meeting.id, meeting.project_id, meeting.title, meeting.date,
-          meeting.transcript_path, meeting.summary_path, meeting.duration,
+          meeting.transcript_path, meeting.summary_path, meeting.duration, meeting.recording_source ?? null,
+          meeting.meeting_type ?? null, meeting.status ?? null, meeting.status_detail ?? null, meeting.error_code ?? null,
+          meeting.processing_started_at ?? null, meeting.processing_finished_at ?? null,
           meeting.created_at, meeting.updated_at
         );
       }
 
+      // Exports from older versions have no status columns - derive them from the paths
+      backfillMeetingStatus(db);
+
       // Import meeting metadata
       const insertMetadata = db.prepare(`
         INSERT INTO meeting_metadata (id, meeting_id, decisions, action_items, risks, questions, ai_model_info)
@@ -200,6 +236,111 @@ router.post('/import', express.json({ limit: '100mb' }), async (req, res, next)
         );
       }
 
+      // Import speakers and transcript segments (absent from older exports)
+      const insertSpeaker = db.prepare(`
+        INSERT INTO meeting_speakers (meeting_id, label, name, segment_count, talk_time, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const speaker of importData.database.meetingSpeakers || []) {
+        insertSpeaker.run(
+          speaker.meeting_id, speaker.label, speaker.name, speaker.segment_count,
+          speaker.talk_time, speaker.created_at, speaker.updated_at
+        );
+      }
+
+      const insertSegment = db.prepare(`
+        INSERT INTO transcript_segments (meeting_id, idx, start, "end", speaker, text, original_text)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const segment of importData.database.transcriptSegments || []) {
+        insertSegment.run(
+          segment.meeting_id, segment.idx, segment.start, segment.end, segment.speaker, segment.text,
+          segment.original_text ?? null
+        );
+      }
+
+      // Import project glossaries (absent from older exports)
+      const insertGlossaryTerm = db.prepare(`
+        INSERT INTO glossary_terms (project_id, term, variants, description, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const term of importData.database.glossaryTerms || []) {
+        insertGlossaryTerm.run(
+          term.project_id, term.term, term.variants ?? '[]', term.description ?? null,
+          term.created_at, term.updated_at
+        );
+      }
+
+      // Import meeting types (absent from older exports) - IDs are kept, meetings refer to them
+      const insertMeetingType = db.prepare(`
+        INSERT INTO meeting_types (id, project_id, name, description, instructions, sections, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const type of importData.database.meetingTypes || []) {
+        insertMeetingType.run(
+          type.id, type.project_id, type.name, type.description ?? null, type.instructions ?? null,
+          type.sections ?? '[]', type.created_at, type.updated_at
+        );
+      }
+
+      // Import action items - exports from before they had their own table get them from the metadata
+      const insertActionItem = db.prepare(`
+        INSERT INTO action_items (id, project_id, meeting_id, segment_idx, task, owner, due_date, status,
+          completed_at, closed_meeting_id, source, analysis_task, edited_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const item of importData.database.actionItems || []) {
+        insertActionItem.run(
+          item.id, item.project_id, item.meeting_id, item.segment_idx, item.task, item.owner, item.due_date,
+          item.status, item.completed_at, item.closed_meeting_id ?? null, item.source ?? 'analysis',
+          item.analysis_task ?? null, item.edited_at ?? null, item.created_at, item.updated_at
+        );
+      }
+      if (importData.database.actionItems) {
+        backfillActionItemSources(db);
+      } else {
+        backfillActionItems(db);
+      }
+
+      // Import decisions - superseded_by usually points further down the list, so the links
+      // are set once every decision exists
+      const insertDecision = db.prepare(`
+        INSERT INTO decisions (id, project_id, meeting_id, position, decision, rationale, alternatives, decided_at,
+          status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const linkDecision = db.prepare('UPDATE decisions SET superseded_by = ? WHERE id = ?');
+      for (const decision of importData.database.decisions || []) {
+        insertDecision.run(
+          decision.id, decision.project_id, decision.meeting_id, decision.position, decision.decision,
+          decision.rationale, decision.alternatives ?? '[]', decision.decided_at, decision.status,
+          decision.created_at, decision.updated_at
+        );
+      }
+      for (const decision of importData.database.decisions || []) {
+        if (decision.superseded_by) {
+          linkDecision.run(decision.superseded_by, decision.id);
+        }
+      }
+      if (!importData.database.decisions) {
+        backfillDecisions(db);
+      }
+
+      // Import decision conflicts
+      const insertConflict = db.prepare(`
+        INSERT INTO decision_conflicts (id, project_id, meeting_id, decision_id, statement, segment_idx, source,
+          earlier_decision_id, earlier_meeting_id, earlier_segment_idx, earlier_statement, wiki_section, explanation, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const conflict of importData.database.decisionConflicts || []) {
+        insertConflict.run(
+          conflict.id, conflict.project_id, conflict.meeting_id, conflict.decision_id, conflict.statement,
+          conflict.segment_idx, conflict.source, conflict.earlier_decision_id, conflict.earlier_meeting_id,
+          conflict.earlier_segment_idx, conflict.earlier_statement, conflict.wiki_section, conflict.explanation,
+          conflict.created_at
+        );
+      }
+
       // Import skills
       const insertSkill = db.prepare(`
         INSERT INTO skills (id, name, slug, description, content, is_global, project_id, trigger_keywords, auto_activate, created_at, updated_at)
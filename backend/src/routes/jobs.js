@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  getRecentJobs,
+  getJobsByStatus,
+  countJobsByStatus,
+} from '../db/database.js';
+import { describeJob, getQueueInfo, JobStatus } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * List background processing jobs with their queue positions
+ * Query params:
+ *   - status: filter by job status (optional)
+ *   - limit: maximum number of jobs (optional, default 50)
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    if (status && !Object.values(JobStatus).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Must be one of ${Object.values(JobStatus).join(', ')}`,
+      });
+    }
+
+    const jobs = status
+      ? getJobsByStatus.all(status, limit)
+      : getRecentJobs.all(limit);
+
+    const counts = countJobsByStatus.all().reduce((acc, row) => {
+      acc[row.status] = row.count;
+      return acc;
+    }, {});
+
+    res.json({
+      jobs: jobs.map(describeJob),
+      counts,
+      ...getQueueInfo(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
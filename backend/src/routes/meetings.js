@@ -1,36 +1,126 @@
 import express from 'express';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import {
   createMeeting,
   getAllMeetings,
   getMeetingById,
   getMeetingsByProject,
+  getMeetingsByStatus,
+  getMeetingsByProjectAndStatus,
   updateMeeting,
+  markMeetingProcessingFinished,
   deleteMeeting,
-  createMeetingMetadata,
+  reactivateDecisionsSupersededByMeeting,
+  reopenActionItemsClosedByMeeting,
   getMeetingMetadata,
-  updateMeetingMetadata,
+  getLatestJobForMeeting,
+  getActiveJobForMeeting,
+  setMeetingType,
   runTransaction,
 } from '../db/database.js';
-import { saveAudioFile, validateAudioFile } from '../services/audioProcessor.js';
-import { transcribeWithRetry, saveTranscript } from '../services/transcription.js';
-import { analyzeMeeting, saveSummary } from '../services/aiAnalysis.js';
-import { buildSearchIndex } from '../services/searchIndex.js';
-import { validate, idParamSchema, createMeetingSchema } from '../middleware/validation.js';
+import {
+  saveAudioFile,
+  validateAudioFile,
+  resolveAudioPath,
+  getAudioContentType,
+  parseByteRange,
+} from '../services/audioProcessor.js';
+import { enqueueMeetingProcessing, MEETING_STATUSES } from '../services/meetingProcessor.js';
+import { cancelJobForMeeting, describeJob } from '../services/jobQueue.js';
+import {
+  loadCheckpoint,
+  getCompletedSteps,
+  resetCheckpointsForReprocess,
+  removeWorkFiles,
+  PipelineStep,
+  ReprocessFrom,
+} from '../services/checkpoints.js';
+import {
+  validate,
+  idParamSchema,
+  createMeetingSchema,
+  reprocessMeetingSchema,
+  updateSpeakersSchema,
+  segmentsQuerySchema,
+  locateSegmentSchema,
+  correctTranscriptSchema,
+  exportMeetingSchema,
+} from '../middleware/validation.js';
+import { listMeetingSpeakers, renameSpeakers } from '../services/speakers.js';
+import { findMeetingType } from '../services/meetingTypes.js';
+import { getSegments, locateText, correctTranscript } from '../services/segments.js';
+import { listMeetingConflicts } from '../services/contradictions.js';
 import { emitMeetingStatus, MeetingStatus } from '../services/socketService.js';
+import {
+  detectTranscriptFormat,
+  parseTranscript,
+  saveImportedTranscript,
+} from '../services/transcriptImport.js';
+import {
+  EXPORT_FORMATS,
+  CAPTION_FORMATS,
+  loadMeetingRecord,
+  renderExport,
+  getExportFilename,
+} from '../services/meetingExport.js';
 
 const router = express.Router();
 
+/**
+ * Queue a meeting for processing again, discarding the output of the steps that will re-run
+ * @param {Object} meeting - Meeting row
+ * @param {string} from - One of ReprocessFrom
+ * @returns {Promise<Object>} Queued job
+ */
+async function restartProcessing(meeting, from) {
+  // Drop any pending job so the meeting is only processed once
+  cancelJobForMeeting(meeting.id);
+
+  // Discard the output of the steps that will run again
+  console.log(`Reprocessing meeting ${meeting.id} from: ${from}`);
+  await resetCheckpointsForReprocess(meeting.id, from);
+
+  // Clear old results so frontend shows processing state
+  const keepTranscript = from !== ReprocessFrom.START;
+  const keepSummary = from === ReprocessFrom.INDEX || from === ReprocessFrom.RESUME;
+  updateMeeting.run(
+    meeting.title,
+    meeting.date,
+    keepTranscript ? meeting.duration : 0,
+    meeting.audio_path,
+    keepTranscript ? meeting.transcript_path : null,
+    keepSummary ? meeting.summary_path : null,
+    meeting.id
+  );
+
+  return enqueueMeetingProcessing(meeting.id);
+}
+
 /**
  * GET /api/meetings
  * Get all meetings or filter by project
+ * Query params:
+ *   - projectId: filter by project (optional)
+ *   - status: filter by processing status, e.g. error (optional)
  */
 router.get('/', (req, res, next) => {
   try {
-    const { projectId } = req.query;
+    const { projectId, status } = req.query;
+
+    if (status && !MEETING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Must be one of ${MEETING_STATUSES.join(', ')}`,
+      });
+    }
 
     let meetings;
-    if (projectId) {
+    if (projectId && status) {
+      meetings = getMeetingsByProjectAndStatus.all(parseInt(projectId, 10), status);
+    } else if (projectId) {
       meetings = getMeetingsByProject.all(parseInt(projectId, 10));
+    } else if (status) {
+      meetings = getMeetingsByStatus.all(status);
     } else {
       meetings = getAllMeetings.all();
     }
@@ -43,7 +133,8 @@ router.get('/', (req, res, next) => {
 
 /**
  * GET /api/meetings/:id
- * Get meeting details with metadata
+ * Get meeting details with metadata, the pipeline steps that have a checkpoint and the report of
+ * the audio preprocessing (null when the audio wasn't preprocessed)
  */
 router.get('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
   try {
@@ -61,12 +152,338 @@ router.get('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
     res.json({
       meeting,
       metadata: metadata || null,
+      checkpoints: getCompletedSteps(id),
+      preprocessing: loadCheckpoint(id, PipelineStep.TRANSCRIPTION)?.preprocessing || null,
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/meetings/:id/job
+ * Get the latest processing job for a meeting, including its queue position
+ */
+router.get('/:id/job', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const meeting = getMeetingById.get(id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const job = getLatestJobForMeeting.get(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No processing job found for this meeting' });
+    }
+
+    res.json({ job: describeJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/audio
+ * Stream the meeting recording
+ * Supports HTTP Range requests so players can seek without downloading the whole file
+ */
+router.get('/:id/audio', validate(idParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const meeting = getMeetingById.get(id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    if (!meeting.audio_path) {
+      return res.status(404).json({ error: 'No audio recording for this meeting' });
+    }
+
+    const audioPath = resolveAudioPath(meeting.audio_path);
+    let stats;
+    try {
+      stats = await fs.stat(audioPath);
+    } catch {
+      // Removed by the audio retention cleanup
+      return res.status(404).json({ error: 'Audio file is no longer available' });
+    }
+
+    const range = parseByteRange(req.headers.range, stats.size);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', getAudioContentType(audioPath));
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).end();
+    }
+
+    const { start, end } = range || { start: 0, end: stats.size - 1 };
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    }
+    res.setHeader('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+
+    const stream = createReadStream(audioPath, { start, end });
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/segments
+ * Get the timestamped transcript segments of a meeting
+ * Query params:
+ *   - from: only segments ending after this many seconds (optional)
+ *   - to: only segments starting before this many seconds (optional)
+ */
+router.get(
+  '/:id/segments',
+  validate(idParamSchema, 'params'),
+  validate(segmentsQuerySchema, 'query'),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      const meeting = getMeetingById.get(id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const segments = getSegments(id, { from: from ?? null, to: to ?? null });
+
+      res.json({ count: segments.length, segments });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/meetings/:id/segments/locate
+ * Find the transcript segment where a piece of text (e.g. a key decision) was said
+ * Query params:
+ *   - text: text to locate (required)
+ */
+router.get(
+  '/:id/segments/locate',
+  validate(idParamSchema, 'params'),
+  validate(locateSegmentSchema, 'query'),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { text } = req.query;
+
+      const meeting = getMeetingById.get(id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const segment = locateText(id, text);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Text not found in transcript' });
+      }
+
+      res.json({ segment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/meetings/:id/transcript
+ * Correct the text of transcript segments; the transcribed text is kept alongside
+ * Body:
+ *   - segments: [{ idx, text }]
+ *   - reanalyze: re-run the analysis and search index on the corrected transcript (optional)
+ */
+router.put(
+  '/:id/transcript',
+  validate(idParamSchema, 'params'),
+  validate(correctTranscriptSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { segments, reanalyze } = req.body;
+
+      const meeting = getMeetingById.get(id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      if (getActiveJobForMeeting.get(id)) {
+        return res.status(409).json({ error: 'Meeting is still being processed - edit the transcript once it has finished' });
+      }
+
+      const known = new Set(getSegments(id).map(segment => segment.idx));
+      if (known.size === 0) {
+        return res.status(400).json({
+          error: 'This transcript has no timestamped segments to edit - reprocess the meeting to create them',
+        });
+      }
+
+      const unknown = segments.filter(segment => !known.has(segment.idx));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown segment(s): ${unknown.map(segment => segment.idx).join(', ')}`,
+        });
+      }
+
+      const updated = await correctTranscript(id, segments);
+      const job = reanalyze ? await restartProcessing(getMeetingById.get(id), ReprocessFrom.ANALYSIS) : null;
+
+      res.json({
+        message: reanalyze ? 'Transcript corrected - re-running analysis' : 'Transcript corrected successfully',
+        meeting: getMeetingById.get(id),
+        segments: updated,
+        job: job ? describeJob(job) : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/meetings/:id/export
+ * Download a meeting as captions or as a report to share outside the app
+ * Query params:
+ *   - format: 'srt' | 'vtt' (timestamped captions), 'md' | 'html' (report with summary,
+ *             decisions, action items and transcript) or 'json' (full record) - default 'md'
+ */
+router.get(
+  '/:id/export',
+  validate(idParamSchema, 'params'),
+  validate(exportMeetingSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { format } = req.query;
+
+      const record = await loadMeetingRecord(id);
+
+      if (!record) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      if (CAPTION_FORMATS.includes(format) && record.segments.length === 0) {
+        return res.status(400).json({
+          error: 'This meeting has no timestamped transcript segments - export it as md, html or json instead',
+        });
+      }
+
+      if (!record.transcript && !record.summary) {
+        return res.status(400).json({ error: 'Nothing to export yet - the meeting has not been processed' });
+      }
+
+      res.attachment(getExportFilename(record.meeting, format));
+      res.type(`${EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+      res.send(renderExport(record, format));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/meetings/:id/speakers
+ * Get the speakers detected in a meeting
+ */
+router.get('/:id/speakers', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const meeting = getMeetingById.get(id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ speakers: listMeetingSpeakers(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/conflicts
+ * Get the decisions of a meeting that contradict earlier decisions or the project wiki
+ */
+router.get('/:id/conflicts', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const meeting = getMeetingById.get(id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ conflicts: listMeetingConflicts(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:id/speakers
+ * Map speaker labels to people's names and update the markdown transcript
+ * Re-run the analysis afterwards to use the names for action item owners
+ */
+router.put(
+  '/:id/speakers',
+  validate(idParamSchema, 'params'),
+  validate(updateSpeakersSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { speakers } = req.body;
+
+      const meeting = getMeetingById.get(id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const known = new Set(listMeetingSpeakers(id).map(speaker => speaker.label));
+      const unknown = speakers.filter(speaker => !known.has(speaker.label));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown speaker label(s): ${unknown.map(speaker => speaker.label).join(', ')}`,
+        });
+      }
+
+      const updated = await renameSpeakers(id, speakers);
+
+      res.json({
+        message: 'Speakers updated successfully',
+        speakers: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/meetings
  * Create a new meeting with audio upload
@@ -80,7 +497,7 @@ router.post('/', async (req, res, next) => {
     }
 
     try {
-      const { projectId, title, date } = req.body;
+      const { projectId, title, date, meetingType } = req.body;
       const audioFile = req.file;
 
       // Validate required fields
@@ -88,12 +505,16 @@ router.post('/', async (req, res, next) => {
         return res.status(400).json({ error: 'Title and date are required' });
       }
 
+      if (meetingType && !findMeetingType(meetingType, projectId ? parseInt(projectId, 10) : null)) {
+        return res.status(400).json({ error: `Unknown meeting type "${meetingType}"` });
+      }
+
       if (!audioFile) {
         return res.status(400).json({ error: 'Audio file is required' });
       }
 
       // Validate audio file
-      const validation = validateAudioFile(audioFile.mimetype, audioFile.size);
+      const validation = validateAudioFile(audioFile.mimetype, audioFile.size, audioFile.originalname);
       if (!validation.valid) {
         return res.status(400).json({ error: validation.error });
       }
@@ -110,18 +531,90 @@ router.post('/', async (req, res, next) => {
       );
 
       const meetingId = result.lastInsertRowid;
+      if (meetingType) {
+        setMeetingType.run(meetingType, meetingId);
+      }
 
-      // Start async processing (transcription + analysis)
-      // In production, this should be a background job
-      processMeeting(meetingId, audioFile.path, title, date).catch(error => {
-        console.error(`Error processing meeting ${meetingId}:`, error);
-      });
+      // Queue transcription + analysis (survives server restarts)
+      const job = enqueueMeetingProcessing(meetingId);
 
       const meeting = getMeetingById.get(meetingId);
 
       res.status(201).json({
         message: 'Meeting created successfully. Processing in background.',
         meeting,
+        job: describeJob(job),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+/**
+ * POST /api/meetings/import-transcript
+ * Create a meeting from an existing transcript (WebVTT, SRT or plain text) - transcription is skipped
+ * and the transcript goes straight to analysis and indexing
+ */
+router.post('/import-transcript', async (req, res, next) => {
+  const upload = req.app.get('transcriptUpload');
+
+  upload.single('transcript')(req, res, async (err) => {
+    if (err) {
+      return next(err);
+    }
+
+    try {
+      const { projectId, title, date, meetingType } = req.body;
+      const transcriptFile = req.file;
+
+      // Validate required fields
+      if (!title || !date) {
+        return res.status(400).json({ error: 'Title and date are required' });
+      }
+
+      if (meetingType && !findMeetingType(meetingType, projectId ? parseInt(projectId, 10) : null)) {
+        return res.status(400).json({ error: `Unknown meeting type "${meetingType}"` });
+      }
+
+      if (!transcriptFile) {
+        return res.status(400).json({ error: 'Transcript file is required' });
+      }
+
+      const content = transcriptFile.buffer.toString('utf8');
+      const format = detectTranscriptFormat(transcriptFile.originalname, content);
+      if (!format) {
+        return res.status(400).json({ error: 'Invalid transcript file. Allowed: vtt, srt, txt' });
+      }
+
+      const parsed = parseTranscript(content, format);
+      if (!parsed.text) {
+        return res.status(400).json({ error: `No transcript text found in this ${format.toUpperCase()} file` });
+      }
+
+      const result = createMeeting.run(
+        projectId ? parseInt(projectId, 10) : null,
+        title,
+        date,
+        null, // duration (set from the transcript)
+        null, // audio_path
+        null, // transcript_path
+        null  // summary_path
+      );
+
+      const meetingId = result.lastInsertRowid;
+      if (meetingType) {
+        setMeetingType.run(meetingType, meetingId);
+      }
+      await saveImportedTranscript(meetingId, parsed);
+
+      // Queue analysis + indexing - the saved transcript is reused instead of transcribing
+      const job = enqueueMeetingProcessing(meetingId);
+
+      res.status(201).json({
+        message: `Transcript imported (${parsed.segments.length} timestamped segments). Analyzing in background.`,
+        meeting: getMeetingById.get(meetingId),
+        job: describeJob(job),
       });
     } catch (error) {
       next(error);
@@ -132,49 +625,71 @@ router.post('/', async (req, res, next) => {
 /**
  * POST /api/meetings/:id/reprocess
  * Re-transcribe and analyze a meeting
+ * Body:
+ *   - from: 'start' (default) re-runs everything, 'resume' continues after the last checkpoint,
+ *           'analysis' reuses the saved transcript, 'index' only rebuilds the search index
+ *   - meetingType: analyze as another meeting type (optional - 'start' and 'analysis' only)
  */
-router.post('/:id/reprocess', validate(idParamSchema, 'params'), async (req, res, next) => {
-  try {
-    const { id } = req.params;
+router.post(
+  '/:id/reprocess',
+  validate(idParamSchema, 'params'),
+  validate(reprocessMeetingSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { from, meetingType } = req.body;
 
-    const meeting = getMeetingById.get(id);
+      const meeting = getMeetingById.get(id);
 
-    if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
-    }
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
 
-    if (!meeting.audio_path) {
-      return res.status(400).json({ error: 'No audio file associated with this meeting' });
-    }
+      if (meetingType) {
+        if (!findMeetingType(meetingType, meeting.project_id)) {
+          return res.status(400).json({ error: `Unknown meeting type "${meetingType}"` });
+        }
+        if (from !== ReprocessFrom.START && from !== ReprocessFrom.ANALYSIS) {
+          return res.status(400).json({ error: 'A new meeting type needs a new analysis - reprocess from the analysis instead' });
+        }
+      }
 
-    // Clear old error status and paths so frontend shows processing state
-    console.log(`Clearing error status for meeting ${meeting.id} before reprocessing...`);
-    updateMeeting.run(
-      meeting.title,
-      meeting.date,
-      0, // duration
-      meeting.audio_path,
-      null, // Clear transcript_path (removes ERROR status)
-      null, // Clear summary_path
-      meeting.id
-    );
+      const hasTranscript = !!(loadCheckpoint(id, PipelineStep.TRANSCRIPTION) || meeting.transcript_path);
+      const hasAnalysis = !!(loadCheckpoint(id, PipelineStep.ANALYSIS) || meeting.summary_path);
 
-    // Get updated meeting to return
-    const clearedMeeting = getMeetingById.get(id);
+      if (from === ReprocessFrom.ANALYSIS && !hasTranscript) {
+        return res.status(400).json({ error: 'No saved transcript to reuse - reprocess from the start instead' });
+      }
 
-    // Start reprocessing
-    processMeeting(meeting.id, meeting.audio_path, meeting.title, meeting.date).catch(error => {
-      console.error(`Error reprocessing meeting ${meeting.id}:`, error);
-    });
+      if (from === ReprocessFrom.INDEX && !(hasTranscript && hasAnalysis)) {
+        return res.status(400).json({ error: 'No saved analysis to reuse - reprocess from the analysis instead' });
+      }
 
-    res.json({
-      message: 'Meeting reprocessing started',
-      meeting: clearedMeeting, // Return meeting with cleared status
-    });
-  } catch (error) {
-    next(error);
+      if (!hasTranscript || from === ReprocessFrom.START) {
+        if (!meeting.audio_path) {
+          return res.status(400).json({ error: 'No audio file associated with this meeting' });
+        }
+      }
+
+      if (meetingType) {
+        setMeetingType.run(meetingType, id);
+      }
+
+      const job = await restartProcessing(meeting, from);
+
+      // Get updated meeting (status is now queued) to return
+      const clearedMeeting = getMeetingById.get(id);
+
+      res.json({
+        message: 'Meeting reprocessing started',
+        meeting: clearedMeeting, // Return meeting with cleared status
+        job: describeJob(job),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * POST /api/meetings/:id/cancel
@@ -190,20 +705,21 @@ router.post('/:id/cancel', validate(idParamSchema, 'params'), async (req, res, n
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Mark as cancelled - this won't stop the running process but will reset the state
+    // Remove the job from the queue and abort any in-flight Whisper/ffmpeg/LLM work
     console.log(`Cancelling processing for meeting ${meeting.id}...`);
-    updateMeeting.run(
-      meeting.title,
-      meeting.date,
-      0, // duration
-      meeting.audio_path,
-      'CANCELLED', // Mark as cancelled so frontend knows
-      null, // Clear summary_path
+    const job = cancelJobForMeeting(meeting.id);
+
+    markMeetingProcessingFinished.run(
+      MeetingStatus.CANCELLED,
+      'Processing cancelled by user',
+      null, // error_code
       meeting.id
     );
 
-    // Emit cancelled status via socket
-    emitMeetingStatus(id, 'CANCELLED', { message: 'Processing cancelled by user' });
+    // A running job emits the final 'cancelled' event once its work has actually stopped
+    if (!job?.wasRunning) {
+      emitMeetingStatus(id, MeetingStatus.CANCELLED, { message: 'Processing cancelled by user' });
+    }
 
     // Get updated meeting to return
     const cancelledMeeting = getMeetingById.get(id);
@@ -221,7 +737,7 @@ router.post('/:id/cancel', validate(idParamSchema, 'params'), async (req, res, n
  * DELETE /api/meetings/:id
  * Delete a meeting
  */
-router.delete('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
+router.delete('/:id', validate(idParamSchema, 'params'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -231,8 +747,17 @@ router.delete('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Delete from database (cascade will handle metadata and search index)
-    deleteMeeting.run(id);
+    // Stop processing and remove converted audio/chunks kept for resuming
+    cancelJobForMeeting(meeting.id);
+    await removeWorkFiles(meeting.id);
+
+    // Delete from database (cascade will handle metadata and search index). Decisions this
+    // meeting superseded are in force again once it's gone, and action items it closed are open again
+    runTransaction(() => {
+      reactivateDecisionsSupersededByMeeting.run(id);
+      reopenActionItemsClosedByMeeting.run(id);
+      deleteMeeting.run(id);
+    });
 
     // Note: Audio/transcript files are kept until cleanup cron runs
 
@@ -245,180 +770,4 @@ router.delete('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
   }
 });
 
-/**
- * Wrap async function with timeout
- * @param {Promise} promise - Promise to wrap
- * @param {number} timeoutMs - Timeout in milliseconds
- * @param {string} operationName - Name of operation for error message
- * @returns {Promise} Promise that rejects if timeout is exceeded
- */
-function withTimeout(promise, timeoutMs, operationName) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(`${operationName} timed out after ${timeoutMs / 1000}s`)), timeoutMs)
-    ),
-  ]);
-}
-
-/**
- * Calculate adaptive timeout based on file size
- * @param {string} audioPath - Path to audio file
- * @returns {number} Timeout in milliseconds
- */
-async function calculateTimeout(audioPath) {
-  try {
-    const fs = await import('fs/promises');
-    const stats = await fs.stat(audioPath);
-    const fileSizeMB = stats.size / (1024 * 1024);
-
-    // Adaptive timeout based on file size:
-    // Timeouts account for: chunking, transcription, network retries (up to 155s/chunk), and AI analysis
-    // - Small files (<10MB): 8 minutes (single chunk + retries + AI)
-    // - Medium files (10-30MB): 15 minutes (2-3 chunks + retries + AI)
-    // - Large files (30-50MB): 40 minutes (4-5 chunks + retries + AI)
-    // - Very large files (50-80MB): 50 minutes (6-8 chunks with 5-min segments + retries)
-    // - Huge files (>80MB): 75 minutes (many chunks + retries)
-    if (fileSizeMB < 10) {
-      return 8 * 60 * 1000; // 8 minutes
-    } else if (fileSizeMB < 30) {
-      return 15 * 60 * 1000; // 15 minutes
-    } else if (fileSizeMB < 50) {
-      return 40 * 60 * 1000; // 40 minutes - increased for long recordings with chunking
-    } else if (fileSizeMB < 80) {
-      return 50 * 60 * 1000; // 50 minutes - increased for better reliability
-    } else {
-      return 75 * 60 * 1000; // 75 minutes for huge files - increased for safety
-    }
-  } catch (error) {
-    console.warn('Could not determine file size, using default timeout:', error.message);
-    return 15 * 60 * 1000; // Default 15 minutes
-  }
-}
-
-/**
- * Background processing function
- * Handles transcription, analysis, and indexing
- */
-async function processMeeting(meetingId, audioPath, title, date) {
-  // Calculate adaptive timeout based on file size
-  const PROCESSING_TIMEOUT = await calculateTimeout(audioPath);
-
-  try {
-    console.log(`\n=== Processing meeting ${meetingId} (timeout: ${PROCESSING_TIMEOUT / 1000}s) ===`);
-
-    // Emit processing started status
-    emitMeetingStatus(meetingId, MeetingStatus.PROCESSING_STARTED);
-
-    // Wrap the entire processing in a timeout
-    await withTimeout(
-      (async () => {
-        // Step 1: Transcribe audio (with automatic chunking for large files)
-        console.log('Step 1: Transcribing audio...');
-        emitMeetingStatus(meetingId, MeetingStatus.TRANSCRIBING, { message: 'Transcribing audio with OpenAI Whisper...' });
-        const transcription = await transcribeWithRetry(audioPath, meetingId);
-
-        // Step 2: Save transcript
-        console.log('Step 2: Saving transcript...');
-        emitMeetingStatus(meetingId, MeetingStatus.SAVING, { message: 'Saving transcript...' });
-        const transcriptPaths = await saveTranscript(
-          transcription.text,
-          meetingId,
-          {
-            title,
-            date,
-            duration: transcription.duration,
-            segments: transcription.segments,
-          }
-        );
-
-        // Step 3: Analyze transcript
-        console.log('Step 3: Analyzing meeting...');
-        emitMeetingStatus(meetingId, MeetingStatus.ANALYZING, { message: 'Generating AI summary...' });
-        const analysis = await analyzeMeeting(transcription.text);
-
-        // Step 4: Save summary
-        console.log('Step 4: Saving summary...');
-        const summaryPath = await saveSummary(analysis, meetingId);
-
-        // Step 5 & 6: Update meeting record and metadata in a transaction
-        console.log('Step 5 & 6: Updating meeting record and metadata (transaction)...');
-        runTransaction(() => {
-          const meeting = getMeetingById.get(meetingId);
-          updateMeeting.run(
-            meeting.title,
-            meeting.date,
-            Math.floor(transcription.duration || 0),
-            meeting.audio_path,
-            transcriptPaths.txtPath,
-            summaryPath,
-            meetingId
-          );
-
-          // Extract AI model metadata
-          const aiModelInfo = analysis._metadata ? JSON.stringify(analysis._metadata) : null;
-          const existingMetadata = getMeetingMetadata.get(meetingId);
-
-          if (existingMetadata) {
-            updateMeetingMetadata.run(
-              JSON.stringify(analysis.key_decisions || []),
-              JSON.stringify(analysis.action_items || []),
-              JSON.stringify([]), // risks - deprecated
-              JSON.stringify([]), // open_questions - deprecated
-              aiModelInfo,
-              meetingId
-            );
-          } else {
-            createMeetingMetadata.run(
-              meetingId,
-              JSON.stringify(analysis.key_decisions || []),
-              JSON.stringify(analysis.action_items || []),
-              JSON.stringify([]), // risks - deprecated
-              JSON.stringify([]), // open_questions - deprecated
-              aiModelInfo
-            );
-          }
-        });
-
-        // Step 7: Build search index
-        console.log('Step 7: Building search index...');
-        await buildSearchIndex(meetingId, transcription.text, analysis);
-
-        console.log(`=== Meeting ${meetingId} processing complete ===\n`);
-
-        // Emit completion status
-        const completedMeeting = getMeetingById.get(meetingId);
-        emitMeetingStatus(meetingId, MeetingStatus.COMPLETED, { meeting: completedMeeting });
-      })(),
-      PROCESSING_TIMEOUT,
-      `Meeting ${meetingId} processing`
-    );
-  } catch (error) {
-    console.error(`Failed to process meeting ${meetingId}:`, error);
-
-    // Emit error status
-    emitMeetingStatus(meetingId, MeetingStatus.ERROR, { error: error.message });
-
-    // Mark the meeting with an error by setting transcript_path to an error marker
-    // This prevents infinite polling on the frontend
-    try {
-      const meeting = getMeetingById.get(meetingId);
-      updateMeeting.run(
-        meeting.title,
-        meeting.date,
-        0, // duration
-        meeting.audio_path,
-        `ERROR: ${error.message}`, // transcript_path used as error marker
-        null, // summary_path
-        meetingId
-      );
-      console.error(`Marked meeting ${meetingId} with error status`);
-    } catch (updateError) {
-      console.error(`Failed to mark meeting ${meetingId} with error:`, updateError);
-    }
-
-    throw error;
-  }
-}
-
 export default router;
@@ -5,13 +5,32 @@ import {
   getProjectById,
   updateProject,
   deleteProject,
+  getGlossaryTermById,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  getMeetingTypeById,
+  createMeetingType,
+  updateMeetingType,
+  deleteMeetingType,
 } from '../db/database.js';
 import {
   validate,
   idParamSchema,
   createProjectSchema,
   updateProjectSchema,
+  glossaryTermParamSchema,
+  glossaryTermSchema,
+  meetingTypeParamSchema,
+  meetingTypeSchema,
+  actionItemFeedSchema,
+  decisionsQuerySchema,
 } from '../middleware/validation.js';
+import { getGlossary, formatGlossaryTerm } from '../services/glossary.js';
+import { getMeetingTypes, formatMeetingType } from '../services/meetingTypes.js';
+import { listActionItems } from '../services/actionItems.js';
+import { toIcs } from '../services/actionItemExport.js';
+import { listProjectDecisions, buildDecisionThreads } from '../services/decisions.js';
 
 const router = express.Router();
 
@@ -120,4 +139,309 @@ router.delete('/:id', validate(idParamSchema, 'params'), (req, res, next) => {
   }
 });
 
+// A term can only appear once in a project's glossary, whatever its case
+const isDuplicateTerm = (error) => error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+/**
+ * GET /api/projects/:id/glossary
+ * Get a project's glossary
+ */
+router.get('/:id/glossary', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!getProjectById.get(id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ terms: getGlossary(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/glossary
+ * Add a term to a project's glossary
+ * Body:
+ *   - term: correct spelling, given to the transcription and analysis
+ *   - variants: misspellings replaced by the term after transcription (optional)
+ *   - description: what the term means (optional)
+ */
+router.post(
+  '/:id/glossary',
+  validate(idParamSchema, 'params'),
+  validate(glossaryTermSchema),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { term, variants, description } = req.body;
+
+      if (!getProjectById.get(id)) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = createGlossaryTerm.run(id, term, JSON.stringify(variants), description || null);
+
+      res.status(201).json({
+        message: 'Glossary term added successfully',
+        term: formatGlossaryTerm(getGlossaryTermById.get(result.lastInsertRowid, id)),
+      });
+    } catch (error) {
+      if (isDuplicateTerm(error)) {
+        return res.status(409).json({ error: `"${req.body.term}" is already in the glossary` });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/glossary/:termId
+ * Update a glossary term
+ */
+router.put(
+  '/:id/glossary/:termId',
+  validate(glossaryTermParamSchema, 'params'),
+  validate(glossaryTermSchema),
+  (req, res, next) => {
+    try {
+      const { id, termId } = req.params;
+      const { term, variants, description } = req.body;
+
+      if (!getGlossaryTermById.get(termId, id)) {
+        return res.status(404).json({ error: 'Glossary term not found' });
+      }
+
+      updateGlossaryTerm.run(term, JSON.stringify(variants), description || null, termId, id);
+
+      res.json({
+        message: 'Glossary term updated successfully',
+        term: formatGlossaryTerm(getGlossaryTermById.get(termId, id)),
+      });
+    } catch (error) {
+      if (isDuplicateTerm(error)) {
+        return res.status(409).json({ error: `"${req.body.term}" is already in the glossary` });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/glossary/:termId
+ * Remove a term from a project's glossary
+ */
+router.delete('/:id/glossary/:termId', validate(glossaryTermParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id, termId } = req.params;
+
+    const term = getGlossaryTermById.get(termId, id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+
+    deleteGlossaryTerm.run(termId, id);
+
+    res.json({
+      message: 'Glossary term deleted successfully',
+      term: formatGlossaryTerm(term),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A name can only be used once per project, whatever its case
+const isDuplicateMeetingType = (error) => error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+// Only record sections keep their list of fields
+const serializeSections = (sections) => JSON.stringify(sections.map(({ fields, ...section }) => (
+  section.kind === 'records' ? { ...section, fields } : section
+)));
+
+/**
+ * GET /api/projects/:id/meeting-types
+ * Get the meeting types a project's meetings can be recorded as - built-in types first
+ */
+router.get('/:id/meeting-types', validate(idParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!getProjectById.get(id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ types: getMeetingTypes(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/meeting-types
+ * Add a meeting type with its own analysis template
+ * Body:
+ *   - name, description (optional)
+ *   - instructions: added to the analysis prompt (optional)
+ *   - sections: [{ key, title, kind, description?, fields? }] - the fields of the summary;
+ *     kind is text, note, tags, paragraphs, list, tasks or records (objects with the given fields)
+ */
+router.post(
+  '/:id/meeting-types',
+  validate(idParamSchema, 'params'),
+  validate(meetingTypeSchema),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { name, description, instructions, sections } = req.body;
+
+      if (!getProjectById.get(id)) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = createMeetingType.run(
+        id, name, description || null, instructions || null, serializeSections(sections)
+      );
+
+      res.status(201).json({
+        message: 'Meeting type added successfully',
+        type: formatMeetingType(getMeetingTypeById.get(result.lastInsertRowid, id)),
+      });
+    } catch (error) {
+      if (isDuplicateMeetingType(error)) {
+        return res.status(409).json({ error: `A meeting type named "${req.body.name}" already exists` });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/meeting-types/:typeId
+ * Update a meeting type - meetings analyzed before keep the sections they were summarized with
+ */
+router.put(
+  '/:id/meeting-types/:typeId',
+  validate(meetingTypeParamSchema, 'params'),
+  validate(meetingTypeSchema),
+  (req, res, next) => {
+    try {
+      const { id, typeId } = req.params;
+      const { name, description, instructions, sections } = req.body;
+
+      if (!getMeetingTypeById.get(typeId, id)) {
+        return res.status(404).json({ error: 'Meeting type not found' });
+      }
+
+      updateMeetingType.run(
+        name, description || null, instructions || null, serializeSections(sections), typeId, id
+      );
+
+      res.json({
+        message: 'Meeting type updated successfully',
+        type: formatMeetingType(getMeetingTypeById.get(typeId, id)),
+      });
+    } catch (error) {
+      if (isDuplicateMeetingType(error)) {
+        return res.status(409).json({ error: `A meeting type named "${req.body.name}" already exists` });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/meeting-types/:typeId
+ * Delete a meeting type - its meetings are analyzed as general meetings if they are reprocessed
+ */
+router.delete('/:id/meeting-types/:typeId', validate(meetingTypeParamSchema, 'params'), (req, res, next) => {
+  try {
+    const { id, typeId } = req.params;
+
+    const type = getMeetingTypeById.get(typeId, id);
+
+    if (!type) {
+      return res.status(404).json({ error: 'Meeting type not found' });
+    }
+
+    deleteMeetingType.run(typeId, id);
+
+    res.json({
+      message: 'Meeting type deleted successfully',
+      type: formatMeetingType(type),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/action-items.ics
+ * The project's action items as a calendar feed to subscribe to - served inline so calendar apps
+ * can poll it; done and cancelled items stay in it so subscribers see them close
+ * Query params:
+ *   - as: 'todo' (VTODO) or 'event' (all-day VEVENT on the due date) - default 'todo'
+ *   - owner, status: filters (optional)
+ */
+router.get(
+  '/:id/action-items.ics',
+  validate(idParamSchema, 'params'),
+  validate(actionItemFeedSchema, 'query'),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { as, owner, status } = req.query;
+
+      const project = getProjectById.get(id);
+
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const items = listActionItems({ projectId: id, owner, status });
+
+      res.set('Cache-Control', 'no-cache');
+      res.type('text/calendar; charset=utf-8');
+      res.send(toIcs(items, { name: `${project.name} - action items`, component: as }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/decisions
+ * The project's decision log, oldest first, with threads that follow a choice through the
+ * decisions that superseded it
+ * Query params:
+ *   - status: 'active' or 'superseded' (optional)
+ * Threads are always built from the whole log, as decision ID lists - the most recently decided first
+ */
+router.get(
+  '/:id/decisions',
+  validate(idParamSchema, 'params'),
+  validate(decisionsQuerySchema, 'query'),
+  (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+
+      if (!getProjectById.get(id)) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const decisions = listProjectDecisions(id);
+
+      res.json({
+        decisions: status ? decisions.filter(decision => decision.status === status) : decisions,
+        threads: buildDecisionThreads(decisions),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { getSetting, getAllSettings, upsertSetting } from '../db/database.js';
+import { getTranscriptionProviderNames } from '../services/transcriptionProviders.js';
 
 const router = express.Router();
 
@@ -54,22 +55,26 @@ router.put('/', (req, res, next) => {
       return res.status(400).json({ error: 'Settings object is required' });
     }
 
-    // Validate allowed settings keys
-    const allowedKeys = [
-      'ai.meeting_analysis',
-      'ai.chat',
-      'ai.wiki_updates',
-      'ai.mentor_feedback',
-    ];
-
-    const allowedValues = ['openai', 'anthropic'];
+    // Validate allowed settings keys and their values
+    const aiBackends = ['openai', 'anthropic'];
+    const allowedSettings = {
+      'ai.meeting_analysis': aiBackends,
+      'ai.chat': aiBackends,
+      'ai.wiki_updates': aiBackends,
+      'ai.mentor_feedback': aiBackends,
+      'ai.transcription': getTranscriptionProviderNames(),
+      'audio.normalize': ['on', 'off'],
+      'audio.trim_silence': ['on', 'off'],
+    };
 
     for (const [key, value] of Object.entries(settings)) {
-      if (!allowedKeys.includes(key)) {
+      const allowedValues = allowedSettings[key];
+      if (!allowedValues) {
         return res.status(400).json({ error: `Invalid setting key: ${key}` });
       }
       if (!allowedValues.includes(value)) {
-        return res.status(400).json({ error: `Invalid value for ${key}: ${value}. Must be 'openai' or 'anthropic'` });
+        const expected = allowedValues.map(v => `'${v}'`).join(', ');
+        return res.status(400).json({ error: `Invalid value for ${key}: ${value}. Must be one of ${expected}` });
       }
     }
 
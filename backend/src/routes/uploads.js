@@ -0,0 +1,209 @@
+import express from 'express';
+import fs from 'fs/promises';
+import {
+  createMeeting,
+  getMeetingById,
+  getUploadById,
+  setMeetingRecordingSource,
+  setMeetingType,
+} from '../db/database.js';
+import { validateAudioFile } from '../services/audioProcessor.js';
+import { enqueueMeetingProcessing } from '../services/meetingProcessor.js';
+import { describeJob } from '../services/jobQueue.js';
+import { attachLiveTranscription } from '../services/liveTranscription.js';
+import { findMeetingType } from '../services/meetingTypes.js';
+import {
+  MAX_RESUMABLE_UPLOAD_SIZE,
+  MAX_PART_SIZE,
+  createUploadSession,
+  describeUpload,
+  checkUploadPart,
+  saveUploadPart,
+  getMissingParts,
+  assembleUpload,
+  removeUploadSession,
+} from '../services/resumableUpload.js';
+import {
+  validate,
+  uploadParamSchema,
+  uploadPartParamSchema,
+  createUploadSchema,
+  completeUploadSchema,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Parts are sent as the raw request body, whatever the client labels them
+const rawPart = express.raw({ type: () => true, limit: MAX_PART_SIZE });
+
+/**
+ * POST /api/uploads
+ * Start a resumable recording upload
+ * Body: { filename, mimetype, size, partSize? }
+ * The file is then sent part by part (PUT /api/uploads/:uploadId/parts/:index) and turned
+ * into a meeting with POST /api/uploads/:uploadId/complete
+ */
+router.post('/', validate(createUploadSchema), (req, res, next) => {
+  try {
+    const { filename, mimetype, size, partSize } = req.body;
+
+    const validation = validateAudioFile(mimetype, size, filename, MAX_RESUMABLE_UPLOAD_SIZE);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const upload = createUploadSession({ filename, mimetype, size, partSize });
+    res.status(201).json({ upload: describeUpload(upload) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Upload progress - which parts the server already has, so an interrupted upload can resume
+ */
+router.get('/:uploadId', validate(uploadParamSchema, 'params'), (req, res, next) => {
+  try {
+    const upload = getUploadById.get(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({ upload: describeUpload(upload) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/parts/:index
+ * Upload one part (raw body). Header X-Part-Checksum: SHA-256 of the part, hex encoded
+ * A part that doesn't match its checksum is rejected and can be sent again
+ */
+router.put(
+  '/:uploadId/parts/:index',
+  validate(uploadPartParamSchema, 'params'),
+  rawPart,
+  async (req, res, next) => {
+    try {
+      const { uploadId, index } = req.params;
+
+      const upload = getUploadById.get(uploadId);
+      if (!upload) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const checksum = (req.get('X-Part-Checksum') || '').toLowerCase();
+
+      const validation = checkUploadPart(upload, index, data, checksum);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      await saveUploadPart(upload, index, data, checksum);
+
+      res.json({ index, size: data.length, upload: describeUpload(upload) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/uploads/:uploadId/complete
+ * Assemble the uploaded parts and create the meeting, like POST /api/meetings
+ * Body: { projectId?, title, date, checksum?, liveSessionId?, recordingSource?, meetingType? }
+ */
+router.post(
+  '/:uploadId/complete',
+  validate(uploadParamSchema, 'params'),
+  validate(completeUploadSchema),
+  async (req, res, next) => {
+    try {
+      const { uploadId } = req.params;
+      const { projectId, title, date, checksum, liveSessionId, recordingSource, meetingType } = req.body;
+
+      const upload = getUploadById.get(uploadId);
+      if (!upload) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+
+      if (meetingType && !findMeetingType(meetingType, projectId)) {
+        return res.status(400).json({ error: `Unknown meeting type "${meetingType}"` });
+      }
+
+      const missing = getMissingParts(upload);
+      if (missing.length > 0) {
+        return res.status(409).json({
+          error: `Upload is incomplete: ${missing.length} of ${upload.total_parts} parts missing`,
+          missingParts: missing,
+        });
+      }
+
+      const file = await assembleUpload(upload);
+      if (checksum && checksum !== file.checksum) {
+        // Parts are kept so the client can check and resend them
+        await fs.unlink(file.path).catch(() => {});
+        return res.status(400).json({ error: 'Checksum mismatch for the assembled file' });
+      }
+
+      await removeUploadSession(uploadId);
+
+      const result = createMeeting.run(
+        projectId || null,
+        title,
+        date,
+        null, // duration (will be set after transcription)
+        file.path.replace(/\\/g, '/'), // audio_path
+        null, // transcript_path
+        null  // summary_path
+      );
+
+      const meetingId = result.lastInsertRowid;
+      if (recordingSource) {
+        setMeetingRecordingSource.run(recordingSource, meetingId);
+      }
+      if (meetingType) {
+        setMeetingType.run(meetingType, meetingId);
+      }
+
+      // A complete live transcript replaces transcribing the file
+      if (liveSessionId) {
+        await attachLiveTranscription(meetingId, liveSessionId);
+      }
+
+      // Queue transcription + analysis (survives server restarts)
+      const job = enqueueMeetingProcessing(meetingId);
+
+      res.status(201).json({
+        message: 'Meeting created successfully. Processing in background.',
+        meeting: getMeetingById.get(meetingId),
+        job: describeJob(job),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Abandon an upload and delete its parts
+ */
+router.delete('/:uploadId', validate(uploadParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const upload = getUploadById.get(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    await removeUploadSession(upload.id);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
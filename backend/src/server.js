@@ -18,6 +18,7 @@ import http from 'http';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 import { initializeSocketIO } from './services/socketService.js';
+import { basicAuth } from './middleware/auth.js';
 
 // Import database to initialize it
 import './db/database.js';
@@ -32,6 +33,12 @@ import { setupAudioCleanupCron, cleanupOldAudioFiles } from './services/audioPro
 import skillsRouter from './routes/skills.js';
 import settingsRouter from './routes/settings.js';
 import dataRouter from './routes/data.js';
+import jobsRouter from './routes/jobs.js';
+import uploadsRouter from './routes/uploads.js';
+import actionItemsRouter from './routes/actionItems.js';
+import { setupUploadCleanupCron, cleanupStaleUploads } from './services/resumableUpload.js';
+import { startJobQueue } from './services/jobQueue.js';
+import './services/meetingProcessor.js'; // Registers the meeting processing job handler
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -64,6 +71,7 @@ const corsOptions = {
     ? allowedOrigins
     : true, // Allow all origins in development
   credentials: true,
+  exposedHeaders: ['Content-Disposition'], // Export downloads are named by the server
   optionsSuccessStatus: 200,
 };
 
@@ -83,34 +91,11 @@ const upload = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB
 });
 
-// Simple password protection (HTTP Basic Auth)
-// Set APP_PASSWORD env var to enable
-const basicAuth = (req, res, next) => {
-  const password = process.env.APP_PASSWORD;
-
-  // Skip auth if no password set (local development)
-  if (!password) {
-    return next();
-  }
-
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Aiba PM"');
-    return res.status(401).send('Authentication required');
-  }
-
-  const credentials = Buffer.from(authHeader.slice(6), 'base64').toString();
-  const [user, pass] = credentials.split(':');
-
-  // Username can be anything, just check password
-  if (pass === password) {
-    return next();
-  }
-
-  res.setHeader('WWW-Authenticate', 'Basic realm="Aiba PM"');
-  return res.status(401).send('Invalid password');
-};
+// Imported transcripts are parsed straight from memory
+const transcriptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
 
 // Middleware
 app.use(cors(corsOptions));
@@ -121,8 +106,12 @@ app.use(express.urlencoded({ extended: true }));
 // Apply rate limiting to API routes
 app.use('/api', generalLimiter);
 
+// Count each upload once - resumable parts and retries don't use up the limit
+app.post(['/api/meetings', '/api/uploads'], uploadLimiter);
+
 // Make upload middleware available to routes
 app.set('upload', upload);
+app.set('transcriptUpload', transcriptUpload);
 
 // Static files - audio storage
 app.use('/storage', express.static(path.join(__dirname, '../storage')));
@@ -154,6 +143,9 @@ app.use('/api/chat', chatRouter);
 app.use('/api/skills', skillsRouter);
 app.use('/api/settings', settingsRouter);
 app.use('/api/data', dataRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/uploads', uploadsRouter);
+app.use('/api/action-items', actionItemsRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -190,10 +182,17 @@ httpServer.listen(PORT, async () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`WebSocket support enabled`);
 
+  // Resume unfinished processing jobs and start the worker
+  startJobQueue();
+
   // Setup audio cleanup cron job and run initial cleanup
   setupAudioCleanupCron();
   const deleted = await cleanupOldAudioFiles();
   if (deleted > 0) {
     console.log(`Initial cleanup removed ${deleted} old audio file(s)`);
   }
+
+  // Remove uploads abandoned while the server was down
+  setupUploadCleanupCron();
+  await cleanupStaleUploads();
 });
@@ -0,0 +1,246 @@
+export const ACTION_ITEM_EXPORT_FORMATS = {
+  ics: { extension: 'ics', contentType: 'text/calendar' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  json: { extension: 'json', contentType: 'application/json' },
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+};
+
+// Calendars show action items as to-dos (VTODO) or, for apps without to-dos, as all-day events on the due date
+export const ICS_COMPONENTS = ['todo', 'event'];
+
+const ICS_STATUSES = {
+  todo: { open: 'NEEDS-ACTION', done: 'COMPLETED', cancelled: 'CANCELLED' },
+  event: { open: 'CONFIRMED', done: 'CONFIRMED', cancelled: 'CANCELLED' },
+};
+
+// Calendar apps poll a subscribed feed; ask them to do it hourly
+const ICS_REFRESH_INTERVAL = 'PT1H';
+
+const STATUS_LABELS = { open: 'Open', done: 'Done', cancelled: 'Cancelled' };
+
+const meetingDay = (item) => /^\d{4}-\d{2}-\d{2}/.exec(item.meeting_date || '')?.[0] || null;
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold an iCalendar content line at 75 octets, without splitting a character (RFC 5545 3.1)
+ * @param {string} line - Content line
+ * @returns {string} The line, continued on lines starting with a space
+ */
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 2026-03-06 -> 20260306
+const icsDate = (date) => date.replace(/-/g, '');
+
+// SQLite timestamps are UTC: 2026-03-06 17:00:00 -> 20260306T170000Z
+const icsTimestamp = (timestamp) => {
+  const date = timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+// Where the item came from, for descriptions
+const itemDescription = (item) => [
+  item.owner && `Owner: ${item.owner}`,
+  item.due_date && `Due: ${item.due_date}`,
+  `Status: ${STATUS_LABELS[item.status] || item.status}`,
+  item.meeting_title && `From meeting: ${item.meeting_title}${meetingDay(item) ? ` (${meetingDay(item)})` : ''}`,
+  item.closed_meeting_title && `Closed in meeting: ${item.closed_meeting_title}`,
+].filter(Boolean).join('\n');
+
+/**
+ * Build an iCalendar file of action items
+ * Events are all-day, on the due date, so items without one are left out of them
+ * @param {Array<Object>} items - Action items from listActionItems
+ * @param {Object} options - { name } of the calendar, { component } 'todo' (VTODO) or 'event' (VEVENT)
+ * @returns {string} ICS file content
+ */
+export const toIcs = (items, { name = 'Action items', component = 'todo' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AibaPM//Action items//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${ICS_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${ICS_REFRESH_INTERVAL}`,
+  ];
+
+  for (const item of items) {
+    if (component === 'event' && !item.due_date) continue;
+
+    const type = component === 'event' ? 'VEVENT' : 'VTODO';
+    lines.push(
+      `BEGIN:${type}`,
+      // Stable, so a re-imported or refreshed item replaces the old copy instead of duplicating it
+      `UID:action-item-${item.id}@aibapm`,
+      `DTSTAMP:${icsTimestamp(item.updated_at)}`,
+      `CREATED:${icsTimestamp(item.created_at)}`,
+      `LAST-MODIFIED:${icsTimestamp(item.updated_at)}`,
+      // Events have no completed state of their own
+      `SUMMARY:${escapeIcsText(component === 'event' && item.status === 'done' ? `✓ ${item.task}` : item.task)}`,
+      `DESCRIPTION:${escapeIcsText(itemDescription(item))}`,
+      `STATUS:${ICS_STATUSES[component][item.status] || ICS_STATUSES[component].open}`
+    );
+
+    if (component === 'event') {
+      lines.push(
+        `DTSTART;VALUE=DATE:${icsDate(item.due_date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(item.due_date))}`,
+        'TRANSP:TRANSPARENT'
+      );
+    } else {
+      if (item.due_date) lines.push(`DUE;VALUE=DATE:${icsDate(item.due_date)}`);
+      if (item.status === 'done' && item.completed_at) lines.push(`COMPLETED:${icsTimestamp(item.completed_at)}`);
+    }
+
+    lines.push(`END:${type}`);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+// CSV columns, named as Jira's importer expects them; GitHub Projects maps them by hand
+const CSV_COLUMNS = [
+  ['Summary', item => item.task],
+  ['Description', item => itemDescription(item)],
+  ['Assignee', item => item.owner],
+  ['Due Date', item => item.due_date],
+  ['Status', item => STATUS_LABELS[item.status] || item.status],
+  ['Labels', item => ['action-item', item.project_name && slugify(item.project_name)].filter(Boolean).join(' ')],
+  ['Meeting', item => item.meeting_title],
+  ['Meeting Date', item => meetingDay(item)],
+  ['ID', item => item.id],
+];
+
+// Spreadsheets run cells starting with these as formulas - tasks and owners come from transcripts
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quoted when needed, quotes doubled (RFC 4180). Text that would run as a formula gets a leading '
+const csvField = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV of action items that Jira and GitHub Projects can import
+ * @param {Array<Object>} items - Action items from listActionItems
+ * @returns {string} CSV file content, with a header row
+ */
+export const toCsv = (items) => [
+  CSV_COLUMNS.map(([header]) => header),
+  ...items.map(item => CSV_COLUMNS.map(([, value]) => value(item))),
+].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Build a JSON export of action items
+ * @param {Array<Object>} items - Action items from listActionItems
+ * @returns {string} Pretty-printed JSON
+ */
+export const toJson = (items) => JSON.stringify({
+  actionItems: items.map(item => ({
+    id: item.id,
+    task: item.task,
+    owner: item.owner,
+    due_date: item.due_date,
+    status: item.status,
+    overdue: item.overdue,
+    completed_at: item.completed_at,
+    project: item.project_id ? { id: item.project_id, name: item.project_name } : null,
+    meeting: item.meeting_id ? { id: item.meeting_id, title: item.meeting_title, date: item.meeting_date } : null,
+    closed_in_meeting: item.closed_meeting_id ? { id: item.closed_meeting_id, title: item.closed_meeting_title } : null,
+  })),
+  exportedAt: new Date().toISOString(),
+}, null, 2);
+
+/**
+ * Build a Markdown checklist of action items
+ * @param {Array<Object>} items - Action items from listActionItems
+ * @param {Object} options - { name } used as the heading
+ * @returns {string} Markdown file content
+ */
+export const toMarkdown = (items, { name = 'Action items' } = {}) => {
+  const lines = [`# ${name}`, ''];
+
+  if (items.length === 0) {
+    lines.push('_No action items._');
+  }
+
+  for (const item of items) {
+    const details = [
+      item.owner && `@${item.owner}`,
+      item.due_date && `due ${item.due_date}`,
+      item.status === 'cancelled' && 'cancelled',
+      item.meeting_title && `from ${item.meeting_title}${meetingDay(item) ? ` (${meetingDay(item)})` : ''}`,
+    ].filter(Boolean);
+    const task = item.status === 'cancelled' ? `~~${item.task}~~` : item.task;
+    lines.push(`- [${item.status === 'done' ? 'x' : ' '}] ${task}${details.length > 0 ? ` - ${details.join(', ')}` : ''}`);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Render action items in an export format
+ * @param {Array<Object>} items - Action items from listActionItems
+ * @param {string} format - One of ACTION_ITEM_EXPORT_FORMATS
+ * @param {Object} options - { name } of the list, { component } for ICS
+ * @returns {string} File content
+ */
+export const renderActionItemExport = (items, format, options = {}) => {
+  switch (format) {
+    case 'ics': return toIcs(items, options);
+    case 'csv': return toCsv(items);
+    case 'markdown': return toMarkdown(items, options);
+    default: return toJson(items);
+  }
+};
+
+/**
+ * File name for an action item export, e.g. "action-items-website-redesign.csv"
+ * @param {Object|null} project - Project row, when the export is of one project
+ * @param {string} format - One of ACTION_ITEM_EXPORT_FORMATS
+ * @returns {string} File name
+ */
+export const getActionItemExportFilename = (project, format) => {
+  const slug = project ? slugify(project.name || '') : '';
+  return `${['action-items', slug].filter(Boolean).join('-')}.${ACTION_ITEM_EXPORT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,279 @@
+import {
+  getMeetingById,
+  getActionItems,
+  getActionItemById,
+  getActionItemsForMeeting,
+  createActionItem,
+  updateActionItem,
+  updateActionItemSegment,
+  closeActionItemFromMeeting,
+  deleteActionItem,
+  runTransaction,
+} from '../db/database.js';
+import { locateText } from './segments.js';
+
+export const ACTION_ITEM_STATUSES = ['open', 'done', 'cancelled'];
+
+// What a meeting's analysis can say about an action item from an earlier meeting
+export const FOLLOW_UP_STATUSES = ['done', 'updated', 'open'];
+
+// Open items given to the analysis - the soonest due, to keep the prompt short
+const MAX_OPEN_ITEMS_FOR_ANALYSIS = 50;
+
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse an action_items row from the database
+ * @param {Object} row - action_items row, with the columns getActionItems joins in
+ * @returns {Object} Action item with overdue as a boolean
+ */
+export const formatActionItem = (row) => ({
+  ...row,
+  overdue: Boolean(row.overdue),
+});
+
+/**
+ * Read a due date given by the analysis - models sometimes add a time or invent a format
+ * @param {*} value - Due date from the summary
+ * @returns {string|null} YYYY-MM-DD, or null if it isn't a real date
+ */
+export const parseDueDate = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const date = value.trim().slice(0, 10);
+  if (!DUE_DATE_PATTERN.test(date)) return null;
+
+  // Rejects dates that roll over, like 2026-02-30
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+};
+
+/**
+ * Turn the action_items of a summary into action item fields
+ * Summaries from before owners existed hold plain strings; items without a task are dropped
+ * @param {Array} items - analysis.action_items
+ * @returns {Array<Object>} [{ task, owner, due_date }]
+ */
+export const extractActionItems = (items) => (Array.isArray(items) ? items : [])
+  .map(item => (typeof item === 'string' ? { task: item } : item))
+  .filter(item => typeof item?.task === 'string' && item.task.trim())
+  .map(item => ({
+    task: item.task.trim(),
+    owner: typeof item.owner === 'string' && item.owner.trim() ? item.owner.trim() : null,
+    due_date: parseDueDate(item.due),
+  }));
+
+// Tasks match whatever their case and punctuation
+const taskKey = (task) => task.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Items from the analysis match by the task it wrote, which stays the same when the task is edited
+const savedTaskKey = (row) => taskKey(row.analysis_task ?? row.task);
+
+/**
+ * Match a meeting's saved action items against those of a new analysis
+ * Matched items are kept as they are, so a reanalysis doesn't undo check-offs and reassignments.
+ * Open items from the analysis that the new analysis no longer has are removed, unless they were
+ * edited; closed items and items added by hand are kept.
+ * Tasks still open from earlier meetings aren't added again when the summary repeats them
+ * @param {Array<Object>} existing - The meeting's action_items rows
+ * @param {Array<Object>} extracted - Items from extractActionItems
+ * @param {Array<Object>} carriedOver - Open items of the project from earlier meetings (optional)
+ * @returns {Object} { kept, added, removed } - kept and removed are rows, added are extracted items
+ */
+export const planActionItemSync = (existing, extracted, carriedOver = []) => {
+  const unmatched = [...existing];
+  const earlier = new Set(carriedOver.map(row => taskKey(row.task)));
+  const kept = [];
+  const added = [];
+
+  for (const item of extracted) {
+    const index = unmatched.findIndex(row => savedTaskKey(row) === taskKey(item.task));
+    if (index !== -1) {
+      kept.push(unmatched.splice(index, 1)[0]);
+    } else if (!earlier.has(taskKey(item.task))) {
+      added.push(item);
+    }
+  }
+
+  return {
+    kept,
+    added,
+    removed: unmatched.filter(row => row.status === 'open' && row.source !== 'manual' && !row.edited_at),
+  };
+};
+
+/**
+ * Save the action items of a meeting's summary, each linked to the transcript segment it was said in
+ * @param {number} meetingId - Meeting ID
+ * @param {Array} items - analysis.action_items
+ * @param {Object} options - { carriedOver } open items from earlier meetings, not to be added again
+ * @returns {Object} { kept, added, removed } counts
+ */
+export const syncMeetingActionItems = (meetingId, items, { carriedOver = [] } = {}) => {
+  const meeting = getMeetingById.get(meetingId);
+  const { kept, added, removed } = planActionItemSync(
+    getActionItemsForMeeting.all(meetingId),
+    extractActionItems(items),
+    carriedOver
+  );
+  const segmentFor = (task) => locateText(meetingId, task)?.idx ?? null;
+
+  runTransaction(() => {
+    for (const row of removed) {
+      deleteActionItem.run(row.id);
+    }
+    // The transcript may have changed since (corrections, a new transcription)
+    for (const row of kept) {
+      updateActionItemSegment.run(segmentFor(row.task), row.id);
+    }
+    for (const item of added) {
+      createActionItem.run(
+        meeting.project_id,
+        meetingId,
+        segmentFor(item.task),
+        item.task,
+        item.owner,
+        item.due_date,
+        'open',
+        'open',
+        'analysis',
+        item.task
+      );
+    }
+  });
+
+  return { kept: kept.length, added: added.length, removed: removed.length };
+};
+
+/**
+ * The open action items a meeting's analysis may follow up on - those of the meeting's project,
+ * except its own and those from later meetings (when an older meeting is reprocessed)
+ * @param {Object} meeting - meetings row
+ * @returns {Array<Object>} Open action items, soonest due first
+ */
+export const getOpenActionItemsForMeeting = (meeting) => {
+  if (!meeting?.project_id) return [];
+
+  return listActionItems({ projectId: meeting.project_id, status: 'open' })
+    .filter(item => item.meeting_id !== meeting.id && !(item.meeting_date && item.meeting_date > meeting.date))
+    .slice(0, MAX_OPEN_ITEMS_FOR_ANALYSIS);
+};
+
+/**
+ * Format open action items for the analysis prompt
+ * @param {Array<Object>} items - Open action items
+ * @returns {string} One line per item, starting with its ID in brackets
+ */
+export const formatOpenActionItemsForPrompt = (items) => items
+  .map(({ id, task, owner, due_date }) => {
+    const details = [owner && `owner: ${owner}`, due_date && `due: ${due_date}`].filter(Boolean);
+    return `[${id}] ${task}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  })
+  .join('\n');
+
+/**
+ * Check the action_item_updates of an analysis against the open items it was given
+ * Updates to unknown items are dropped, and only the first update of an item counts. Each update
+ * carries the item's resulting task, owner and due date; "updated" items that didn't change are "open"
+ * @param {*} updates - action_item_updates from the model
+ * @param {Array<Object>} openItems - Open action items given to the analysis
+ * @returns {Array<Object>} [{ id, status, task, owner, due_date, changed }] - changed lists the updated fields
+ */
+export const normalizeActionItemUpdates = (updates, openItems) => {
+  const open = new Map(openItems.map(item => [item.id, item]));
+  const seen = new Set();
+  const normalized = [];
+
+  for (const update of Array.isArray(updates) ? updates : []) {
+    const id = Number(update?.id);
+    const item = open.get(id);
+    if (!item || seen.has(id) || !FOLLOW_UP_STATUSES.includes(update.status)) continue;
+    seen.add(id);
+
+    const result = { task: item.task, owner: item.owner, due_date: item.due_date };
+    if (update.status === 'updated') {
+      if (typeof update.task === 'string' && update.task.trim()) result.task = update.task.trim();
+      if (typeof update.owner === 'string' && update.owner.trim()) result.owner = update.owner.trim();
+      result.due_date = parseDueDate(update.due) || item.due_date;
+    }
+    const changed = Object.keys(result).filter(field => result[field] !== item[field]);
+
+    normalized.push({
+      id,
+      status: update.status === 'updated' && changed.length === 0 ? 'open' : update.status,
+      ...result,
+      changed,
+    });
+  }
+
+  return normalized;
+};
+
+// SQLite timestamps are UTC, without a zone: 2026-03-06 17:00:00
+const parseTimestamp = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+/**
+ * Apply what a meeting's analysis found about earlier action items - done items are closed with
+ * the meeting recorded as the one that closed them, updated items get their new task, owner or due date.
+ * Items changed since the analysis was made - by hand, or by applying the same analysis before, when
+ * reprocessing reuses it - are left alone
+ * @param {number} meetingId - Meeting whose analysis found the updates
+ * @param {Array<Object>} updates - Updates from normalizeActionItemUpdates
+ * @param {Object} options - { analyzedAt } ISO timestamp of the analysis; without it nothing is applied
+ * @returns {Object} { closed, updated } counts
+ */
+export const applyActionItemUpdates = (meetingId, updates, { analyzedAt = null } = {}) => {
+  const analysisTime = analyzedAt ? new Date(analyzedAt) : null;
+  let closed = 0;
+  let updated = 0;
+
+  if (!analysisTime || Number.isNaN(analysisTime.getTime())) {
+    return { closed, updated };
+  }
+
+  runTransaction(() => {
+    for (const update of updates || []) {
+      const item = getActionItemById.get(update.id);
+      if (item?.status !== 'open' || parseTimestamp(item.updated_at) > analysisTime) continue;
+
+      if (update.status === 'done') {
+        closed += closeActionItemFromMeeting.run(meetingId, update.id).changes;
+      } else if (update.status === 'updated') {
+        updateActionItem.run({
+          id: update.id,
+          task: update.task,
+          owner: update.owner,
+          due_date: update.due_date,
+          status: 'open',
+        });
+        updated++;
+      }
+    }
+  });
+
+  return { closed, updated };
+};
+
+/**
+ * List action items
+ * @param {Object} filters - { projectId, owner, status, overdue } - all optional
+ * @returns {Array<Object>} Action items, open ones first, soonest due first
+ */
+export const listActionItems = ({ projectId = null, owner = null, status = null, overdue = false } = {}) => (
+  getActionItems.all({
+    project_id: projectId,
+    owner,
+    status,
+    overdue: overdue ? 1 : 0,
+  }).map(formatActionItem)
+);
+
+/**
+ * Get an action item
+ * @param {number} id - Action item ID
+ * @returns {Object|null} Action item, or null if it doesn't exist
+ */
+export const getActionItem = (id) => {
+  const row = getActionItemById.get(id);
+  return row ? formatActionItem(row) : null;
+};
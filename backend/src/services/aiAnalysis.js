@@ -4,6 +4,17 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getAIBackendForFeature } from './settingsService.js';
+import { throwIfCancelled, isCancelledError, createCancelledError } from './cancellation.js';
+import { formatGlossaryForPrompt } from './glossary.js';
+import { formatOpenActionItemsForPrompt, normalizeActionItemUpdates } from './actionItems.js';
+import { formatDecisionsForPrompt, normalizeDecisionLog } from './decisions.js';
+import {
+  findMeetingType,
+  describeSectionsForPrompt,
+  normalizeAnalysis,
+  describeMeetingTypeForSummary,
+  DEFAULT_MEETING_TYPE,
+} from './meetingTypes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -98,23 +109,17 @@ function checkAPIQuotaError(error, provider = 'openai') {
 const ANALYSIS_PROMPT = `You are an AI assistant that captures detailed meeting discussions for long-term memory and reference.
 
 Your goal is to preserve what was discussed in detail, not just extract action items. This is a conversation journal that should capture nuances, options discussed, and trade-offs considered.
-
+{meetingType}
 Analyze the following meeting transcript and provide a structured summary in JSON format with these fields:
 
-1. "overview": A 2-3 sentence high-level summary of what the meeting covered (string)
-2. "discussion_topics": An array of topic strings (e.g., ["Feature planning", "Technical architecture", "User feedback"]). Each item should be a simple string, not an object.
-3. "detailed_discussion": An array of paragraph strings, each being 2-4 sentences explaining what was talked about, the context, different viewpoints mentioned, and conclusions reached. Be thorough - capture the conversation flow and reasoning. INCLUDE OPTIONS THAT WERE DISCUSSED (even if not chosen), TRADE-OFFS CONSIDERED, and CONCERNS RAISED. Each entry must be a complete paragraph string, NOT an object.
-4. "key_decisions": An array of decision strings describing concrete decisions made during the meeting (include empty array if none). For each decision, include WHY it was made if discussed. Each item should be a simple string, not an object.
-5. "action_items": An array of objects with "task" and "owner" fields for specific follow-up actions (include empty array if none). This is the ONLY field that should contain objects.
-6. "technical_details": An array of technical detail strings - implementations, technologies, APIs, approaches, code details, etc. Include both what was discussed and WHY in each string. INCLUDE ALTERNATIVES THAT WERE CONSIDERED and reasons they were/weren't chosen. Each item should be a simple string, not an object.
-7. "context": A paragraph string providing background context - why this meeting happened, what led to these discussions, relevant prior decisions or history mentioned
-
-IMPORTANT: All fields should contain simple strings in their arrays, EXCEPT action_items which contains objects with task/owner. Do not use objects for discussion_topics, detailed_discussion, key_decisions, or technical_details.
+{fields}
 
 IMPORTANT: Focus on capturing WHAT WAS SAID and the reasoning/thought process, not on identifying gaps or problems. This is for future reference to remember what was discussed.
 
 CAPTURE NUANCE: Include options discussed, alternatives considered, trade-offs mentioned, concerns raised, and reasoning behind decisions - not just final conclusions.
 
+SPEAKERS: If transcript paragraphs start with a speaker name (e.g. "Alice: ..."), use those names to attribute decisions and to set action item owners - the owner is usually the person who committed to the task. Generic labels like "Speaker 2" mean the name is unknown; use them as-is rather than guessing a name.
+{meetingDate}{openActionItems}{decisionLog}{glossary}
 Transcript:
 ---
 {transcript}
@@ -122,17 +127,79 @@ Transcript:
 
 Provide ONLY the JSON response, no additional text.`;
 
+/**
+ * Fill in the analysis prompt
+ * @param {string} transcript - Meeting transcript
+ * @param {Array<Object>} glossary - Project glossary terms (optional)
+ * @param {Object} meetingType - Meeting type whose sections the summary has (defaults to general)
+ * @param {string|null} meetingDate - When the meeting took place, to date relative deadlines (optional)
+ * @param {Array<Object>} openActionItems - Open action items from earlier meetings to follow up on (optional)
+ * @param {Array<Object>} priorDecisions - Decisions from earlier meetings that this one may supersede (optional)
+ * @returns {string} Prompt
+ */
+export const buildAnalysisPrompt = (
+  transcript,
+  glossary = [],
+  meetingType = findMeetingType(DEFAULT_MEETING_TYPE),
+  meetingDate = null,
+  openActionItems = [],
+  priorDecisions = []
+) => {
+  const dateSection = meetingDate
+    ? `\nMEETING DATE: ${meetingDate.slice(0, 10)}. Work out due dates from relative deadlines ("by Friday", "end of next week") using this date.\n`
+    : '';
+  // Follow-ups on earlier items come back in action_item_updates rather than as new action items
+  const openActionItemsSection = openActionItems.length > 0
+    ? `\nOPEN ACTION ITEMS: These action items from earlier meetings are still open, each with its ID in brackets:\n${formatOpenActionItemsForPrompt(openActionItems)}\nDo not repeat them in "action_items". For each one this meeting talks about, add an object to an extra "action_item_updates" array with "id" (the number in brackets) and "status": "done" if it was finished, "updated" if its task, owner or due date changed, or "open" if it is still being worked on. Updated items also give the new "task", "owner" and "due" (YYYY-MM-DD). Leave out items the meeting doesn't mention.\n`
+    : '';
+  // Every meeting feeds the decision log, whatever the sections of its type
+  const decisionLogSection = `\nDECISION LOG: Also add a "decision_log" array with one object per decision made in this meeting: "decision" (what was decided), "rationale" (why, or null if no reason was given) and "alternatives" (options considered but not chosen, [] if none)${priorDecisions.length > 0
+    ? `, and "supersedes" (IDs of the earlier decisions below that it replaces or reverses, [] if none). Earlier decisions still in force, each with its ID in brackets:\n${formatDecisionsForPrompt(priorDecisions)}`
+    : '.'}\n`;
+  const glossarySection = glossary.length > 0
+    ? `\nGLOSSARY: This project uses the terms below. Spell them exactly as written here, even where the transcript misspells them:\n${formatGlossaryForPrompt(glossary)}\n`
+    : '';
+
+  // The general type needs no introduction - the prompt is written for it
+  const { name, description, instructions } = meetingType;
+  const meetingTypeSection = meetingType.key === DEFAULT_MEETING_TYPE
+    ? ''
+    : `\nMEETING TYPE: ${[description ? `${name} - ${description}` : name, instructions].filter(Boolean).join('\n')}\n`;
+
+  // Replacer functions, so "$" in a transcript or instructions is kept as written
+  return ANALYSIS_PROMPT
+    .replace('{meetingType}', () => meetingTypeSection)
+    .replace('{fields}', () => describeSectionsForPrompt(meetingType))
+    .replace('{meetingDate}', () => dateSection)
+    .replace('{openActionItems}', () => openActionItemsSection)
+    .replace('{decisionLog}', () => decisionLogSection)
+    .replace('{glossary}', () => glossarySection)
+    .replace('{transcript}', () => transcript);
+};
+
 /**
  * Analyze meeting transcript using AI with automatic fallback
  * @param {string} transcript - Meeting transcript text
  * @param {string} backend - AI backend to use ('openai' or 'anthropic') - defaults to user setting
+ * @param {Object} options - { signal } to abort the request on cancellation, { glossary } of terms to spell correctly,
+ *   { meetingType } whose sections the summary has (defaults to general), { meetingDate } to date relative deadlines,
+ *   { openActionItems } from earlier meetings to follow up on, { priorDecisions } it may supersede
  * @returns {Promise<Object>} Structured analysis with metadata about which model was used
  */
-export const analyzeMeeting = async (transcript, backend = null) => {
+export const analyzeMeeting = async (transcript, backend = null, {
+  signal = null,
+  glossary = [],
+  meetingType = findMeetingType(DEFAULT_MEETING_TYPE),
+  meetingDate = null,
+  openActionItems = [],
+  priorDecisions = [],
+} = {}) => {
   if (!transcript || transcript.trim().length === 0) {
     throw new Error('Transcript is empty');
   }
 
+  throwIfCancelled(signal);
+
   // Get backend from settings if not specified
   if (!backend) {
     backend = getAIBackendForFeature('meeting_analysis');
@@ -147,7 +214,7 @@ export const analyzeMeeting = async (transcript, backend = null) => {
   if (backend === 'anthropic') {
     console.log(`Analyzing meeting with Anthropic (Claude Sonnet 4.5)...`);
     try {
-      analysis = await analyzeWithClaude(transcript);
+      analysis = await analyzeWithClaude(transcript, { signal, glossary, meetingType, meetingDate, openActionItems, priorDecisions });
       usedModel = 'Claude Sonnet 4.5';
     } catch (error) {
       const quotaError = checkAPIQuotaError(error, 'anthropic');
@@ -158,7 +225,7 @@ export const analyzeMeeting = async (transcript, backend = null) => {
         console.log(`🔄 Falling back to OpenAI (GPT-4o)...`);
 
         try {
-          analysis = await analyzeWithGPT(transcript);
+          analysis = await analyzeWithGPT(transcript, { signal, glossary, meetingType, meetingDate, openActionItems, priorDecisions });
           usedBackend = 'openai';
           usedModel = 'GPT-4o';
           fallbackOccurred = true;
@@ -175,7 +242,7 @@ export const analyzeMeeting = async (transcript, backend = null) => {
     // Primary is OpenAI
     console.log(`Analyzing meeting with OpenAI (GPT-4o)...`);
     try {
-      analysis = await analyzeWithGPT(transcript);
+      analysis = await analyzeWithGPT(transcript, { signal, glossary, meetingType, meetingDate, openActionItems, priorDecisions });
       usedModel = 'GPT-4o';
     } catch (error) {
       const quotaError = checkAPIQuotaError(error, 'openai');
@@ -186,7 +253,7 @@ export const analyzeMeeting = async (transcript, backend = null) => {
         console.log(`🔄 Falling back to Anthropic (Claude Sonnet 4.5)...`);
 
         try {
-          analysis = await analyzeWithClaude(transcript);
+          analysis = await analyzeWithClaude(transcript, { signal, glossary, meetingType, meetingDate, openActionItems, priorDecisions });
           usedBackend = 'anthropic';
           usedModel = 'Claude Sonnet 4.5';
           fallbackOccurred = true;
@@ -205,15 +272,15 @@ export const analyzeMeeting = async (transcript, backend = null) => {
     // Validate and parse the analysis
     const parsed = typeof analysis === 'string' ? JSON.parse(analysis) : analysis;
 
-    // Ensure all required fields exist and add metadata
+    // Ensure the type's fields exist and add metadata
     return {
-      overview: parsed.overview || 'No overview available',
-      discussion_topics: Array.isArray(parsed.discussion_topics) ? parsed.discussion_topics : [],
-      detailed_discussion: Array.isArray(parsed.detailed_discussion) ? parsed.detailed_discussion : [],
-      key_decisions: Array.isArray(parsed.key_decisions) ? parsed.key_decisions : [],
-      action_items: Array.isArray(parsed.action_items) ? parsed.action_items : [],
-      technical_details: Array.isArray(parsed.technical_details) ? parsed.technical_details : [],
-      context: parsed.context || '',
+      ...normalizeAnalysis(parsed, meetingType),
+      // What the meeting said about open action items from earlier meetings
+      action_item_updates: normalizeActionItemUpdates(parsed?.action_item_updates, openActionItems),
+      // The meeting's decisions with their reasoning, for the decision log
+      decision_log: normalizeDecisionLog(parsed?.decision_log, priorDecisions),
+      // The sections the summary is shown with
+      meeting_type: describeMeetingTypeForSummary(meetingType),
       // Metadata about which model was used
       _metadata: {
         usedBackend,
@@ -231,16 +298,25 @@ export const analyzeMeeting = async (transcript, backend = null) => {
 /**
  * Analyze using Claude (Anthropic)
  * @param {string} transcript - Meeting transcript
+ * @param {Object} options - { signal } to abort the request, { glossary } of project terms, { meetingType },
+ *   { meetingDate }, { openActionItems } and { priorDecisions }
  * @returns {Promise<string>} JSON analysis
  */
-const analyzeWithClaude = async (transcript) => {
+const analyzeWithClaude = async (transcript, {
+  signal = null,
+  glossary = [],
+  meetingType,
+  meetingDate = null,
+  openActionItems = [],
+  priorDecisions = [],
+} = {}) => {
   const client = getAnthropicClient();
   if (!client) {
     throw new Error('Anthropic API key not configured');
   }
 
   try {
-    const prompt = ANALYSIS_PROMPT.replace('{transcript}', transcript);
+    const prompt = buildAnalysisPrompt(transcript, glossary, meetingType, meetingDate, openActionItems, priorDecisions);
 
     const message = await client.messages.create({
       model: 'claude-sonnet-4-20250514',
@@ -251,7 +327,7 @@ const analyzeWithClaude = async (transcript) => {
           content: prompt,
         },
       ],
-    });
+    }, { signal });
 
     const response = message.content[0].text;
     console.log('Claude analysis completed');
@@ -259,6 +335,10 @@ const analyzeWithClaude = async (transcript) => {
     // Strip markdown code blocks if present
     return stripMarkdownCodeBlocks(response);
   } catch (error) {
+    if (isCancelledError(error, signal)) {
+      throw createCancelledError();
+    }
+
     // Check for API quota/billing issues
     const quotaError = checkAPIQuotaError(error, 'anthropic');
     if (quotaError) {
@@ -272,16 +352,25 @@ const analyzeWithClaude = async (transcript) => {
 /**
  * Analyze using GPT-4o (OpenAI)
  * @param {string} transcript - Meeting transcript
+ * @param {Object} options - { signal } to abort the request, { glossary } of project terms, { meetingType },
+ *   { meetingDate }, { openActionItems } and { priorDecisions }
  * @returns {Promise<string>} JSON analysis
  */
-const analyzeWithGPT = async (transcript) => {
+const analyzeWithGPT = async (transcript, {
+  signal = null,
+  glossary = [],
+  meetingType,
+  meetingDate = null,
+  openActionItems = [],
+  priorDecisions = [],
+} = {}) => {
   const client = getOpenAIClient();
   if (!client) {
     throw new Error('OpenAI API key not configured');
   }
 
   try {
-    const prompt = ANALYSIS_PROMPT.replace('{transcript}', transcript);
+    const prompt = buildAnalysisPrompt(transcript, glossary, meetingType, meetingDate, openActionItems, priorDecisions);
 
     const completion = await client.chat.completions.create({
       model: 'gpt-4o',
@@ -297,13 +386,17 @@ const analyzeWithGPT = async (transcript) => {
       ],
       response_format: { type: 'json_object' },
       max_tokens: 4096,
-    });
+    }, { signal });
 
     const response = completion.choices[0].message.content;
     console.log('GPT-4o analysis completed');
 
     return response;
   } catch (error) {
+    if (isCancelledError(error, signal)) {
+      throw createCancelledError();
+    }
+
     // Check for API quota/billing issues
     const quotaError = checkAPIQuotaError(error, 'openai');
     if (quotaError) {
@@ -565,6 +658,107 @@ Provide ONLY the JSON response, no additional text.`;
   }
 };
 
+// Wiki text given to the contradiction check - the start of a long wiki, where decisions are summarized
+const MAX_WIKI_CHARS_FOR_CONTRADICTIONS = 30000;
+
+/**
+ * Fill in the contradiction check prompt
+ * @param {Object} meeting - meetings row the new decisions come from
+ * @param {Array<Object>} decisions - The meeting's decisions, with their IDs
+ * @param {Array<Object>} priorDecisions - Earlier decisions still in force, with their IDs
+ * @param {string} wiki - Project wiki markdown (optional)
+ * @returns {string} Prompt
+ */
+export const buildContradictionPrompt = (meeting, decisions, priorDecisions, wiki = '') => {
+  const earlierSection = priorDecisions.length > 0
+    ? `EARLIER DECISIONS still in force, each with its ID in brackets:\n${formatDecisionsForPrompt(priorDecisions)}`
+    : 'EARLIER DECISIONS: none';
+  const wikiSection = wiki.trim()
+    ? `PROJECT WIKI:\n---\n${wiki.slice(0, MAX_WIKI_CHARS_FOR_CONTRADICTIONS)}\n---`
+    : 'PROJECT WIKI: empty';
+
+  return `You check the decisions of a new meeting against what the project decided before, to catch contradictions nobody noticed.
+
+NEW DECISIONS from the meeting "${meeting.title}"${meeting.date ? ` on ${meeting.date.slice(0, 10)}` : ''}, each with its ID in brackets:
+${formatDecisionsForPrompt(decisions.map(({ id, decision }) => ({ id, decision })))}
+
+${earlierSection}
+
+${wikiSection}
+
+A contradiction is a new decision that can't hold together with an earlier decision or with what the wiki documents as decided - for example choosing a different technology, reversing a scope call or moving a date that was fixed. A decision that refines, extends or only relates to an earlier one is not a contradiction. When in doubt, leave it out.
+
+Respond in JSON format:
+{
+  "conflicts": [
+    {
+      "decision": ID of the new decision,
+      "earlier_decision": ID of the earlier decision it contradicts, or null,
+      "wiki_excerpt": "the wiki text it contradicts, quoted exactly", or null,
+      "explanation": "one sentence on why they can't both hold"
+    }
+  ]
+}
+
+Each conflict names an earlier decision or a wiki excerpt. Return {"conflicts": []} if there are none.
+
+Provide ONLY the JSON response, no additional text.`;
+};
+
+/**
+ * Ask the model which of a meeting's decisions contradict earlier decisions or the wiki
+ * @param {Object} meeting - meetings row the new decisions come from
+ * @param {Array<Object>} decisions - The meeting's decisions
+ * @param {Array<Object>} priorDecisions - Earlier decisions still in force
+ * @param {string} wiki - Project wiki markdown
+ * @param {Object} options - { signal } to abort the request on cancellation
+ * @returns {Promise<Array>} conflicts as the model returned them - check them with normalizeConflicts
+ */
+export const detectContradictions = async (meeting, decisions, priorDecisions, wiki, { signal = null } = {}) => {
+  const backend = getAIBackendForFeature('meeting_analysis');
+  const prompt = buildContradictionPrompt(meeting, decisions, priorDecisions, wiki);
+
+  try {
+    let response;
+
+    if (backend === 'anthropic') {
+      const client = getAnthropicClient();
+      if (!client) {
+        throw new Error('Anthropic API key not configured');
+      }
+      const message = await client.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 2000,
+        messages: [{ role: 'user', content: prompt }],
+      }, { signal });
+      response = stripMarkdownCodeBlocks(message.content[0].text);
+    } else {
+      const client = getOpenAIClient();
+      if (!client) {
+        throw new Error('OpenAI API key not configured');
+      }
+      const completion = await client.chat.completions.create({
+        model: 'gpt-4o',
+        messages: [
+          { role: 'system', content: 'You are a careful project assistant that finds decisions contradicting earlier ones. Return structured JSON responses.' },
+          { role: 'user', content: prompt },
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 2000,
+      }, { signal });
+      response = completion.choices[0].message.content;
+    }
+
+    const parsed = JSON.parse(response);
+    return Array.isArray(parsed?.conflicts) ? parsed.conflicts : [];
+  } catch (error) {
+    if (isCancelledError(error, signal)) {
+      throw createCancelledError();
+    }
+    throw error;
+  }
+};
+
 /**
  * Get structured wiki template
  * @param {string} projectName - Project name
@@ -3,6 +3,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import { createCancelledError, isCancelledError, throwIfCancelled } from './cancellation.js';
+import { PipelineStep } from './checkpoints.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,7 +32,29 @@ try {
 // Configuration
 const CHUNK_DURATION_SECONDS = 600; // 10 minutes
 const CHUNK_OVERLAP_SECONDS = 2; // 2 seconds overlap between chunks
-const TARGET_SIZE_MB = 24; // Target 24MB to stay under 25MB limit
+const TARGET_SIZE_MB = 24; // Default target: 24MB to stay under OpenAI's 25MB limit
+const CHUNK_SIZE_MARGIN = 0.95; // Keep chunks 5% under the provider's size limit
+const BOUNDARY_SILENCE_SECONDS = 0.3; // A pause between sentences - long enough to cut without splitting a word
+const BOUNDARY_SEARCH_SECONDS = 60; // How far before the target chunk length to look for a pause
+
+// Preprocessing (optional - settings audio.normalize and audio.trim_silence)
+const SILENCE_NOISE_DB = -35; // Quieter than this counts as silence
+const MIN_SILENCE_SECONDS = 2; // Shorter pauses are left alone
+const KEPT_SILENCE_SECONDS = 1; // Long silences are shortened to this, half at each end
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11'; // EBU R128, speech-friendly target
+
+/**
+ * Pick a chunk length that keeps every chunk under the provider's size limit
+ * @param {number} bytesPerSecond - Bytes per second of the converted WAV
+ * @param {Object} limits - Provider limits ({ maxFileSizeMB, maxChunkSeconds })
+ * @returns {number} Chunk duration in seconds
+ */
+export const getChunkDuration = (bytesPerSecond, { maxFileSizeMB = TARGET_SIZE_MB, maxChunkSeconds = CHUNK_DURATION_SECONDS } = {}) => {
+  const maxBytes = maxFileSizeMB * 1024 * 1024 * CHUNK_SIZE_MARGIN;
+  // Every chunk after the first carries the overlap as well
+  const fitsInLimit = Math.floor(maxBytes / bytesPerSecond) - CHUNK_OVERLAP_SECONDS;
+  return Math.max(1, Math.min(maxChunkSeconds, fitsInLimit));
+};
 
 /**
  * Get audio file metadata using ffprobe
@@ -50,78 +74,463 @@ export const getAudioMetadata = (audioPath) => {
 };
 
 /**
- * Convert audio file to mono 16kHz WAV format
- * @param {string} inputPath - Path to input audio file
- * @param {string} outputPath - Path for output WAV file
- * @returns {Promise<string>} Path to converted file
+ * Check that every file still exists
+ * @param {Array<string>} filePaths - Paths to check
+ * @returns {Promise<boolean>} True if all files exist
  */
-export const convertToWav = (inputPath, outputPath) => {
+const filesExist = async (filePaths) => {
+  for (const filePath of filePaths) {
+    try {
+      await fs.access(filePath);
+    } catch {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Run an ffmpeg command, killing the process if the signal is aborted
+ * A killed command removes its partial output file and rejects with a cancellation error
+ * @param {Object} command - fluent-ffmpeg command (not yet started)
+ * @param {string} outputPath - Path the command writes to
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<string>} Output path
+ */
+const runFfmpegCommand = (command, outputPath, signal = null) => {
   return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .audioChannels(1) // Mono
-      .audioFrequency(16000) // 16kHz
-      .audioCodec('pcm_s16le') // 16-bit PCM
-      .format('wav')
-      .on('start', (cmd) => {
-        console.log(`FFmpeg command: ${cmd}`);
-      })
-      .on('progress', (progress) => {
-        console.log(`Converting: ${progress.percent ? progress.percent.toFixed(1) : '?'}%`);
-      })
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      console.log(`Killing FFmpeg (cancelled): ${outputPath}`);
+      command.kill('SIGKILL');
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    command
       .on('end', () => {
-        console.log(`Conversion complete: ${outputPath}`);
+        signal?.removeEventListener('abort', onAbort);
         resolve(outputPath);
       })
       .on('error', (err) => {
-        reject(new Error(`FFmpeg conversion failed: ${err.message}`));
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          fs.unlink(outputPath).catch(() => {});
+          reject(createCancelledError());
+        } else {
+          reject(err);
+        }
       })
       .save(outputPath);
   });
 };
 
 /**
- * Split audio file into chunks with overlap
+ * Convert audio file to mono 16kHz WAV format
+ * @param {string} inputPath - Path to input audio file
+ * @param {string} outputPath - Path for output WAV file
+ * @param {Object} options - { signal } to kill ffmpeg on cancellation
+ * @returns {Promise<string>} Path to converted file
+ */
+export const convertToWav = async (inputPath, outputPath, { signal = null } = {}) => {
+  const command = ffmpeg(inputPath)
+    .audioChannels(1) // Mono
+    .audioFrequency(16000) // 16kHz
+    .audioCodec('pcm_s16le') // 16-bit PCM
+    .format('wav')
+    .on('start', (cmd) => {
+      console.log(`FFmpeg command: ${cmd}`);
+    })
+    .on('progress', (progress) => {
+      console.log(`Converting: ${progress.percent ? progress.percent.toFixed(1) : '?'}%`);
+    });
+
+  try {
+    await runFfmpegCommand(command, outputPath, signal);
+    console.log(`Conversion complete: ${outputPath}`);
+    return outputPath;
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    throw new Error(`FFmpeg conversion failed: ${err.message}`);
+  }
+};
+
+/**
+ * Extract the audio track of a video into an AAC (.m4a) file
+ * @param {string} inputPath - Path to video file
+ * @param {string} outputPath - Path for output audio file
+ * @param {Object} options - { signal } to kill ffmpeg on cancellation
+ * @returns {Promise<string>} Path to extracted audio
+ */
+export const extractAudio = async (inputPath, outputPath, { signal = null } = {}) => {
+  const command = ffmpeg(inputPath)
+    .noVideo()
+    .audioCodec('aac')
+    .audioBitrate('128k')
+    .format('ipod') // .m4a container
+    .on('start', (cmd) => {
+      console.log(`FFmpeg command: ${cmd}`);
+    });
+
+  try {
+    await runFfmpegCommand(command, outputPath, signal);
+    console.log(`Audio extracted: ${outputPath}`);
+    return outputPath;
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    throw new Error(`FFmpeg audio extraction failed: ${err.message}`);
+  }
+};
+
+/**
+ * Read the silences ffmpeg's silencedetect filter logged
+ * @param {string} output - ffmpeg stderr
+ * @returns {Object} { silences: [{ start, end }], duration } - end is null for a silence that runs to the
+ *   end of the file, duration is the last progress time (null if ffmpeg logged none)
+ */
+export const parseSilenceDetectOutput = (output) => {
+  const silences = [];
+  for (const [, kind, value] of output.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(value));
+    if (kind === 'start') {
+      silences.push({ start: time, end: null });
+    } else if (silences.length > 0 && silences.at(-1).end === null) {
+      silences.at(-1).end = time;
+    }
+  }
+
+  const times = [...output.matchAll(/time=(\d+):(\d+):([\d.]+)/g)];
+  const last = times.at(-1);
+  const duration = last ? parseInt(last[1], 10) * 3600 + parseInt(last[2], 10) * 60 + parseFloat(last[3]) : null;
+
+  return { silences, duration };
+};
+
+/**
+ * Work out which parts of the audio to keep when long silences are shortened
+ * @param {Array<Object>} silences - [{ start, end }] in seconds (end null = until the end of the file)
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} options - { minSilenceSeconds } shortest silence to shorten,
+ *   { keptSilenceSeconds } of each shortened silence to keep, so words aren't clipped
+ * @returns {Array<Object>} Ranges to keep, [{ start, end }] in order
+ */
+export const buildKeepRanges = (silences, duration, {
+  minSilenceSeconds = MIN_SILENCE_SECONDS,
+  keptSilenceSeconds = KEPT_SILENCE_SECONDS,
+} = {}) => {
+  const ranges = [];
+  let cursor = 0;
+
+  for (const silence of [...silences].sort((a, b) => a.start - b.start)) {
+    const end = Math.min(silence.end ?? duration, duration);
+    if (end - silence.start < minSilenceSeconds) continue;
+
+    const cutStart = Math.max(cursor, silence.start + keptSilenceSeconds / 2);
+    const cutEnd = end - keptSilenceSeconds / 2;
+    if (cutEnd <= cutStart) continue;
+
+    if (cutStart > cursor) {
+      ranges.push({ start: cursor, end: cutStart });
+    }
+    cursor = cutEnd;
+  }
+
+  if (cursor < duration) {
+    ranges.push({ start: cursor, end: duration });
+  }
+  return ranges;
+};
+
+/**
+ * Build the map from times in the trimmed audio back to the original recording
+ * @param {Array<Object>} keepRanges - Kept ranges of the original, as returned by buildKeepRanges
+ * @returns {Array<Object>} [{ start, originalStart, duration }] - start is the time in the trimmed audio
+ */
+export const buildTimestampMap = (keepRanges) => {
+  const timestampMap = [];
+  let position = 0;
+  for (const { start, end } of keepRanges) {
+    timestampMap.push({ start: position, originalStart: start, duration: end - start });
+    position += end - start;
+  }
+  return timestampMap;
+};
+
+/**
+ * Convert a time in the trimmed audio to the same moment in the original recording
+ * @param {Array<Object>} timestampMap - As returned by buildTimestampMap (empty or null = untrimmed)
+ * @param {number} time - Seconds in the trimmed audio
+ * @param {Object} options - { end } for the end of a segment: a time on a cut belongs to the range before it
+ * @returns {number} Seconds in the original recording
+ */
+export const toOriginalTime = (timestampMap, time, { end = false } = {}) => {
+  if (!timestampMap?.length) return time;
+
+  let piece = timestampMap[0];
+  for (const entry of timestampMap) {
+    if (end ? entry.start >= time : entry.start > time) break;
+    piece = entry;
+  }
+  return piece.originalStart + Math.max(0, time - piece.start);
+};
+
+/**
+ * Move a transcription of trimmed audio back onto the original recording's timeline
+ * @param {Object} transcription - { text, language, duration, segments }
+ * @param {Array<Object>} timestampMap - As returned by buildTimestampMap
+ * @param {number} originalDuration - Duration of the original recording in seconds
+ * @returns {Object} Transcription with original timestamps
+ */
+export const remapTranscription = (transcription, timestampMap, originalDuration) => ({
+  ...transcription,
+  duration: originalDuration || transcription.duration,
+  segments: (transcription.segments || []).map(segment => ({
+    ...segment,
+    start: toOriginalTime(timestampMap, segment.start),
+    end: toOriginalTime(timestampMap, segment.end, { end: true }),
+  })),
+});
+
+/**
+ * Find the silences in an audio file
+ * @param {string} inputPath - Path to audio file
+ * @param {Object} options - { minSilenceSeconds } shortest silence to report, { signal } to kill ffmpeg on cancellation
+ * @returns {Promise<Object>} { silences, duration } as returned by parseSilenceDetectOutput
+ */
+export const detectSilences = async (inputPath, { minSilenceSeconds = MIN_SILENCE_SECONDS, signal = null } = {}) => {
+  let output = '';
+  const command = ffmpeg(inputPath)
+    .audioFilters(`silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${minSilenceSeconds}`)
+    .format('null')
+    .on('stderr', (line) => {
+      output += `${line}\n`;
+    });
+
+  try {
+    await runFfmpegCommand(command, '-', signal);
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    throw new Error(`FFmpeg silence detection failed: ${err.message}`);
+  }
+  return parseSilenceDetectOutput(output);
+};
+
+/**
+ * Prepare a recording for transcription: shorten long silences (less audio to pay for, fewer
+ * hallucinations in quiet stretches) and even out the loudness
+ * The result is a mono 16kHz WAV, with a timestamp map to move transcript times back onto the original
+ * @param {string} inputPath - Path to original audio file
+ * @param {string} outputPath - Path for the processed WAV
+ * @param {Object} options - { normalize, trimSilence } steps to run, { signal } to kill ffmpeg on cancellation
+ * @returns {Promise<Object>} { path, timestampMap, report } - report: { originalDuration, processedDuration,
+ *   removedSeconds, silencesShortened, normalized }
+ */
+export const preprocessAudio = async (inputPath, outputPath, { normalize = true, trimSilence = true, signal = null } = {}) => {
+  const metadata = await getAudioMetadata(inputPath);
+  let duration = parseFloat(metadata.format.duration) || 0;
+
+  let keepRanges = null;
+  if (trimSilence) {
+    const detected = await detectSilences(inputPath, { signal });
+    // Browser recordings often have no duration in their header - ffmpeg's progress has it
+    duration = duration || detected.duration || 0;
+    if (duration > 0) {
+      keepRanges = buildKeepRanges(detected.silences, duration);
+    }
+  }
+
+  const trimmed = keepRanges !== null && keepRanges.length > 0 &&
+    !(keepRanges.length === 1 && keepRanges[0].start === 0 && keepRanges[0].end === duration);
+
+  const filters = [];
+  if (trimmed) {
+    const selected = keepRanges.map(r => `between(t,${r.start.toFixed(3)},${r.end.toFixed(3)})`).join('+');
+    filters.push(`aselect='${selected}'`, 'asetpts=N/SR/TB');
+  }
+  if (normalize) {
+    filters.push(LOUDNESS_FILTER);
+  }
+
+  const command = ffmpeg(inputPath)
+    .audioChannels(1)
+    .audioFrequency(16000) // loudnorm resamples to 192kHz - bring it back down
+    .audioCodec('pcm_s16le')
+    .format('wav')
+    .on('start', (cmd) => {
+      console.log(`FFmpeg command: ${cmd}`);
+    });
+  if (filters.length > 0) {
+    command.audioFilters(filters);
+  }
+
+  try {
+    await runFfmpegCommand(command, outputPath, signal);
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    throw new Error(`FFmpeg preprocessing failed: ${err.message}`);
+  }
+
+  const timestampMap = trimmed ? buildTimestampMap(keepRanges) : [];
+  const processedDuration = trimmed
+    ? keepRanges.reduce((sum, r) => sum + (r.end - r.start), 0)
+    : duration;
+
+  const report = {
+    originalDuration: duration,
+    processedDuration,
+    removedSeconds: Math.max(0, duration - processedDuration),
+    silencesShortened: trimmed ? keepRanges.length - 1 : 0, // Each gap between kept ranges
+    normalized: normalize,
+  };
+
+  console.log(`Preprocessing complete: ${outputPath} (${report.removedSeconds.toFixed(1)}s of silence removed${normalize ? ', loudness normalized' : ''})`);
+  return { path: outputPath, timestampMap, report };
+};
+
+/**
+ * Preprocess a meeting's recording, reusing the result of an earlier attempt made with the same options
+ * @param {string} audioPath - Path to original audio file
+ * @param {number} meetingId - Meeting ID for file naming
+ * @param {Object} options - { normalize, trimSilence }
+ * @param {Object} context - { signal } to stop on cancellation, { checkpoints } to save and reuse the result
+ * @returns {Promise<Object>} { path, timestampMap, report } as returned by preprocessAudio
+ */
+export const preprocessMeetingAudio = async (audioPath, meetingId, { normalize = false, trimSilence = false } = {}, {
+  signal = null,
+  checkpoints = null,
+} = {}) => {
+  const saved = checkpoints?.get(PipelineStep.PREPROCESS);
+  if (saved && saved.normalize === normalize && saved.trimSilence === trimSilence && await filesExist([saved.path])) {
+    console.log('Reusing preprocessed audio from previous attempt');
+    return saved;
+  }
+
+  await fs.mkdir(CHUNK_DIR, { recursive: true });
+  const outputPath = path.join(CHUNK_DIR, `meeting-${meetingId}-preprocessed.wav`);
+  const result = await preprocessAudio(audioPath, outputPath, { normalize, trimSilence, signal });
+  // Converted audio and chunks of an earlier attempt came from different input
+  checkpoints?.clear(PipelineStep.CONVERT, PipelineStep.CHUNK, PipelineStep.TRANSCRIBE_CHUNK);
+  checkpoints?.save(PipelineStep.PREPROCESS, { ...result, normalize, trimSilence });
+  return result;
+};
+
+/**
+ * Choose where to cut the audio into chunks: at the latest pause shortly before each chunk would
+ * reach its maximum length, so words and sentences aren't split. Without a pause in reach the cut
+ * falls at the maximum length
+ * @param {Array<Object>} silences - Pauses, [{ start, end }] in seconds (end null = until the end of the file)
+ * @param {number} durationSeconds - Total duration in seconds
+ * @param {number} chunkDuration - Maximum chunk duration in seconds
+ * @param {Object} options - { searchSeconds } before the maximum length to look for a pause
+ * @returns {Array<Object>} [{ start, end, cutAtSilence }] - cutAtSilence tells whether the range ends in a pause
+ */
+export const chooseChunkBoundaries = (silences, durationSeconds, chunkDuration, {
+  searchSeconds = Math.min(BOUNDARY_SEARCH_SECONDS, chunkDuration / 4),
+} = {}) => {
+  const pauseMiddles = silences
+    .map(silence => (silence.start + Math.min(silence.end ?? durationSeconds, durationSeconds)) / 2)
+    .sort((a, b) => a - b);
+
+  const ranges = [];
+  let start = 0;
+
+  while (start < durationSeconds) {
+    const target = start + chunkDuration;
+    if (target >= durationSeconds) {
+      ranges.push({ start, end: durationSeconds, cutAtSilence: false });
+      break;
+    }
+
+    // Cut in the middle of the last pause before the target, so the speech on either side stays whole
+    let cut = null;
+    for (const middle of pauseMiddles) {
+      if (middle > target) break;
+      if (middle > start && middle >= target - searchSeconds) {
+        cut = Math.round(middle * 1000) / 1000;
+      }
+    }
+
+    ranges.push({ start, end: cut ?? target, cutAtSilence: cut !== null });
+    start = cut ?? target;
+  }
+
+  return ranges;
+};
+
+/**
+ * Find the pauses to cut chunks at. Chunks are cut at fixed lengths if detection fails
+ * @param {string} wavPath - Path to WAV audio file
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<Array<Object>>} Pauses ([{ start, end }])
+ */
+const detectPauses = async (wavPath, signal = null) => {
+  try {
+    const { silences } = await detectSilences(wavPath, { minSilenceSeconds: BOUNDARY_SILENCE_SECONDS, signal });
+    console.log(`Found ${silences.length} pauses to cut chunks at`);
+    return silences;
+  } catch (error) {
+    if (isCancelledError(error, signal)) throw error;
+    console.warn('Pause detection failed - cutting chunks at fixed lengths:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Split audio file into chunks, cut at pauses where possible
+ * A chunk that doesn't start at a pause also carries the end of the previous chunk (overlap), so
+ * a word cut in half is heard whole in one of them - mergeTranscripts removes the repeated words
  * @param {string} wavPath - Path to WAV audio file
  * @param {number} durationSeconds - Total duration in seconds
- * @param {number} chunkDuration - Chunk duration in seconds (default: 600)
+ * @param {number} chunkDuration - Maximum chunk duration in seconds (default: 600)
+ * @param {Object} options - { signal } to stop splitting on cancellation,
+ *   { silences } to cut at (see chooseChunkBoundaries - without them chunks are cut at fixed lengths),
+ *   { outputDir } to write the chunks to (default storage/chunks)
  * @returns {Promise<Array<Object>>} Array of chunk information
  */
-export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration = CHUNK_DURATION_SECONDS) => {
+export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration = CHUNK_DURATION_SECONDS, {
+  signal = null,
+  silences = [],
+  outputDir = CHUNK_DIR,
+} = {}) => {
+  const chunks = [];
+
   try {
     // Ensure chunks directory exists
-    await fs.mkdir(CHUNK_DIR, { recursive: true });
+    await fs.mkdir(outputDir, { recursive: true });
 
-    const chunks = [];
     const baseFilename = path.basename(wavPath, path.extname(wavPath));
-    let startTime = 0;
+    const ranges = chooseChunkBoundaries(silences, durationSeconds, chunkDuration);
 
-    while (startTime < durationSeconds) {
-      const chunkIndex = chunks.length;
-      const endTime = Math.min(startTime + chunkDuration, durationSeconds);
+    for (const [chunkIndex, { start: startTime, end: endTime }] of ranges.entries()) {
       const actualDuration = endTime - startTime;
 
-      // Add overlap to previous chunk (except first chunk)
-      const seekStart = chunkIndex > 0 ? Math.max(0, startTime - CHUNK_OVERLAP_SECONDS) : startTime;
-      const seekDuration = actualDuration + (chunkIndex > 0 ? CHUNK_OVERLAP_SECONDS : 0);
+      // Overlap with the previous chunk unless it ended in a pause
+      const overlap = chunkIndex > 0 && !ranges[chunkIndex - 1].cutAtSilence
+        ? Math.min(CHUNK_OVERLAP_SECONDS, startTime)
+        : 0;
+      const seekStart = startTime - overlap;
+      const seekDuration = actualDuration + overlap;
 
       const chunkFilename = `${baseFilename}_chunk${chunkIndex}.wav`;
-      const chunkPath = path.join(CHUNK_DIR, chunkFilename);
+      const chunkPath = path.join(outputDir, chunkFilename);
 
       console.log(`Creating chunk ${chunkIndex}: ${seekStart}s to ${endTime}s`);
 
       // Extract chunk using ffmpeg
-      await new Promise((resolve, reject) => {
+      await runFfmpegCommand(
         ffmpeg(wavPath)
           .setStartTime(seekStart)
           .setDuration(seekDuration)
           .audioChannels(1)
           .audioFrequency(16000)
           .audioCodec('pcm_s16le')
-          .format('wav')
-          .on('end', resolve)
-          .on('error', reject)
-          .save(chunkPath);
-      });
+          .format('wav'),
+        chunkPath,
+        signal
+      );
 
       // Get chunk file size
       const stats = await fs.stat(chunkPath);
@@ -132,19 +541,22 @@ export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration =
         path: chunkPath,
         startTime,
         endTime,
+        overlap, // Seconds before startTime the chunk's audio begins
         duration: actualDuration,
         sizeMB: sizeMB.toFixed(2),
         filename: chunkFilename
       });
 
       console.log(`Chunk ${chunkIndex} created: ${sizeMB.toFixed(2)}MB`);
-
-      // Move to next chunk
-      startTime += chunkDuration;
     }
 
     return chunks;
   } catch (error) {
+    if (isCancelledError(error, signal)) {
+      console.log(`Chunking cancelled - removing ${chunks.length} chunk(s)`);
+      await cleanupChunks(chunks.map(c => c.path));
+      throw createCancelledError();
+    }
     console.error('Error splitting audio into chunks:', error);
     throw new Error(`Failed to split audio: ${error.message}`);
   }
@@ -152,11 +564,23 @@ export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration =
 
 /**
  * Process large audio file: convert to WAV and split into chunks
+ * With a checkpoint store, the WAV and chunks of an earlier attempt are reused if their files still exist
  * @param {string} audioPath - Path to original audio file
  * @param {number} meetingId - Meeting ID for file naming
+ * @param {Object} options - { signal } to stop processing on cancellation, { checkpoints } to save and reuse step output,
+ *   { limits } of the transcription provider ({ maxFileSizeMB, maxChunkSeconds }, default OpenAI's),
+ *   { outputDir } to write the WAV and chunks to (default storage/chunks)
  * @returns {Promise<Object>} Processing result with chunks
  */
-export const processLargeAudio = async (audioPath, meetingId) => {
+export const processLargeAudio = async (audioPath, meetingId, {
+  signal = null,
+  checkpoints = null,
+  limits = {},
+  outputDir = CHUNK_DIR,
+} = {}) => {
+  const { maxFileSizeMB = TARGET_SIZE_MB } = limits;
+  let wavPath = null;
+
   try {
     console.log(`\n=== Processing large audio file for meeting ${meetingId} ===`);
 
@@ -170,10 +594,17 @@ export const processLargeAudio = async (audioPath, meetingId) => {
     console.log(`File size: ${fileSizeMB.toFixed(2)}MB`);
 
     // Convert to WAV (mono 16kHz)
-    console.log('Step 2: Converting to mono 16kHz WAV...');
-    await fs.mkdir(CHUNK_DIR, { recursive: true });
-    const wavPath = path.join(CHUNK_DIR, `meeting-${meetingId}-converted.wav`);
-    await convertToWav(audioPath, wavPath);
+    const converted = checkpoints?.get(PipelineStep.CONVERT);
+    if (converted && await filesExist([converted.wavPath])) {
+      console.log('Step 2: Reusing converted WAV from previous attempt...');
+      wavPath = converted.wavPath;
+    } else {
+      console.log('Step 2: Converting to mono 16kHz WAV...');
+      await fs.mkdir(outputDir, { recursive: true });
+      wavPath = path.join(outputDir, `meeting-${meetingId}-converted.wav`);
+      await convertToWav(audioPath, wavPath, { signal });
+      checkpoints?.save(PipelineStep.CONVERT, { wavPath });
+    }
 
     // Check converted file size
     const wavStats = await fs.stat(wavPath);
@@ -193,8 +624,8 @@ export const processLargeAudio = async (audioPath, meetingId) => {
     }
 
     // Determine if chunking is needed
-    if (wavSizeMB <= TARGET_SIZE_MB) {
-      console.log('File is under 24MB - no chunking needed');
+    if (wavSizeMB <= maxFileSizeMB) {
+      console.log(`File is under ${maxFileSizeMB}MB - no chunking needed`);
       return {
         needsChunking: false,
         wavPath,
@@ -206,25 +637,42 @@ export const processLargeAudio = async (audioPath, meetingId) => {
     // Split into chunks
     console.log('Step 3: Splitting into chunks...');
 
-    // For very large files (50MB+), use smaller chunks (5 min instead of 10 min)
-    // to improve reliability and reduce chance of network timeouts
-    const chunkDuration = fileSizeMB >= 50 ? 300 : CHUNK_DURATION_SECONDS; // 5 min or 10 min
-    if (fileSizeMB >= 50) {
-      console.log(`⚠️  Very large file (${fileSizeMB.toFixed(2)}MB) - using ${chunkDuration / 60} minute chunks for better reliability`);
+    // Chunk length follows the provider's size and length limits, however large the recording
+    let chunkDuration = getChunkDuration(wavStats.size / durationSeconds, limits);
+
+    throwIfCancelled(signal);
+
+    // Chunks saved by an earlier attempt may use a smaller size after a re-chunk - keep their layout
+    const chunked = checkpoints?.get(PipelineStep.CHUNK);
+    let chunks;
+    if (chunked && await filesExist(chunked.chunks.map(c => c.path))) {
+      console.log(`Reusing ${chunked.chunks.length} chunks from previous attempt`);
+      chunks = chunked.chunks;
+      chunkDuration = chunked.chunkDuration;
+    } else {
+      const silences = await detectPauses(wavPath, signal);
+      chunks = await splitIntoChunks(wavPath, durationSeconds, chunkDuration, { signal, silences, outputDir });
+      checkpoints?.save(PipelineStep.CHUNK, { chunkDuration, chunks });
     }
 
-    const chunks = await splitIntoChunks(wavPath, durationSeconds, chunkDuration);
-
-    console.log(`\n=== Created ${chunks.length} chunks ===`);
+    console.log(`\n=== Created ${chunks.length} chunks of up to ${chunkDuration}s ===`);
 
     return {
       needsChunking: true,
       wavPath,
       duration: durationSeconds,
       sizeMB: wavSizeMB,
+      chunkDuration,
       chunks
     };
   } catch (error) {
+    if (isCancelledError(error, signal)) {
+      // A checkpointed WAV is kept so processing can resume later
+      if (wavPath && !checkpoints) {
+        await cleanupChunks([wavPath]);
+      }
+      throw createCancelledError();
+    }
     console.error('Error processing large audio:', error);
     throw error;
   }
@@ -255,9 +703,11 @@ export const cleanupChunks = async (chunkPaths) => {
  * @param {string} wavPath - Path to WAV file
  * @param {number} durationSeconds - Total duration
  * @param {number} reducedChunkDuration - Reduced chunk duration (e.g., 300 seconds for 5 minutes)
+ * @param {Object} options - { signal } to stop re-chunking on cancellation
  * @returns {Promise<Array<Object>>} New chunks with reduced duration
  */
-export const rechunkWithSmallerSize = async (wavPath, durationSeconds, reducedChunkDuration = 300) => {
+export const rechunkWithSmallerSize = async (wavPath, durationSeconds, reducedChunkDuration = 300, { signal = null } = {}) => {
   console.log(`\nRe-chunking with smaller size: ${reducedChunkDuration}s per chunk`);
-  return await splitIntoChunks(wavPath, durationSeconds, reducedChunkDuration);
+  const silences = await detectPauses(wavPath, signal);
+  return await splitIntoChunks(wavPath, durationSeconds, reducedChunkDuration, { signal, silences });
 };
@@ -9,6 +9,9 @@ const __dirname = path.dirname(__filename);
 const AUDIO_DIR = path.join(__dirname, '../../storage/audio');
 const RETENTION_DAYS = parseInt(process.env.AUDIO_RETENTION_DAYS || '30', 10);
 
+// Largest recording accepted in a single request - chunking will handle files over 25MB
+export const MAX_AUDIO_SIZE = 100 * 1024 * 1024; // 100MB
+
 /**
  * Save audio file to storage
  * @param {Buffer} audioBuffer - Audio file buffer
@@ -45,6 +48,79 @@ export const saveAudioFile = async (audioBuffer, filename, projectId = null) =>
   }
 };
 
+// Content types for the audio formats we accept
+const AUDIO_CONTENT_TYPES = {
+  '.webm': 'audio/webm',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+};
+
+// Video containers - only their audio track is kept, extracted before transcription
+const VIDEO_EXTENSIONS = ['.mp4', '.mov'];
+
+/**
+ * Check whether an uploaded recording is a video
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {boolean} True for video files
+ */
+export const isVideoFile = (filePath) => VIDEO_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+
+/**
+ * Resolve a meeting's audio_path (absolute, or relative to the backend directory) to a file on disk
+ * @param {string} audioPath - Stored audio path
+ * @returns {string} Absolute path
+ */
+export const resolveAudioPath = (audioPath) => {
+  return path.isAbsolute(audioPath) ? audioPath : path.join(__dirname, '../..', audioPath);
+};
+
+/**
+ * Get the content type to serve an audio file with
+ * @param {string} audioPath - Path to audio file
+ * @returns {string} MIME type
+ */
+export const getAudioContentType = (audioPath) => {
+  return AUDIO_CONTENT_TYPES[path.extname(audioPath).toLowerCase()] || 'application/octet-stream';
+};
+
+/**
+ * Parse an HTTP Range header for a single byte range
+ * @param {string} rangeHeader - Range header value, e.g. "bytes=0-1023", "bytes=1024-" or "bytes=-500"
+ * @param {number} size - File size in bytes
+ * @returns {Object|null|false} { start, end } (inclusive), null to send the whole file
+ *   (no header, or several ranges), false if the range can't be satisfied
+ */
+export const parseByteRange = (rangeHeader, size) => {
+  if (!rangeHeader) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match) {
+    // Multiple ranges are allowed to be answered with the full file
+    return /^bytes=.*,/.test(rangeHeader) ? null : false;
+  }
+
+  const [, startText, endText] = match;
+  let start;
+  let end;
+
+  if (startText === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(endText, 10);
+    if (!suffixLength) return false;
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = parseInt(startText, 10);
+    end = endText === '' ? size - 1 : Math.min(parseInt(endText, 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
 /**
  * Get audio file duration (placeholder - would use ffmpeg in production)
  * @param {string} filePath - Path to audio file
@@ -125,35 +201,44 @@ export const setupAudioCleanupCron = () => {
 
 /**
  * Validate audio file
+ * Browsers label imported files inconsistently (audio/x-m4a, video/mp4, application/octet-stream...),
+ * so a generic type is accepted when the file extension is a supported format
  * @param {string} mimetype - File mimetype
  * @param {number} size - File size in bytes
+ * @param {string} filename - Original file name (optional)
+ * @param {number} maxSize - Largest accepted size in bytes (resumable uploads allow more than a single request)
  * @returns {Object} Validation result
  */
-export const validateAudioFile = (mimetype, size) => {
+export const validateAudioFile = (mimetype, size, filename = null, maxSize = MAX_AUDIO_SIZE) => {
   const allowedTypes = [
     'audio/webm',
     'audio/wav',
+    'audio/x-wav',
+    'audio/wave',
     'audio/mp3',
     'audio/mpeg',
     'audio/mp4',
     'audio/m4a',
-    'audio/ogg'
+    'audio/x-m4a',
+    'audio/ogg',
+    'video/mp4',
+    'video/quicktime'
   ];
+  const genericTypes = ['', 'application/octet-stream'];
+  const ext = path.extname(filename || '').toLowerCase();
+  const hasKnownExtension = ext in AUDIO_CONTENT_TYPES || VIDEO_EXTENSIONS.includes(ext);
 
-  // Allow large files - chunking will handle files over 25MB
-  const maxSize = 100 * 1024 * 1024; // 100MB
-
-  if (!allowedTypes.includes(mimetype)) {
+  if (!allowedTypes.includes(mimetype) && !(genericTypes.includes(mimetype || '') && hasKnownExtension)) {
     return {
       valid: false,
-      error: 'Invalid file type. Allowed: webm, wav, mp3, mp4, m4a, ogg'
+      error: 'Invalid file type. Allowed: webm, wav, mp3, mp4, m4a, ogg, mov'
     };
   }
 
   if (size > maxSize) {
     return {
       valid: false,
-      error: 'File too large. Maximum size: 100MB'
+      error: `File too large. Maximum size: ${Math.round(maxSize / (1024 * 1024))}MB`
     };
   }
 
@@ -0,0 +1,63 @@
+// Helpers for stopping in-flight processing through an AbortSignal.
+// A cancelled pipeline step throws an Error whose message is PROCESSING_CANCELLED,
+// the same sentinel style used for PAYLOAD_TOO_LARGE / RECHUNK_NEEDED in transcription.
+
+export const CANCELLED_MESSAGE = 'PROCESSING_CANCELLED';
+
+/**
+ * Create the error thrown when processing is cancelled
+ * @returns {Error} Cancellation error
+ */
+export const createCancelledError = () => {
+  const error = new Error(CANCELLED_MESSAGE);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {Error} error - Error to check
+ * @param {AbortSignal} signal - Signal of the operation (optional)
+ * @returns {boolean} True if the operation was cancelled
+ */
+export const isCancelledError = (error, signal = null) => {
+  if (signal?.aborted) return true;
+  return error?.message === CANCELLED_MESSAGE;
+};
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} signal - Abort signal (optional)
+ */
+export const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal = null) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import {
+  createCheckpoint,
+  getCheckpoint,
+  getCheckpointsForMeeting,
+  deleteCheckpoint,
+  deleteCheckpointsForStep,
+  deleteCheckpointsForMeeting,
+  runTransaction,
+} from '../db/database.js';
+
+// Pipeline steps that save a checkpoint, in processing order
+export const PipelineStep = {
+  LIVE_TRANSCRIPTION: 'live_transcription', // Transcribed while recording, used instead of Whisper
+  PREPROCESS: 'preprocess', // Silence trimming / loudness normalization (optional)
+  CONVERT: 'convert',
+  CHUNK: 'chunk',
+  TRANSCRIBE_CHUNK: 'transcribe_chunk',
+  TRANSCRIPTION: 'transcription',
+  ANALYSIS: 'analysis',
+  INDEX: 'index',
+  CONTRADICTIONS: 'contradictions', // Decisions checked against earlier decisions and the wiki
+};
+
+// Where POST /api/meetings/:id/reprocess restarts the pipeline
+export const ReprocessFrom = {
+  START: 'start', // Discard everything and re-run Whisper
+  RESUME: 'resume', // Keep all checkpoints, continue where processing stopped
+  ANALYSIS: 'analysis', // Reuse the saved transcript
+  INDEX: 'index', // Reuse transcript and analysis, only rebuild the search index
+};
+
+// Steps whose checkpoints are discarded for each reprocess mode
+const STEPS_TO_CLEAR = {
+  [ReprocessFrom.START]: Object.values(PipelineStep),
+  [ReprocessFrom.RESUME]: [],
+  [ReprocessFrom.ANALYSIS]: [PipelineStep.ANALYSIS, PipelineStep.INDEX, PipelineStep.CONTRADICTIONS],
+  [ReprocessFrom.INDEX]: [PipelineStep.INDEX],
+};
+
+/**
+ * Get the saved output of a pipeline step
+ * @param {number} meetingId - Meeting ID
+ * @param {string} step - One of PipelineStep
+ * @param {number|null} chunkIndex - Chunk index for per-chunk steps (optional)
+ * @returns {Object|null} Saved step output, or null if the step hasn't completed
+ */
+export const loadCheckpoint = (meetingId, step, chunkIndex = null) => {
+  const row = getCheckpoint.get(meetingId, step, chunkIndex);
+  if (!row) return null;
+
+  try {
+    return JSON.parse(row.data);
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${step} checkpoint for meeting ${meetingId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save the output of a completed pipeline step, replacing any earlier checkpoint
+ * @param {number} meetingId - Meeting ID
+ * @param {string} step - One of PipelineStep
+ * @param {Object} data - Step output (must be JSON serializable)
+ * @param {number|null} chunkIndex - Chunk index for per-chunk steps (optional)
+ */
+export const saveCheckpoint = (meetingId, step, data, chunkIndex = null) => {
+  runTransaction(() => {
+    deleteCheckpoint.run(meetingId, step, chunkIndex);
+    createCheckpoint.run(meetingId, step, chunkIndex, JSON.stringify(data));
+  });
+};
+
+/**
+ * Discard checkpoints for a meeting
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<string>|null} steps - Steps to discard (all when omitted)
+ */
+export const clearCheckpoints = (meetingId, steps = null) => {
+  if (!steps) {
+    deleteCheckpointsForMeeting.run(meetingId);
+    return;
+  }
+
+  runTransaction(() => {
+    for (const step of steps) {
+      deleteCheckpointsForStep.run(meetingId, step);
+    }
+  });
+};
+
+/**
+ * List the pipeline steps that have a checkpoint
+ * @param {number} meetingId - Meeting ID
+ * @returns {Array<string>} Completed steps
+ */
+export const getCompletedSteps = (meetingId) => {
+  const steps = getCheckpointsForMeeting.all(meetingId).map(row => row.step);
+  return Object.values(PipelineStep).filter(step => steps.includes(step));
+};
+
+/**
+ * Create a checkpoint store bound to one meeting, passed to the audio and transcription services
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object} { get(step, chunkIndex), save(step, data, chunkIndex), clear(...steps) }
+ */
+export const createCheckpointStore = (meetingId) => ({
+  get: (step, chunkIndex = null) => loadCheckpoint(meetingId, step, chunkIndex),
+  save: (step, data, chunkIndex = null) => saveCheckpoint(meetingId, step, data, chunkIndex),
+  clear: (...steps) => clearCheckpoints(meetingId, steps),
+});
+
+/**
+ * Remove the preprocessed and converted WAVs and chunk files kept for resuming, and their checkpoints
+ * @param {number} meetingId - Meeting ID
+ * @returns {Promise<void>}
+ */
+export const removeWorkFiles = async (meetingId) => {
+  const preprocessed = loadCheckpoint(meetingId, PipelineStep.PREPROCESS);
+  const converted = loadCheckpoint(meetingId, PipelineStep.CONVERT);
+  const chunked = loadCheckpoint(meetingId, PipelineStep.CHUNK);
+
+  const paths = [
+    preprocessed?.path,
+    converted?.wavPath,
+    ...(chunked?.chunks || []).map(chunk => chunk.path),
+  ].filter(Boolean);
+
+  for (const filePath of paths) {
+    await fs.unlink(filePath).catch(() => {});
+  }
+
+  if (paths.length > 0) {
+    console.log(`Removed ${paths.length} work file(s) for meeting ${meetingId}`);
+  }
+
+  clearCheckpoints(meetingId, [
+    PipelineStep.PREPROCESS,
+    PipelineStep.CONVERT,
+    PipelineStep.CHUNK,
+    PipelineStep.TRANSCRIBE_CHUNK,
+  ]);
+};
+
+/**
+ * Discard the checkpoints a reprocess should redo
+ * @param {number} meetingId - Meeting ID
+ * @param {string} from - One of ReprocessFrom
+ * @returns {Promise<void>}
+ */
+export const resetCheckpointsForReprocess = async (meetingId, from) => {
+  if (from === ReprocessFrom.START) {
+    await removeWorkFiles(meetingId);
+  }
+
+  const steps = STEPS_TO_CLEAR[from] || [];
+  if (steps.length > 0) {
+    clearCheckpoints(meetingId, steps);
+  }
+};
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getMeetingById,
+  getDecisionsForMeeting,
+  getConflictsForMeeting,
+  createConflict,
+  deleteConflictsForMeeting,
+  runTransaction,
+} from '../db/database.js';
+import { detectContradictions } from './aiAnalysis.js';
+import { getPriorDecisionsForMeeting } from './decisions.js';
+import { locateText } from './segments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WIKI_DIR = path.join(__dirname, '../../storage/wikis');
+
+const MAX_EXCERPT_LENGTH = 500;
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Read a project's wiki
+ * @param {number} projectId - Project ID
+ * @returns {Promise<string>} Wiki markdown, or '' when the project has none yet
+ */
+export const readProjectWiki = async (projectId) => {
+  try {
+    return await fs.readFile(path.join(WIKI_DIR, `project-${projectId}.md`), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+};
+
+// Wiki text as the model quotes it - without markdown emphasis, list markers and line breaks
+const normalizeWikiText = (text) => text
+  .replace(/^\s*(#+|[-*+>]|\d+\.)\s+/, '')
+  .replace(/[*_`]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+const headingLevel = (line) => HEADING.exec(line)?.[1].length || 0;
+
+/**
+ * Find where a quoted excerpt is in the wiki
+ * The meeting is the one the excerpt's line cites ("(Meeting #N)" in the changelog), else the
+ * meeting summary section it is in ("**Meeting ID:** N")
+ * @param {string} wiki - Wiki markdown
+ * @param {string} excerpt - Text quoted from the wiki
+ * @returns {Object|null} { section, meetingId } (either may be null), or null when the wiki doesn't contain the excerpt
+ */
+export const locateWikiExcerpt = (wiki, excerpt) => {
+  const quote = (excerpt || '').split('\n').map(normalizeWikiText).filter(Boolean).join(' ');
+  if (!quote || !wiki) return null;
+
+  const lines = wiki.split('\n');
+  const starts = [];
+  let text = '';
+  for (const line of lines) {
+    starts.push(text.length);
+    const normalized = normalizeWikiText(line);
+    if (normalized) text += `${normalized} `;
+  }
+
+  const offset = text.indexOf(quote);
+  if (offset === -1) return null;
+
+  // The last line starting at or before the match - empty lines share their start with the next line
+  let first = 0;
+  starts.forEach((start, i) => {
+    if (start <= offset && normalizeWikiText(lines[i])) first = i;
+  });
+  let last = first;
+  while (last + 1 < lines.length && starts[last + 1] < offset + quote.length) last++;
+
+  // The nearest heading names the section; meeting sections are level 2, with ### subsections
+  const headingAbove = (maxLevel) => {
+    for (let i = first; i >= 0; i--) {
+      const level = headingLevel(lines[i]);
+      if (level && level <= maxLevel) return i;
+    }
+    return -1;
+  };
+  const headingLine = headingAbove(6);
+  const meetingSectionStart = headingAbove(2);
+  let meetingSectionEnd = lines.length;
+  for (let i = first + 1; i < lines.length; i++) {
+    const level = headingLevel(lines[i]);
+    if (level && level <= 2) {
+      meetingSectionEnd = i;
+      break;
+    }
+  }
+
+  const cited = lines.slice(first, last + 1).join(' ').match(/Meeting #(\d+)/i);
+  const sectionMeeting = lines.slice(meetingSectionStart + 1, meetingSectionEnd).join('\n').match(/\*\*Meeting ID:\*\*\s*(\d+)/i);
+  const meetingId = cited || sectionMeeting ? Number((cited || sectionMeeting)[1]) : null;
+
+  return {
+    section: headingLine === -1 ? null : lines[headingLine].match(HEADING)[2].replace(/[*_`]/g, ''),
+    meetingId,
+  };
+};
+
+/**
+ * Check the conflicts the model returned
+ * A conflict needs one of the meeting's decisions and either an earlier decision it was given or a
+ * wiki excerpt that is really in the wiki - and not from this meeting's own section
+ * @param {*} raw - conflicts from detectContradictions
+ * @param {Object} context - { meetingId }, the meeting's { decisions }, the { priorDecisions } and { wiki } it was checked against
+ * @returns {Array<Object>} [{ decision, earlierDecision, wikiExcerpt, wikiSection, wikiMeetingId, explanation }]
+ */
+export const normalizeConflicts = (raw, { meetingId = null, decisions = [], priorDecisions = [], wiki = '' } = {}) => {
+  const own = new Map(decisions.map(decision => [decision.id, decision]));
+  const prior = new Map(priorDecisions.map(decision => [decision.id, decision]));
+  const seen = new Set();
+  const conflicts = [];
+
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    const decision = own.get(Number(entry?.decision));
+    if (!decision) continue;
+
+    const earlierDecision = prior.get(Number(entry.earlier_decision)) || null;
+    let wikiExcerpt = null;
+    let location = null;
+    if (!earlierDecision) {
+      wikiExcerpt = cleanText(entry.wiki_excerpt)?.slice(0, MAX_EXCERPT_LENGTH) || null;
+      location = wikiExcerpt && locateWikiExcerpt(wiki, wikiExcerpt);
+      if (!location || (meetingId && location.meetingId === meetingId)) continue;
+    }
+
+    const key = `${decision.id}:${earlierDecision ? earlierDecision.id : normalizeWikiText(wikiExcerpt)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    conflicts.push({
+      decision,
+      earlierDecision,
+      wikiExcerpt,
+      wikiSection: location?.section || null,
+      wikiMeetingId: location?.meetingId || null,
+      explanation: cleanText(entry.explanation),
+    });
+  }
+
+  return conflicts;
+};
+
+/**
+ * List the contradictions found in a meeting's decisions
+ * @param {number} meetingId - Meeting ID
+ * @returns {Array<Object>} Conflicts, with the earlier meeting's title and date and where each statement was said
+ */
+export const listMeetingConflicts = (meetingId) => getConflictsForMeeting.all(meetingId);
+
+/**
+ * Compare a meeting's decisions with the project's earlier decisions still in force and its wiki,
+ * and save the contradictions found in place of those from an earlier check
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} options - { signal } to abort the request on cancellation
+ * @returns {Promise<Array<Object>>} The meeting's conflicts, as listMeetingConflicts returns them
+ */
+export const checkMeetingForContradictions = async (meetingId, { signal = null } = {}) => {
+  const meeting = getMeetingById.get(meetingId);
+  const decisions = meeting?.project_id ? getDecisionsForMeeting.all(meetingId) : [];
+  const priorDecisions = decisions.length > 0 ? getPriorDecisionsForMeeting(meeting, { activeOnly: true }) : [];
+  const wiki = decisions.length > 0 ? await readProjectWiki(meeting.project_id) : '';
+
+  let conflicts = [];
+  if (decisions.length > 0 && (priorDecisions.length > 0 || wiki.trim())) {
+    const raw = await detectContradictions(meeting, decisions, priorDecisions, wiki, { signal });
+    conflicts = normalizeConflicts(raw, { meetingId: meeting.id, decisions, priorDecisions, wiki });
+  }
+
+  runTransaction(() => {
+    deleteConflictsForMeeting.run(meetingId);
+    for (const conflict of conflicts) {
+      const { decision, earlierDecision } = conflict;
+      const earlierMeetingId = earlierDecision ? earlierDecision.meeting_id : conflict.wikiMeetingId;
+      // The wiki can cite a meeting that was deleted since
+      const earlierMeeting = earlierMeetingId ? getMeetingById.get(earlierMeetingId) : null;
+      const earlierStatement = earlierDecision ? earlierDecision.decision : conflict.wikiExcerpt;
+
+      createConflict.run({
+        project_id: meeting.project_id,
+        meeting_id: meetingId,
+        decision_id: decision.id,
+        statement: decision.decision,
+        segment_idx: locateText(meetingId, decision.decision)?.idx ?? null,
+        source: earlierDecision ? 'decision' : 'wiki',
+        earlier_decision_id: earlierDecision?.id ?? null,
+        earlier_meeting_id: earlierMeeting?.id ?? null,
+        earlier_segment_idx: earlierMeeting ? (locateText(earlierMeeting.id, earlierStatement)?.idx ?? null) : null,
+        earlier_statement: earlierStatement,
+        wiki_section: conflict.wikiSection,
+        explanation: conflict.explanation,
+      });
+    }
+  });
+
+  return listMeetingConflicts(meetingId);
+};
@@ -0,0 +1,238 @@
+import {
+  getMeetingById,
+  getProjectDecisions,
+  getDecisionsForMeeting,
+  createDecision,
+  updateDecisionDetails,
+  supersedeDecision,
+  reactivateDecisionsSupersededBy,
+  deleteDecision,
+  runTransaction,
+} from '../db/database.js';
+
+export const DECISION_STATUSES = ['active', 'superseded'];
+
+// Earlier decisions given to the analysis and the contradiction check - the most recent, to keep the prompts short
+const MAX_PRIOR_DECISIONS = 50;
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Parse a decisions row from the database
+ * @param {Object} row - decisions row, with the meeting title getProjectDecisions joins in
+ * @returns {Object} Decision with alternatives as an array
+ */
+export const formatDecision = (row) => {
+  let alternatives = [];
+  try {
+    alternatives = JSON.parse(row.alternatives || '[]');
+  } catch {
+    // Leave it empty - a hand-edited database shouldn't break the log
+  }
+  return { ...row, alternatives: Array.isArray(alternatives) ? alternatives : [] };
+};
+
+// IDs the model gave as a number, a numeric string or a list of them
+const parseIds = (value) => (Array.isArray(value) ? value : [value])
+  .map(Number)
+  .filter(id => Number.isInteger(id) && id > 0);
+
+/**
+ * Check the decision_log of an analysis
+ * Entries without a decision are dropped; supersedes keeps only IDs of the earlier decisions the analysis was given
+ * @param {*} entries - decision_log from the model
+ * @param {Array<Object>|null} priorDecisions - Earlier decisions given to the analysis, or null not to check supersedes
+ * @returns {Array<Object>} [{ decision, rationale, alternatives, supersedes }]
+ */
+export const normalizeDecisionLog = (entries, priorDecisions = null) => {
+  const prior = priorDecisions && new Set(priorDecisions.map(decision => decision.id));
+
+  return (Array.isArray(entries) ? entries : [])
+    .map(entry => (typeof entry === 'string' ? { decision: entry } : entry))
+    .filter(entry => cleanText(entry?.decision))
+    .map(entry => ({
+      decision: cleanText(entry.decision),
+      rationale: cleanText(entry.rationale),
+      alternatives: (Array.isArray(entry.alternatives) ? entry.alternatives : []).map(cleanText).filter(Boolean),
+      supersedes: [...new Set(parseIds(entry.supersedes ?? []))].filter(id => !prior || prior.has(id)),
+    }));
+};
+
+// Decisions match whatever their case and punctuation
+const decisionKey = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * The decisions of a summary, in order - from its decision_log, or from key_decisions for
+ * summaries written before the decision log (and analyses that left it out)
+ * @param {Object} analysis - Meeting analysis
+ * @returns {Array<Object>} [{ decision, rationale, alternatives, supersedes, position }], without repeats
+ */
+export const extractDecisions = (analysis) => {
+  // Supersedes was checked against the earlier decisions when the analysis was made
+  const log = normalizeDecisionLog(analysis?.decision_log);
+  const entries = log.length > 0 ? log : normalizeDecisionLog(analysis?.key_decisions);
+  const seen = new Set();
+  const unique = [];
+
+  for (const entry of entries) {
+    if (seen.has(decisionKey(entry.decision))) continue;
+    seen.add(decisionKey(entry.decision));
+    unique.push({ ...entry, position: unique.length });
+  }
+
+  return unique;
+};
+
+/**
+ * Match a meeting's saved decisions against those of a new analysis
+ * Matched decisions keep their ID, so later decisions that superseded them still point at them
+ * @param {Array<Object>} existing - The meeting's decisions rows
+ * @param {Array<Object>} extracted - Decisions from extractDecisions
+ * @returns {Object} { kept, added, removed } - kept are { row, entry } pairs, removed are rows, added are entries
+ */
+export const planDecisionSync = (existing, extracted) => {
+  const unmatched = [...existing];
+  const kept = [];
+  const added = [];
+
+  for (const entry of extracted) {
+    const index = unmatched.findIndex(row => decisionKey(row.decision) === decisionKey(entry.decision));
+    if (index !== -1) {
+      kept.push({ row: unmatched.splice(index, 1)[0], entry });
+    } else {
+      added.push(entry);
+    }
+  }
+
+  return { kept, added, removed: unmatched };
+};
+
+/**
+ * Save the decisions of a meeting's summary to the decision log, and mark the earlier decisions
+ * they replace as superseded
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} analysis - Meeting analysis
+ * @param {Object} options - { priorDecisions } given to the analysis - the only ones it may supersede
+ * @returns {Object} { kept, added, removed, superseded } counts
+ */
+export const syncMeetingDecisions = (meetingId, analysis, { priorDecisions = [] } = {}) => {
+  const meeting = getMeetingById.get(meetingId);
+  const { kept, added, removed } = planDecisionSync(getDecisionsForMeeting.all(meetingId), extractDecisions(analysis));
+  const prior = new Set(priorDecisions.map(decision => decision.id));
+  let superseded = 0;
+
+  runTransaction(() => {
+    // Supersessions are re-applied from the new analysis below
+    for (const { id } of [...removed, ...kept.map(({ row }) => row)]) {
+      reactivateDecisionsSupersededBy.run(id);
+    }
+    for (const row of removed) {
+      deleteDecision.run(row.id);
+    }
+
+    const saved = [];
+    for (const { row, entry } of kept) {
+      updateDecisionDetails.run(entry.position, entry.rationale, JSON.stringify(entry.alternatives), meeting.date, row.id);
+      saved.push({ id: row.id, entry });
+    }
+    for (const entry of added) {
+      const result = createDecision.run(
+        meeting.project_id,
+        meetingId,
+        entry.position,
+        entry.decision,
+        entry.rationale,
+        JSON.stringify(entry.alternatives),
+        meeting.date
+      );
+      saved.push({ id: result.lastInsertRowid, entry });
+    }
+
+    for (const { id, entry } of saved) {
+      for (const priorId of entry.supersedes.filter(priorId => prior.has(priorId))) {
+        superseded += supersedeDecision.run(id, priorId).changes;
+      }
+    }
+  });
+
+  return { kept: kept.length, added: added.length, removed: removed.length, superseded };
+};
+
+/**
+ * List a project's decision log
+ * @param {number} projectId - Project ID
+ * @returns {Array<Object>} Decisions, oldest first, each with the IDs of the decisions it superseded
+ */
+export const listProjectDecisions = (projectId) => {
+  const decisions = getProjectDecisions.all(projectId).map(formatDecision);
+  // Superseded decisions link forward; the reverse links are for reading a thread from its end
+  const supersedes = new Map();
+  for (const decision of decisions) {
+    if (decision.superseded_by) {
+      supersedes.set(decision.superseded_by, [...(supersedes.get(decision.superseded_by) || []), decision.id]);
+    }
+  }
+  return decisions.map(decision => ({ ...decision, supersedes: supersedes.get(decision.id) || [] }));
+};
+
+/**
+ * The project's decisions in force before a meeting - from other meetings, not decided after it.
+ * For the analysis, which may supersede them, this includes those the meeting's own decisions already
+ * superseded, so a reanalysis can make the same call again; the contradiction check only takes active ones
+ * @param {Object} meeting - meetings row
+ * @param {Object} options - { activeOnly } to leave out decisions the meeting superseded
+ * @returns {Array<Object>} The most recent decisions, oldest first
+ */
+export const getPriorDecisionsForMeeting = (meeting, { activeOnly = false } = {}) => {
+  if (!meeting?.project_id) return [];
+
+  const decisions = listProjectDecisions(meeting.project_id);
+  const own = new Set(decisions.filter(decision => decision.meeting_id === meeting.id).map(decision => decision.id));
+
+  return decisions
+    .filter(decision => decision.meeting_id !== meeting.id
+      && !(decision.decided_at && meeting.date && decision.decided_at > meeting.date)
+      && (decision.status === 'active' || (!activeOnly && own.has(decision.superseded_by))))
+    .slice(-MAX_PRIOR_DECISIONS);
+};
+
+/**
+ * Format earlier decisions for the analysis prompt
+ * @param {Array<Object>} decisions - Earlier decisions
+ * @returns {string} One line per decision, starting with its ID in brackets
+ */
+export const formatDecisionsForPrompt = (decisions) => decisions
+  .map(({ id, decision, decided_at, meeting_title }) => {
+    const source = [decided_at?.slice(0, 10), meeting_title].filter(Boolean).join(', ');
+    return `[${id}] ${decision}${source ? ` (${source})` : ''}`;
+  })
+  .join('\n');
+
+/**
+ * Group a decision log into threads - each a choice and the decisions that replaced it, oldest first
+ * @param {Array<Object>} decisions - Decisions from listProjectDecisions, oldest first
+ * @returns {Array<Array<number>>} Decision IDs of each thread, the most recently decided thread first
+ */
+export const buildDecisionThreads = (decisions) => {
+  const parent = new Map(decisions.map(decision => [decision.id, decision.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+
+  for (const decision of decisions) {
+    if (decision.superseded_by && parent.has(decision.superseded_by)) {
+      parent.set(find(decision.id), find(decision.superseded_by));
+    }
+  }
+
+  const threads = new Map();
+  for (const decision of decisions) {
+    const root = find(decision.id);
+    threads.set(root, [...(threads.get(root) || []), decision.id]);
+  }
+
+  // Decisions are oldest first, so a thread's last ID is its latest decision
+  const order = new Map(decisions.map((decision, i) => [decision.id, i]));
+  return [...threads.values()].sort((a, b) => order.get(b.at(-1)) - order.get(a.at(-1)));
+};
@@ -0,0 +1,335 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convertToWav } from './audioChunker.js';
+import { throwIfCancelled } from './cancellation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WORK_DIR = path.join(__dirname, '../../storage/chunks');
+
+// Configuration
+const MAX_SPEAKERS = parseInt(process.env.DIARIZATION_MAX_SPEAKERS, 10) || 4;
+const FRAME_SECONDS = 0.03; // 30ms analysis frames
+const SILENCE_RMS = 300; // Frames quieter than this (16-bit PCM) are ignored
+const TURN_GAP_SECONDS = 0.8; // A pause this long usually means someone else is talking
+const SHORT_SEGMENT_SECONDS = 1.5; // Too short to trust the audio features on their own
+const MIN_SPEAKER_GAIN = 0.15; // Each extra speaker must explain 15% of the feature variance
+
+/**
+ * Display name for a speaker label without a person's name, e.g. SPEAKER_2 -> Speaker 2
+ * @param {string} label - Speaker label
+ * @returns {string} Display name
+ */
+export const defaultSpeakerName = (label) => label.replace(/^SPEAKER_/, 'Speaker ');
+
+/**
+ * Locate the PCM data in a WAV file
+ * @param {FileHandle} handle - Open WAV file
+ * @returns {Promise<Object>} { sampleRate, channels, dataOffset, dataSize }
+ */
+const readWavInfo = async (handle) => {
+  const header = Buffer.alloc(12);
+  await handle.read(header, 0, 12, 0);
+  if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  const info = {};
+  let offset = 12;
+  const chunkHeader = Buffer.alloc(8);
+
+  while (true) {
+    const { bytesRead } = await handle.read(chunkHeader, 0, 8, offset);
+    if (bytesRead < 8) break;
+
+    const id = chunkHeader.toString('ascii', 0, 4);
+    const size = chunkHeader.readUInt32LE(4);
+
+    if (id === 'fmt ') {
+      const fmt = Buffer.alloc(16);
+      await handle.read(fmt, 0, 16, offset + 8);
+      info.channels = fmt.readUInt16LE(2);
+      info.sampleRate = fmt.readUInt32LE(4);
+    } else if (id === 'data') {
+      info.dataOffset = offset + 8;
+      info.dataSize = size;
+      break;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!info.sampleRate || info.dataOffset === undefined) {
+    throw new Error('WAV file has no audio data');
+  }
+  return info;
+};
+
+/**
+ * Read the 16-bit mono samples between two timestamps
+ * @param {FileHandle} handle - Open WAV file
+ * @param {Object} info - WAV info from readWavInfo
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @returns {Promise<Int16Array>} Samples
+ */
+const readSamples = async (handle, info, start, end) => {
+  const bytesPerSecond = info.sampleRate * 2 * info.channels;
+  const from = Math.max(0, Math.floor(start * bytesPerSecond / 2) * 2);
+  const to = Math.min(info.dataSize, Math.floor(end * bytesPerSecond / 2) * 2);
+  if (to <= from) return new Int16Array(0);
+
+  const buffer = Buffer.alloc(to - from);
+  const { bytesRead } = await handle.read(buffer, 0, buffer.length, info.dataOffset + from);
+  return new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(bytesRead / 2));
+};
+
+/**
+ * Compute voice features for one segment: loudness and zero-crossing rate (a rough pitch/timbre proxy)
+ * @param {Int16Array} samples - Segment samples
+ * @param {number} sampleRate - Sample rate
+ * @returns {Array<number>|null} [logEnergy, zeroCrossingRate], or null if the segment is silent
+ */
+export const computeSegmentFeatures = (samples, sampleRate) => {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  let energySum = 0;
+  let zcrSum = 0;
+  let voicedFrames = 0;
+
+  for (let frameStart = 0; frameStart + frameSize <= samples.length; frameStart += frameSize) {
+    let squares = 0;
+    let crossings = 0;
+    for (let i = frameStart; i < frameStart + frameSize; i++) {
+      squares += samples[i] * samples[i];
+      if (i > frameStart && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+
+    const rms = Math.sqrt(squares / frameSize);
+    if (rms < SILENCE_RMS) continue;
+
+    energySum += Math.log10(rms);
+    zcrSum += crossings / frameSize;
+    voicedFrames++;
+  }
+
+  if (voicedFrames === 0) return null;
+  return [energySum / voicedFrames, zcrSum / voicedFrames];
+};
+
+const distance = (a, b) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+/**
+ * Deterministic k-means: centers start at mutually distant points
+ * @param {Array<Array<number>>} points - Normalized feature vectors
+ * @param {number} k - Number of clusters
+ * @returns {Object} { assignments, inertia }
+ */
+const kMeans = (points, k) => {
+  const centers = [points[0]];
+  while (centers.length < k) {
+    let farthest = points[0];
+    let farthestDistance = -1;
+    for (const point of points) {
+      const nearest = Math.min(...centers.map(center => distance(point, center)));
+      if (nearest > farthestDistance) {
+        farthest = point;
+        farthestDistance = nearest;
+      }
+    }
+    centers.push(farthest);
+  }
+
+  let assignments = new Array(points.length).fill(0);
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const next = points.map(point => {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (distance(point, centers[c]) < distance(point, centers[best])) best = c;
+      }
+      return best;
+    });
+
+    const changed = next.some((cluster, i) => cluster !== assignments[i]);
+    assignments = next;
+
+    for (let c = 0; c < centers.length; c++) {
+      const members = points.filter((_, i) => assignments[i] === c);
+      if (members.length > 0) {
+        centers[c] = centers[c].map((_, d) => members.reduce((sum, p) => sum + p[d], 0) / members.length);
+      }
+    }
+
+    if (!changed && iteration > 0) break;
+  }
+
+  const inertia = points.reduce((sum, point, i) => sum + distance(point, centers[assignments[i]]), 0);
+  return { assignments, inertia };
+};
+
+/**
+ * Turn-taking cue: a long pause or an answered question before the segment
+ * @param {Object} previous - Previous segment
+ * @param {Object} segment - Current segment
+ * @returns {boolean} True if the speaker probably changed
+ */
+const isTurnChange = (previous, segment) => {
+  if (!previous) return true;
+  return segment.start - previous.end >= TURN_GAP_SECONDS || /\?\s*$/.test(previous.text || '');
+};
+
+/**
+ * Assign speaker labels from per-segment voice features and turn-taking cues
+ * Segments are clustered on their features; short segments that continue the previous
+ * turn (no pause, no question) keep the previous speaker
+ * @param {Array<Object>} segments - Whisper segments ({ start, end, text })
+ * @param {Array<Array<number>|null>} features - Feature vector per segment (null when silent)
+ * @param {Object} options - { maxSpeakers }
+ * @returns {Array<string>} Speaker label per segment (SPEAKER_1, SPEAKER_2, ... in order of first appearance)
+ */
+export const assignSpeakers = (segments, features, { maxSpeakers = MAX_SPEAKERS } = {}) => {
+  const voiced = features.map((feature, i) => (feature ? i : -1)).filter(i => i >= 0);
+  const clusters = new Array(segments.length).fill(null);
+
+  if (voiced.length > 0) {
+    // Normalize each feature so loudness and zero-crossing rate weigh the same
+    const dimensions = features[voiced[0]].length;
+    const stats = Array.from({ length: dimensions }, (_, d) => {
+      const values = voiced.map(i => features[i][d]);
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length) || 1;
+      return { mean, std };
+    });
+    const points = voiced.map(i => features[i].map((v, d) => (v - stats[d].mean) / stats[d].std));
+
+    // Add speakers while each one still explains a meaningful share of the variance
+    let best = kMeans(points, 1);
+    const totalInertia = best.inertia;
+    for (let k = 2; k <= Math.min(maxSpeakers, points.length); k++) {
+      const candidate = kMeans(points, k);
+      if (totalInertia === 0 || (best.inertia - candidate.inertia) / totalInertia < MIN_SPEAKER_GAIN) break;
+      best = candidate;
+    }
+
+    voiced.forEach((segmentIndex, i) => {
+      clusters[segmentIndex] = best.assignments[i];
+    });
+  }
+
+  // Turn-taking smoothing
+  for (let i = 0; i < segments.length; i++) {
+    const previousCluster = i > 0 ? clusters[i - 1] : null;
+    const segment = segments[i];
+    const isShort = segment.end - segment.start < SHORT_SEGMENT_SECONDS;
+
+    if (clusters[i] === null || (isShort && previousCluster !== null && !isTurnChange(segments[i - 1], segment))) {
+      clusters[i] = previousCluster ?? clusters.find(c => c !== null) ?? 0;
+    }
+  }
+
+  // Number speakers in order of first appearance
+  const labels = new Map();
+  return clusters.map(cluster => {
+    if (!labels.has(cluster)) {
+      labels.set(cluster, `SPEAKER_${labels.size + 1}`);
+    }
+    return labels.get(cluster);
+  });
+};
+
+// Default provider: local heuristic on the audio itself - no external service needed
+const heuristicProvider = {
+  diarize: async (audioPath, segments, { meetingId, signal, maxSpeakers }) => {
+    const fullAudioPath = path.isAbsolute(audioPath) ? audioPath : path.join(__dirname, '../..', audioPath);
+    const wavPath = path.join(WORK_DIR, `meeting-${meetingId || Date.now()}-diarize.wav`);
+
+    await fs.mkdir(WORK_DIR, { recursive: true });
+    await convertToWav(fullAudioPath, wavPath, { signal });
+
+    const handle = await fs.open(wavPath, 'r');
+    try {
+      const info = await readWavInfo(handle);
+      const features = [];
+      for (const segment of segments) {
+        throwIfCancelled(signal);
+        const samples = await readSamples(handle, info, segment.start, segment.end);
+        features.push(computeSegmentFeatures(samples, info.sampleRate));
+      }
+      return assignSpeakers(segments, features, { maxSpeakers });
+    } finally {
+      await handle.close();
+      await fs.unlink(wavPath).catch(() => {});
+    }
+  },
+};
+
+const providers = new Map([
+  ['heuristic', heuristicProvider],
+  ['none', { diarize: async () => null }],
+]);
+
+/**
+ * Register a diarization provider (e.g. a pyannote service)
+ * @param {string} name - Provider name, selected with DIARIZATION_PROVIDER
+ * @param {Object} provider - { diarize(audioPath, segments, { meetingId, signal, maxSpeakers }) }
+ *   resolving to one speaker label per segment, or null to skip diarization
+ */
+export const registerDiarizationProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+/**
+ * Label transcript segments with the speaker who said them
+ * @param {string} audioPath - Path to the meeting audio
+ * @param {Array<Object>} segments - Whisper segments
+ * @param {Object} options - { meetingId, signal, provider } (provider defaults to DIARIZATION_PROVIDER or 'heuristic')
+ * @returns {Promise<Array<Object>>} Segments with a speaker label (unchanged if diarization is disabled)
+ */
+export const diarizeSegments = async (audioPath, segments, {
+  meetingId = null,
+  signal = null,
+  provider = process.env.DIARIZATION_PROVIDER || 'heuristic',
+} = {}) => {
+  if (!segments || segments.length === 0) return segments;
+
+  const implementation = providers.get(provider);
+  if (!implementation) {
+    throw new Error(`Unknown diarization provider: ${provider}`);
+  }
+
+  console.log(`Diarizing ${segments.length} segments with provider: ${provider}`);
+  const labels = await implementation.diarize(audioPath, segments, { meetingId, signal, maxSpeakers: MAX_SPEAKERS });
+  if (!labels) return segments;
+
+  return segments.map((segment, i) => ({ ...segment, speaker: labels[i] || null }));
+};
+
+/**
+ * Format segments as "Name: text" paragraphs, one per speaker turn
+ * @param {Array<Object>} segments - Segments with speaker labels
+ * @param {Object} names - Map of speaker label to person name
+ * @returns {string|null} Speaker-labelled transcript, or null if segments have no speakers
+ */
+export const formatSpeakerTranscript = (segments, names = {}) => {
+  if (!segments?.some(segment => segment.speaker)) return null;
+
+  const turns = [];
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text.trim()}`;
+    } else {
+      turns.push({ speaker: segment.speaker, text: segment.text.trim() });
+    }
+  }
+
+  return turns
+    .map(turn => {
+      const name = turn.speaker ? (names[turn.speaker] || defaultSpeakerName(turn.speaker)) : 'Unknown';
+      return `${name}: ${turn.text}`;
+    })
+    .join('\n\n');
+};
@@ -0,0 +1,103 @@
+import { getGlossaryTerms } from '../db/database.js';
+
+// Whisper only reads the last 224 tokens of its prompt - stay well under that
+const MAX_PROMPT_CHARS = 800;
+
+/**
+ * Parse a glossary row from the database
+ * @param {Object} row - glossary_terms row
+ * @returns {Object} Term with variants as an array
+ */
+export const formatGlossaryTerm = (row) => ({
+  ...row,
+  variants: JSON.parse(row.variants || '[]'),
+});
+
+/**
+ * Get a project's glossary
+ * @param {number|null} projectId - Project ID (meetings without a project have no glossary)
+ * @returns {Array<Object>} Terms ({ id, term, variants, description, ... })
+ */
+export const getGlossary = (projectId) => {
+  if (!projectId) return [];
+  return getGlossaryTerms.all(projectId).map(formatGlossaryTerm);
+};
+
+/**
+ * Build the Whisper prompt for a glossary - Whisper copies the spelling of words it sees in the prompt
+ * @param {Array<Object>} terms - Glossary terms
+ * @returns {string|null} Prompt, or null for an empty glossary
+ */
+export const buildTranscriptionPrompt = (terms) => {
+  if (!terms?.length) return null;
+
+  let prompt = 'Glossary:';
+  for (const { term } of terms) {
+    const next = `${prompt} ${term},`;
+    if (next.length > MAX_PROMPT_CHARS) break;
+    prompt = next;
+  }
+  return prompt.endsWith(',') ? `${prompt.slice(0, -1)}.` : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace known misspellings of glossary terms in a transcription
+ * Variants only match whole words, ignoring case; longer variants are replaced first
+ * @param {Object} transcription - { text, segments, ... }
+ * @param {Array<Object>} terms - Glossary terms
+ * @returns {Object} { transcription, replacements } - a corrected copy and the number of words changed
+ */
+export const applyGlossary = (transcription, terms) => {
+  const rules = (terms || [])
+    .flatMap(({ term, variants }) => variants.map(variant => ({ term, variant })))
+    .filter(({ variant }) => variant.trim().length > 0)
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .map(({ term, variant }) => ({
+      term,
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(variant.trim())}(?![\\p{L}\\p{N}])`, 'giu'),
+    }));
+
+  if (rules.length === 0) {
+    return { transcription, replacements: 0 };
+  }
+
+  let replacements = 0;
+  const correct = (text, count) => rules.reduce((result, { term, pattern }) => (
+    result.replace(pattern, (match) => {
+      if (match !== term && count) replacements++;
+      return term;
+    })
+  ), text || '');
+
+  // Replacements are counted once, on the segments when there are any
+  const segments = (transcription.segments || []).map(segment => ({
+    ...segment,
+    text: correct(segment.text, true),
+  }));
+
+  return {
+    transcription: {
+      ...transcription,
+      text: correct(transcription.text, segments.length === 0),
+      segments,
+    },
+    replacements,
+  };
+};
+
+/**
+ * Format a glossary for the analysis prompt
+ * @param {Array<Object>} terms - Glossary terms
+ * @returns {string} One line per term, or an empty string for an empty glossary
+ */
+export const formatGlossaryForPrompt = (terms) => {
+  return (terms || []).map(({ term, variants, description }) => {
+    const details = [
+      description,
+      variants.length > 0 ? `may be transcribed as ${variants.map(v => `"${v}"`).join(', ')}` : null,
+    ].filter(Boolean).join('; ');
+    return details ? `- ${term}: ${details}` : `- ${term}`;
+  }).join('\n');
+};
@@ -0,0 +1,311 @@
+import {
+  createJob,
+  getJobById,
+  getQueuedJobs,
+  getNextRunnableJob,
+  getActiveJobForMeeting,
+  markJobRunning,
+  markJobCompleted,
+  markJobFailed,
+  markJobCancelled,
+  rescheduleJob,
+  getRunningJobs,
+  requeueRunningJob,
+  createTransaction,
+} from '../db/database.js';
+import { createCancelledError } from './cancellation.js';
+
+// Configuration
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '1', 10);
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.JOB_BACKOFF_SECONDS || '30', 10);
+const POLL_INTERVAL_MS = 5000;
+
+export const JobType = {
+  PROCESS_MEETING: 'process_meeting',
+};
+
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const handlers = new Map();
+// Running job ID -> AbortController, so cancellation can reach in-flight work
+const runningJobs = new Map();
+let pollTimer = null;
+
+/**
+ * Register the function that executes jobs of a given type
+ * @param {string} type - Job type (see JobType)
+ * @param {Function} run - async (job, { signal }) => void; throwing marks the attempt as failed.
+ *   The signal is aborted when the job is cancelled and should be passed to long-running work.
+ * @param {Object} options - Optional hooks:
+ *   onRetry: (job, error, delaySeconds) => void, called when a failed attempt is rescheduled
+ *   onFailure: async (job, error) => void, called once retries are exhausted
+ */
+export const registerJobHandler = (type, run, options = {}) => {
+  handlers.set(type, {
+    run,
+    onRetry: options.onRetry || null,
+    onFailure: options.onFailure || null,
+  });
+};
+
+/**
+ * Parse the JSON payload stored on a job row
+ * @param {Object} job - Job row from the database
+ * @returns {Object} Job with payload parsed
+ */
+const hydrateJob = (job) => {
+  if (!job) return null;
+  if (typeof job.payload === 'object' && job.payload !== null) return job;
+
+  let payload = {};
+  try {
+    payload = job.payload ? JSON.parse(job.payload) : {};
+  } catch (error) {
+    console.warn(`Job ${job.id} has an invalid payload:`, error.message);
+  }
+
+  return { ...job, payload };
+};
+
+/**
+ * Delay before the next attempt: 30s, 60s, 120s, ...
+ * @param {number} attempts - Attempts made so far
+ * @param {number} base - Delay after the first attempt, in seconds
+ * @returns {number} Delay in seconds
+ */
+export const getBackoffSeconds = (attempts, base = BACKOFF_BASE_SECONDS) => {
+  return base * Math.pow(2, Math.max(attempts - 1, 0));
+};
+
+/**
+ * Atomically pick the next runnable job and mark it running
+ */
+const claimNextJob = createTransaction(() => {
+  const job = getNextRunnableJob.get();
+  if (!job) return null;
+
+  const result = markJobRunning.run(job.id);
+  if (result.changes === 0) return null;
+
+  return getJobById.get(job.id);
+});
+
+/**
+ * Mark a job as failed for good and let its handler know
+ * @param {Object} job - Job with payload parsed
+ * @param {Object|undefined} handler - Registered handler for the job type
+ * @param {Error} error - Error of the last attempt
+ */
+const failJob = async (job, handler, error) => {
+  markJobFailed.run(error.message, job.id);
+  console.error(`[JobQueue] Job ${job.id} failed permanently: ${error.message}`);
+
+  if (handler?.onFailure) {
+    try {
+      await handler.onFailure(job, error);
+    } catch (failureError) {
+      console.error(`[JobQueue] Failure handler for job ${job.id} threw:`, failureError);
+    }
+  }
+};
+
+/**
+ * Execute a claimed job and record the outcome
+ * @param {Object} job - Job row (status 'running')
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ */
+const runJob = async (job, signal) => {
+  const hydrated = hydrateJob(job);
+  const handler = handlers.get(job.type);
+
+  console.log(`[JobQueue] Running job ${job.id} (${job.type}, attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler.run(hydrated, { signal });
+
+    // The job may have been cancelled while the handler was running
+    const current = getJobById.get(job.id);
+    if (current && current.status === JobStatus.RUNNING) {
+      markJobCompleted.run(job.id);
+    }
+    console.log(`[JobQueue] Job ${job.id} completed`);
+  } catch (error) {
+    const current = getJobById.get(job.id);
+    if (!current || current.status !== JobStatus.RUNNING) {
+      console.log(`[JobQueue] Job ${job.id} stopped (${current?.status || 'deleted'})`);
+      return;
+    }
+
+    if (current.attempts < current.max_attempts) {
+      const delay = getBackoffSeconds(current.attempts);
+      rescheduleJob.run(error.message, `+${delay} seconds`, job.id);
+      console.warn(`[JobQueue] Job ${job.id} failed, retrying in ${delay}s: ${error.message}`);
+
+      try {
+        handler?.onRetry?.(hydrated, error, delay);
+      } catch (retryError) {
+        console.error(`[JobQueue] Retry handler for job ${job.id} threw:`, retryError);
+      }
+    } else {
+      await failJob(hydrated, handler, error);
+    }
+  }
+};
+
+/**
+ * Start as many jobs as the concurrency limit allows
+ */
+const tick = () => {
+  while (runningJobs.size < CONCURRENCY) {
+    let job;
+    try {
+      job = claimNextJob();
+    } catch (error) {
+      console.error('[JobQueue] Failed to claim job:', error);
+      return;
+    }
+
+    if (!job) return;
+
+    const controller = new AbortController();
+    runningJobs.set(job.id, controller);
+    runJob(job, controller.signal).finally(() => {
+      runningJobs.delete(job.id);
+      setImmediate(tick);
+    });
+  }
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (see JobType)
+ * @param {number|null} meetingId - Meeting the job belongs to
+ * @param {Object} payload - Handler-specific data
+ * @param {Object} options - { maxAttempts }
+ * @returns {Object} Created job
+ */
+export const enqueueJob = (type, meetingId, payload = {}, options = {}) => {
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const result = createJob.run(meetingId, type, JSON.stringify(payload), maxAttempts);
+  const job = hydrateJob(getJobById.get(result.lastInsertRowid));
+
+  console.log(`[JobQueue] Enqueued job ${job.id} (${type}) for meeting ${meetingId}`);
+
+  // Kick the worker instead of waiting for the next poll
+  if (pollTimer) {
+    setImmediate(tick);
+  }
+
+  return job;
+};
+
+/**
+ * Cancel the queued or running job of a meeting
+ * A running job has its AbortSignal aborted so the handler stops its work
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object|null} The cancelled job (with wasRunning flag), or null if nothing was active
+ */
+export const cancelJobForMeeting = (meetingId) => {
+  const job = getActiveJobForMeeting.get(meetingId);
+  if (!job) return null;
+
+  markJobCancelled.run(job.id);
+
+  const controller = runningJobs.get(job.id);
+  if (controller) {
+    controller.abort(createCancelledError());
+  }
+
+  console.log(`[JobQueue] Cancelled job ${job.id} for meeting ${meetingId}${controller ? ' (aborting in-flight work)' : ''}`);
+  return { ...hydrateJob(getJobById.get(job.id)), wasRunning: !!controller };
+};
+
+/**
+ * Position of a job in the queue (1 = next to run)
+ * @param {Object} job - Job row
+ * @returns {number|null} Position, 0 when running, null when finished
+ */
+export const getQueuePosition = (job) => {
+  if (!job) return null;
+  if (job.status === JobStatus.RUNNING) return 0;
+  if (job.status !== JobStatus.QUEUED) return null;
+
+  const index = getQueuedJobs.all().findIndex(queued => queued.id === job.id);
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Job with its payload parsed and queue position attached
+ * @param {Object} job - Job row
+ * @returns {Object|null} Job for API responses
+ */
+export const describeJob = (job) => {
+  if (!job) return null;
+  return { ...hydrateJob(job), position: getQueuePosition(job) };
+};
+
+/**
+ * Queue configuration for status endpoints
+ * @returns {Object} { concurrency, running }
+ */
+export const getQueueInfo = () => ({
+  concurrency: CONCURRENCY,
+  running: runningJobs.size,
+});
+
+/**
+ * Put jobs left running by a crash or restart back in the queue
+ * The interrupted attempt counts, so a job that keeps crashing the process fails once it is out of attempts
+ */
+const recoverInterruptedJobs = () => {
+  let requeued = 0;
+
+  for (const job of getRunningJobs.all()) {
+    if (job.attempts >= job.max_attempts) {
+      const error = new Error(`Processing was interrupted by a restart ${job.attempts} time(s) - giving up`);
+      failJob(hydrateJob(job), handlers.get(job.type), error)
+        .catch(failError => console.error(`[JobQueue] Could not fail interrupted job ${job.id}:`, failError));
+    } else {
+      requeued += requeueRunningJob.run(job.id).changes;
+    }
+  }
+
+  if (requeued > 0) {
+    console.log(`[JobQueue] Requeued ${requeued} job(s) interrupted by a restart`);
+  }
+};
+
+/**
+ * Resume unfinished jobs and start the worker loop
+ */
+export const startJobQueue = () => {
+  if (pollTimer) return;
+
+  recoverInterruptedJobs();
+
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`Job queue started (concurrency: ${CONCURRENCY})`);
+
+  tick();
+};
+
+/**
+ * Stop picking up new jobs (running jobs finish on their own)
+ */
+export const stopJobQueue = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
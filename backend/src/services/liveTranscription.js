@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { transcribeSingleFile, mergeTranscripts } from './transcription.js';
+import { getTranscriptionProvider } from './transcriptionProviders.js';
+import { getGlossary, buildTranscriptionPrompt } from './glossary.js';
+import { saveCheckpoint, PipelineStep } from './checkpoints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LIVE_DIR = path.join(__dirname, '../../storage/chunks');
+
+// Sessions are kept in memory - after a restart the meeting is simply transcribed from its file
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours without a segment
+export const MAX_LIVE_SEGMENT_BYTES = 10 * 1024 * 1024; // 10MB
+// Each segment is transcribed with the server's API key, so sessions and their segments are capped
+export const MAX_LIVE_SESSIONS = 10;
+export const MAX_LIVE_SEGMENTS = 1000; // Over 5 hours of the recorder's 20s segments
+
+const sessions = new Map();
+
+const keepAlive = (session) => {
+  clearTimeout(session.expiry);
+  session.expiry = setTimeout(() => discardLiveSession(session.id), SESSION_TTL_MS);
+  session.expiry.unref?.();
+};
+
+/**
+ * Start transcribing a recording while it is made
+ * @param {Object} options - { projectId } whose glossary guides the transcription,
+ *   { provider } to transcribe with (defaults to the ai.transcription setting)
+ * @returns {Object} Session ({ id, ... })
+ */
+export const startLiveSession = ({ projectId = null, provider = getTranscriptionProvider() } = {}) => {
+  const configError = provider.getConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+  if (sessions.size >= MAX_LIVE_SESSIONS) {
+    throw new Error('Too many live transcription sessions - try again later');
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    provider,
+    prompt: buildTranscriptionPrompt(getGlossary(projectId)),
+    results: new Map(), // index -> { chunk: { startTime, endTime }, transcription }
+    failed: new Set(),
+    received: 0,
+    queue: Promise.resolve(),
+    segmentCount: null,
+    expiry: null,
+  };
+  sessions.set(session.id, session);
+  keepAlive(session);
+
+  console.log(`Live transcription session ${session.id} started (${provider.label})`);
+  return session;
+};
+
+/**
+ * Transcribe one rolling segment of the recording
+ * @param {Object} session - Live session
+ * @param {Object} segment - { index, startTime, endTime, audio }
+ * @returns {Promise<Object>} { index, startTime, endTime, text, segments } or { index, error }
+ */
+const transcribeLiveSegment = async (session, { index, startTime, endTime, audio }) => {
+  const segmentPath = path.join(LIVE_DIR, `live-${session.id}-${index}.webm`);
+
+  try {
+    await fs.mkdir(LIVE_DIR, { recursive: true });
+    await fs.writeFile(segmentPath, audio);
+
+    const transcription = await transcribeSingleFile(segmentPath, 'en', {
+      provider: session.provider,
+      prompt: session.prompt,
+    });
+
+    const chunk = { startTime, endTime };
+    session.results.set(index, { chunk, transcription });
+    session.failed.delete(index);
+
+    return {
+      index,
+      startTime,
+      endTime,
+      text: transcription.text.trim(),
+      // Timestamps from the start of the recording
+      segments: (transcription.segments || []).map(s => ({
+        start: s.start + startTime,
+        end: s.end + startTime,
+        text: s.text.trim(),
+      })),
+    };
+  } catch (error) {
+    console.warn(`Live transcription of segment ${index} (session ${session.id}) failed:`, error.message);
+    session.failed.add(index);
+    return { index, error: error.message };
+  } finally {
+    await fs.unlink(segmentPath).catch(() => {});
+  }
+};
+
+/**
+ * Queue a segment for transcription. Segments are transcribed one at a time, in the order received
+ * @param {string} sessionId - Session ID
+ * @param {Object} segment - { index, startTime, endTime, audio } - times in seconds from the start
+ *   of the recording, audio as a standalone file (Buffer)
+ * @param {Function} onResult - Called with the output of the segment's transcription
+ * @returns {boolean} False if the session doesn't exist (expired or the server restarted)
+ * @throws {Error} When the session already received MAX_LIVE_SEGMENTS segments
+ */
+export const addLiveSegment = (sessionId, segment, onResult) => {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  if (session.received >= MAX_LIVE_SEGMENTS) {
+    throw new Error(`A live session takes at most ${MAX_LIVE_SEGMENTS} segments`);
+  }
+  session.received++;
+
+  keepAlive(session);
+  session.queue = session.queue
+    .then(() => transcribeLiveSegment(session, segment))
+    .then(onResult)
+    .catch(error => console.error(`Live transcription result for session ${sessionId} not delivered:`, error));
+  return true;
+};
+
+/**
+ * Whether a client-reported segment count can be used - a recording has at least one segment
+ * @param {*} segmentCount - Segment count from the client
+ * @returns {boolean}
+ */
+export const isValidSegmentCount = (segmentCount) => Number.isInteger(segmentCount) && segmentCount > 0;
+
+/**
+ * Mark the recording as stopped and wait for the queued segments
+ * @param {string} sessionId - Session ID
+ * @param {number} segmentCount - Number of segments the client sent
+ * @returns {Promise<Object|null>} { complete, transcribed, failed }, or null if the session doesn't exist
+ */
+export const finishLiveSession = async (sessionId, segmentCount) => {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+
+  session.segmentCount = segmentCount;
+  await session.queue;
+
+  return {
+    complete: getLiveTranscription(sessionId) !== null,
+    transcribed: session.results.size,
+    failed: [...session.failed].sort((a, b) => a - b),
+  };
+};
+
+/**
+ * The full transcript of a finished session
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Transcription ({ text, language, duration, segments }), or null unless
+ *   the session is finished and every segment was transcribed
+ */
+export const getLiveTranscription = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session || !isValidSegmentCount(session.segmentCount)) return null;
+  // Segments past the count the client reported mean it lost track - don't drop their audio
+  if (session.results.size !== session.segmentCount) return null;
+
+  const ordered = [];
+  for (let index = 0; index < session.segmentCount; index++) {
+    const result = session.results.get(index);
+    if (!result) return null;
+    ordered.push(result);
+  }
+  return mergeTranscripts(ordered);
+};
+
+/**
+ * Hand a live transcript to a new meeting, so processing reuses it instead of transcribing the file
+ * The session is discarded either way
+ * @param {number} meetingId - Meeting ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the transcript was complete and saved
+ */
+export const attachLiveTranscription = async (meetingId, sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  await session.queue;
+  const transcription = getLiveTranscription(sessionId);
+  discardLiveSession(sessionId);
+
+  if (!transcription) {
+    console.log(`Live transcript for meeting ${meetingId} is incomplete - the recording will be transcribed`);
+    return false;
+  }
+
+  saveCheckpoint(meetingId, PipelineStep.LIVE_TRANSCRIPTION, transcription);
+  console.log(`Meeting ${meetingId} will reuse its live transcript (${transcription.segments.length} segments)`);
+  return true;
+};
+
+/**
+ * Forget a session (cancelled recording, or its transcript has been used)
+ * @param {string} sessionId - Session ID
+ */
+export const discardLiveSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  clearTimeout(session.expiry);
+  sessions.delete(sessionId);
+};
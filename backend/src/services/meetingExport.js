@@ -0,0 +1,325 @@
+import { getMeetingById, getProjectById, getActionItemsForMeeting } from '../db/database.js';
+import { readTranscript } from './transcription.js';
+import { readSummary } from './aiAnalysis.js';
+import { getSegments } from './segments.js';
+import { listMeetingSpeakers } from './speakers.js';
+import { getSummarySections } from './meetingTypes.js';
+
+export const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt' },
+  md: { extension: 'md', contentType: 'text/markdown' },
+  json: { extension: 'json', contentType: 'application/json' },
+  html: { extension: 'html', contentType: 'text/html' },
+};
+
+// Caption formats are built from timestamped segments
+export const CAPTION_FORMATS = ['srt', 'vtt'];
+
+/**
+ * Load everything an export needs
+ * @param {number} meetingId - Meeting ID
+ * @returns {Promise<Object|null>} { meeting, project, summary, segments, speakers, actionItems, transcript }, or null if not found
+ */
+export const loadMeetingRecord = async (meetingId) => {
+  const meeting = getMeetingById.get(meetingId);
+  if (!meeting) return null;
+
+  return {
+    meeting,
+    project: meeting.project_id ? getProjectById.get(meeting.project_id) || null : null,
+    summary: meeting.summary_path ? await readSummary(meeting.summary_path).catch(() => null) : null,
+    segments: getSegments(meetingId),
+    speakers: listMeetingSpeakers(meetingId),
+    actionItems: getActionItemsForMeeting.all(meetingId),
+    transcript: meeting.transcript_path ? await readTranscript(meeting.transcript_path).catch(() => '') : '',
+  };
+};
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Before the milliseconds: ',' for SRT, '.' for WebVTT
+ * @returns {string} hh:mm:ss,mmm
+ */
+export const formatCaptionTime = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => value.toString().padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+// Transcript timestamps in reports: mm:ss, or h:mm:ss for long meetings
+const formatOffset = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${Math.max(1, minutes)}m`;
+};
+
+const speakerOf = (segment) => segment.speaker_name || (segment.speaker ? segment.speaker.replace(/^SPEAKER_/, 'Speaker ') : null);
+
+// Cue text on one line - a line break, blank line or arrow in the text would start a new cue
+const captionLine = (text) => String(text ?? '').replace(/\s*[\r\n]+\s*/g, ' ').trim();
+
+// WebVTT cue text is markup, so &, < and > are written as character references
+const escapeVtt = (text) => captionLine(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Build SubRip captions
+ * @param {Array<Object>} segments - Segments from getSegments
+ * @returns {string} SRT file content
+ */
+export const toSrt = (segments) => segments.map((segment, i) => {
+  const speaker = speakerOf(segment);
+  const text = (speaker ? `${captionLine(speaker)}: ${captionLine(segment.text)}` : captionLine(segment.text)).replace(/-->/g, '->');
+  return [
+    i + 1,
+    `${formatCaptionTime(segment.start, ',')} --> ${formatCaptionTime(segment.end, ',')}`,
+    text,
+  ].join('\n');
+}).join('\n\n') + '\n';
+
+/**
+ * Build WebVTT captions, with speakers as voice tags
+ * @param {Array<Object>} segments - Segments from getSegments
+ * @returns {string} WebVTT file content
+ */
+export const toVtt = (segments) => ['WEBVTT', ...segments.map((segment) => {
+  const speaker = speakerOf(segment);
+  return [
+    `${formatCaptionTime(segment.start, '.')} --> ${formatCaptionTime(segment.end, '.')}`,
+    speaker ? `<v ${escapeVtt(speaker)}>${escapeVtt(segment.text)}` : escapeVtt(segment.text),
+  ].join('\n');
+})].join('\n\n') + '\n';
+
+// Older analyses sometimes return objects where strings are expected
+const itemText = (item) => {
+  if (typeof item !== 'object' || item === null) return String(item);
+  return item.text || item.topic || item.name || item.decision || item.detail || JSON.stringify(item);
+};
+
+const fieldLabel = (field) => field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ');
+
+// One line per record, led by its first field: "Alice - Yesterday: ...; Today: ..."
+const recordText = (record, fields = []) => {
+  const [first, ...rest] = fields;
+  const details = rest
+    .filter(field => record[field])
+    .map(field => `${fieldLabel(field)}: ${itemText(record[field])}`)
+    .join('; ');
+  return [record[first] && itemText(record[first]), details].filter(Boolean).join(' - ');
+};
+
+/**
+ * Lay out a meeting report as sections, shared by the Markdown and HTML renderers
+ * @param {Object} record - Output of loadMeetingRecord
+ * @returns {Object} { title, details: [[label, value]], sections: [{ title, kind, items }], transcript }
+ */
+const buildReport = ({ meeting, project, summary, segments, speakers, actionItems = [], transcript }) => {
+  const details = [
+    ['Date', meeting.date ? new Date(meeting.date).toLocaleString() : 'N/A'],
+    project && ['Project', project.name],
+    meeting.duration > 0 && ['Duration', formatDuration(meeting.duration)],
+    speakers.length > 0 && ['Speakers', speakers.map(s => s.display_name).join(', ')],
+  ].filter(Boolean);
+
+  const sections = [];
+  const add = (title, kind, items) => {
+    const list = (Array.isArray(items) ? items : [items]).filter(Boolean);
+    if (list.length > 0) sections.push({ title, kind, items: list });
+  };
+
+  // Sections follow the meeting type the summary was written with
+  for (const { key, title, kind, fields } of summary ? getSummarySections(summary) : []) {
+    const value = summary[key];
+    if (kind === 'text' || kind === 'note') {
+      add(title, 'paragraphs', value);
+    } else if (key === 'action_items') {
+      // The saved items, as they were checked off, reassigned or cancelled since the analysis
+      add(title, 'tasks', actionItems.map(({ task, owner, due_date, status }) => ({ task, owner, due: due_date, status })));
+    } else if (kind === 'tasks') {
+      add(title, 'tasks', (value || []).map(item => (
+        typeof item === 'object' && item !== null ? { task: item.task || itemText(item), owner: item.owner, due: item.due } : { task: item }
+      )));
+    } else if (kind === 'records') {
+      add(title, 'list', (value || []).map(record => recordText(record, fields)));
+    } else {
+      add(title, kind === 'paragraphs' ? 'paragraphs' : 'list', (value || []).map(itemText));
+    }
+  }
+
+  const lines = segments.length > 0
+    ? segments.map(segment => ({ time: formatOffset(segment.start), speaker: speakerOf(segment), text: segment.text }))
+    : transcript.split(/\n{2,}/).filter(p => p.trim()).map(text => ({ time: null, speaker: null, text: text.trim() }));
+
+  return { title: meeting.title || 'Meeting', details, sections, transcript: lines };
+};
+
+/**
+ * Build a Markdown meeting report (summary, decisions, action items and transcript)
+ * @param {Object} record - Output of loadMeetingRecord
+ * @returns {string} Markdown
+ */
+export const toMarkdownReport = (record) => {
+  const report = buildReport(record);
+  let markdown = `# ${report.title}\n\n`;
+  markdown += report.details.map(([label, value]) => `**${label}:** ${value}  `).join('\n');
+  markdown += '\n\n';
+
+  for (const { title, kind, items } of report.sections) {
+    markdown += `## ${title}\n\n`;
+    if (kind === 'paragraphs') {
+      markdown += items.map(item => `${item}\n\n`).join('');
+    } else if (kind === 'tasks') {
+      markdown += items.map(({ task, owner, due, status }) => (
+        `- [${status === 'done' ? 'x' : ' '}] ${status === 'cancelled' ? `~~${task}~~ (cancelled)` : task}`
+        + `${owner ? ` (**${owner}**)` : ''}${due ? ` - due ${due}` : ''}\n`
+      )).join('') + '\n';
+    } else {
+      markdown += items.map(item => `- ${item}\n`).join('') + '\n';
+    }
+  }
+
+  if (report.transcript.length > 0) {
+    markdown += '## Transcript\n\n';
+    for (const { time, speaker, text } of report.transcript) {
+      const label = [time && `[${time}]`, speaker && `${speaker}:`].filter(Boolean).join(' ');
+      markdown += label ? `**${label}** ${text}\n\n` : `${text}\n\n`;
+    }
+  }
+
+  return markdown;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a standalone HTML meeting report, readable in any browser or mail client
+ * @param {Object} record - Output of loadMeetingRecord
+ * @returns {string} HTML document
+ */
+export const toHtmlReport = (record) => {
+  const report = buildReport(record);
+  const body = [];
+
+  body.push(`<h1>${escapeHtml(report.title)}</h1>`);
+  body.push(`<p class="details">${report.details
+    .map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`)
+    .join('<br>')}</p>`);
+
+  for (const { title, kind, items } of report.sections) {
+    body.push(`<h2>${escapeHtml(title)}</h2>`);
+    if (kind === 'paragraphs') {
+      body.push(items.map(item => `<p>${escapeHtml(item)}</p>`).join('\n'));
+    } else if (kind === 'tasks') {
+      body.push(`<ul>${items.map(({ task, owner, due, status }) => (
+        `<li${status && status !== 'open' ? ` class="${status}"` : ''}>${escapeHtml(task)}${status && status !== 'open' ? ` (${status})` : ''}${owner ? ` <span class="owner">${escapeHtml(owner)}</span>` : ''}${due ? ` - due ${escapeHtml(due)}` : ''}</li>`
+      )).join('')}</ul>`);
+    } else {
+      body.push(`<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    }
+  }
+
+  if (report.transcript.length > 0) {
+    body.push('<h2>Transcript</h2>');
+    body.push(report.transcript.map(({ time, speaker, text }) => [
+      '<p class="line">',
+      time ? `<span class="time">${time}</span> ` : '',
+      speaker ? `<strong>${escapeHtml(speaker)}:</strong> ` : '',
+      escapeHtml(text),
+      '</p>',
+    ].join('')).join('\n'));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #212529; line-height: 1.6; }
+  h2 { border-bottom: 1px solid #dee2e6; padding-bottom: 4px; margin-top: 32px; }
+  .details { color: #6c757d; }
+  .done, .cancelled { color: #6c757d; }
+  .cancelled { text-decoration: line-through; }
+  .owner { background: #e7f3ff; color: #0056b3; border-radius: 10px; padding: 1px 8px; font-size: 0.85em; }
+  .line { margin: 6px 0; }
+  .time { font-family: monospace; color: #6c757d; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+};
+
+/**
+ * Build a JSON export of the full meeting record
+ * @param {Object} record - Output of loadMeetingRecord
+ * @returns {string} Pretty-printed JSON
+ */
+export const toJsonExport = ({ meeting, project, summary, segments, speakers, actionItems = [], transcript }) => JSON.stringify({
+  meeting: {
+    id: meeting.id,
+    title: meeting.title,
+    date: meeting.date,
+    duration: meeting.duration,
+    project: project ? { id: project.id, name: project.name } : null,
+  },
+  summary,
+  speakers: speakers.map(({ label, display_name, talk_time }) => ({ label, name: display_name, talk_time })),
+  action_items: actionItems.map(({ task, owner, due_date, status, completed_at }) => ({
+    task, owner, due_date, status, completed_at,
+  })),
+  segments: segments.map(({ idx, start, end, speaker, speaker_name, text }) => ({
+    idx, start, end, speaker, speaker_name, text,
+  })),
+  transcript,
+  exportedAt: new Date().toISOString(),
+}, null, 2);
+
+/**
+ * Render a meeting in an export format
+ * @param {Object} record - Output of loadMeetingRecord
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} File content
+ */
+export const renderExport = (record, format) => {
+  switch (format) {
+    case 'srt': return toSrt(record.segments);
+    case 'vtt': return toVtt(record.segments);
+    case 'json': return toJsonExport(record);
+    case 'html': return toHtmlReport(record);
+    default: return toMarkdownReport(record);
+  }
+};
+
+/**
+ * File name for an export, e.g. "2024-03-05-sprint-planning.md"
+ * @param {Object} meeting - Meeting row
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} File name
+ */
+export const getExportFilename = (meeting, format) => {
+  const slug = (meeting.title || 'meeting').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  const date = /^\d{4}-\d{2}-\d{2}/.exec(meeting.date || '')?.[0];
+  return `${[date, slug || 'meeting'].filter(Boolean).join('-')}.${EXPORT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,621 @@
+import fs from 'fs/promises';
+import {
+  getMeetingById,
+  updateMeeting,
+  createMeetingMetadata,
+  getMeetingMetadata,
+  updateMeetingMetadata,
+  getActiveJobForMeeting,
+  markMeetingProcessingStarted,
+  updateMeetingStatus,
+  markMeetingProcessingFinished,
+  runTransaction,
+} from '../db/database.js';
+import { transcribeWithRetry, saveTranscript, readTranscript } from './transcription.js';
+import { getTranscriptionProvider } from './transcriptionProviders.js';
+import { getAudioPreprocessingOptions } from './settingsService.js';
+import { analyzeMeeting, saveSummary, readSummary } from './aiAnalysis.js';
+import { buildSearchIndex } from './searchIndex.js';
+import { emitMeetingStatus, emitDecisionConflicts, MeetingStatus } from './socketService.js';
+import { throwIfCancelled, isCancelledError } from './cancellation.js';
+import { createCheckpointStore, removeWorkFiles, PipelineStep } from './checkpoints.js';
+import { diarizeSegments, formatSpeakerTranscript } from './diarization.js';
+import { saveDetectedSpeakers, getSpeakerNames } from './speakers.js';
+import { saveTranscriptSegments, getSegments } from './segments.js';
+import { getGlossary, buildTranscriptionPrompt, applyGlossary } from './glossary.js';
+import { getMeetingTypeForMeeting } from './meetingTypes.js';
+import {
+  syncMeetingActionItems,
+  getOpenActionItemsForMeeting,
+  applyActionItemUpdates,
+} from './actionItems.js';
+import { syncMeetingDecisions, getPriorDecisionsForMeeting } from './decisions.js';
+import { checkMeetingForContradictions } from './contradictions.js';
+import { isVideoFile, resolveAudioPath } from './audioProcessor.js';
+import { extractAudio } from './audioChunker.js';
+import {
+  registerJobHandler,
+  enqueueJob,
+  getQueuePosition,
+  JobType,
+} from './jobQueue.js';
+
+// Statuses stored in meetings.status (a subset of the socket status events)
+export const MEETING_STATUSES = [
+  MeetingStatus.QUEUED,
+  MeetingStatus.TRANSCRIBING,
+  MeetingStatus.DIARIZING,
+  MeetingStatus.SAVING,
+  MeetingStatus.ANALYZING,
+  MeetingStatus.INDEXING,
+  MeetingStatus.COMPLETED,
+  MeetingStatus.CANCELLED,
+  MeetingStatus.ERROR,
+];
+
+// Machine-readable failure reasons stored in meetings.error_code
+export const ErrorCode = {
+  TIMEOUT: 'timeout',
+  RATE_LIMIT: 'rate_limit',
+  QUOTA: 'quota_exceeded',
+  AUTH: 'auth_failed',
+  NETWORK: 'network_error',
+  AUDIO: 'audio_error',
+  TRANSCRIPTION: 'transcription_failed',
+  ANALYSIS: 'analysis_failed',
+  INDEXING: 'indexing_failed',
+  INTERRUPTED: 'interrupted',
+  UNKNOWN: 'processing_failed',
+};
+
+/**
+ * Map a processing error to an error code
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} status - Meeting status when the error happened
+ * @returns {string} One of ErrorCode
+ */
+export function getErrorCode(error, status) {
+  const message = error?.message || '';
+
+  if (/timed out/i.test(message)) return ErrorCode.TIMEOUT;
+  if (/rate limit/i.test(message)) return ErrorCode.RATE_LIMIT;
+  if (/quota|insufficient credits|billing/i.test(message)) return ErrorCode.QUOTA;
+  if (/API key/i.test(message)) return ErrorCode.AUTH;
+  if (/network|connection|ECONNRESET|ETIMEDOUT/i.test(message)) return ErrorCode.NETWORK;
+  if (/ffmpeg|probe audio|split audio|audio duration|audio file/i.test(message)) return ErrorCode.AUDIO;
+  if (/interrupted by a restart/i.test(message)) return ErrorCode.INTERRUPTED;
+
+  switch (status) {
+    case MeetingStatus.TRANSCRIBING:
+    case MeetingStatus.SAVING:
+      return ErrorCode.TRANSCRIPTION;
+    case MeetingStatus.ANALYZING:
+      return ErrorCode.ANALYSIS;
+    case MeetingStatus.INDEXING:
+      return ErrorCode.INDEXING;
+    default:
+      return ErrorCode.UNKNOWN;
+  }
+}
+
+/**
+ * Record the current processing step on the meeting and notify clients
+ * @param {number} meetingId - Meeting ID
+ * @param {string} status - One of MEETING_STATUSES
+ * @param {string} message - Human-readable step description
+ * @param {Object} data - Extra fields for the socket event, e.g. { progress: { completed, total } }
+ */
+function setMeetingStatus(meetingId, status, message, data = {}) {
+  updateMeetingStatus.run(status, message, meetingId);
+  emitMeetingStatus(meetingId, status, { message, ...data });
+}
+
+/**
+ * Wrap async function with timeout
+ * @param {Promise} promise - Promise to wrap
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} operationName - Name of operation for error message
+ * @param {Function} onTimeout - Called when the timeout fires, e.g. to abort the work (optional)
+ * @returns {Promise} Promise that rejects if timeout is exceeded
+ */
+function withTimeout(promise, timeoutMs, operationName, onTimeout = null) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        if (onTimeout) onTimeout();
+        reject(new Error(`${operationName} timed out after ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calculate adaptive timeout based on file size
+ * @param {string} audioPath - Path to audio file
+ * @returns {number} Timeout in milliseconds
+ */
+async function calculateTimeout(audioPath) {
+  try {
+    const stats = await fs.stat(audioPath);
+    const fileSizeMB = stats.size / (1024 * 1024);
+
+    // Adaptive timeout based on file size:
+    // Timeouts account for: chunking, transcription, network retries (up to 155s/chunk), and AI analysis
+    // - Small files (<10MB): 8 minutes (single chunk + retries + AI)
+    // - Medium files (10-30MB): 15 minutes (2-3 chunks + retries + AI)
+    // - Large files (30-50MB): 40 minutes (4-5 chunks + retries + AI)
+    // - Very large files (50-80MB): 50 minutes (6-8 chunks with 5-min segments + retries)
+    // - Huge files (>80MB): 75 minutes (many chunks + retries)
+    if (fileSizeMB < 10) {
+      return 8 * 60 * 1000; // 8 minutes
+    } else if (fileSizeMB < 30) {
+      return 15 * 60 * 1000; // 15 minutes
+    } else if (fileSizeMB < 50) {
+      return 40 * 60 * 1000; // 40 minutes - increased for long recordings with chunking
+    } else if (fileSizeMB < 80) {
+      return 50 * 60 * 1000; // 50 minutes - increased for better reliability
+    } else {
+      return 75 * 60 * 1000; // 75 minutes for huge files - increased for safety
+    }
+  } catch (error) {
+    console.warn('Could not determine file size, using default timeout:', error.message);
+    return 15 * 60 * 1000; // Default 15 minutes
+  }
+}
+
+/**
+ * Mark a meeting as failed so the frontend stops waiting for it
+ * @param {number} meetingId - Meeting ID
+ * @param {Error} error - Error that stopped processing
+ */
+function markMeetingError(meetingId, error) {
+  try {
+    const meeting = getMeetingById.get(meetingId);
+    if (!meeting) return;
+
+    const errorCode = getErrorCode(error, meeting.status);
+    markMeetingProcessingFinished.run(MeetingStatus.ERROR, error.message, errorCode, meetingId);
+    console.error(`Marked meeting ${meetingId} with error status (${errorCode})`);
+  } catch (updateError) {
+    console.error(`Failed to mark meeting ${meetingId} with error:`, updateError);
+  }
+}
+
+/**
+ * Check a meeting's decisions against the project's earlier decisions and wiki, and tell every
+ * client when something contradicts them
+ * The check is best effort - if it fails the meeting still completes, without warnings
+ * @param {number} meetingId - Meeting ID
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<boolean>} Whether the check ran to the end
+ */
+async function checkForContradictions(meetingId, signal) {
+  try {
+    const conflicts = await checkMeetingForContradictions(meetingId, { signal });
+    console.log(`Step 8: ${conflicts.length} possible contradiction(s) with earlier decisions`);
+    if (conflicts.length > 0) {
+      const meeting = getMeetingById.get(meetingId);
+      emitDecisionConflicts(meetingId, { meetingTitle: meeting?.title, count: conflicts.length });
+    }
+    return true;
+  } catch (error) {
+    if (isCancelledError(error, signal)) throw error;
+    console.warn(`Contradiction check failed for meeting ${meetingId} - continuing without it:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Label transcript segments with speakers
+ * Diarization is best effort - if it fails the meeting is processed without speaker labels
+ * @param {number} meetingId - Meeting ID
+ * @param {string} audioPath - Path to audio file
+ * @param {Array<Object>} segments - Whisper segments
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<Array<Object>>} Segments, with speaker labels when diarization succeeded
+ */
+async function identifySpeakers(meetingId, audioPath, segments, signal) {
+  try {
+    const diarized = await diarizeSegments(audioPath, segments, { meetingId, signal });
+    saveDetectedSpeakers(meetingId, diarized);
+    return diarized;
+  } catch (error) {
+    if (isCancelledError(error, signal)) throw error;
+    console.warn(`Speaker diarization failed for meeting ${meetingId} - continuing without speakers:`, error.message);
+    return segments;
+  }
+}
+
+/**
+ * Replace an uploaded video with its audio track, so only the audio is transcribed and kept
+ * @param {number} meetingId - Meeting ID
+ * @param {string} videoPath - Stored path of the video
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<string>} Stored path of the extracted audio
+ */
+async function extractMeetingAudio(meetingId, videoPath, signal) {
+  setMeetingStatus(meetingId, MeetingStatus.TRANSCRIBING, 'Extracting audio from video...');
+  const audioPath = videoPath.replace(/\.[^./\\]+$/, '.m4a');
+  await extractAudio(resolveAudioPath(videoPath), resolveAudioPath(audioPath), { signal });
+
+  const meeting = getMeetingById.get(meetingId);
+  updateMeeting.run(
+    meeting.title,
+    meeting.date,
+    meeting.duration,
+    audioPath,
+    meeting.transcript_path,
+    meeting.summary_path,
+    meetingId
+  );
+  await fs.unlink(resolveAudioPath(videoPath)).catch(err =>
+    console.warn(`Could not delete video ${videoPath}:`, err.message)
+  );
+
+  return audioPath;
+}
+
+/**
+ * Load the transcript saved by an earlier run
+ * Meetings processed before checkpoints existed fall back to their transcript file (without segments)
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} checkpoints - Checkpoint store for the meeting
+ * @returns {Promise<Object|null>} Saved transcription, or null if the meeting must be transcribed
+ */
+async function loadSavedTranscription(meetingId, checkpoints) {
+  const saved = checkpoints.get(PipelineStep.TRANSCRIPTION);
+  if (saved) return saved;
+
+  const meeting = getMeetingById.get(meetingId);
+  if (!meeting?.transcript_path) return null;
+
+  const transcription = {
+    text: await readTranscript(meeting.transcript_path),
+    language: 'en',
+    duration: meeting.duration || 0,
+    segments: [],
+    txtPath: meeting.transcript_path,
+    mdPath: meeting.transcript_path.replace(/\.txt$/, '.md'),
+  };
+  checkpoints.save(PipelineStep.TRANSCRIPTION, transcription);
+  return transcription;
+}
+
+/**
+ * Load the analysis saved by an earlier run, falling back to the meeting's summary file
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} checkpoints - Checkpoint store for the meeting
+ * @returns {Promise<Object>} { analysis, summaryPath } - both null if the meeting must be analyzed
+ */
+async function loadSavedAnalysis(meetingId, checkpoints) {
+  const saved = checkpoints.get(PipelineStep.ANALYSIS);
+  const summaryPath = saved?.summaryPath || getMeetingById.get(meetingId)?.summary_path;
+  if (!summaryPath) {
+    return { analysis: null, summaryPath: null };
+  }
+
+  if (!saved) {
+    checkpoints.save(PipelineStep.ANALYSIS, { summaryPath });
+  }
+  return { analysis: await readSummary(summaryPath), summaryPath };
+}
+
+/**
+ * Transcribe, analyze and index a meeting
+ * Each step saves a checkpoint, so a retry continues after the last finished step (or chunk)
+ * Throws on failure - retries and error marking are handled by the job queue
+ * @param {number} meetingId - Meeting ID
+ * @param {string} audioPath - Path to audio file
+ * @param {string} title - Meeting title
+ * @param {string} date - Meeting date
+ * @param {Object} options - { signal } aborted when the user cancels processing
+ */
+export async function processMeeting(meetingId, audioPath, title, date, { signal = null } = {}) {
+  // Calculate adaptive timeout based on file size
+  const PROCESSING_TIMEOUT = await calculateTimeout(audioPath);
+
+  // Aborted on cancellation or timeout so Whisper, ffmpeg and LLM calls stop instead of running on
+  const controller = new AbortController();
+  const onCancel = () => controller.abort(signal.reason);
+  if (signal?.aborted) {
+    onCancel();
+  } else {
+    signal?.addEventListener('abort', onCancel, { once: true });
+  }
+  const stepSignal = controller.signal;
+
+  // Output of finished steps is saved so retries and reprocessing can skip them
+  const checkpoints = createCheckpointStore(meetingId);
+
+  // Project jargon steers transcription and analysis towards the right spelling
+  const glossary = getGlossary(getMeetingById.get(meetingId)?.project_id);
+
+  console.log(`\n=== Processing meeting ${meetingId} (timeout: ${PROCESSING_TIMEOUT / 1000}s) ===`);
+
+  // Emit processing started status
+  markMeetingProcessingStarted.run(MeetingStatus.TRANSCRIBING, 'Starting processing...', meetingId);
+  emitMeetingStatus(meetingId, MeetingStatus.PROCESSING_STARTED);
+
+  // Wrap the entire processing in a timeout
+  try {
+    await withTimeout(
+      (async () => {
+        // Step 1 & 2: Transcribe audio (with automatic chunking for large files) and save transcript
+        let transcription = await loadSavedTranscription(meetingId, checkpoints);
+        if (transcription) {
+          console.log('Step 1 & 2: Reusing saved transcript (checkpoint)');
+          // Transcripts saved before segments were stored in the database
+          if (transcription.segments?.length > 0 && getSegments(meetingId).length === 0) {
+            saveTranscriptSegments(meetingId, transcription.segments);
+          }
+        } else {
+          throwIfCancelled(stepSignal);
+          if (isVideoFile(audioPath)) {
+            console.log('Step 0: Extracting audio from video...');
+            audioPath = await extractMeetingAudio(meetingId, audioPath, stepSignal);
+          }
+
+          // Recordings transcribed while they were made don't go through Whisper again
+          let transcribed = checkpoints.get(PipelineStep.LIVE_TRANSCRIPTION);
+          if (transcribed) {
+            console.log('Step 1: Reusing the transcript made while recording');
+          } else {
+            console.log('Step 1: Transcribing audio...');
+            const provider = getTranscriptionProvider();
+            setMeetingStatus(meetingId, MeetingStatus.TRANSCRIBING, `Transcribing audio with ${provider.label}...`);
+            // Chunked recordings report each finished chunk, for a progress bar
+            const onProgress = ({ status, message, completed, total }) => {
+              if (status === 'chunk_done') {
+                setMeetingStatus(
+                  meetingId,
+                  MeetingStatus.TRANSCRIBING,
+                  `Transcribing audio with ${provider.label}... chunk ${completed}/${total} done`,
+                  { progress: { completed, total } }
+                );
+              } else if (message) {
+                setMeetingStatus(meetingId, MeetingStatus.TRANSCRIBING, message);
+              }
+            };
+            transcribed = await transcribeWithRetry(audioPath, meetingId, onProgress, {
+              signal: stepSignal,
+              checkpoints,
+              provider,
+              prompt: buildTranscriptionPrompt(glossary),
+              preprocessing: getAudioPreprocessingOptions(),
+            });
+            if (transcribed.preprocessing) {
+              const { removedSeconds, originalDuration } = transcribed.preprocessing;
+              console.log(`Step 1: Preprocessing removed ${removedSeconds.toFixed(1)}s of ${originalDuration.toFixed(1)}s`);
+            }
+          }
+
+          const { transcription: result, replacements } = applyGlossary(transcribed, glossary);
+          if (replacements > 0) {
+            console.log(`Step 1a: Corrected ${replacements} glossary term(s) in the transcript`);
+          }
+
+          throwIfCancelled(stepSignal);
+          console.log('Step 1b: Identifying speakers...');
+          setMeetingStatus(meetingId, MeetingStatus.DIARIZING, 'Identifying speakers...');
+          const segments = await identifySpeakers(meetingId, audioPath, result.segments || [], stepSignal);
+
+          throwIfCancelled(stepSignal);
+          console.log('Step 2: Saving transcript...');
+          setMeetingStatus(meetingId, MeetingStatus.SAVING, 'Saving transcript...');
+          const transcriptPaths = await saveTranscript(
+            result.text,
+            meetingId,
+            {
+              title,
+              date,
+              duration: result.duration,
+              segments,
+              speakers: getSpeakerNames(meetingId),
+              preprocessing: result.preprocessing,
+            }
+          );
+
+          transcription = {
+            text: result.text,
+            language: result.language,
+            duration: result.duration,
+            segments,
+            ...(result.preprocessing ? { preprocessing: result.preprocessing } : {}),
+            ...transcriptPaths,
+          };
+          checkpoints.save(PipelineStep.TRANSCRIPTION, transcription);
+          saveTranscriptSegments(meetingId, segments);
+
+          // The transcript checkpoint replaces the converted audio and per-chunk results
+          await removeWorkFiles(meetingId);
+        }
+
+        // Step 3 & 4: Analyze transcript and save summary
+        let { analysis, summaryPath } = await loadSavedAnalysis(meetingId, checkpoints);
+        if (analysis) {
+          console.log('Step 3 & 4: Reusing saved analysis (checkpoint)');
+        } else {
+          throwIfCancelled(stepSignal);
+          // The meeting type picks the summary's sections (standup, retro, ...)
+          const meeting = getMeetingById.get(meetingId);
+          const meetingType = getMeetingTypeForMeeting(meeting);
+          console.log(`Step 3: Analyzing meeting (${meetingType.name})...`);
+          setMeetingStatus(meetingId, MeetingStatus.ANALYZING, 'Generating AI summary...');
+          // Speaker-labelled text lets the model attribute decisions and action item owners
+          const analysisInput = formatSpeakerTranscript(transcription.segments, getSpeakerNames(meetingId)) || transcription.text;
+          analysis = await analyzeMeeting(analysisInput, null, {
+            signal: stepSignal,
+            glossary,
+            meetingType,
+            meetingDate: meeting.date,
+            // The project's open items, so follow-ups close or update them instead of being added again
+            openActionItems: getOpenActionItemsForMeeting(meeting),
+            // Earlier decisions, so the decision log can link the ones this meeting replaces
+            priorDecisions: getPriorDecisionsForMeeting(meeting),
+          });
+
+          throwIfCancelled(stepSignal);
+          console.log('Step 4: Saving summary...');
+          setMeetingStatus(meetingId, MeetingStatus.SAVING, 'Saving summary...');
+          summaryPath = await saveSummary(analysis, meetingId);
+          checkpoints.save(PipelineStep.ANALYSIS, { summaryPath });
+        }
+
+        // Step 5 & 6: Update meeting record and metadata in a transaction
+        // Last cancellation check before results are written, so a cancel is never overwritten
+        throwIfCancelled(stepSignal);
+        console.log('Step 5 & 6: Updating meeting record and metadata (transaction)...');
+        runTransaction(() => {
+          const meeting = getMeetingById.get(meetingId);
+          updateMeeting.run(
+            meeting.title,
+            meeting.date,
+            Math.floor(transcription.duration || 0),
+            meeting.audio_path,
+            transcription.txtPath,
+            summaryPath,
+            meetingId
+          );
+
+          // Extract AI model metadata
+          const aiModelInfo = analysis._metadata ? JSON.stringify(analysis._metadata) : null;
+          const existingMetadata = getMeetingMetadata.get(meetingId);
+
+          if (existingMetadata) {
+            updateMeetingMetadata.run(
+              JSON.stringify(analysis.key_decisions || []),
+              JSON.stringify(analysis.action_items || []),
+              JSON.stringify([]), // risks - deprecated
+              JSON.stringify([]), // open_questions - deprecated
+              aiModelInfo,
+              meetingId
+            );
+          } else {
+            createMeetingMetadata.run(
+              meetingId,
+              JSON.stringify(analysis.key_decisions || []),
+              JSON.stringify(analysis.action_items || []),
+              JSON.stringify([]), // risks - deprecated
+              JSON.stringify([]), // open_questions - deprecated
+              aiModelInfo
+            );
+          }
+
+          const carriedOver = getOpenActionItemsForMeeting(meeting);
+          const followUps = applyActionItemUpdates(meetingId, analysis.action_item_updates, {
+            analyzedAt: analysis._metadata?.analyzedAt,
+          });
+          const actionItems = syncMeetingActionItems(meetingId, analysis.action_items, { carriedOver });
+          console.log(`Step 6: Action items - ${actionItems.added} added, ${actionItems.kept} kept, ${actionItems.removed} removed; ` +
+            `${followUps.closed} earlier item(s) closed, ${followUps.updated} updated`);
+          const decisions = syncMeetingDecisions(meetingId, analysis, { priorDecisions: getPriorDecisionsForMeeting(meeting) });
+          console.log(`Step 6: Decisions - ${decisions.added} added, ${decisions.kept} kept, ${decisions.removed} removed; ` +
+            `${decisions.superseded} earlier decision(s) superseded`);
+        });
+
+        // Step 7: Build search index
+        throwIfCancelled(stepSignal);
+        if (checkpoints.get(PipelineStep.INDEX)) {
+          console.log('Step 7: Search index already built (checkpoint)');
+        } else {
+          console.log('Step 7: Building search index...');
+          setMeetingStatus(meetingId, MeetingStatus.INDEXING, 'Building search index...');
+          await buildSearchIndex(meetingId, transcription.text, analysis);
+          checkpoints.save(PipelineStep.INDEX, { indexedAt: new Date().toISOString() });
+        }
+
+        // Step 8: Check decisions for contradictions with earlier ones
+        throwIfCancelled(stepSignal);
+        if (checkpoints.get(PipelineStep.CONTRADICTIONS)) {
+          console.log('Step 8: Decisions already checked for contradictions (checkpoint)');
+        } else {
+          console.log('Step 8: Checking decisions for contradictions...');
+          setMeetingStatus(meetingId, MeetingStatus.ANALYZING, 'Checking decisions against earlier ones...');
+          if (await checkForContradictions(meetingId, stepSignal)) {
+            checkpoints.save(PipelineStep.CONTRADICTIONS, { checkedAt: new Date().toISOString() });
+          }
+        }
+
+        // A cancellation during the last step must not be overwritten with 'completed'
+        throwIfCancelled(stepSignal);
+        console.log(`=== Meeting ${meetingId} processing complete ===\n`);
+
+        // Emit completion status
+        markMeetingProcessingFinished.run(MeetingStatus.COMPLETED, null, null, meetingId);
+        const completedMeeting = getMeetingById.get(meetingId);
+        emitMeetingStatus(meetingId, MeetingStatus.COMPLETED, { meeting: completedMeeting });
+      })(),
+      PROCESSING_TIMEOUT,
+      `Meeting ${meetingId} processing`,
+      () => controller.abort()
+    );
+  } finally {
+    signal?.removeEventListener('abort', onCancel);
+  }
+}
+
+/**
+ * Queue a meeting for background processing
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object} Queued job
+ */
+export function enqueueMeetingProcessing(meetingId) {
+  const job = enqueueJob(JobType.PROCESS_MEETING, meetingId);
+  const position = getQueuePosition(job);
+  const message = position > 1 ? `Queued for processing (position ${position})` : 'Queued for processing...';
+
+  updateMeetingStatus.run(MeetingStatus.QUEUED, message, meetingId);
+  emitMeetingStatus(meetingId, MeetingStatus.QUEUED, {
+    jobId: job.id,
+    position,
+    message,
+  });
+
+  return job;
+}
+
+// Job handler: the meeting row is the source of truth, so a job only carries the meeting ID
+registerJobHandler(
+  JobType.PROCESS_MEETING,
+  async (job, { signal }) => {
+    const meeting = getMeetingById.get(job.meeting_id);
+    if (!meeting) {
+      console.warn(`Meeting ${job.meeting_id} no longer exists - skipping job ${job.id}`);
+      return;
+    }
+
+    try {
+      await processMeeting(meeting.id, meeting.audio_path, meeting.title, meeting.date, { signal });
+    } catch (error) {
+      if (isCancelledError(error, signal)) {
+        console.log(`Processing of meeting ${meeting.id} stopped after cancellation`);
+
+        // Reprocessing cancels the old job and queues a new one - don't report that one as cancelled
+        const activeJob = getActiveJobForMeeting.get(meeting.id);
+        if (!activeJob) {
+          emitMeetingStatus(meeting.id, MeetingStatus.CANCELLED, { message: 'Processing cancelled by user' });
+        }
+        throw error;
+      }
+
+      console.error(`Failed to process meeting ${meeting.id} (attempt ${job.attempts}/${job.max_attempts}):`, error);
+      throw error;
+    }
+  },
+  {
+    onRetry: (job, error, delaySeconds) => {
+      const message = `Attempt ${job.attempts} failed (${error.message}). Retrying in ${delaySeconds}s...`;
+      updateMeetingStatus.run(MeetingStatus.QUEUED, message, job.meeting_id);
+      emitMeetingStatus(job.meeting_id, MeetingStatus.QUEUED, {
+        jobId: job.id,
+        message,
+      });
+    },
+    onFailure: (job, error) => {
+      markMeetingError(job.meeting_id, error);
+      emitMeetingStatus(job.meeting_id, MeetingStatus.ERROR, { error: error.message });
+    },
+  }
+);
@@ -0,0 +1,320 @@
+import { getMeetingTypes as getMeetingTypeRows, getMeetingTypeById } from '../db/database.js';
+
+// How a summary section is stored, and how the analysis prompt asks for it.
+// Kinds holding objects are listed in OBJECT_KINDS so the prompt can say where objects belong
+export const SECTION_KINDS = {
+  text: 'A string',
+  note: 'A paragraph string',
+  tags: 'An array of short strings',
+  paragraphs: 'An array of paragraph strings, each a complete paragraph',
+  list: 'An array of strings (empty array if none)',
+  tasks: 'An array of objects with "task", "owner" and "due" fields - "due" is the deadline as YYYY-MM-DD if one was given, otherwise null (empty array if none)',
+  records: 'An array of objects with the section\'s fields (empty array if none)',
+};
+
+const OBJECT_KINDS = ['tasks', 'records'];
+
+export const DEFAULT_MEETING_TYPE = 'general';
+
+const CUSTOM_KEY_PREFIX = 'custom-';
+
+// key_decisions and action_items feed the meeting metadata, search index and wiki, so every
+// built-in type keeps them under those keys
+const decisionsSection = {
+  key: 'key_decisions',
+  title: 'Key Decisions',
+  kind: 'list',
+  description: 'Concrete decisions made during the meeting. For each decision, include WHY it was made if discussed',
+};
+
+const actionItemsSection = (title = 'Action Items') => ({
+  key: 'action_items',
+  title,
+  kind: 'tasks',
+  description: 'Specific follow-up actions. The owner is usually the person who committed to the task',
+});
+
+const overviewSection = {
+  key: 'overview',
+  title: 'Overview',
+  kind: 'text',
+  description: 'A 2-3 sentence high-level summary of what the meeting covered',
+};
+
+export const BUILT_IN_MEETING_TYPES = [
+  {
+    key: 'general',
+    name: 'General',
+    description: 'Any meeting - a detailed journal of the discussion',
+    instructions: null,
+    sections: [
+      overviewSection,
+      {
+        key: 'context',
+        title: 'Context & Background',
+        kind: 'note',
+        description: 'Background context - why this meeting happened, what led to these discussions, relevant prior decisions or history mentioned',
+      },
+      {
+        key: 'discussion_topics',
+        title: 'Discussion Topics',
+        kind: 'tags',
+        description: 'Topics covered, e.g. ["Feature planning", "Technical architecture", "User feedback"]',
+      },
+      {
+        key: 'detailed_discussion',
+        title: 'Detailed Discussion',
+        kind: 'paragraphs',
+        description: 'Paragraphs of 2-4 sentences explaining what was talked about, the context, different viewpoints mentioned, and conclusions reached. Be thorough - capture the conversation flow and reasoning. INCLUDE OPTIONS THAT WERE DISCUSSED (even if not chosen), TRADE-OFFS CONSIDERED, and CONCERNS RAISED',
+      },
+      decisionsSection,
+      actionItemsSection(),
+      {
+        key: 'technical_details',
+        title: 'Technical Details',
+        kind: 'list',
+        description: 'Technical details - implementations, technologies, APIs, approaches, code details, etc. Include both what was discussed and WHY in each string. INCLUDE ALTERNATIVES THAT WERE CONSIDERED and reasons they were/weren\'t chosen',
+      },
+    ],
+  },
+  {
+    key: 'standup',
+    name: 'Standup',
+    description: 'Daily standup - what each person did, will do and is blocked by',
+    instructions: 'Keep each update short and attribute it to the person who gave it. Do not invent updates for people who did not speak.',
+    sections: [
+      overviewSection,
+      {
+        key: 'updates',
+        title: 'Updates',
+        kind: 'records',
+        fields: ['person', 'yesterday', 'today', 'blockers'],
+        description: 'One entry per person who gave an update: what they did since the last standup, what they will do next and anything blocking them (empty string if nothing)',
+      },
+      {
+        key: 'blockers',
+        title: 'Blockers Needing Help',
+        kind: 'list',
+        description: 'Blockers that need someone else to act, naming who is blocked and who can help',
+      },
+      decisionsSection,
+      actionItemsSection(),
+    ],
+  },
+  {
+    key: 'retro',
+    name: 'Retrospective',
+    description: 'Sprint or project retrospective',
+    instructions: 'Merge similar points raised by several people into one item and say how many people raised it when that is clear. Actions are the concrete changes the team agreed to make.',
+    sections: [
+      overviewSection,
+      {
+        key: 'went_well',
+        title: 'What Went Well',
+        kind: 'list',
+        description: 'Things the team wants to keep doing',
+      },
+      {
+        key: 'did_not_go_well',
+        title: 'What Didn\'t Go Well',
+        kind: 'list',
+        description: 'Problems, frustrations and things that slowed the team down, with their causes if discussed',
+      },
+      {
+        key: 'ideas',
+        title: 'Ideas to Try',
+        kind: 'list',
+        description: 'Improvements suggested but not (yet) agreed as actions',
+      },
+      decisionsSection,
+      actionItemsSection('Actions'),
+    ],
+  },
+  {
+    key: 'customer_call',
+    name: 'Customer Call',
+    description: 'Call with a customer or prospect',
+    instructions: 'Keep what the customer said apart from what the team said. Quote the customer\'s own words for important requests and complaints.',
+    sections: [
+      overviewSection,
+      {
+        key: 'context',
+        title: 'Customer & Context',
+        kind: 'note',
+        description: 'Who the customer is, their situation and why the call happened',
+      },
+      {
+        key: 'customer_needs',
+        title: 'Needs & Pain Points',
+        kind: 'list',
+        description: 'What the customer needs or struggles with',
+      },
+      {
+        key: 'feedback',
+        title: 'Product Feedback',
+        kind: 'list',
+        description: 'Feedback on the product - praise, complaints and feature requests',
+      },
+      {
+        key: 'commitments',
+        title: 'Commitments Made',
+        kind: 'list',
+        description: 'Promises made to the customer - features, dates, prices or follow-ups - and who made them',
+      },
+      decisionsSection,
+      actionItemsSection('Follow-ups'),
+    ],
+  },
+  {
+    key: 'design_review',
+    name: 'Design Review',
+    description: 'Review of a technical or product design',
+    instructions: 'State in key_decisions whether the design was approved, approved with changes or sent back for rework.',
+    sections: [
+      overviewSection,
+      {
+        key: 'proposal',
+        title: 'Proposal',
+        kind: 'paragraphs',
+        description: 'The design being reviewed - what it does, how it works and why it is needed',
+      },
+      {
+        key: 'alternatives',
+        title: 'Alternatives Considered',
+        kind: 'list',
+        description: 'Other approaches discussed and why they were or weren\'t chosen',
+      },
+      {
+        key: 'concerns',
+        title: 'Concerns & Risks',
+        kind: 'list',
+        description: 'Concerns, risks and objections raised, and who raised them',
+      },
+      decisionsSection,
+      {
+        key: 'open_questions',
+        title: 'Open Questions',
+        kind: 'list',
+        description: 'Questions left unanswered that need follow-up',
+      },
+      actionItemsSection(),
+    ],
+  },
+].map(type => ({ ...type, builtIn: true }));
+
+/**
+ * Parse a meeting_types row from the database
+ * @param {Object} row - meeting_types row
+ * @returns {Object} Meeting type ({ key, id, name, description, instructions, sections, builtIn, ... })
+ */
+export const formatMeetingType = (row) => ({
+  key: `${CUSTOM_KEY_PREFIX}${row.id}`,
+  id: row.id,
+  project_id: row.project_id,
+  name: row.name,
+  description: row.description,
+  instructions: row.instructions,
+  sections: JSON.parse(row.sections || '[]'),
+  builtIn: false,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+/**
+ * Get the meeting types a project can use - the built-in ones followed by the project's own
+ * @param {number|null} projectId - Project ID (meetings without a project only have the built-in types)
+ * @returns {Array<Object>} Meeting types
+ */
+export const getMeetingTypes = (projectId) => {
+  const custom = projectId ? getMeetingTypeRows.all(projectId).map(formatMeetingType) : [];
+  return [...BUILT_IN_MEETING_TYPES, ...custom];
+};
+
+/**
+ * Look up a meeting type by key
+ * @param {string} key - Built-in key ('standup', ...) or 'custom-<id>'
+ * @param {number|null} projectId - Project the meeting belongs to - custom types only apply to their project
+ * @returns {Object|null} Meeting type, or null if the project has no such type
+ */
+export const findMeetingType = (key, projectId) => {
+  if (!key) return null;
+
+  if (key.startsWith(CUSTOM_KEY_PREFIX)) {
+    const id = Number(key.slice(CUSTOM_KEY_PREFIX.length));
+    const row = projectId && Number.isInteger(id) ? getMeetingTypeById.get(id, projectId) : null;
+    return row ? formatMeetingType(row) : null;
+  }
+
+  return BUILT_IN_MEETING_TYPES.find(type => type.key === key) || null;
+};
+
+/**
+ * The meeting type a meeting is analyzed with
+ * Meetings without a type, or whose custom type was deleted, are analyzed as general meetings
+ * @param {Object} meeting - meetings row
+ * @returns {Object} Meeting type
+ */
+export const getMeetingTypeForMeeting = (meeting) => (
+  findMeetingType(meeting?.meeting_type, meeting?.project_id) || findMeetingType(DEFAULT_MEETING_TYPE)
+);
+
+/**
+ * The sections a summary was written with. Summaries keep a copy of their type's sections,
+ * so editing or deleting the type later doesn't change how they read; summaries from before
+ * meeting types existed have the general sections
+ * @param {Object} summary - Saved summary
+ * @returns {Array<Object>} Sections ({ key, title, kind, description, fields? })
+ */
+export const getSummarySections = (summary) => (
+  summary?.meeting_type?.sections || findMeetingType(DEFAULT_MEETING_TYPE).sections
+);
+
+/**
+ * Describe the JSON fields of a meeting type for the analysis prompt
+ * @param {Object} meetingType - Meeting type
+ * @returns {string} Numbered field list followed by a note on where objects are allowed
+ */
+export const describeSectionsForPrompt = (meetingType) => {
+  const fields = meetingType.sections.map((section, index) => {
+    const description = (section.description || section.title).replace(/[.\s]+$/, '');
+    const shape = section.kind === 'records'
+      ? `An array of objects with the string fields ${section.fields.map(field => `"${field}"`).join(', ')} (empty array if none)`
+      : SECTION_KINDS[section.kind];
+    return `${index + 1}. "${section.key}": ${description}. ${shape}.`;
+  });
+
+  const objectKeys = meetingType.sections
+    .filter(section => OBJECT_KINDS.includes(section.kind))
+    .map(section => section.key);
+  const note = objectKeys.length > 0
+    ? `IMPORTANT: Arrays contain simple strings, not objects, EXCEPT ${objectKeys.join(' and ')} which contain the objects described above.`
+    : 'IMPORTANT: Arrays contain simple strings, not objects.';
+
+  return `${fields.join('\n')}\n\n${note}`;
+};
+
+/**
+ * Keep only the fields a meeting type defines, each in the shape of its section
+ * @param {Object} parsed - Parsed model response
+ * @param {Object} meetingType - Meeting type
+ * @returns {Object} Summary fields
+ */
+export const normalizeAnalysis = (parsed, meetingType) => Object.fromEntries(
+  meetingType.sections.map(({ key, kind }) => {
+    const value = parsed?.[key];
+    if (kind === 'text' || kind === 'note') {
+      return [key, typeof value === 'string' ? value : ''];
+    }
+    if (!Array.isArray(value)) {
+      return [key, []];
+    }
+    return [key, kind === 'records' ? value.filter(item => typeof item === 'object' && item !== null) : value];
+  })
+);
+
+/**
+ * The copy of a meeting type saved with its summary
+ * @param {Object} meetingType - Meeting type
+ * @returns {Object} { key, name, sections }
+ */
+export const describeMeetingTypeForSummary = ({ key, name, sections }) => ({ key, name, sections });
@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import cron from 'node-cron';
+import {
+  createUpload,
+  getUploadById,
+  touchUpload,
+  deleteUpload,
+  getStaleUploads,
+  upsertUploadPart,
+  getUploadParts,
+} from '../db/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, '../../storage/uploads');
+const AUDIO_DIR = path.join(__dirname, '../../storage/audio');
+
+// Recordings sent in parts aren't bound by the single-request limit
+export const MAX_RESUMABLE_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE_MB || '500', 10) * 1024 * 1024;
+
+export const DEFAULT_PART_SIZE = 5 * 1024 * 1024; // 5MB
+export const MIN_PART_SIZE = 256 * 1024; // 256KB
+export const MAX_PART_SIZE = 16 * 1024 * 1024; // 16MB
+
+// Unfinished uploads are kept this long after their last part, so a client can resume
+const STALE_UPLOAD_HOURS = parseInt(process.env.UPLOAD_RETENTION_HOURS || '24', 10);
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * SHA-256 of a buffer, as the client computes it for each part
+ * @param {Buffer} buffer - Data
+ * @returns {string} Lowercase hex digest
+ */
+export const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const partPath = (uploadId, index) => path.join(UPLOADS_DIR, uploadId, `${index}.part`);
+
+/**
+ * Describe an upload session for API responses
+ * @param {Object} upload - Upload row
+ * @returns {Object} { id, filename, size, partSize, totalParts, receivedParts, receivedBytes, complete }
+ */
+export const describeUpload = (upload) => {
+  const parts = getUploadParts.all(upload.id);
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    partSize: upload.part_size,
+    totalParts: upload.total_parts,
+    receivedParts: parts.map(part => part.part_index),
+    receivedBytes: parts.reduce((sum, part) => sum + part.size, 0),
+    complete: parts.length === upload.total_parts,
+  };
+};
+
+/**
+ * Start a resumable upload
+ * @param {Object} file - { filename, mimetype, size, partSize } - validated by the caller
+ * @returns {Object} Upload row
+ */
+export const createUploadSession = ({ filename, mimetype = null, size, partSize = DEFAULT_PART_SIZE }) => {
+  const id = crypto.randomUUID();
+  const totalParts = Math.max(1, Math.ceil(size / partSize));
+  createUpload.run(id, path.basename(filename), mimetype, size, partSize, totalParts);
+  return getUploadById.get(id);
+};
+
+/**
+ * Size a part must have - every part is part_size bytes except the last, which holds the rest
+ * @param {Object} upload - Upload row
+ * @param {number} index - Part index (0-based)
+ * @returns {number} Expected size in bytes
+ */
+export const getExpectedPartSize = (upload, index) => {
+  return index < upload.total_parts - 1
+    ? upload.part_size
+    : upload.size - upload.part_size * (upload.total_parts - 1);
+};
+
+/**
+ * Validate a received part against the session and the client's checksum
+ * @param {Object} upload - Upload row
+ * @param {number} index - Part index (0-based)
+ * @param {Buffer} data - Part content
+ * @param {string} checksum - SHA-256 hex digest sent by the client
+ * @returns {Object} Validation result
+ */
+export const checkUploadPart = (upload, index, data, checksum) => {
+  if (!Number.isInteger(index) || index < 0 || index >= upload.total_parts) {
+    return { valid: false, error: `Part index must be between 0 and ${upload.total_parts - 1}` };
+  }
+
+  if (!SHA256_PATTERN.test(checksum || '')) {
+    return { valid: false, error: 'A SHA-256 checksum (hex) is required for each part' };
+  }
+
+  const expectedSize = getExpectedPartSize(upload, index);
+  if (data.length !== expectedSize) {
+    return { valid: false, error: `Part ${index} should be ${expectedSize} bytes, received ${data.length}` };
+  }
+
+  if (sha256(data) !== checksum) {
+    return { valid: false, error: `Checksum mismatch for part ${index} - please resend it` };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Store a verified part. Sending a part again replaces it
+ * @param {Object} upload - Upload row
+ * @param {number} index - Part index
+ * @param {Buffer} data - Part content (checked with checkUploadPart)
+ * @param {string} checksum - SHA-256 hex digest
+ * @returns {Promise<void>}
+ */
+export const saveUploadPart = async (upload, index, data, checksum) => {
+  const target = partPath(upload.id, index);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+
+  // Write then rename, so an interrupted write never leaves a partial part behind
+  await fs.writeFile(`${target}.tmp`, data);
+  await fs.rename(`${target}.tmp`, target);
+
+  upsertUploadPart.run(upload.id, index, data.length, checksum);
+  touchUpload.run(upload.id);
+};
+
+/**
+ * Parts the server hasn't received yet
+ * @param {Object} upload - Upload row
+ * @returns {Array<number>} Missing part indexes
+ */
+export const getMissingParts = (upload) => {
+  const received = new Set(getUploadParts.all(upload.id).map(part => part.part_index));
+  return Array.from({ length: upload.total_parts }, (_, i) => i).filter(i => !received.has(i));
+};
+
+/**
+ * Join the parts into a recording in storage/audio
+ * Parts are re-checked against their recorded checksums as they are copied
+ * @param {Object} upload - Upload row, with every part received
+ * @returns {Promise<Object>} { path, size, checksum } - checksum is the SHA-256 of the whole file
+ */
+export const assembleUpload = async (upload) => {
+  await fs.mkdir(AUDIO_DIR, { recursive: true });
+
+  const safeName = upload.filename.replace(/[^\w.-]+/g, '_');
+  const outputPath = path.join(AUDIO_DIR, `${Date.now()}-${safeName}`);
+  const hash = crypto.createHash('sha256');
+  const output = await fs.open(outputPath, 'w');
+
+  try {
+    for (const part of getUploadParts.all(upload.id)) {
+      const data = await fs.readFile(partPath(upload.id, part.part_index));
+      if (sha256(data) !== part.checksum) {
+        throw new Error(`Stored part ${part.part_index} of upload ${upload.id} is corrupt`);
+      }
+      hash.update(data);
+      await output.write(data);
+    }
+  } catch (error) {
+    await output.close();
+    await fs.unlink(outputPath).catch(() => {});
+    throw error;
+  }
+
+  await output.close();
+  return { path: outputPath, size: upload.size, checksum: hash.digest('hex') };
+};
+
+/**
+ * Delete an upload session and its parts
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<void>}
+ */
+export const removeUploadSession = async (uploadId) => {
+  deleteUpload.run(uploadId);
+  await fs.rm(path.join(UPLOADS_DIR, uploadId), { recursive: true, force: true });
+};
+
+/**
+ * Remove uploads that were abandoned before completing
+ * @returns {Promise<number>} Number of sessions removed
+ */
+export const cleanupStaleUploads = async () => {
+  try {
+    const stale = getStaleUploads.all(`-${STALE_UPLOAD_HOURS} hours`);
+    for (const upload of stale) {
+      await removeUploadSession(upload.id);
+      console.log(`Cleaned up abandoned upload: ${upload.filename} (${upload.id})`);
+    }
+    return stale.length;
+  } catch (error) {
+    console.error('Error during upload cleanup:', error);
+    return 0;
+  }
+};
+
+/**
+ * Setup cron job for removing abandoned uploads
+ * Runs every hour
+ */
+export const setupUploadCleanupCron = () => {
+  cron.schedule('0 * * * *', async () => {
+    await cleanupStaleUploads();
+  });
+
+  console.log(`Upload cleanup cron job scheduled (${STALE_UPLOAD_HOURS} hour retention)`);
+};
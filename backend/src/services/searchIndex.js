@@ -5,17 +5,26 @@ import {
   addToSearchIndex,
   searchMeetings as searchDB,
   clearSearchIndexForMeeting,
+  searchTranscriptSegments,
 } from '../db/database.js';
+import { getSummarySections } from './meetingTypes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const MAX_SEGMENT_HITS = 3; // Timestamped transcript matches returned per search result
+
+// Strings of a summary section - text, list items or the fields of task and record objects
+const sectionTexts = (value) => (Array.isArray(value) ? value : [value]).flatMap(item => (
+  typeof item === 'object' && item !== null ? Object.values(item) : [item]
+)).filter(text => typeof text === 'string' && text.trim());
+
 /**
  * Tokenize text for indexing
  * @param {string} text - Text to tokenize
  * @returns {Array<string>} Array of tokens
  */
-const tokenize = (text) => {
+export const tokenize = (text) => {
   if (!text) return [];
 
   return text
@@ -140,6 +149,20 @@ export const buildSearchIndex = async (meetingId, transcript, summary) => {
           }
         }
       }
+
+      // Index the sections other meeting types add (standup updates, retro points, ...) -
+      // the general ones are indexed above or deliberately left out
+      const generalKeys = new Set(getSummarySections(null).map(section => section.key));
+      for (const section of getSummarySections(summary)) {
+        if (generalKeys.has(section.key)) continue;
+
+        for (const text of sectionTexts(summary[section.key])) {
+          for (const token of tokenize(text)) {
+            addToSearchIndex.run(meetingId, token, 'summary', 6);
+            indexCount++;
+          }
+        }
+      }
     }
 
     console.log(`Search index built: ${indexCount} entries for meeting ${meetingId}`);
@@ -150,8 +173,33 @@ export const buildSearchIndex = async (meetingId, transcript, summary) => {
   }
 };
 
+/**
+ * Find the transcript segments of a meeting that contain the query tokens
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<string>} tokens - Query tokens
+ * @returns {Array<Object>} Best matching segments ({ idx, start, end, speaker, text }), in transcript order
+ */
+const findSegmentHits = (meetingId, tokens) => {
+  const hits = new Map();
+
+  for (const token of tokens) {
+    for (const segment of searchTranscriptSegments.all(meetingId, `%${token}%`, MAX_SEGMENT_HITS)) {
+      const hit = hits.get(segment.idx) || { ...segment, matches: 0 };
+      hit.matches++;
+      hits.set(segment.idx, hit);
+    }
+  }
+
+  return Array.from(hits.values())
+    .sort((a, b) => b.matches - a.matches || a.idx - b.idx)
+    .slice(0, MAX_SEGMENT_HITS)
+    .sort((a, b) => a.idx - b.idx)
+    .map(({ matches, ...segment }) => segment);
+};
+
 /**
  * Search for meetings by query
+ * Each result includes segmentHits: the transcript segments (with timestamps) where the query appears
  * @param {string} query - Search query
  * @param {number|null} projectId - Optional project ID filter
  * @returns {Promise<Array>} Search results
@@ -186,7 +234,7 @@ export const searchMeetings = async (query, projectId = null) => {
 
         if (results.has(match.id)) {
           // Accumulate rank for multiple matching tokens
-          results.get(match).rank += match.rank;
+          results.get(match.id).rank += match.rank;
         } else {
           results.set(match.id, {
             ...match,
@@ -198,7 +246,8 @@ export const searchMeetings = async (query, projectId = null) => {
 
     // Convert to array and sort by rank
     const sortedResults = Array.from(results.values())
-      .sort((a, b) => b.rank - a.rank);
+      .sort((a, b) => b.rank - a.rank)
+      .map(result => ({ ...result, segmentHits: findSegmentHits(result.id, queryTokens) }));
 
     console.log(`Found ${sortedResults.length} result(s)`);
 
@@ -0,0 +1,159 @@
+import {
+  getMeetingById,
+  updateMeeting,
+  insertTranscriptSegment,
+  deleteTranscriptSegments,
+  getTranscriptSegments,
+  getTranscriptSegmentsInRange,
+  updateTranscriptSegmentText,
+  runTransaction,
+} from '../db/database.js';
+import { tokenize } from './searchIndex.js';
+import { getSpeakerNames } from './speakers.js';
+import { loadCheckpoint, saveCheckpoint, PipelineStep } from './checkpoints.js';
+import { saveTranscript, deleteTranscriptFiles } from './transcription.js';
+
+const MIN_LOCATE_SCORE = 0.3; // Share of the text's words a transcript passage must contain to count as a match
+
+/**
+ * Store a meeting's transcript segments, replacing any saved before
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<Object>} segments - Whisper segments ({ start, end, text, speaker })
+ */
+export const saveTranscriptSegments = (meetingId, segments) => {
+  runTransaction(() => {
+    deleteTranscriptSegments.run(meetingId);
+    (segments || []).forEach((segment, idx) => {
+      insertTranscriptSegment.run(
+        meetingId,
+        idx,
+        segment.start,
+        segment.end,
+        segment.speaker || null,
+        (segment.text || '').trim()
+      );
+    });
+  });
+
+  console.log(`Saved ${segments?.length || 0} transcript segments for meeting ${meetingId}`);
+};
+
+/**
+ * Get a meeting's transcript segments, optionally only those overlapping a time window
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} options - { from, to } in seconds (either may be omitted)
+ * @returns {Array<Object>} Segments ({ idx, start, end, speaker, speaker_name, text, original_text })
+ */
+export const getSegments = (meetingId, { from = null, to = null } = {}) => {
+  const segments = from === null && to === null
+    ? getTranscriptSegments.all(meetingId)
+    : getTranscriptSegmentsInRange.all(meetingId, from ?? 0, to ?? Number.MAX_SAFE_INTEGER);
+
+  const names = getSpeakerNames(meetingId);
+  return segments.map(segment => ({
+    ...segment,
+    speaker_name: segment.speaker ? (names[segment.speaker] || null) : null,
+  }));
+};
+
+/**
+ * Find where in the transcript a piece of text (e.g. a decision from the summary) was said
+ * Each segment is scored together with the one after it, since a summarized point often spans two segments
+ * @param {number} meetingId - Meeting ID
+ * @param {string} text - Text to locate
+ * @returns {Object|null} Best matching segment, or null if nothing matches well enough
+ */
+export const locateText = (meetingId, text) => {
+  const words = new Set(tokenize(text));
+  if (words.size === 0) return null;
+
+  const segments = getTranscriptSegments.all(meetingId);
+  let best = null;
+  let bestScore = 0;
+
+  segments.forEach((segment, i) => {
+    const passage = new Set(tokenize(`${segment.text} ${segments[i + 1]?.text || ''}`));
+    const matched = [...words].filter(word => passage.has(word)).length;
+    const score = matched / words.size;
+    if (score > bestScore) {
+      best = segment;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= MIN_LOCATE_SCORE ? best : null;
+};
+
+/**
+ * Save hand-corrected segment text alongside the transcribed original
+ * Corrected transcript files are written next to the originals (which are kept) and become the
+ * meeting's transcript, so analysis, the wiki and the search index pick up the corrections
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<Object>} corrections - [{ idx, text }] - text equal to the original undoes the correction
+ * @returns {Promise<Array<Object>>} Updated segments
+ */
+export const correctTranscript = async (meetingId, corrections) => {
+  const current = new Map(getTranscriptSegments.all(meetingId).map(segment => [segment.idx, segment]));
+
+  runTransaction(() => {
+    for (const { idx, text } of corrections) {
+      const original = current.get(idx).original_text ?? current.get(idx).text;
+      updateTranscriptSegmentText.run(text, text === original ? null : original, meetingId, idx);
+    }
+  });
+
+  const meeting = getMeetingById.get(meetingId);
+  const saved = loadCheckpoint(meetingId, PipelineStep.TRANSCRIPTION) || {};
+  const segments = getTranscriptSegments.all(meetingId).map(segment => ({
+    ...(saved.segments?.[segment.idx] || {}),
+    start: segment.start,
+    end: segment.end,
+    speaker: segment.speaker,
+    text: segment.text,
+  }));
+  const text = segments.map(segment => segment.text).join(' ');
+  const duration = saved.duration ?? meeting.duration;
+
+  // Only an earlier correction is replaced - the transcribed files stay as they are
+  if (saved.originalTxtPath) {
+    await deleteTranscriptFiles([saved.txtPath, saved.mdPath]);
+  }
+
+  const paths = await saveTranscript(
+    text,
+    meetingId,
+    {
+      title: meeting.title,
+      date: meeting.date,
+      duration,
+      segments,
+      speakers: getSpeakerNames(meetingId),
+      preprocessing: saved.preprocessing,
+    },
+    { suffix: 'corrected' }
+  );
+
+  saveCheckpoint(meetingId, PipelineStep.TRANSCRIPTION, {
+    ...saved,
+    language: saved.language || 'en',
+    duration,
+    text,
+    segments,
+    ...paths,
+    originalTxtPath: saved.originalTxtPath || saved.txtPath || meeting.transcript_path,
+    originalMdPath: saved.originalMdPath || saved.mdPath || meeting.transcript_path?.replace(/\.txt$/, '.md'),
+  });
+
+  updateMeeting.run(
+    meeting.title,
+    meeting.date,
+    meeting.duration,
+    meeting.audio_path,
+    paths.txtPath,
+    meeting.summary_path,
+    meetingId
+  );
+
+  console.log(`Saved ${corrections.length} transcript correction(s) for meeting ${meetingId}`);
+  return getSegments(meetingId);
+};
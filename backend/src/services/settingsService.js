@@ -30,3 +30,46 @@ export function getAIBackendForFeature(feature) {
 export function getModelNameForBackend(backend) {
   return backend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
 }
+
+/**
+ * Get the audio preprocessing run before transcription
+ * @returns {Object} { normalize, trimSilence } - both off unless enabled in settings (or AUDIO_NORMALIZE /
+ *   AUDIO_TRIM_SILENCE=true)
+ */
+export function getAudioPreprocessingOptions() {
+  const isOn = (key, envVar) => {
+    try {
+      const setting = getSetting.get(key);
+      if (setting && setting.value) {
+        return setting.value === 'on';
+      }
+    } catch (error) {
+      console.error(`Error getting ${key} setting:`, error);
+    }
+    return process.env[envVar] === 'true';
+  };
+
+  return {
+    normalize: isOn('audio.normalize', 'AUDIO_NORMALIZE'),
+    trimSilence: isOn('audio.trim_silence', 'AUDIO_TRIM_SILENCE'),
+  };
+}
+
+/**
+ * Get the transcription provider preference
+ * @returns {string} Provider name ('openai', 'local' or 'fake')
+ */
+export function getTranscriptionProviderName() {
+  try {
+    const setting = getSetting.get('ai.transcription');
+
+    if (setting && setting.value) {
+      return setting.value;
+    }
+
+    return process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  } catch (error) {
+    console.error('Error getting transcription provider:', error);
+    return process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  }
+}
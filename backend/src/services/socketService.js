@@ -1,4 +1,13 @@
 import { Server } from 'socket.io';
+import {
+  MAX_LIVE_SEGMENT_BYTES,
+  startLiveSession,
+  addLiveSegment,
+  finishLiveSession,
+  discardLiveSession,
+  isValidSegmentCount,
+} from './liveTranscription.js';
+import { socketAuth } from '../middleware/auth.js';
 
 let io = null;
 
@@ -7,8 +16,12 @@ export function initializeSocketIO(httpServer, corsOptions) {
     cors: corsOptions,
     pingTimeout: 60000,
     pingInterval: 25000,
+    maxHttpBufferSize: MAX_LIVE_SEGMENT_BYTES, // Live transcription segments are sent as binary
   });
 
+  // Same password as the HTTP routes - live transcription spends the server's API keys
+  io.use(socketAuth);
+
   io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
@@ -24,6 +37,8 @@ export function initializeSocketIO(httpServer, corsOptions) {
       console.log(`Client ${socket.id} unsubscribed from meeting:${meetingId}`);
     });
 
+    registerLiveTranscriptionEvents(socket);
+
     socket.on('disconnect', () => {
       console.log(`Client disconnected: ${socket.id}`);
     });
@@ -33,6 +48,64 @@ export function initializeSocketIO(httpServer, corsOptions) {
   return io;
 }
 
+// Acknowledgements are optional for clients that don't wait for a reply
+const reply = (ack, data) => {
+  if (typeof ack === 'function') ack(data);
+};
+
+/**
+ * Live transcription while recording: the recorder sends standalone audio segments,
+ * transcripts come back as 'live:transcript' events to the session's room
+ * @param {Socket} socket - Client socket
+ */
+function registerLiveTranscriptionEvents(socket) {
+  socket.on('live:start', ({ projectId = null } = {}, ack) => {
+    try {
+      const session = startLiveSession({ projectId });
+      socket.join(`live:${session.id}`);
+      reply(ack, { sessionId: session.id });
+    } catch (error) {
+      reply(ack, { error: error.message });
+    }
+  });
+
+  socket.on('live:segment', ({ sessionId, index, startTime, endTime, audio } = {}, ack) => {
+    if (!Number.isInteger(index) || index < 0 || !Number.isFinite(startTime) || !Number.isFinite(endTime) || !audio) {
+      return reply(ack, { error: 'Invalid segment' });
+    }
+
+    try {
+      // Rejoin after a reconnect, so results reach the new socket
+      socket.join(`live:${sessionId}`);
+      const accepted = addLiveSegment(
+        sessionId,
+        { index, startTime, endTime, audio: Buffer.from(audio) },
+        (result) => {
+          io.to(`live:${sessionId}`).emit(result.error ? 'live:error' : 'live:transcript', { sessionId, ...result });
+        }
+      );
+
+      reply(ack, accepted ? { received: index } : { error: 'Live session not found' });
+    } catch (error) {
+      reply(ack, { error: error.message });
+    }
+  });
+
+  socket.on('live:finish', async ({ sessionId, segmentCount } = {}, ack) => {
+    if (!isValidSegmentCount(segmentCount)) {
+      return reply(ack, { error: 'Invalid segment count' });
+    }
+
+    const summary = await finishLiveSession(sessionId, segmentCount);
+    reply(ack, summary || { error: 'Live session not found' });
+  });
+
+  socket.on('live:cancel', (sessionId) => {
+    discardLiveSession(sessionId);
+    socket.leave(`live:${sessionId}`);
+  });
+}
+
 export function getIO() {
   if (!io) {
     throw new Error('Socket.IO not initialized. Call initializeSocketIO first.');
@@ -52,12 +125,28 @@ export function emitMeetingStatus(meetingId, status, data = {}) {
   });
 }
 
+// Emit the contradictions found in a meeting's decisions to every client - processing
+// usually finishes after its meeting view was left
+export function emitDecisionConflicts(meetingId, data = {}) {
+  if (!io) return;
+
+  io.emit('meeting:conflicts', {
+    meetingId,
+    timestamp: new Date().toISOString(),
+    ...data,
+  });
+}
+
 // Status types
 export const MeetingStatus = {
+  QUEUED: 'queued',
   PROCESSING_STARTED: 'processing_started',
   TRANSCRIBING: 'transcribing',
+  DIARIZING: 'diarizing',
   ANALYZING: 'analyzing',
   SAVING: 'saving',
+  INDEXING: 'indexing',
   COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
   ERROR: 'error',
 };
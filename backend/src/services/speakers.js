@@ -0,0 +1,88 @@
+import {
+  getMeetingById,
+  upsertMeetingSpeaker,
+  getMeetingSpeakers,
+  updateMeetingSpeakerName,
+  deleteMeetingSpeakersExcept,
+  runTransaction,
+} from '../db/database.js';
+import { defaultSpeakerName } from './diarization.js';
+import { loadCheckpoint, PipelineStep } from './checkpoints.js';
+import { updateMarkdownTranscript } from './transcription.js';
+
+/**
+ * Record the speakers found by diarization, keeping names given to the same labels before
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<Object>} segments - Segments with speaker labels
+ */
+export const saveDetectedSpeakers = (meetingId, segments) => {
+  const stats = new Map();
+  for (const segment of segments) {
+    if (!segment.speaker) continue;
+    const entry = stats.get(segment.speaker) || { segmentCount: 0, talkTime: 0 };
+    entry.segmentCount++;
+    entry.talkTime += Math.max(0, segment.end - segment.start);
+    stats.set(segment.speaker, entry);
+  }
+
+  runTransaction(() => {
+    for (const [label, { segmentCount, talkTime }] of stats) {
+      upsertMeetingSpeaker.run(meetingId, label, segmentCount, Math.round(talkTime * 10) / 10);
+    }
+    deleteMeetingSpeakersExcept.run(meetingId, JSON.stringify([...stats.keys()]));
+  });
+
+  console.log(`Detected ${stats.size} speaker(s) for meeting ${meetingId}`);
+};
+
+/**
+ * List a meeting's speakers with the name to display for each
+ * @param {number} meetingId - Meeting ID
+ * @returns {Array<Object>} Speakers ({ label, name, display_name, segment_count, talk_time, ... })
+ */
+export const listMeetingSpeakers = (meetingId) => {
+  return getMeetingSpeakers.all(meetingId).map(speaker => ({
+    ...speaker,
+    display_name: speaker.name || defaultSpeakerName(speaker.label),
+  }));
+};
+
+/**
+ * Map speaker labels to display names
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object} { SPEAKER_1: 'Alice', SPEAKER_2: 'Speaker 2', ... }
+ */
+export const getSpeakerNames = (meetingId) => {
+  return Object.fromEntries(
+    listMeetingSpeakers(meetingId).map(speaker => [speaker.label, speaker.display_name])
+  );
+};
+
+/**
+ * Give speakers real names and rewrite the markdown transcript with them
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<Object>} updates - [{ label, name }] - an empty name resets to the default label
+ * @returns {Promise<Array<Object>>} Updated speakers
+ */
+export const renameSpeakers = async (meetingId, updates) => {
+  runTransaction(() => {
+    for (const { label, name } of updates) {
+      updateMeetingSpeakerName.run(name || null, meetingId, label);
+    }
+  });
+
+  const transcription = loadCheckpoint(meetingId, PipelineStep.TRANSCRIPTION);
+  if (transcription?.mdPath) {
+    const meeting = getMeetingById.get(meetingId);
+    await updateMarkdownTranscript(transcription.mdPath, transcription.text, {
+      title: meeting.title,
+      date: meeting.date,
+      duration: transcription.duration,
+      segments: transcription.segments,
+      speakers: getSpeakerNames(meetingId),
+      preprocessing: transcription.preprocessing,
+    });
+  }
+
+  return listMeetingSpeakers(meetingId);
+};
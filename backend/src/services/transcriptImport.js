@@ -0,0 +1,177 @@
+import path from 'path';
+import { updateMeeting, getMeetingById, updateMeetingSpeakerName, runTransaction } from '../db/database.js';
+import { saveTranscript } from './transcription.js';
+import { saveTranscriptSegments } from './segments.js';
+import { saveDetectedSpeakers, getSpeakerNames } from './speakers.js';
+import { saveCheckpoint, PipelineStep } from './checkpoints.js';
+import { getGlossary, applyGlossary } from './glossary.js';
+
+export const TRANSCRIPT_FORMATS = ['vtt', 'srt', 'txt'];
+
+// "Alice: ..." / "Dr. Bob Smith: ..." at the start of a cue or line
+const SPEAKER_PREFIX = /^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,2}):\s+/;
+
+/**
+ * Work out a transcript file's format from its name, or from its content for unknown extensions
+ * @param {string} filename - Original file name
+ * @param {string} content - File content
+ * @returns {string|null} 'vtt', 'srt' or 'txt', or null if the file is not a supported transcript
+ */
+export const detectTranscriptFormat = (filename, content) => {
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  if (TRANSCRIPT_FORMATS.includes(ext)) return ext;
+  if (/^﻿?WEBVTT/.test(content)) return 'vtt';
+  if (/^﻿?\d+\r?\n\d{1,2}:\d{2}:\d{2},\d{3} -->/.test(content)) return 'srt';
+  return null;
+};
+
+/**
+ * Parse a cue timestamp (hh:mm:ss.mmm, mm:ss.mmm or the SRT form hh:mm:ss,mmm) to seconds
+ * @param {string} timestamp - Timestamp
+ * @returns {number|null} Seconds, or null if the timestamp is invalid
+ */
+export const parseTimestamp = (timestamp) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(timestamp.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+// The character references WebVTT cue text uses for its markup characters
+const VTT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ' };
+
+const decodeVtt = (text) => text.replace(/&(?:amp|lt|gt|nbsp);/g, entity => VTT_ENTITIES[entity]);
+
+/**
+ * Split a cue's text into its speaker (WebVTT <v> voice tag or "Name:" prefix) and plain text
+ * @param {string} text - Cue text
+ * @param {boolean} isVtt - Decode WebVTT character references (SRT text is taken as written)
+ * @returns {Object} { speaker, text } - speaker is null when the cue doesn't name one
+ */
+const splitSpeaker = (text, isVtt = false) => {
+  const decode = isVtt ? decodeVtt : (value) => value;
+  const voice = /<v(?:\.[^\s>]*)?\s+([^>]+)>/.exec(text);
+  const plain = decode(text.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+  if (voice) {
+    return { speaker: decode(voice[1]).trim(), text: plain };
+  }
+
+  const prefix = SPEAKER_PREFIX.exec(plain);
+  return prefix
+    ? { speaker: prefix[1], text: plain.slice(prefix[0].length) }
+    : { speaker: null, text: plain };
+};
+
+/**
+ * Parse the cues of a WebVTT or SRT file
+ * @param {string} content - File content
+ * @param {string} format - 'vtt' or 'srt'
+ * @returns {Array<Object>} Cues ({ start, end, speaker, text }) in file order
+ */
+const parseCues = (content, format) => {
+  const blocks = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIdx = lines.findIndex(line => line.includes('-->'));
+    if (timingIdx === -1) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+
+    const [startText, rest = ''] = lines[timingIdx].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0] || '');
+    if (start === null || end === null) continue;
+
+    const cue = splitSpeaker(lines.slice(timingIdx + 1).join(' '), format === 'vtt');
+    if (cue.text) {
+      cues.push({ start, end: Math.max(start, end), ...cue });
+    }
+  }
+
+  return cues;
+};
+
+/**
+ * Parse a transcript file into the shape produced by transcription
+ * Named speakers are mapped to SPEAKER_n labels, like diarization output, with their names kept alongside
+ * @param {string} content - File content
+ * @param {string} format - 'vtt', 'srt' or 'txt'
+ * @returns {Object} { text, duration, segments, speakerNames: { SPEAKER_1: 'Alice', ... } }
+ */
+export const parseTranscript = (content, format) => {
+  if (format === 'txt') {
+    // Plain text has no timestamps, so there are no segments to jump to - the text is kept as written
+    const text = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').trim();
+    return { text, duration: 0, segments: [], speakerNames: {} };
+  }
+
+  const cues = parseCues(content, format);
+  const labels = new Map();
+  for (const { speaker } of cues) {
+    if (speaker && !labels.has(speaker)) {
+      labels.set(speaker, `SPEAKER_${labels.size + 1}`);
+    }
+  }
+
+  const segments = cues.map(({ start, end, speaker, text }) => ({
+    start,
+    end,
+    text,
+    speaker: speaker ? labels.get(speaker) : null,
+  }));
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    duration: segments.reduce((max, segment) => Math.max(max, segment.end), 0),
+    segments,
+    speakerNames: Object.fromEntries([...labels].map(([name, label]) => [label, name])),
+  };
+};
+
+/**
+ * Store an imported transcript as a meeting's transcription, so processing goes straight to the analysis
+ * @param {number} meetingId - Meeting ID (created without audio)
+ * @param {Object} parsed - Output of parseTranscript
+ * @returns {Promise<Object>} Saved transcription ({ text, duration, segments, txtPath, mdPath, ... })
+ */
+export const saveImportedTranscript = async (meetingId, parsed) => {
+  const meeting = getMeetingById.get(meetingId);
+  const { transcription: corrected, replacements } = applyGlossary(parsed, getGlossary(meeting.project_id));
+  if (replacements > 0) {
+    console.log(`Corrected ${replacements} glossary term(s) in the imported transcript`);
+  }
+
+  const { text, duration, segments, speakerNames } = corrected;
+
+  saveDetectedSpeakers(meetingId, segments);
+  runTransaction(() => {
+    for (const [label, name] of Object.entries(speakerNames)) {
+      updateMeetingSpeakerName.run(name, meetingId, label);
+    }
+  });
+
+  const transcriptPaths = await saveTranscript(text, meetingId, {
+    title: meeting.title,
+    date: meeting.date,
+    duration,
+    segments,
+    speakers: getSpeakerNames(meetingId),
+  });
+
+  const transcription = { text, language: 'en', duration, segments, ...transcriptPaths };
+  saveCheckpoint(meetingId, PipelineStep.TRANSCRIPTION, transcription);
+  saveTranscriptSegments(meetingId, segments);
+
+  updateMeeting.run(
+    meeting.title,
+    meeting.date,
+    Math.floor(duration),
+    null,
+    transcriptPaths.txtPath,
+    null,
+    meetingId
+  );
+
+  console.log(`Imported transcript for meeting ${meetingId}: ${segments.length} segments, ${Object.keys(speakerNames).length} speakers`);
+  return transcription;
+};
@@ -1,32 +1,34 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
-import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import {
   processLargeAudio,
+  preprocessMeetingAudio,
+  remapTranscription,
   cleanupChunks,
   rechunkWithSmallerSize
 } from './audioChunker.js';
+import {
+  sleep,
+  throwIfCancelled,
+  isCancelledError,
+  createCancelledError
+} from './cancellation.js';
+import { PipelineStep } from './checkpoints.js';
+import { defaultSpeakerName } from './diarization.js';
+import { getTranscriptionProvider } from './transcriptionProviders.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const TRANSCRIPT_DIR = path.join(__dirname, '../../storage/transcripts');
-const SIZE_THRESHOLD_MB = 24; // Trigger chunking if over 24MB
-
-// Create a fresh OpenAI client for each request to avoid stale connection issues
-function getOpenAIClient() {
-  if (!process.env.OPENAI_API_KEY) {
-    return null;
-  }
-  // Create fresh client each time - avoids connection pooling issues
-  return new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    timeout: 600000, // 10 minutes timeout for large file uploads
-    maxRetries: 0, // Disable SDK retries, we handle our own
-  });
-}
+const MIN_RECHUNK_SECONDS = 60; // Never re-chunk below 1 minute
+const SEAM_SEARCH_WORDS = 30; // Words compared on each side of an overlapping chunk seam
+const MAX_SEAM_SKIP_WORDS = 3; // Cut-off words at a chunk's edge that may not match the other chunk
+const MIN_SEAM_MATCH_WORDS = 2; // A single repeated word is as likely to be real speech as a duplicate
+const MAX_CHUNK_RETRIES = 5;
+// Chunks transcribed at the same time - keep it low for a local server or a low OpenAI rate limit
+const CHUNK_CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCRIPTION_CONCURRENCY || '3', 10) || 1);
 
 /**
  * Check for API quota/billing errors
@@ -54,17 +56,14 @@ function checkAPIQuotaError(error) {
 }
 
 /**
- * Transcribe a single audio file (must be under 25MB)
+ * Transcribe a single audio file (must be under the provider's size limit)
  * @param {string} audioPath - Path to audio file
  * @param {string} language - Language code (optional)
+ * @param {Object} options - { provider } to transcribe with, { signal } to abort the upload on cancellation,
+ *   { prompt } with vocabulary to spell correctly
  * @returns {Promise<Object>} Transcription result
  */
-const transcribeSingleFile = async (audioPath, language = 'en') => {
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-
+export const transcribeSingleFile = async (audioPath, language = 'en', { provider, signal = null, prompt = null } = {}) => {
   try {
     console.log(`Transcribing: ${audioPath}`);
 
@@ -81,44 +80,35 @@ const transcribeSingleFile = async (audioPath, language = 'en') => {
     const fileSizeMB = stats.size / (1024 * 1024);
     console.log(`File size: ${fileSizeMB.toFixed(2)}MB`);
 
-    // Use read stream
-    const audioStream = fsSync.createReadStream(fullAudioPath);
-
-    // Log when sending to API
+    // Log when sending to the provider
     const startTime = Date.now();
-    console.log(`[${new Date().toISOString()}] Sending to Whisper API...`);
+    console.log(`[${new Date().toISOString()}] Sending to ${provider.label}...`);
 
     // Progress logging for long requests
     const progressInterval = setInterval(() => {
       const elapsed = Math.round((Date.now() - startTime) / 1000);
-      console.log(`[Whisper] Still waiting... ${elapsed}s elapsed`);
+      console.log(`[${provider.label}] Still waiting... ${elapsed}s elapsed`);
     }, 30000); // Log every 30 seconds
 
     try {
-      // Call Whisper API
-      const transcription = await client.audio.transcriptions.create({
-        file: audioStream,
-        model: 'whisper-1',
-        language: language,
-        response_format: 'verbose_json', // Get timestamps
-      });
+      const transcription = await provider.transcribe(fullAudioPath, { language, signal, prompt });
 
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`[${new Date().toISOString()}] Transcription completed in ${elapsed}s: ${transcription.text.length} characters`);
 
-      return {
-        text: transcription.text,
-        language: transcription.language,
-        duration: transcription.duration,
-        segments: transcription.segments || [],
-      };
+      return transcription;
     } finally {
       clearInterval(progressInterval);
     }
   } catch (error) {
+    if (isCancelledError(error, signal)) {
+      console.log(`[${new Date().toISOString()}] Transcription cancelled: ${audioPath}`);
+      throw createCancelledError();
+    }
+
     console.error(`[${new Date().toISOString()}] Transcription error:`, error.message);
     // Check for API quota/billing issues first
-    const quotaError = checkAPIQuotaError(error);
+    const quotaError = provider.name === 'openai' ? checkAPIQuotaError(error) : null;
     if (quotaError) {
       console.error('❌ API Quota Error:', quotaError);
       throw new Error(quotaError);
@@ -134,41 +124,125 @@ const transcribeSingleFile = async (audioPath, language = 'en') => {
   }
 };
 
+const splitWords = (text) => (text || '').split(/\s+/).filter(Boolean);
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Find the words two overlapping chunks both transcribed
+ * The repeated run must end near the end of the previous text and start near the start of the next;
+ * the few words around it are usually cut off at the chunk edge and are dropped with it
+ * @param {string} previousText - Text merged so far
+ * @param {string} nextText - Text of the next chunk
+ * @returns {Object} { dropPrevious, dropNext } - words to remove from the end of previousText and the
+ *   start of nextText (both 0 when no repeated run was found)
+ */
+export const findSeamOverlap = (previousText, nextText) => {
+  const tail = splitWords(previousText).slice(-SEAM_SEARCH_WORDS).map(normalizeWord);
+  const head = splitWords(nextText).slice(0, SEAM_SEARCH_WORDS).map(normalizeWord);
+
+  let best = { dropPrevious: 0, dropNext: 0, length: 0 };
+  for (let skipTail = 0; skipTail <= MAX_SEAM_SKIP_WORDS; skipTail++) {
+    for (let skipHead = 0; skipHead <= MAX_SEAM_SKIP_WORDS; skipHead++) {
+      const end = tail.length - skipTail;
+      const maxLength = Math.min(end, head.length - skipHead);
+
+      for (let length = maxLength; length > best.length; length--) {
+        const matches = tail.slice(end - length, end).every((word, i) => word === head[skipHead + i]);
+        if (matches) {
+          best = { dropPrevious: skipTail, dropNext: skipHead + length, length };
+          break;
+        }
+      }
+    }
+  }
+
+  return best.length >= MIN_SEAM_MATCH_WORDS
+    ? { dropPrevious: best.dropPrevious, dropNext: best.dropNext }
+    : { dropPrevious: 0, dropNext: 0 };
+};
+
+/**
+ * Remove words from the start (count > 0) or end (count < 0) of a list of segments
+ * Segments left without words are dropped
+ * @param {Array<Object>} segments - Segments in order
+ * @param {number} count - Number of words
+ * @returns {Array<Object>} Trimmed segments
+ */
+const trimSegmentWords = (segments, count) => {
+  const fromStart = count > 0;
+  let remaining = Math.abs(count);
+  const ordered = fromStart ? [...segments] : [...segments].reverse();
+  const kept = [];
+
+  for (const segment of ordered) {
+    const words = splitWords(segment.text);
+    if (remaining >= words.length) {
+      remaining -= words.length;
+      continue;
+    }
+    if (remaining > 0) {
+      const text = (fromStart ? words.slice(remaining) : words.slice(0, words.length - remaining)).join(' ');
+      kept.push({ ...segment, text: segment.text.startsWith(' ') ? ` ${text}` : text });
+      remaining = 0;
+    } else {
+      kept.push(segment);
+    }
+  }
+
+  return fromStart ? kept : kept.reverse();
+};
+
 /**
  * Merge transcripts from multiple chunks
+ * Where chunks overlap, the words both transcribed are kept once
  * @param {Array<Object>} chunkResults - Array of transcription results with chunk info
+ *   (chunk: { startTime, endTime, overlap } - overlap is how many seconds before startTime its audio begins)
  * @returns {Object} Merged transcription result
  */
-const mergeTranscripts = (chunkResults) => {
+export const mergeTranscripts = (chunkResults) => {
   console.log(`\nMerging ${chunkResults.length} transcripts...`);
 
-  let fullText = '';
+  let words = [];
   let allSegments = [];
   let totalDuration = 0;
+  let seamWordsRemoved = 0;
   const language = chunkResults[0]?.transcription.language || 'en';
 
   for (const { chunk, transcription } of chunkResults) {
-    // Add text
-    fullText += transcription.text + ' ';
-
-    // Adjust segment timestamps based on chunk start time
-    if (transcription.segments && transcription.segments.length > 0) {
-      const adjustedSegments = transcription.segments.map(segment => ({
-        ...segment,
-        start: segment.start + chunk.startTime,
-        end: segment.end + chunk.startTime,
-      }));
-      allSegments.push(...adjustedSegments);
+    let chunkWords = splitWords(transcription.text);
+    // Segment times are relative to where the chunk's audio begins, overlap included
+    const offset = chunk.startTime - (chunk.overlap || 0);
+    let segments = (transcription.segments || []).map(segment => ({
+      ...segment,
+      start: segment.start + offset,
+      end: segment.end + offset,
+    }));
+
+    // Drop what the previous chunk already transcribed, and its words cut off at the edge
+    if (chunk.overlap > 0 && words.length > 0) {
+      const { dropPrevious, dropNext } = findSeamOverlap(words.join(' '), chunkWords.join(' '));
+      if (dropPrevious > 0) {
+        words = words.slice(0, words.length - dropPrevious);
+        allSegments = trimSegmentWords(allSegments, -dropPrevious);
+      }
+      if (dropNext > 0) {
+        chunkWords = chunkWords.slice(dropNext);
+        segments = trimSegmentWords(segments, dropNext);
+      }
+      seamWordsRemoved += dropPrevious + dropNext;
     }
 
+    words.push(...chunkWords);
+    allSegments.push(...segments);
+
     // Track total duration
     totalDuration = Math.max(totalDuration, chunk.endTime);
   }
 
-  // Clean up text (remove extra spaces)
-  fullText = fullText.trim().replace(/\s+/g, ' ');
+  const fullText = words.join(' ');
 
-  console.log(`Merged transcript: ${fullText.length} characters, ${allSegments.length} segments`);
+  console.log(`Merged transcript: ${fullText.length} characters, ${allSegments.length} segments` +
+    (seamWordsRemoved > 0 ? `, ${seamWordsRemoved} repeated word(s) removed at chunk seams` : ''));
 
   return {
     text: fullText,
@@ -179,101 +253,158 @@ const mergeTranscripts = (chunkResults) => {
 };
 
 /**
- * Transcribe audio chunks with retry logic
- * @param {Array<Object>} chunks - Array of chunk information
- * @param {Function} progressCallback - Progress callback (optional)
- * @returns {Promise<Array<Object>>} Array of transcription results
+ * Transcribe one chunk, retrying failures with exponential backoff
+ * @param {Object} chunk - Chunk information
+ * @param {Object} options - { provider, signal, prompt }
+ * @returns {Promise<Object>} Transcription result
+ * @throws {Error} PAYLOAD_TOO_LARGE if the chunk is over the provider's limit
  */
-const transcribeChunks = async (chunks, progressCallback = null) => {
-  const results = [];
-  let attemptedChunks = [...chunks];
-  let retryWithSmallerChunks = false;
-
-  for (let i = 0; i < attemptedChunks.length; i++) {
-    const chunk = attemptedChunks[i];
-    console.log(`\nTranscribing chunk ${i + 1}/${attemptedChunks.length}...`);
-    console.log(`Chunk ${chunk.index}: ${chunk.startTime}s - ${chunk.endTime}s (${chunk.sizeMB}MB)`);
+const transcribeChunkWithRetry = async (chunk, { provider, signal, prompt }) => {
+  try {
+    return await transcribeSingleFile(chunk.path, 'en', { provider, signal, prompt });
+  } catch (error) {
+    if (isCancelledError(error, signal)) {
+      throw createCancelledError();
+    }
 
-    // Report progress
-    if (progressCallback) {
-      progressCallback({
-        current: i + 1,
-        total: attemptedChunks.length,
-        chunkIndex: chunk.index,
-        status: 'transcribing'
-      });
+    console.error(`Chunk ${chunk.index} failed:`, error.message);
+    if (error.message === 'PAYLOAD_TOO_LARGE') {
+      throw error;
     }
+  }
+
+  // Network errors (ECONNRESET, timeouts) need more retries with longer delays
+  for (let attempt = 1; attempt <= MAX_CHUNK_RETRIES; attempt++) {
+    // Exponential backoff: 5s, 10s, 20s, 40s, 80s
+    const delay = Math.pow(2, attempt) * 2500;
+    console.log(`Retrying chunk ${chunk.index} in ${delay / 1000}s (attempt ${attempt}/${MAX_CHUNK_RETRIES})...`);
+    await sleep(delay, signal);
 
     try {
-      // Try to transcribe the chunk
-      const transcription = await transcribeSingleFile(chunk.path);
+      const transcription = await transcribeSingleFile(chunk.path, 'en', { provider, signal, prompt });
+      console.log(`✅ Chunk ${chunk.index} transcribed successfully on retry ${attempt}`);
+      return transcription;
+    } catch (retryError) {
+      if (isCancelledError(retryError, signal)) {
+        throw createCancelledError();
+      }
 
-      results.push({
-        chunk,
-        transcription
-      });
+      const isNetworkError = retryError.message.includes('Connection error') ||
+                              retryError.message.includes('ECONNRESET') ||
+                              retryError.message.includes('timeout');
 
-      console.log(`Chunk ${chunk.index} transcribed successfully`);
+      console.error(`❌ Retry ${attempt} of chunk ${chunk.index} failed:`, retryError.message);
 
-    } catch (error) {
-      console.error(`Chunk ${chunk.index} failed:`, error.message);
+      if (isNetworkError) {
+        console.warn(`⚠️  Network error detected - will retry with longer delay`);
+      }
 
-      // Check if it's a 413 error
-      if (error.message === 'PAYLOAD_TOO_LARGE') {
-        console.warn(`Chunk ${chunk.index} too large - will retry with smaller chunks`);
-        retryWithSmallerChunks = true;
-        break; // Exit loop to re-chunk
+      if (retryError.message === 'PAYLOAD_TOO_LARGE') {
+        throw retryError;
       }
+    }
+  }
 
-      // For other errors, retry with exponential backoff
-      // Network errors (ECONNRESET, timeouts) need more retries with longer delays
-      let retried = false;
-      const MAX_RETRIES = 5; // Increased from 2 for better reliability
-
-      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        // Exponential backoff: 5s, 10s, 20s, 40s, 80s
-        const delay = Math.pow(2, attempt) * 2500;
-        console.log(`Retrying chunk ${chunk.index} in ${delay / 1000}s (attempt ${attempt}/${MAX_RETRIES})...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-
-        try {
-          const transcription = await transcribeSingleFile(chunk.path);
-          results.push({ chunk, transcription });
-          console.log(`✅ Chunk ${chunk.index} transcribed successfully on retry ${attempt}`);
-          retried = true;
-          break;
-        } catch (retryError) {
-          const isNetworkError = retryError.message.includes('Connection error') ||
-                                  retryError.message.includes('ECONNRESET') ||
-                                  retryError.message.includes('timeout');
+  throw new Error(`Failed to transcribe chunk ${chunk.index} after ${MAX_CHUNK_RETRIES} retries. This may be due to network instability or ${provider.label} issues. Try again later or check your internet connection.`);
+};
 
-          console.error(`❌ Retry ${attempt} failed:`, retryError.message);
+/**
+ * Transcribe audio chunks, several at a time, each with its own retries
+ * Chunks already transcribed by an earlier attempt (same start/end time) are taken from the checkpoints.
+ * When one chunk fails for good, the chunks still running are stopped
+ * @param {Array<Object>} chunks - Array of chunk information
+ * @param {Function} progressCallback - Called as chunks finish, with
+ *   { status: 'chunk_done', completed, total, chunkIndex } (optional)
+ * @param {Object} options - { provider } to transcribe with, { signal } to stop between and during chunks,
+ *   { checkpoints } to save each chunk's transcript, { prompt } passed with every chunk,
+ *   { concurrency } chunks transcribed at the same time
+ * @returns {Promise<Array<Object>>} Transcription results, in chunk order
+ */
+export const transcribeChunks = async (chunks, progressCallback = null, {
+  provider,
+  signal = null,
+  checkpoints = null,
+  prompt = null,
+  concurrency = CHUNK_CONCURRENCY,
+} = {}) => {
+  const results = new Array(chunks.length);
+  let completed = 0;
+
+  const addResult = (position, transcription) => {
+    results[position] = { chunk: chunks[position], transcription };
+    completed++;
+    progressCallback?.({
+      status: 'chunk_done',
+      completed,
+      total: chunks.length,
+      chunkIndex: chunks[position].index,
+    });
+  };
 
-          if (isNetworkError) {
-            console.warn(`⚠️  Network error detected - will retry with longer delay`);
-          }
+  // Chunks are only reused from an earlier attempt when their boundaries are unchanged
+  const pending = [];
+  chunks.forEach((chunk, position) => {
+    const saved = checkpoints?.get(PipelineStep.TRANSCRIBE_CHUNK, chunk.index);
+    if (saved && saved.startTime === chunk.startTime && saved.endTime === chunk.endTime) {
+      console.log(`Chunk ${chunk.index} already transcribed - reusing checkpoint`);
+      addResult(position, saved.transcription);
+    } else {
+      pending.push(position);
+    }
+  });
 
-          if (retryError.message === 'PAYLOAD_TOO_LARGE') {
-            retryWithSmallerChunks = true;
-            break;
-          }
-        }
-      }
+  // Stops the other chunks once one has failed (or the whole transcription was cancelled)
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let failure = null;
 
-      if (!retried && !retryWithSmallerChunks) {
-        throw new Error(`Failed to transcribe chunk ${chunk.index} after ${MAX_RETRIES} retries. This may be due to network instability or OpenAI API issues. Try again later or check your internet connection.`);
-      }
+  const worker = async () => {
+    while (pending.length > 0 && !controller.signal.aborted) {
+      const position = pending.shift();
+      const chunk = chunks[position];
+      console.log(`\nTranscribing chunk ${chunk.index} (${chunk.startTime}s - ${chunk.endTime}s, ${chunk.sizeMB}MB)...`);
 
-      if (retryWithSmallerChunks) {
-        break;
+      try {
+        const transcription = await transcribeChunkWithRetry(chunk, { provider, signal: controller.signal, prompt });
+        checkpoints?.save(
+          PipelineStep.TRANSCRIBE_CHUNK,
+          { startTime: chunk.startTime, endTime: chunk.endTime, transcription },
+          chunk.index
+        );
+        addResult(position, transcription);
+        console.log(`Chunk ${chunk.index} transcribed successfully (${completed}/${chunks.length})`);
+      } catch (error) {
+        // Chunks stopped because another one failed don't hide that failure
+        if (!failure && !(controller.signal.aborted && isCancelledError(error))) {
+          failure = error;
+        }
+        controller.abort();
       }
     }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, pending.length));
+  if (pending.length > 0) {
+    console.log(`Transcribing ${pending.length} chunk(s), ${workers} at a time`);
+  }
+
+  try {
+    await Promise.all(Array.from({ length: workers }, worker));
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
   }
 
-  // If we need to re-chunk, throw special error
-  if (retryWithSmallerChunks) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+  if (failure?.message === 'PAYLOAD_TOO_LARGE') {
+    console.warn('A chunk is too large - will retry with smaller chunks');
     throw new Error('RECHUNK_NEEDED');
   }
+  if (failure) {
+    throw failure;
+  }
 
   return results;
 };
@@ -282,14 +413,59 @@ const transcribeChunks = async (chunks, progressCallback = null) => {
  * Main transcription function with automatic chunking
  * @param {string} audioPath - Path to audio file
  * @param {number} meetingId - Meeting ID
+ * @param {Function} progressCallback - Progress callback (optional), called with { status, message } between
+ *   steps and { status: 'chunk_done', completed, total, chunkIndex } as chunks finish
+ * @param {Object} options - { signal } to cancel transcription, kill ffmpeg and remove chunk files,
+ *   { checkpoints } to resume from the last transcribed chunk (work files are then kept on failure),
+ *   { provider } to transcribe with (defaults to the ai.transcription setting),
+ *   { prompt } with vocabulary to spell correctly (e.g. the project glossary),
+ *   { preprocessing } steps to run first ({ normalize, trimSilence }, see preprocessAudio),
+ *   { concurrency } chunks transcribed at the same time (default TRANSCRIPTION_CONCURRENCY, or 3)
+ * @returns {Promise<Object>} Transcription result - with preprocessing, timestamps are those of the original
+ *   recording and { preprocessing } holds the report of what was removed
+ */
+export const transcribeWithRetry = async (audioPath, meetingId = null, progressCallback = null, {
+  signal = null,
+  checkpoints = null,
+  provider = getTranscriptionProvider(),
+  prompt = null,
+  preprocessing = null,
+  concurrency = CHUNK_CONCURRENCY,
+} = {}) => {
+  const configError = provider.getConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const options = { signal, checkpoints, provider, prompt, concurrency };
+  if (preprocessing?.normalize || preprocessing?.trimSilence) {
+    return transcribePreprocessed(audioPath, meetingId, progressCallback, preprocessing, options);
+  }
+
+  // Work saved by an attempt with preprocessing describes the processed audio, not this file
+  if (checkpoints?.get(PipelineStep.PREPROCESS)) {
+    checkpoints.clear(PipelineStep.PREPROCESS, PipelineStep.CONVERT, PipelineStep.CHUNK, PipelineStep.TRANSCRIBE_CHUNK);
+  }
+
+  return transcribeFile(audioPath, meetingId, progressCallback, options);
+};
+
+/**
+ * Transcribe an audio file, chunking it when it is over the provider's size limit
+ * @param {string} audioPath - Path to audio file
+ * @param {number} meetingId - Meeting ID
  * @param {Function} progressCallback - Progress callback (optional)
+ * @param {Object} options - { signal, checkpoints, provider, prompt, concurrency } as for transcribeWithRetry
  * @returns {Promise<Object>} Transcription result
  */
-export const transcribeWithRetry = async (audioPath, meetingId = null, progressCallback = null) => {
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
+const transcribeFile = async (audioPath, meetingId, progressCallback, {
+  signal,
+  checkpoints,
+  provider,
+  prompt,
+  concurrency,
+}) => {
+  const { maxFileSizeMB } = provider.limits;
 
   try {
     console.log(`\n=== Starting transcription for: ${audioPath} ===`);
@@ -302,14 +478,14 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
     // Check file size
     const stats = await fs.stat(fullAudioPath);
     const fileSizeMB = stats.size / (1024 * 1024);
-    console.log(`Audio file size: ${fileSizeMB.toFixed(2)}MB`);
+    console.log(`Audio file size: ${fileSizeMB.toFixed(2)}MB (provider: ${provider.name}, limit ${maxFileSizeMB}MB)`);
 
     // If file is small enough, transcribe directly
-    if (fileSizeMB <= SIZE_THRESHOLD_MB) {
-      console.log('File is under 24MB - transcribing directly');
+    if (fileSizeMB <= maxFileSizeMB) {
+      console.log(`File is under ${maxFileSizeMB}MB - transcribing directly`);
 
       try {
-        return await transcribeSingleFile(fullAudioPath);
+        return await transcribeSingleFile(fullAudioPath, 'en', { provider, signal, prompt });
       } catch (error) {
         // If direct transcription fails with 413, fall through to chunking
         if (error.message === 'PAYLOAD_TOO_LARGE') {
@@ -330,13 +506,16 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
             for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
               const delay = Math.pow(2, attempt) * 2500; // 5s, 10s, 20s, 40s, 80s
               console.log(`Retrying in ${delay / 1000}s (attempt ${attempt}/${MAX_RETRIES})...`);
-              await new Promise(resolve => setTimeout(resolve, delay));
+              await sleep(delay, signal);
 
               try {
-                const result = await transcribeSingleFile(fullAudioPath);
+                const result = await transcribeSingleFile(fullAudioPath, 'en', { provider, signal, prompt });
                 console.log(`✅ Transcription succeeded on retry ${attempt}`);
                 return result;
               } catch (retryError) {
+                if (isCancelledError(retryError, signal)) {
+                  throw createCancelledError();
+                }
                 console.error(`❌ Retry ${attempt} failed:`, retryError.message);
                 if (retryError.message === 'PAYLOAD_TOO_LARGE') {
                   console.warn('Payload too large - falling back to chunking');
@@ -366,83 +545,159 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
     }
 
     // Process audio: convert to WAV and split into chunks
-    const processed = await processLargeAudio(fullAudioPath, meetingId || Date.now());
-
-    // If no chunking needed (file is small after conversion)
-    if (!processed.needsChunking) {
-      console.log('After conversion, file is under 24MB - transcribing directly');
-      const result = await transcribeSingleFile(processed.wavPath);
-
-      // Cleanup converted WAV
-      await fs.unlink(processed.wavPath).catch(err =>
-        console.warn('Failed to cleanup WAV:', err.message)
-      );
+    const processed = await processLargeAudio(fullAudioPath, meetingId || Date.now(), {
+      signal,
+      checkpoints,
+      limits: provider.limits,
+    });
+
+    // Temporary files are removed once transcription succeeds. On failure or cancellation they are
+    // only kept when checkpoints are saved, so the next attempt can resume from the last finished chunk
+    let keepWorkFiles = false;
+    try {
+      // If no chunking needed (file is small after conversion)
+      if (!processed.needsChunking) {
+        console.log(`After conversion, file is under ${maxFileSizeMB}MB - transcribing directly`);
+        return await transcribeSingleFile(processed.wavPath, 'en', { provider, signal, prompt });
+      }
 
-      return result;
-    }
+      // Transcribe chunks
+      console.log(`\n=== Transcribing ${processed.chunks.length} chunks ===`);
 
-    // Transcribe chunks
-    console.log(`\n=== Transcribing ${processed.chunks.length} chunks ===`);
+      let chunkResults;
+      try {
+        chunkResults = await transcribeChunks(processed.chunks, progressCallback, {
+          provider,
+          signal,
+          checkpoints,
+          prompt,
+          concurrency,
+        });
+      } catch (error) {
+        // If chunks are still too large, re-chunk with smaller duration
+        if (error.message === 'RECHUNK_NEEDED') {
+          // Halve the chunk length (10 minutes -> 5 minutes for OpenAI)
+          const smallerDuration = Math.max(MIN_RECHUNK_SECONDS, Math.floor(processed.chunkDuration / 2));
+          console.log(`\n=== Chunks too large - re-chunking with ${smallerDuration}s segments ===`);
+
+          if (progressCallback) {
+            progressCallback({
+              status: 'processing',
+              message: 'Re-chunking with smaller segments...'
+            });
+          }
 
-    let chunkResults;
-    try {
-      chunkResults = await transcribeChunks(processed.chunks, progressCallback);
-    } catch (error) {
-      // If chunks are still too large, re-chunk with smaller duration
-      if (error.message === 'RECHUNK_NEEDED') {
-        console.log('\n=== Chunks too large - re-chunking with 5-minute segments ===');
-
-        if (progressCallback) {
-          progressCallback({
-            status: 'processing',
-            message: 'Re-chunking with smaller segments...'
+          // Cleanup old chunks
+          await cleanupChunks(processed.chunks.map(c => c.path));
+          processed.chunks = [];
+          checkpoints?.clear(PipelineStep.CHUNK, PipelineStep.TRANSCRIBE_CHUNK);
+
+          const smallerChunks = await rechunkWithSmallerSize(
+            processed.wavPath,
+            processed.duration,
+            smallerDuration,
+            { signal }
+          );
+
+          console.log(`Created ${smallerChunks.length} smaller chunks`);
+          processed.chunks = smallerChunks;
+          checkpoints?.save(PipelineStep.CHUNK, { chunkDuration: smallerDuration, chunks: smallerChunks });
+
+          // Retry transcription
+          chunkResults = await transcribeChunks(processed.chunks, progressCallback, {
+            provider,
+            signal,
+            checkpoints,
+            prompt,
+            concurrency,
           });
+        } else {
+          throw error;
         }
+      }
 
-        // Cleanup old chunks
-        await cleanupChunks(processed.chunks.map(c => c.path));
+      // Merge transcripts
+      if (progressCallback) {
+        progressCallback({
+          status: 'merging',
+          message: 'Merging transcripts...'
+        });
+      }
 
-        // Create smaller chunks (5 minutes instead of 10)
-        const smallerChunks = await rechunkWithSmallerSize(
-          processed.wavPath,
-          processed.duration,
-          300 // 5 minutes
-        );
+      const mergedResult = mergeTranscripts(chunkResults);
 
-        console.log(`Created ${smallerChunks.length} smaller chunks`);
-        processed.chunks = smallerChunks;
+      console.log('=== Transcription complete ===\n');
 
-        // Retry transcription
-        chunkResults = await transcribeChunks(processed.chunks, progressCallback);
+      return mergedResult;
+    } catch (error) {
+      keepWorkFiles = !!checkpoints;
+      throw error;
+    } finally {
+      if (keepWorkFiles) {
+        console.log('\n=== Keeping temporary files to resume from checkpoint ===');
       } else {
-        throw error;
+        // Cleanup temporary files
+        console.log('\n=== Cleaning up temporary files ===');
+        await cleanupChunks((processed.chunks || []).map(c => c.path));
+        await fs.unlink(processed.wavPath).catch(err =>
+          console.warn('Failed to cleanup WAV:', err.message)
+        );
       }
     }
 
-    // Merge transcripts
-    if (progressCallback) {
-      progressCallback({
-        status: 'merging',
-        message: 'Merging transcripts...'
-      });
+  } catch (error) {
+    if (isCancelledError(error, signal)) {
+      console.log('Transcription cancelled');
+      throw createCancelledError();
     }
+    console.error('Transcription failed:', error);
+    throw error;
+  }
+};
 
-    const mergedResult = mergeTranscripts(chunkResults);
-
-    // Cleanup temporary files
-    console.log('\n=== Cleaning up temporary files ===');
-    await cleanupChunks(processed.chunks.map(c => c.path));
-    await fs.unlink(processed.wavPath).catch(err =>
-      console.warn('Failed to cleanup WAV:', err.message)
-    );
-
-    console.log('=== Transcription complete ===\n');
+/**
+ * Preprocess the audio, transcribe the result and move its timestamps back onto the original recording
+ * @param {string} audioPath - Path to audio file
+ * @param {number} meetingId - Meeting ID
+ * @param {Function} progressCallback - Progress callback (optional)
+ * @param {Object} preprocessing - { normalize, trimSilence }
+ * @param {Object} options - { signal, checkpoints, provider, prompt, concurrency } as for transcribeWithRetry
+ * @returns {Promise<Object>} Transcription result with { preprocessing } report
+ */
+const transcribePreprocessed = async (audioPath, meetingId, progressCallback, preprocessing, options) => {
+  const { signal, checkpoints } = options;
+  const fullAudioPath = path.isAbsolute(audioPath)
+    ? audioPath
+    : path.join(__dirname, '../..', audioPath);
+
+  if (progressCallback) {
+    progressCallback({
+      status: 'processing',
+      message: 'Preprocessing audio...'
+    });
+  }
 
-    return mergedResult;
+  const prepared = await preprocessMeetingAudio(fullAudioPath, meetingId || Date.now(), preprocessing, { signal, checkpoints });
+  const { report } = prepared;
+  console.log(`Preprocessed audio: ${report.processedDuration.toFixed(1)}s of ${report.originalDuration.toFixed(1)}s kept`);
 
+  // Like the converted WAV, the preprocessed file is only kept on failure when the next attempt can resume
+  let keepWorkFile = false;
+  try {
+    const transcription = await transcribeFile(prepared.path, meetingId, progressCallback, options);
+    return {
+      ...remapTranscription(transcription, prepared.timestampMap, report.originalDuration),
+      preprocessing: report,
+    };
   } catch (error) {
-    console.error('Transcription failed:', error);
+    keepWorkFile = !!checkpoints;
     throw error;
+  } finally {
+    if (!keepWorkFile) {
+      await fs.unlink(prepared.path).catch(err =>
+        console.warn('Failed to cleanup preprocessed audio:', err.message)
+      );
+    }
   }
 };
 
@@ -458,15 +713,16 @@ export const transcribeAudio = async (audioPath, language = 'en') => {
  * @param {string} transcript - Transcript text
  * @param {number} meetingId - Meeting ID
  * @param {Object} metadata - Additional metadata
+ * @param {Object} options - { suffix } appended to the file name, e.g. 'corrected'
  * @returns {Promise<Object>} Saved file paths
  */
-export const saveTranscript = async (transcript, meetingId, metadata = {}) => {
+export const saveTranscript = async (transcript, meetingId, metadata = {}, { suffix = null } = {}) => {
   try {
     // Ensure transcript directory exists
     await fs.mkdir(TRANSCRIPT_DIR, { recursive: true });
 
     const timestamp = Date.now();
-    const baseFilename = `meeting-${meetingId}-${timestamp}`;
+    const baseFilename = `meeting-${meetingId}-${timestamp}${suffix ? `-${suffix}` : ''}`;
 
     // Save as plain text
     const txtPath = path.join(TRANSCRIPT_DIR, `${baseFilename}.txt`);
@@ -489,26 +745,66 @@ export const saveTranscript = async (transcript, meetingId, metadata = {}) => {
   }
 };
 
+/**
+ * Delete transcript files
+ * @param {Array<string>} transcriptPaths - Paths as returned by saveTranscript
+ * @returns {Promise<void>}
+ */
+export const deleteTranscriptFiles = async (transcriptPaths) => {
+  for (const transcriptPath of transcriptPaths.filter(Boolean)) {
+    await fs.unlink(path.join(__dirname, '../..', transcriptPath)).catch(error =>
+      console.warn(`Failed to delete transcript ${transcriptPath}:`, error.message)
+    );
+  }
+};
+
+/**
+ * Rewrite an existing markdown transcript, e.g. after speakers were renamed
+ * @param {string} mdPath - Path of the markdown transcript (as returned by saveTranscript)
+ * @param {string} transcript - Transcript text
+ * @param {Object} metadata - Meeting metadata (same fields as saveTranscript)
+ * @returns {Promise<void>}
+ */
+export const updateMarkdownTranscript = async (mdPath, transcript, metadata = {}) => {
+  try {
+    const fullPath = path.join(__dirname, '../..', mdPath);
+    await fs.writeFile(fullPath, generateMarkdownTranscript(transcript, metadata));
+    console.log(`Transcript updated: ${mdPath}`);
+  } catch (error) {
+    console.error('Error updating transcript:', error);
+    throw new Error('Failed to update transcript');
+  }
+};
+
 /**
  * Generate formatted markdown transcript
  * @param {string} transcript - Transcript text
- * @param {Object} metadata - Meeting metadata
+ * @param {Object} metadata - Meeting metadata, including speakers (label -> name) for diarized segments
  * @returns {string} Formatted markdown
  */
 const generateMarkdownTranscript = (transcript, metadata) => {
-  const { title, date, duration, segments } = metadata;
+  const { title, date, duration, segments, speakers = {}, preprocessing } = metadata;
+  const speakerName = (label) => speakers[label] || defaultSpeakerName(label);
+  const speakerLabels = [...new Set((segments || []).map(s => s.speaker).filter(Boolean))];
 
   let markdown = `# ${title || 'Meeting Transcript'}\n\n`;
   markdown += `**Date:** ${date ? new Date(date).toLocaleString() : 'N/A'}\n`;
-  markdown += `**Duration:** ${duration ? formatDuration(duration) : 'N/A'}\n\n`;
-  markdown += `---\n\n`;
+  markdown += `**Duration:** ${duration ? formatDuration(duration) : 'N/A'}\n`;
+  if (preprocessing?.removedSeconds > 0) {
+    markdown += `**Silence removed before transcription:** ${formatDuration(Math.round(preprocessing.removedSeconds))}\n`;
+  }
+  if (speakerLabels.length > 0) {
+    markdown += `**Speakers:** ${speakerLabels.map(speakerName).join(', ')}\n`;
+  }
+  markdown += `\n---\n\n`;
 
   // Add segments with timestamps if available
   if (segments && segments.length > 0) {
     markdown += `## Transcript with Timestamps\n\n`;
     for (const segment of segments) {
       const timestamp = formatTimestamp(segment.start);
-      markdown += `**[${timestamp}]** ${segment.text}\n\n`;
+      const speaker = segment.speaker ? ` ${speakerName(segment.speaker)}:` : '';
+      markdown += `**[${timestamp}]${speaker}** ${segment.text}\n\n`;
     }
   } else {
     markdown += `## Transcript\n\n${transcript}\n`;
@@ -0,0 +1,164 @@
+import OpenAI from 'openai';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { getTranscriptionProviderName } from './settingsService.js';
+import { throwIfCancelled } from './cancellation.js';
+
+const FAKE_SEGMENT_SECONDS = 5;
+
+// Create a fresh OpenAI client for each request to avoid stale connection issues
+function createClient(options) {
+  return new OpenAI({
+    timeout: 600000, // 10 minutes timeout for large file uploads
+    maxRetries: 0, // Disable SDK retries, we handle our own
+    ...options,
+  });
+}
+
+/**
+ * Call an OpenAI-compatible /audio/transcriptions endpoint
+ * @param {OpenAI} client - OpenAI client (pointing at OpenAI or a local server)
+ * @param {string} model - Model name
+ * @param {string} audioPath - Path to audio file
+ * @param {Object} options - { language, signal, prompt } - prompt guides the spelling of names and jargon
+ * @returns {Promise<Object>} Transcription result ({ text, language, duration, segments })
+ */
+const transcribeWithClient = async (client, model, audioPath, { language, signal, prompt = null }) => {
+  const transcription = await client.audio.transcriptions.create({
+    file: fsSync.createReadStream(audioPath),
+    model,
+    language,
+    ...(prompt ? { prompt } : {}),
+    response_format: 'verbose_json', // Get timestamps
+  }, { signal });
+
+  return {
+    text: transcription.text,
+    language: transcription.language || language,
+    duration: transcription.duration,
+    segments: transcription.segments || [],
+  };
+};
+
+// OpenAI Whisper API - uploads are capped at 25MB
+const openaiProvider = {
+  label: 'OpenAI Whisper',
+  limits: { maxFileSizeMB: 24, maxChunkSeconds: 600 },
+  getConfigError: () => (process.env.OPENAI_API_KEY ? null : 'OpenAI API key not configured'),
+  transcribe: (audioPath, options) => transcribeWithClient(
+    createClient({ apiKey: process.env.OPENAI_API_KEY }),
+    'whisper-1',
+    audioPath,
+    options
+  ),
+};
+
+// Any server implementing the OpenAI transcription API (faster-whisper-server, whisper.cpp server, ...)
+const localProvider = {
+  label: 'Local Whisper',
+  get limits() {
+    return {
+      maxFileSizeMB: parseFloat(process.env.LOCAL_TRANSCRIPTION_MAX_FILE_MB) || 200,
+      maxChunkSeconds: parseInt(process.env.LOCAL_TRANSCRIPTION_CHUNK_SECONDS, 10) || 1800,
+    };
+  },
+  getConfigError: () => (
+    process.env.LOCAL_TRANSCRIPTION_URL ? null : 'Local transcription server not configured (set LOCAL_TRANSCRIPTION_URL)'
+  ),
+  transcribe: (audioPath, options) => transcribeWithClient(
+    createClient({
+      baseURL: process.env.LOCAL_TRANSCRIPTION_URL,
+      apiKey: process.env.LOCAL_TRANSCRIPTION_API_KEY || 'not-needed',
+    }),
+    process.env.LOCAL_TRANSCRIPTION_MODEL || 'whisper-1',
+    audioPath,
+    options
+  ),
+};
+
+/**
+ * Estimate an audio file's duration without ffmpeg: exact for PCM WAV, a 128kbps guess otherwise
+ * @param {string} audioPath - Path to audio file
+ * @returns {Promise<number>} Duration in seconds
+ */
+const estimateDuration = async (audioPath) => {
+  const { size } = await fs.stat(audioPath);
+  const handle = await fs.open(audioPath, 'r');
+  try {
+    const header = Buffer.alloc(44);
+    await handle.read(header, 0, 44, 0);
+    if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WAVE') {
+      const byteRate = header.readUInt32LE(28);
+      if (byteRate > 0) return Math.max(0, size - 44) / byteRate;
+    }
+    return size / 16000;
+  } finally {
+    await handle.close();
+  }
+};
+
+// Deterministic offline provider for tests and development: same file in, same transcript out
+const fakeProvider = {
+  label: 'Fake transcription',
+  limits: { maxFileSizeMB: 24, maxChunkSeconds: 600 },
+  getConfigError: () => null,
+  transcribe: async (audioPath, { language, signal }) => {
+    throwIfCancelled(signal);
+    const duration = Math.round(await estimateDuration(audioPath) * 100) / 100;
+    const name = path.basename(audioPath, path.extname(audioPath));
+
+    const segments = [];
+    for (let start = 0; start < duration; start += FAKE_SEGMENT_SECONDS) {
+      const id = segments.length;
+      segments.push({
+        id,
+        start,
+        end: Math.min(start + FAKE_SEGMENT_SECONDS, duration),
+        text: ` Fake segment ${id + 1} of ${name}.`,
+      });
+    }
+
+    return {
+      text: segments.map(s => s.text.trim()).join(' '),
+      language,
+      duration,
+      segments,
+    };
+  },
+};
+
+const providers = new Map([
+  ['openai', openaiProvider],
+  ['local', localProvider],
+  ['fake', fakeProvider],
+]);
+
+/**
+ * Register a transcription provider
+ * @param {string} name - Provider name, selected with the ai.transcription setting
+ * @param {Object} provider - { label, limits: { maxFileSizeMB, maxChunkSeconds }, getConfigError(),
+ *   transcribe(audioPath, { language, signal, prompt }) } resolving to { text, language, duration, segments }
+ */
+export const registerTranscriptionProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+/**
+ * List the names of the available transcription providers
+ * @returns {Array<string>} Provider names
+ */
+export const getTranscriptionProviderNames = () => [...providers.keys()];
+
+/**
+ * Get a transcription provider
+ * @param {string} name - Provider name (defaults to the ai.transcription setting)
+ * @returns {Object} Provider with its name
+ */
+export const getTranscriptionProvider = (name = getTranscriptionProviderName()) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+  return { name, ...provider };
+};
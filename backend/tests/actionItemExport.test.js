@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeIcsText,
+  foldIcsLine,
+  toIcs,
+  toCsv,
+  toJson,
+  toMarkdown,
+  getActionItemExportFilename,
+} from '../src/services/actionItemExport.js';
+
+const items = [
+  {
+    id: 1,
+    task: 'Send the contract, signed',
+    owner: 'Alice',
+    due_date: '2026-03-06',
+    status: 'open',
+    overdue: false,
+    project_id: 2,
+    project_name: 'Website Redesign',
+    meeting_id: 3,
+    meeting_title: 'Kickoff',
+    meeting_date: '2026-03-02T10:00:00.000Z',
+    created_at: '2026-03-02 10:30:00',
+    updated_at: '2026-03-02 10:30:00',
+  },
+  {
+    id: 2,
+    task: 'Book a "quiet" room',
+    owner: null,
+    due_date: null,
+    status: 'done',
+    completed_at: '2026-03-04 09:00:00',
+    project_id: 2,
+    project_name: 'Website Redesign',
+    meeting_id: null,
+    created_at: '2026-03-02 10:30:00',
+    updated_at: '2026-03-04 09:00:00',
+  },
+];
+
+// Unfolded content lines of an ICS file
+const icsLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('Action item export', () => {
+  describe('ICS', () => {
+    it('should escape text values', () => {
+      expect(escapeIcsText('a, b; c\\d\ne')).toBe('a\\, b\\; c\\\\d\\ne');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'é'.repeat(80)}`;
+      const folded = foldIcsLine(line).split('\r\n');
+
+      expect(folded.length).toBeGreaterThan(1);
+      expect(folded.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+      expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+      expect(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+
+    it('should write to-dos with due dates and completion', () => {
+      const ics = toIcs(items, { name: 'Website Redesign - action items' });
+      const lines = icsLines(ics);
+
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines).toContain('X-WR-CALNAME:Website Redesign - action items');
+      expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(2);
+      expect(lines).toContain('UID:action-item-1@aibapm');
+      expect(lines).toContain('SUMMARY:Send the contract\\, signed');
+      expect(lines).toContain('DUE;VALUE=DATE:20260306');
+      expect(lines).toContain('STATUS:COMPLETED');
+      expect(lines).toContain('COMPLETED:20260304T090000Z');
+      expect(lines).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('should write all-day events only for items with a due date', () => {
+      const lines = icsLines(toIcs(items, { component: 'event' }));
+
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+      expect(lines).toContain('DTSTART;VALUE=DATE:20260306');
+      expect(lines).toContain('DTEND;VALUE=DATE:20260307');
+      expect(lines).not.toContain('BEGIN:VTODO');
+    });
+  });
+
+  describe('CSV', () => {
+    it('should write Jira-style columns, quoting where needed', () => {
+      const [header, first, ...rest] = toCsv(items).split('\r\n');
+
+      expect(header).toBe('Summary,Description,Assignee,Due Date,Status,Labels,Meeting,Meeting Date,ID');
+      expect(first.startsWith('"Send the contract, signed",')).toBe(true);
+      expect(first).toContain(',Alice,2026-03-06,Open,action-item website-redesign,Kickoff,2026-03-02,1');
+      expect(rest.join('\r\n')).toContain('"Book a ""quiet"" room"');
+    });
+
+    it('should keep text from running as a spreadsheet formula', () => {
+      const [, row] = toCsv([{
+        ...items[0],
+        task: '=HYPERLINK("http://example.com","Click")',
+        owner: '@Alice',
+        project_name: null,
+        meeting_title: '-1+2',
+      }]).split('\r\n');
+
+      expect(row.startsWith(`"'=HYPERLINK(""http://example.com"",""Click"")",`)).toBe(true);
+      expect(row).toContain(",'@Alice,2026-03-06,Open,action-item,'-1+2,2026-03-02,1");
+    });
+
+    it('should write only the header when there are no items', () => {
+      expect(toCsv([]).split('\r\n').filter(Boolean)).toHaveLength(1);
+    });
+  });
+
+  it('should export JSON with the project and meeting of each item', () => {
+    const { actionItems } = JSON.parse(toJson(items));
+
+    expect(actionItems[0]).toMatchObject({
+      id: 1,
+      task: 'Send the contract, signed',
+      project: { id: 2, name: 'Website Redesign' },
+      meeting: { id: 3, title: 'Kickoff' },
+    });
+    expect(actionItems[1].meeting).toBeNull();
+  });
+
+  it('should export a Markdown checklist', () => {
+    const markdown = toMarkdown(items, { name: 'Website Redesign - action items' });
+
+    expect(markdown).toContain('# Website Redesign - action items');
+    expect(markdown).toContain('- [ ] Send the contract, signed - @Alice, due 2026-03-06, from Kickoff (2026-03-02)');
+    expect(markdown).toContain('- [x] Book a "quiet" room');
+  });
+
+  it('should name files after the project', () => {
+    expect(getActionItemExportFilename({ name: 'Website Redesign' }, 'markdown')).toBe('action-items-website-redesign.md');
+    expect(getActionItemExportFilename(null, 'ics')).toBe('action-items.ics');
+  });
+});
@@ -0,0 +1,276 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDueDate,
+  extractActionItems,
+  planActionItemSync,
+  syncMeetingActionItems,
+  formatOpenActionItemsForPrompt,
+  normalizeActionItemUpdates,
+  applyActionItemUpdates,
+} from '../src/services/actionItems.js';
+import db, {
+  createProject,
+  createMeeting,
+  createActionItem,
+  updateActionItem,
+  getActionItemById,
+  getActionItemsForMeeting,
+  deleteMeeting,
+  reopenActionItemsClosedByMeeting,
+} from '../src/db/database.js';
+import { buildAnalysisPrompt } from '../src/services/aiAnalysis.js';
+
+describe('Action items', () => {
+  describe('parseDueDate', () => {
+    it('should keep real dates', () => {
+      expect(parseDueDate('2026-03-06')).toBe('2026-03-06');
+      expect(parseDueDate(' 2026-03-06T17:00:00Z')).toBe('2026-03-06');
+    });
+
+    it('should drop anything that is not a date', () => {
+      expect(parseDueDate('next Friday')).toBeNull();
+      expect(parseDueDate('2026-02-30')).toBeNull();
+      expect(parseDueDate(null)).toBeNull();
+      expect(parseDueDate(20260306)).toBeNull();
+    });
+  });
+
+  describe('extractActionItems', () => {
+    it('should read tasks, owners and due dates from the summary', () => {
+      expect(extractActionItems([
+        { task: ' Send the contract ', owner: 'Alice', due: '2026-03-06' },
+        { task: 'Book a room', owner: '  ', due: 'soon' },
+        'Update the roadmap',
+        { task: '', owner: 'Bob' },
+        { owner: 'Bob' },
+      ])).toEqual([
+        { task: 'Send the contract', owner: 'Alice', due_date: '2026-03-06' },
+        { task: 'Book a room', owner: null, due_date: null },
+        { task: 'Update the roadmap', owner: null, due_date: null },
+      ]);
+    });
+
+    it('should handle summaries without action items', () => {
+      expect(extractActionItems(undefined)).toEqual([]);
+      expect(extractActionItems('none')).toEqual([]);
+    });
+  });
+
+  describe('planActionItemSync', () => {
+    const existing = [
+      { id: 1, task: 'Send the contract', owner: 'Bob', status: 'done' },
+      { id: 2, task: 'Book a room', owner: null, status: 'open' },
+      { id: 3, task: 'Call the customer', owner: 'Alice', status: 'done' },
+    ];
+
+    it('should keep matching items as they are, whatever their case and punctuation', () => {
+      const plan = planActionItemSync(existing, [
+        { task: 'send the contract!', owner: 'Alice', due_date: null },
+        { task: 'Write the release notes', owner: 'Carol', due_date: '2026-03-06' },
+      ]);
+
+      expect(plan.kept.map(row => row.id)).toEqual([1]);
+      expect(plan.added).toEqual([{ task: 'Write the release notes', owner: 'Carol', due_date: '2026-03-06' }]);
+    });
+
+    it('should only remove open items the new summary no longer has', () => {
+      const plan = planActionItemSync(existing, []);
+      expect(plan.removed.map(row => row.id)).toEqual([2]);
+    });
+
+    it('should match each saved item once', () => {
+      const plan = planActionItemSync(existing, [
+        { task: 'Book a room', owner: null, due_date: null },
+        { task: 'Book a room', owner: null, due_date: null },
+      ]);
+
+      expect(plan.kept.map(row => row.id)).toEqual([2]);
+      expect(plan.added).toHaveLength(1);
+    });
+
+    it('should keep open items added by hand or edited', () => {
+      const plan = planActionItemSync([
+        { id: 4, task: 'Order pizza', status: 'open', source: 'manual', analysis_task: null },
+        { id: 5, task: 'Book a bigger room', status: 'open', source: 'analysis', analysis_task: 'Book a room', edited_at: '2026-03-03 09:00:00' },
+        { id: 6, task: 'Call the customer', status: 'open', source: 'analysis', analysis_task: 'Call the customer', edited_at: null },
+      ], [{ task: 'Book a room', owner: null, due_date: null }]);
+
+      expect(plan.kept.map(row => row.id)).toEqual([5]);
+      expect(plan.added).toEqual([]);
+      expect(plan.removed.map(row => row.id)).toEqual([6]);
+    });
+
+    it('should not add again tasks still open from earlier meetings', () => {
+      const plan = planActionItemSync([], [
+        { task: 'Call the customer.', owner: 'Alice', due_date: null },
+        { task: 'Book a room', owner: null, due_date: null },
+      ], [{ id: 7, task: 'call the customer', status: 'open' }]);
+
+      expect(plan.added.map(item => item.task)).toEqual(['Book a room']);
+    });
+  });
+
+  describe('follow-ups on open action items', () => {
+    const openItems = [
+      { id: 4, task: 'Send the contract', owner: 'Bob', due_date: '2026-03-06' },
+      { id: 5, task: 'Book a room', owner: null, due_date: null },
+    ];
+
+    it('should list open items with their IDs for the prompt', () => {
+      expect(formatOpenActionItemsForPrompt(openItems)).toBe(
+        '[4] Send the contract (owner: Bob, due: 2026-03-06)\n[5] Book a room'
+      );
+    });
+
+    it('should drop updates to unknown items and repeated updates', () => {
+      const updates = normalizeActionItemUpdates([
+        { id: 4, status: 'done' },
+        { id: '4', status: 'open' },
+        { id: 99, status: 'done' },
+        { id: 5, status: 'closed' },
+        null,
+      ], openItems);
+
+      expect(updates).toEqual([
+        { id: 4, status: 'done', task: 'Send the contract', owner: 'Bob', due_date: '2026-03-06', changed: [] },
+      ]);
+    });
+
+    it('should carry the new owner and due date of updated items', () => {
+      const [update] = normalizeActionItemUpdates([
+        { id: 4, status: 'updated', owner: 'Carol', due: '2026-03-13', task: ' ' },
+      ], openItems);
+
+      expect(update).toEqual({
+        id: 4,
+        status: 'updated',
+        task: 'Send the contract',
+        owner: 'Carol',
+        due_date: '2026-03-13',
+        changed: ['owner', 'due_date'],
+      });
+    });
+
+    it('should treat updates that change nothing as still open', () => {
+      const [update] = normalizeActionItemUpdates([
+        { id: 5, status: 'updated', due: 'next week' },
+      ], openItems);
+
+      expect(update.status).toBe('open');
+      expect(update.changed).toEqual([]);
+    });
+
+    it('should handle analyses without updates', () => {
+      expect(normalizeActionItemUpdates(undefined, openItems)).toEqual([]);
+    });
+  });
+
+  describe('syncMeetingActionItems', () => {
+    it('should keep items added by hand and edited items when the meeting is reanalyzed', () => {
+      const projectId = createProject.run('Office Move').lastInsertRowid;
+      const meetingId = createMeeting.run(projectId, 'Planning', '2026-03-02T10:00:00.000Z', null, null, null, null).lastInsertRowid;
+      syncMeetingActionItems(meetingId, [
+        { task: 'Book the movers', owner: 'Alice' },
+        { task: 'Order boxes', owner: 'Bob' },
+        { task: 'Label the desks', owner: 'Carol' },
+      ]);
+      const saved = Object.fromEntries(getActionItemsForMeeting.all(meetingId).map(row => [row.task, row]));
+
+      // Added by hand, and reworded and reassigned by hand
+      createActionItem.run(projectId, meetingId, null, 'Cancel the lease', null, null, 'open', 'open', 'manual', null);
+      updateActionItem.run({ ...saved['Order boxes'], task: 'Order 50 boxes', owner: 'Dana' });
+
+      // The new analysis words things differently and misses two items
+      expect(syncMeetingActionItems(meetingId, [{ task: 'book the movers!', owner: 'Alice' }])).toEqual({ kept: 1, added: 0, removed: 1 });
+      expect(syncMeetingActionItems(meetingId, [{ task: 'Order boxes', owner: 'Bob' }])).toEqual({ kept: 1, added: 0, removed: 1 });
+
+      expect(getActionItemsForMeeting.all(meetingId).map(row => [row.task, row.owner, row.source])).toEqual([
+        ['Order 50 boxes', 'Dana', 'analysis'],
+        ['Cancel the lease', null, 'manual'],
+      ]);
+    });
+  });
+
+  describe('applying follow-ups', () => {
+    const projectId = createProject.run('Website Redesign').lastInsertRowid;
+    const kickoff = createMeeting.run(projectId, 'Kickoff', '2026-03-02T10:00:00.000Z', null, null, null, null).lastInsertRowid;
+    const addItem = (task) => createActionItem.run(projectId, kickoff, null, task, 'Bob', null, 'open', 'open', 'analysis', task).lastInsertRowid;
+    const setUpdatedAt = (id, timestamp) => db.prepare('UPDATE action_items SET updated_at = ? WHERE id = ?').run(timestamp, id);
+    const analyzedAt = '2026-03-09T10:00:00.000Z';
+
+    it('should close done items and update changed ones', () => {
+      const review = createMeeting.run(projectId, 'Review', '2026-03-09T09:00:00.000Z', null, null, null, null).lastInsertRowid;
+      const done = addItem('Send the contract');
+      const moved = addItem('Book a room');
+      setUpdatedAt(done, '2026-03-02 10:30:00');
+      setUpdatedAt(moved, '2026-03-02 10:30:00');
+
+      expect(applyActionItemUpdates(review, [
+        { id: done, status: 'done' },
+        { id: moved, status: 'updated', task: 'Book a room', owner: 'Carol', due_date: '2026-03-13' },
+      ], { analyzedAt })).toEqual({ closed: 1, updated: 1 });
+
+      expect(getActionItemById.get(done)).toMatchObject({ status: 'done', closed_meeting_id: review });
+      expect(getActionItemById.get(moved)).toMatchObject({ status: 'open', owner: 'Carol', due_date: '2026-03-13' });
+    });
+
+    it('should leave items changed since the analysis alone', () => {
+      const review = createMeeting.run(projectId, 'Review', '2026-03-09T09:00:00.000Z', null, null, null, null).lastInsertRowid;
+      const reopened = addItem('Send the invoice');
+      const reassigned = addItem('Order chairs');
+      // Reopened and reassigned by hand after the analysis, e.g. before reprocessing reused it
+      setUpdatedAt(reopened, '2026-03-10 08:00:00');
+      setUpdatedAt(reassigned, '2026-03-10 08:00:00');
+
+      expect(applyActionItemUpdates(review, [
+        { id: reopened, status: 'done' },
+        { id: reassigned, status: 'updated', task: 'Order chairs', owner: 'Carol', due_date: null },
+      ], { analyzedAt })).toEqual({ closed: 0, updated: 0 });
+
+      expect(getActionItemById.get(reopened).status).toBe('open');
+      expect(getActionItemById.get(reassigned).owner).toBe('Bob');
+    });
+
+    it('should apply nothing when the analysis time is unknown', () => {
+      const review = createMeeting.run(projectId, 'Review', '2026-03-09T09:00:00.000Z', null, null, null, null).lastInsertRowid;
+      const item = addItem('Print flyers');
+
+      expect(applyActionItemUpdates(review, [{ id: item, status: 'done' }])).toEqual({ closed: 0, updated: 0 });
+    });
+
+    it('should reopen items closed by a meeting that is deleted', () => {
+      const review = createMeeting.run(projectId, 'Review', '2026-03-09T09:00:00.000Z', null, null, null, null).lastInsertRowid;
+      const item = addItem('Call the printer');
+      setUpdatedAt(item, '2026-03-02 10:30:00');
+      applyActionItemUpdates(review, [{ id: item, status: 'done' }], { analyzedAt });
+
+      reopenActionItemsClosedByMeeting.run(review);
+      deleteMeeting.run(review);
+
+      expect(getActionItemById.get(item)).toMatchObject({ status: 'open', completed_at: null, closed_meeting_id: null });
+    });
+  });
+
+  describe('analysis prompt', () => {
+    it('should ask for due dates relative to the meeting date', () => {
+      const prompt = buildAnalysisPrompt('Alice: I will send it by Friday.', [], undefined, '2026-03-02T10:00:00.000Z');
+      expect(prompt).toContain('MEETING DATE: 2026-03-02.');
+      expect(prompt).toContain('"task", "owner" and "due" fields');
+    });
+
+    it('should leave the date out when it is unknown', () => {
+      expect(buildAnalysisPrompt('Hello.')).not.toContain('MEETING DATE');
+    });
+
+    it('should list open action items only when there are some', () => {
+      const prompt = buildAnalysisPrompt('Bob: The contract is sent.', [], undefined, null, [
+        { id: 4, task: 'Send the contract', owner: 'Bob', due_date: null },
+      ]);
+      expect(prompt).toContain('OPEN ACTION ITEMS');
+      expect(prompt).toContain('[4] Send the contract (owner: Bob)');
+      expect(prompt).toContain('action_item_updates');
+
+      expect(buildAnalysisPrompt('Hello.')).not.toContain('OPEN ACTION ITEMS');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+  chooseChunkBoundaries,
+  detectSilences,
+  splitIntoChunks,
+  processLargeAudio,
+} from '../src/services/audioChunker.js';
+import { mergeTranscripts, findSeamOverlap } from '../src/services/transcription.js';
+
+const hasFfmpeg = (() => {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    execFileSync('ffprobe', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+describe('Chunk boundaries', () => {
+  describe('chooseChunkBoundaries', () => {
+    it('should cut at fixed lengths without pauses', () => {
+      expect(chooseChunkBoundaries([], 25, 10)).toEqual([
+        { start: 0, end: 10, cutAtSilence: false },
+        { start: 10, end: 20, cutAtSilence: false },
+        { start: 20, end: 25, cutAtSilence: false },
+      ]);
+    });
+
+    it('should cut in the middle of the last pause before the maximum length', () => {
+      const silences = [{ start: 7, end: 7.5 }, { start: 8.5, end: 9.5 }, { start: 10.5, end: 11 }];
+      expect(chooseChunkBoundaries(silences, 25, 10)).toEqual([
+        { start: 0, end: 9, cutAtSilence: true },
+        { start: 9, end: 19, cutAtSilence: false },
+        { start: 19, end: 25, cutAtSilence: false },
+      ]);
+    });
+
+    it('should ignore pauses too far before the maximum length', () => {
+      const ranges = chooseChunkBoundaries([{ start: 100, end: 101 }], 1300, 600);
+      expect(ranges[0]).toEqual({ start: 0, end: 600, cutAtSilence: false });
+    });
+
+    it('should never make a chunk longer than the maximum length', () => {
+      const silences = Array.from({ length: 40 }, (_, i) => ({ start: i * 37 + 30, end: i * 37 + 31 }));
+      for (const { start, end } of chooseChunkBoundaries(silences, 1500, 300)) {
+        expect(end - start).toBeLessThanOrEqual(300);
+        expect(end).toBeGreaterThan(start);
+      }
+    });
+  });
+
+  // Tone with a second of silence at 9-10s, 19-20s and 29-30s.
+  // Each test writes its chunks to its own directory, removed with the audio afterwards
+  describe.skipIf(!hasFfmpeg)('with synthetic audio', () => {
+    let dir;
+    let wavPath;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-chunker-'));
+      wavPath = path.join(dir, 'tone.wav');
+      execFileSync('ffmpeg', [
+        '-y', '-loglevel', 'error',
+        '-f', 'lavfi',
+        '-i', "aevalsrc='if(lt(mod(t,10),9),0.5*sin(440*2*PI*t),0)':s=16000:d=35",
+        '-ac', '1', '-c:a', 'pcm_s16le',
+        wavPath,
+      ]);
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should detect the pauses', async () => {
+      const { silences } = await detectSilences(wavPath, { minSilenceSeconds: 0.3 });
+      expect(silences).toHaveLength(3);
+      silences.forEach((silence, i) => {
+        expect(silence.start).toBeCloseTo(9 + i * 10, 0);
+        expect(silence.end).toBeCloseTo(10 + i * 10, 0);
+      });
+    });
+
+    it('should split at the pauses without overlap', async () => {
+      const { silences } = await detectSilences(wavPath, { minSilenceSeconds: 0.3 });
+      const chunks = await splitIntoChunks(wavPath, 35, 12, { silences, outputDir: path.join(dir, 'at-pauses') });
+
+      expect(chunks.map(c => Math.round(c.startTime * 2) / 2)).toEqual([0, 9.5, 19.5, 29.5]);
+      expect(chunks.every(c => c.overlap === 0)).toBe(true);
+      expect(chunks.at(-1).endTime).toBe(35);
+    });
+
+    it('should overlap chunks cut at fixed lengths', async () => {
+      const chunks = await splitIntoChunks(wavPath, 35, 12, { outputDir: path.join(dir, 'fixed-length') });
+
+      expect(chunks.map(c => c.startTime)).toEqual([0, 12, 24]);
+      expect(chunks.map(c => c.overlap)).toEqual([0, 2, 2]);
+    });
+
+    it('should chunk a large recording at its pauses', async () => {
+      // 35s of 16kHz audio is ~1.1MB - a 0.4MB limit makes chunks of at most 10s
+      const processed = await processLargeAudio(wavPath, 'chunker-test', {
+        limits: { maxFileSizeMB: 0.4 },
+        outputDir: path.join(dir, 'large'),
+      });
+
+      expect(processed.needsChunking).toBe(true);
+      expect(processed.chunks.map(c => Math.round(c.startTime * 2) / 2)).toEqual([0, 9.5, 19.5, 29.5]);
+    });
+
+    it('should chunk at the provider\'s length limit', async () => {
+      // Well under the size limit, like a local provider's - only its chunk length applies
+      const processed = await processLargeAudio(wavPath, 'chunker-test-local', {
+        limits: { maxFileSizeMB: 0.9, maxChunkSeconds: 15 },
+        outputDir: path.join(dir, 'length-limit'),
+      });
+
+      expect(processed.chunkDuration).toBe(15);
+      expect(processed.chunks.every(c => c.duration <= 15)).toBe(true);
+    });
+  });
+});
+
+describe('Merging chunk transcripts', () => {
+  describe('findSeamOverlap', () => {
+    it('should find the words both chunks transcribed', () => {
+      expect(findSeamOverlap('So we agreed to ship it on Friday.', 'ship it on Friday. Next topic'))
+        .toEqual({ dropPrevious: 0, dropNext: 4 });
+    });
+
+    it('should drop words cut off at either edge', () => {
+      expect(findSeamOverlap('we agreed to ship it on Fri', 'ship it on Friday'))
+        .toEqual({ dropPrevious: 1, dropNext: 3 });
+      expect(findSeamOverlap('we agreed to ship it', 'reed to ship it on Friday'))
+        .toEqual({ dropPrevious: 0, dropNext: 4 });
+    });
+
+    it('should ignore a single repeated word', () => {
+      expect(findSeamOverlap('that is fine', 'fine, moving on')).toEqual({ dropPrevious: 0, dropNext: 0 });
+    });
+  });
+
+  describe('mergeTranscripts', () => {
+    it('should keep the words of an overlapping seam once', () => {
+      const merged = mergeTranscripts([
+        {
+          chunk: { startTime: 0, endTime: 10, overlap: 0 },
+          transcription: {
+            text: 'Welcome everyone. We will ship it on Fri',
+            segments: [
+              { start: 0, end: 4, text: ' Welcome everyone.' },
+              { start: 4, end: 10, text: ' We will ship it on Fri' },
+            ],
+          },
+        },
+        {
+          chunk: { startTime: 10, endTime: 20, overlap: 2 },
+          transcription: {
+            text: 'ship it on Friday. Any questions?',
+            segments: [
+              { start: 0, end: 3, text: ' ship it on Friday.' },
+              { start: 3, end: 6, text: ' Any questions?' },
+            ],
+          },
+        },
+      ]);
+
+      expect(merged.text).toBe('Welcome everyone. We will ship it on Friday. Any questions?');
+      expect(merged.segments.map(s => s.text)).toEqual([
+        ' Welcome everyone.',
+        ' We will ship it on',
+        ' Friday.',
+        ' Any questions?',
+      ]);
+      // Times count from where the chunk's audio begins, 2s before its start
+      expect(merged.segments.slice(2).map(s => [s.start, s.end])).toEqual([[8, 11], [11, 14]]);
+      expect(merged.duration).toBe(20);
+    });
+
+    it('should leave chunks cut at pauses as they are', () => {
+      const merged = mergeTranscripts([
+        { chunk: { startTime: 0, endTime: 9.5, overlap: 0 }, transcription: { text: 'No no.', segments: [] } },
+        { chunk: { startTime: 9.5, endTime: 20, overlap: 0 }, transcription: { text: 'No no.', segments: [] } },
+      ]);
+      expect(merged.text).toBe('No no. No no.');
+    });
+  });
+});
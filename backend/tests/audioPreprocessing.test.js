@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSilenceDetectOutput,
+  buildKeepRanges,
+  buildTimestampMap,
+  toOriginalTime,
+  remapTranscription,
+} from '../src/services/audioChunker.js';
+
+describe('Audio preprocessing', () => {
+  describe('parseSilenceDetectOutput', () => {
+    it('should read silences and the duration from ffmpeg output', () => {
+      const output = [
+        '[silencedetect @ 0x1] silence_start: -0.002',
+        '[silencedetect @ 0x1] silence_end: 3.5 | silence_duration: 3.502',
+        'size=N/A time=00:00:30.00 bitrate=N/A speed= 200x',
+        '[silencedetect @ 0x1] silence_start: 40.25',
+        'size=N/A time=00:01:05.50 bitrate=N/A speed= 210x',
+      ].join('\n');
+
+      expect(parseSilenceDetectOutput(output)).toEqual({
+        silences: [{ start: 0, end: 3.5 }, { start: 40.25, end: null }],
+        duration: 65.5,
+      });
+    });
+
+    it('should return no duration when ffmpeg logged no progress', () => {
+      expect(parseSilenceDetectOutput('')).toEqual({ silences: [], duration: null });
+    });
+  });
+
+  describe('buildKeepRanges', () => {
+    it('should shorten long silences to a second, half at each end', () => {
+      const ranges = buildKeepRanges([{ start: 10, end: 20 }, { start: 30, end: 31 }], 60);
+      expect(ranges).toEqual([{ start: 0, end: 10.5 }, { start: 19.5, end: 60 }]);
+    });
+
+    it('should shorten a silence that runs to the end of the file', () => {
+      expect(buildKeepRanges([{ start: 50, end: null }], 60)).toEqual([
+        { start: 0, end: 50.5 },
+        { start: 59.5, end: 60 },
+      ]);
+    });
+
+    it('should keep everything when there are no long silences', () => {
+      expect(buildKeepRanges([], 60)).toEqual([{ start: 0, end: 60 }]);
+    });
+  });
+
+  describe('timestamp map', () => {
+    const map = buildTimestampMap([{ start: 0, end: 10.5 }, { start: 19.5, end: 60 }]);
+
+    it('should list where each kept range sits in the trimmed audio', () => {
+      expect(map).toEqual([
+        { start: 0, originalStart: 0, duration: 10.5 },
+        { start: 10.5, originalStart: 19.5, duration: 40.5 },
+      ]);
+    });
+
+    it('should move trimmed times back onto the original recording', () => {
+      expect(toOriginalTime(map, 5)).toBe(5);
+      expect(toOriginalTime(map, 10.5)).toBe(19.5);
+      expect(toOriginalTime(map, 12)).toBe(21);
+      // The end of a segment on a cut stays in the range it closes
+      expect(toOriginalTime(map, 10.5, { end: true })).toBe(10.5);
+    });
+
+    it('should leave times unchanged without a map', () => {
+      expect(toOriginalTime([], 42)).toBe(42);
+    });
+
+    it('should remap transcript segments and restore the original duration', () => {
+      const transcription = {
+        text: 'Hello. Welcome back.',
+        language: 'en',
+        duration: 51,
+        segments: [
+          { start: 1, end: 10.5, text: 'Hello.' },
+          { start: 10.5, end: 14, text: 'Welcome back.' },
+        ],
+      };
+
+      expect(remapTranscription(transcription, map, 60)).toEqual({
+        text: 'Hello. Welcome back.',
+        language: 'en',
+        duration: 60,
+        segments: [
+          { start: 1, end: 10.5, text: 'Hello.' },
+          { start: 19.5, end: 23, text: 'Welcome back.' },
+        ],
+      });
+    });
+  });
+});
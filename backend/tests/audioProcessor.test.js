@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseByteRange,
+  getAudioContentType,
+  validateAudioFile,
+  isVideoFile,
+} from '../src/services/audioProcessor.js';
+
+describe('Audio serving helpers', () => {
+  describe('parseByteRange', () => {
+    it('should return null without a Range header', () => {
+      expect(parseByteRange(undefined, 1000)).toBeNull();
+    });
+
+    it('should parse a closed range', () => {
+      expect(parseByteRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    });
+
+    it('should read an open range to the end of the file', () => {
+      expect(parseByteRange('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    });
+
+    it('should read a suffix range from the end of the file', () => {
+      expect(parseByteRange('bytes=-200', 1000)).toEqual({ start: 800, end: 999 });
+      expect(parseByteRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+    });
+
+    it('should clamp the end to the file size', () => {
+      expect(parseByteRange('bytes=900-5000', 1000)).toEqual({ start: 900, end: 999 });
+    });
+
+    it('should reject unsatisfiable ranges', () => {
+      expect(parseByteRange('bytes=1000-', 1000)).toBe(false);
+      expect(parseByteRange('bytes=50-10', 1000)).toBe(false);
+      expect(parseByteRange('bytes=-0', 1000)).toBe(false);
+      expect(parseByteRange('items=0-10', 1000)).toBe(false);
+    });
+
+    it('should fall back to the whole file for multiple ranges', () => {
+      expect(parseByteRange('bytes=0-10,20-30', 1000)).toBeNull();
+    });
+  });
+
+  describe('getAudioContentType', () => {
+    it('should map recording formats to audio MIME types', () => {
+      expect(getAudioContentType('/storage/audio/123-1.webm')).toBe('audio/webm');
+      expect(getAudioContentType('/storage/audio/123-1.MP3')).toBe('audio/mpeg');
+      expect(getAudioContentType('/storage/audio/123-1.bin')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('validateAudioFile', () => {
+    it('should accept imported audio and video recordings', () => {
+      expect(validateAudioFile('audio/mpeg', 1000, 'call.mp3').valid).toBe(true);
+      expect(validateAudioFile('audio/x-m4a', 1000, 'call.m4a').valid).toBe(true);
+      expect(validateAudioFile('video/mp4', 1000, 'call.mp4').valid).toBe(true);
+    });
+
+    it('should fall back to the extension for generic types', () => {
+      expect(validateAudioFile('application/octet-stream', 1000, 'call.m4a').valid).toBe(true);
+      expect(validateAudioFile('application/octet-stream', 1000, 'call.exe').valid).toBe(false);
+      expect(validateAudioFile('application/pdf', 1000, 'call.mp3').valid).toBe(false);
+    });
+
+    it('should reject files over 100MB', () => {
+      expect(validateAudioFile('audio/mpeg', 101 * 1024 * 1024, 'call.mp3').error).toMatch(/too large/);
+    });
+  });
+
+  describe('isVideoFile', () => {
+    it('should detect video containers by extension', () => {
+      expect(isVideoFile('/storage/audio/123-call.MP4')).toBe(true);
+      expect(isVideoFile('/storage/audio/123-call.m4a')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { checkCredentials, socketAuth } from '../src/middleware/auth.js';
+
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+
+// Runs the Socket.IO middleware and returns what it passed to next
+const handshake = (authorization) => {
+  let result;
+  socketAuth({ handshake: { headers: authorization ? { authorization } : {} } }, (error) => {
+    result = error;
+  });
+  return result;
+};
+
+describe('Password protection', () => {
+  const password = process.env.APP_PASSWORD;
+
+  afterEach(() => {
+    if (password === undefined) delete process.env.APP_PASSWORD;
+    else process.env.APP_PASSWORD = password;
+  });
+
+  it('should let everything through without a password set', () => {
+    delete process.env.APP_PASSWORD;
+    expect(checkCredentials(undefined)).toBeNull();
+    expect(handshake()).toBeUndefined();
+  });
+
+  it('should check the password with any user name', () => {
+    process.env.APP_PASSWORD = 's3cret';
+    expect(checkCredentials(basic('anyone', 's3cret'))).toBeNull();
+    expect(checkCredentials(basic('anyone', 'guess'))).toBe('Invalid password');
+    expect(checkCredentials('Bearer s3cret')).toBe('Authentication required');
+  });
+
+  it('should refuse socket connections without the password', () => {
+    process.env.APP_PASSWORD = 's3cret';
+    expect(handshake()).toBeInstanceOf(Error);
+    expect(handshake(basic('anyone', 'guess')).message).toBe('Invalid password');
+    expect(handshake(basic('anyone', 's3cret'))).toBeUndefined();
+  });
+});
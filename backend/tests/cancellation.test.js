@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sleep,
+  throwIfCancelled,
+  isCancelledError,
+  createCancelledError,
+  CANCELLED_MESSAGE,
+} from '../src/services/cancellation.js';
+
+describe('Cancellation helpers', () => {
+  describe('sleep', () => {
+    it('should resolve after the delay without a signal', async () => {
+      await expect(sleep(5)).resolves.toBeUndefined();
+    });
+
+    it('should reject as soon as the signal is aborted', async () => {
+      const controller = new AbortController();
+      const pending = sleep(10000, controller.signal);
+      controller.abort();
+      await expect(pending).rejects.toThrow(CANCELLED_MESSAGE);
+    });
+
+    it('should reject immediately for an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(sleep(10000, controller.signal)).rejects.toThrow(CANCELLED_MESSAGE);
+    });
+  });
+
+  describe('throwIfCancelled', () => {
+    it('should not throw without a signal', () => {
+      expect(() => throwIfCancelled(null)).not.toThrow();
+    });
+
+    it('should throw once the signal is aborted', () => {
+      const controller = new AbortController();
+      expect(() => throwIfCancelled(controller.signal)).not.toThrow();
+      controller.abort();
+      expect(() => throwIfCancelled(controller.signal)).toThrow(CANCELLED_MESSAGE);
+    });
+  });
+
+  describe('isCancelledError', () => {
+    it('should recognize the cancellation error', () => {
+      expect(isCancelledError(createCancelledError())).toBe(true);
+    });
+
+    it('should treat any error as cancellation when the signal is aborted', () => {
+      const controller = new AbortController();
+      controller.abort();
+      expect(isCancelledError(new Error('Request was aborted.'), controller.signal)).toBe(true);
+    });
+
+    it('should not treat other errors as cancellation', () => {
+      expect(isCancelledError(new Error('PAYLOAD_TOO_LARGE'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMeeting } from '../src/db/database.js';
+import {
+  PipelineStep,
+  ReprocessFrom,
+  loadCheckpoint,
+  saveCheckpoint,
+  getCompletedSteps,
+  createCheckpointStore,
+  resetCheckpointsForReprocess,
+} from '../src/services/checkpoints.js';
+
+const ALL_STEPS = Object.values(PipelineStep);
+
+const createTestMeeting = () => createMeeting.run(null, 'Planning', '2026-03-02T10:00:00.000Z', null, null, null, null).lastInsertRowid;
+
+// A checkpoint for every step, with two transcribed chunks
+const checkpointEveryStep = (meetingId) => {
+  for (const step of ALL_STEPS) {
+    if (step === PipelineStep.TRANSCRIBE_CHUNK) {
+      saveCheckpoint(meetingId, step, { text: 'First' }, 0);
+      saveCheckpoint(meetingId, step, { text: 'Second' }, 1);
+    } else {
+      saveCheckpoint(meetingId, step, { step });
+    }
+  }
+};
+
+describe('Checkpoints', () => {
+  let meetingId;
+
+  beforeEach(() => {
+    meetingId = createTestMeeting();
+  });
+
+  it('should save, replace and load step output', () => {
+    expect(loadCheckpoint(meetingId, PipelineStep.ANALYSIS)).toBeNull();
+
+    saveCheckpoint(meetingId, PipelineStep.ANALYSIS, { overview: 'First' });
+    saveCheckpoint(meetingId, PipelineStep.ANALYSIS, { overview: 'Second' });
+    saveCheckpoint(meetingId, PipelineStep.TRANSCRIBE_CHUNK, { text: 'Chunk 2' }, 2);
+
+    expect(loadCheckpoint(meetingId, PipelineStep.ANALYSIS)).toEqual({ overview: 'Second' });
+    expect(loadCheckpoint(meetingId, PipelineStep.TRANSCRIBE_CHUNK, 2)).toEqual({ text: 'Chunk 2' });
+    expect(loadCheckpoint(meetingId, PipelineStep.TRANSCRIBE_CHUNK, 1)).toBeNull();
+  });
+
+  describe('getCompletedSteps', () => {
+    it('should list checkpointed steps once each, in processing order', () => {
+      const store = createCheckpointStore(meetingId);
+      store.save(PipelineStep.INDEX, {});
+      store.save(PipelineStep.TRANSCRIBE_CHUNK, {}, 1);
+      store.save(PipelineStep.TRANSCRIBE_CHUNK, {}, 0);
+      store.save(PipelineStep.CONVERT, {});
+
+      expect(getCompletedSteps(meetingId)).toEqual([
+        PipelineStep.CONVERT,
+        PipelineStep.TRANSCRIBE_CHUNK,
+        PipelineStep.INDEX,
+      ]);
+    });
+
+    it('should only list the meeting\'s own steps', () => {
+      checkpointEveryStep(createTestMeeting());
+      expect(getCompletedSteps(meetingId)).toEqual([]);
+    });
+  });
+
+  describe('resetCheckpointsForReprocess', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-checkpoints-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should clear every step and remove the work files when starting over', async () => {
+      const files = ['preprocessed.wav', 'converted.wav', 'chunk-0.mp3'].map(name => path.join(dir, `${meetingId}-${name}`));
+      await Promise.all(files.map(file => fs.writeFile(file, '')));
+
+      checkpointEveryStep(meetingId);
+      saveCheckpoint(meetingId, PipelineStep.PREPROCESS, { path: files[0] });
+      saveCheckpoint(meetingId, PipelineStep.CONVERT, { wavPath: files[1] });
+      saveCheckpoint(meetingId, PipelineStep.CHUNK, { chunks: [{ path: files[2] }] });
+
+      await resetCheckpointsForReprocess(meetingId, ReprocessFrom.START);
+
+      expect(getCompletedSteps(meetingId)).toEqual([]);
+      expect(await fs.readdir(dir)).toEqual([]);
+    });
+
+    it('should keep every step when resuming', async () => {
+      checkpointEveryStep(meetingId);
+      await resetCheckpointsForReprocess(meetingId, ReprocessFrom.RESUME);
+
+      expect(getCompletedSteps(meetingId)).toEqual(ALL_STEPS);
+    });
+
+    it('should keep the transcript when reprocessing from the analysis', async () => {
+      checkpointEveryStep(meetingId);
+      await resetCheckpointsForReprocess(meetingId, ReprocessFrom.ANALYSIS);
+
+      expect(getCompletedSteps(meetingId)).toEqual(ALL_STEPS.filter(step => ![
+        PipelineStep.ANALYSIS,
+        PipelineStep.INDEX,
+        PipelineStep.CONTRADICTIONS,
+      ].includes(step)));
+      expect(loadCheckpoint(meetingId, PipelineStep.TRANSCRIBE_CHUNK, 1)).toEqual({ text: 'Second' });
+    });
+
+    it('should only rebuild the search index when reprocessing from the index', async () => {
+      checkpointEveryStep(meetingId);
+      await resetCheckpointsForReprocess(meetingId, ReprocessFrom.INDEX);
+
+      expect(getCompletedSteps(meetingId)).toEqual(ALL_STEPS.filter(step => step !== PipelineStep.INDEX));
+    });
+
+    it('should keep every step for an unknown mode', async () => {
+      checkpointEveryStep(meetingId);
+      await resetCheckpointsForReprocess(meetingId, 'everything');
+
+      expect(getCompletedSteps(meetingId)).toEqual(ALL_STEPS);
+    });
+  });
+});
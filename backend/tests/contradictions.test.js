@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { locateWikiExcerpt, normalizeConflicts } from '../src/services/contradictions.js';
+import { buildContradictionPrompt } from '../src/services/aiAnalysis.js';
+
+const wiki = `# Website Redesign
+
+## Architecture
+- The backend uses **PostgreSQL** for
+  all persistent data
+
+## Meeting Summary - 3/2/2026
+
+**Meeting ID:** 3
+
+### Key Decisions
+- Launch on **April 1st**
+
+## Changelog
+**2026-03-09** (Meeting #5): Hosting moves to AWS
+`;
+
+const decisions = [
+  { id: 11, meeting_id: 9, decision: 'Use MySQL' },
+  { id: 12, meeting_id: 9, decision: 'Launch in May' },
+];
+const priorDecisions = [
+  { id: 4, meeting_id: 3, decision: 'Use PostgreSQL', decided_at: '2026-03-02T10:00:00.000Z', meeting_title: 'Kickoff' },
+];
+
+describe('Contradictions', () => {
+  describe('locateWikiExcerpt', () => {
+    it('should find excerpts quoted without markdown or line breaks', () => {
+      expect(locateWikiExcerpt(wiki, 'The backend uses PostgreSQL for all persistent data')).toEqual({
+        section: 'Architecture',
+        meetingId: null,
+      });
+    });
+
+    it('should cite the meeting summary an excerpt is in', () => {
+      expect(locateWikiExcerpt(wiki, 'launch on april 1st')).toEqual({ section: 'Key Decisions', meetingId: 3 });
+    });
+
+    it('should cite the meeting a changelog line names', () => {
+      expect(locateWikiExcerpt(wiki, 'Hosting moves to AWS')).toEqual({ section: 'Changelog', meetingId: 5 });
+    });
+
+    it('should not find text that is not in the wiki', () => {
+      expect(locateWikiExcerpt(wiki, 'The backend uses MongoDB')).toBeNull();
+      expect(locateWikiExcerpt('', 'anything')).toBeNull();
+    });
+  });
+
+  describe('normalizeConflicts', () => {
+    const context = { meetingId: 9, decisions, priorDecisions, wiki };
+
+    it('should keep conflicts with an earlier decision or a wiki excerpt', () => {
+      const conflicts = normalizeConflicts([
+        { decision: 11, earlier_decision: '4', explanation: ' Both databases were picked for the same data ' },
+        { decision: '12', earlier_decision: null, wiki_excerpt: 'Hosting moves to AWS', explanation: '' },
+      ], context);
+
+      expect(conflicts).toEqual([
+        {
+          decision: decisions[0],
+          earlierDecision: priorDecisions[0],
+          wikiExcerpt: null,
+          wikiSection: null,
+          wikiMeetingId: null,
+          explanation: 'Both databases were picked for the same data',
+        },
+        {
+          decision: decisions[1],
+          earlierDecision: null,
+          wikiExcerpt: 'Hosting moves to AWS',
+          wikiSection: 'Changelog',
+          wikiMeetingId: 5,
+          explanation: null,
+        },
+      ]);
+    });
+
+    it('should drop decisions and earlier decisions it was not given, and repeats', () => {
+      expect(normalizeConflicts([
+        { decision: 99, earlier_decision: 4 },
+        { decision: 11, earlier_decision: 99 },
+        { decision: 11, earlier_decision: 4 },
+        { decision: 11, earlier_decision: 4 },
+        'Use MySQL',
+        null,
+      ], context)).toHaveLength(1);
+      expect(normalizeConflicts('none', context)).toEqual([]);
+    });
+
+    it('should drop excerpts the wiki does not contain, or that come from the meeting itself', () => {
+      expect(normalizeConflicts([
+        { decision: 11, wiki_excerpt: 'The backend uses MongoDB' },
+        { decision: 12, wiki_excerpt: 'Hosting moves to AWS' },
+      ], { ...context, meetingId: 5 })).toEqual([]);
+    });
+  });
+
+  describe('prompt', () => {
+    it('should list the new and the earlier decisions with their IDs, and the wiki', () => {
+      const prompt = buildContradictionPrompt({ title: 'Sprint review', date: '2026-03-16T10:00:00.000Z' }, decisions, priorDecisions, wiki);
+
+      expect(prompt).toContain('"Sprint review" on 2026-03-16');
+      expect(prompt).toContain('[11] Use MySQL');
+      expect(prompt).toContain('[4] Use PostgreSQL (2026-03-02, Kickoff)');
+      expect(prompt).toContain('Hosting moves to AWS');
+      expect(prompt).toContain('"conflicts"');
+    });
+
+    it('should say when there is nothing earlier to compare with', () => {
+      const prompt = buildContradictionPrompt({ title: 'Sprint review' }, decisions, [], '');
+
+      expect(prompt).toContain('EARLIER DECISIONS: none');
+      expect(prompt).toContain('PROJECT WIKI: empty');
+    });
+  });
+});
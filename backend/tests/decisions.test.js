@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeDecisionLog,
+  extractDecisions,
+  planDecisionSync,
+  formatDecisionsForPrompt,
+  buildDecisionThreads,
+  getPriorDecisionsForMeeting,
+} from '../src/services/decisions.js';
+import { buildAnalysisPrompt } from '../src/services/aiAnalysis.js';
+import { createProject, createMeeting, createDecision, supersedeDecision, getMeetingById } from '../src/db/database.js';
+
+describe('Decisions', () => {
+  describe('normalizeDecisionLog', () => {
+    it('should read decisions, rationale and alternatives', () => {
+      expect(normalizeDecisionLog([
+        { decision: ' Use PostgreSQL ', rationale: 'Team knows it', alternatives: ['MySQL', ' ', 'MongoDB'] },
+        { decision: 'Ship on Friday', rationale: '  ', alternatives: 'none' },
+        'Hire a designer',
+        { rationale: 'No decision here' },
+      ])).toEqual([
+        { decision: 'Use PostgreSQL', rationale: 'Team knows it', alternatives: ['MySQL', 'MongoDB'], supersedes: [] },
+        { decision: 'Ship on Friday', rationale: null, alternatives: [], supersedes: [] },
+        { decision: 'Hire a designer', rationale: null, alternatives: [], supersedes: [] },
+      ]);
+    });
+
+    it('should only keep superseded IDs of the earlier decisions given', () => {
+      const [entry] = normalizeDecisionLog(
+        [{ decision: 'Use MySQL', supersedes: [3, '4', 4, 99, 'x'] }],
+        [{ id: 3 }, { id: 4 }]
+      );
+      expect(entry.supersedes).toEqual([3, 4]);
+    });
+
+    it('should accept a single superseded ID', () => {
+      expect(normalizeDecisionLog([{ decision: 'Use MySQL', supersedes: 3 }], [{ id: 3 }])[0].supersedes).toEqual([3]);
+    });
+  });
+
+  describe('extractDecisions', () => {
+    it('should prefer the decision log, without repeats', () => {
+      expect(extractDecisions({
+        key_decisions: ['Use PostgreSQL because the team knows it'],
+        decision_log: [
+          { decision: 'Use PostgreSQL', rationale: 'Team knows it', supersedes: [2] },
+          { decision: 'use postgresql!' },
+          { decision: 'Ship on Friday' },
+        ],
+      })).toEqual([
+        { decision: 'Use PostgreSQL', rationale: 'Team knows it', alternatives: [], supersedes: [2], position: 0 },
+        { decision: 'Ship on Friday', rationale: null, alternatives: [], supersedes: [], position: 1 },
+      ]);
+    });
+
+    it('should fall back to key_decisions for older summaries', () => {
+      expect(extractDecisions({ key_decisions: ['Use PostgreSQL', ''] })).toEqual([
+        { decision: 'Use PostgreSQL', rationale: null, alternatives: [], supersedes: [], position: 0 },
+      ]);
+      expect(extractDecisions({})).toEqual([]);
+    });
+  });
+
+  describe('planDecisionSync', () => {
+    it('should keep matching decisions and remove the rest', () => {
+      const existing = [
+        { id: 1, decision: 'Use PostgreSQL' },
+        { id: 2, decision: 'Ship on Friday' },
+      ];
+      const plan = planDecisionSync(existing, [
+        { decision: 'use PostgreSQL.', position: 0 },
+        { decision: 'Hire a designer', position: 1 },
+      ]);
+
+      expect(plan.kept.map(({ row }) => row.id)).toEqual([1]);
+      expect(plan.added.map(entry => entry.decision)).toEqual(['Hire a designer']);
+      expect(plan.removed.map(row => row.id)).toEqual([2]);
+    });
+  });
+
+  describe('buildDecisionThreads', () => {
+    it('should follow supersession links, latest thread first', () => {
+      const decisions = [
+        { id: 1, superseded_by: 3 },
+        { id: 2, superseded_by: null },
+        { id: 3, superseded_by: 5 },
+        { id: 4, superseded_by: null },
+        { id: 5, superseded_by: null },
+      ];
+
+      expect(buildDecisionThreads(decisions)).toEqual([[1, 3, 5], [4], [2]]);
+    });
+
+    it('should join decisions that were replaced by the same one', () => {
+      expect(buildDecisionThreads([
+        { id: 1, superseded_by: 3 },
+        { id: 2, superseded_by: 3 },
+        { id: 3, superseded_by: null },
+      ])).toEqual([[1, 2, 3]]);
+    });
+  });
+
+  describe('getPriorDecisionsForMeeting', () => {
+    const projectId = createProject.run('Data Platform').lastInsertRowid;
+    const addMeeting = (date) => getMeetingById.get(createMeeting.run(projectId, 'Sync', date, null, null, null, null).lastInsertRowid);
+    const addDecision = (meeting, decision) => createDecision.run(projectId, meeting.id, 0, decision, null, '[]', meeting.date).lastInsertRowid;
+
+    const kickoff = addMeeting('2026-03-02T10:00:00.000Z');
+    const review = addMeeting('2026-03-09T10:00:00.000Z');
+    const later = addMeeting('2026-03-16T10:00:00.000Z');
+    const postgres = addDecision(kickoff, 'Use PostgreSQL');
+    const friday = addDecision(kickoff, 'Release on Fridays');
+    const dropped = addDecision(kickoff, 'Keep the old API');
+    const mysql = addDecision(review, 'Use MySQL');
+    addDecision(later, 'Hire a DBA');
+    supersedeDecision.run(mysql, postgres);
+    supersedeDecision.run(addDecision(later, 'Remove the old API'), dropped);
+
+    const ids = (decisions) => decisions.map(decision => decision.id);
+
+    it('should give the analysis what was in force before the meeting, and what it superseded', () => {
+      expect(ids(getPriorDecisionsForMeeting(review))).toEqual([postgres, friday]);
+    });
+
+    it('should give the contradiction check only active decisions', () => {
+      expect(ids(getPriorDecisionsForMeeting(review, { activeOnly: true }))).toEqual([friday]);
+    });
+
+    it('should include what the meeting itself superseded, unless only active decisions are asked for', () => {
+      expect(ids(getPriorDecisionsForMeeting(later))).toEqual([friday, dropped, mysql]);
+      expect(ids(getPriorDecisionsForMeeting(later, { activeOnly: true }))).toEqual([friday, mysql]);
+      // Superseded by another meeting
+      expect(ids(getPriorDecisionsForMeeting(review))).not.toContain(dropped);
+      expect(getPriorDecisionsForMeeting({ ...later, project_id: null })).toEqual([]);
+    });
+  });
+
+  describe('analysis prompt', () => {
+    const priorDecisions = [
+      { id: 7, decision: 'Use PostgreSQL', decided_at: '2025-12-15T10:00:00.000Z', meeting_title: 'Architecture review' },
+    ];
+
+    it('should list earlier decisions with their IDs', () => {
+      expect(formatDecisionsForPrompt(priorDecisions)).toBe('[7] Use PostgreSQL (2025-12-15, Architecture review)');
+    });
+
+    it('should always ask for the decision log, and for supersedes when there are earlier decisions', () => {
+      const withoutPrior = buildAnalysisPrompt('Alice: Let us use MySQL.');
+      expect(withoutPrior).toContain('"decision_log"');
+      expect(withoutPrior).not.toContain('"supersedes"');
+
+      const withPrior = buildAnalysisPrompt('Alice: Let us use MySQL.', [], undefined, null, [], priorDecisions);
+      expect(withPrior).toContain('"supersedes"');
+      expect(withPrior).toContain('[7] Use PostgreSQL (2025-12-15, Architecture review)');
+    });
+  });
+});
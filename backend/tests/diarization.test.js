@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assignSpeakers,
+  computeSegmentFeatures,
+  formatSpeakerTranscript,
+  defaultSpeakerName,
+} from '../src/services/diarization.js';
+
+const segment = (start, end, text = 'Some words here.') => ({ start, end, text });
+
+describe('Diarization helpers', () => {
+  describe('assignSpeakers', () => {
+    it('should separate two distinct voices in order of first appearance', () => {
+      const segments = [segment(0, 4), segment(5, 9), segment(10, 14), segment(15, 19)];
+      const features = [[2.0, 0.05], [3.5, 0.3], [2.1, 0.06], [3.4, 0.31]];
+
+      expect(assignSpeakers(segments, features)).toEqual([
+        'SPEAKER_1', 'SPEAKER_2', 'SPEAKER_1', 'SPEAKER_2',
+      ]);
+    });
+
+    it('should find a single speaker when features are alike', () => {
+      const segments = [segment(0, 4), segment(5, 9), segment(10, 14)];
+      const features = [[2.0, 0.1], [2.0, 0.1], [2.0, 0.1]];
+
+      expect(assignSpeakers(segments, features)).toEqual(['SPEAKER_1', 'SPEAKER_1', 'SPEAKER_1']);
+    });
+
+    it('should keep the previous speaker for a short continuation', () => {
+      const segments = [segment(0, 4), segment(4.1, 5), segment(6, 10), segment(11, 15)];
+      const features = [[2.0, 0.05], [3.5, 0.3], [3.5, 0.3], [2.0, 0.05]];
+
+      expect(assignSpeakers(segments, features)).toEqual([
+        'SPEAKER_1', 'SPEAKER_1', 'SPEAKER_2', 'SPEAKER_1',
+      ]);
+    });
+
+    it('should give silent segments the previous speaker', () => {
+      const segments = [segment(0, 4), segment(5, 9)];
+
+      expect(assignSpeakers(segments, [[2.0, 0.1], null])).toEqual(['SPEAKER_1', 'SPEAKER_1']);
+    });
+  });
+
+  describe('computeSegmentFeatures', () => {
+    it('should return null for silence', () => {
+      expect(computeSegmentFeatures(new Int16Array(16000), 16000)).toBeNull();
+    });
+
+    it('should measure loudness and zero-crossing rate of voiced audio', () => {
+      const samples = Int16Array.from({ length: 16000 }, (_, i) => Math.round(8000 * Math.sin(i / 4)));
+      const [energy, zcr] = computeSegmentFeatures(samples, 16000);
+
+      expect(energy).toBeGreaterThan(3);
+      expect(zcr).toBeGreaterThan(0);
+    });
+  });
+
+  describe('formatSpeakerTranscript', () => {
+    it('should merge consecutive segments from the same speaker', () => {
+      const segments = [
+        { ...segment(0, 2, 'Hello.'), speaker: 'SPEAKER_1' },
+        { ...segment(2, 4, ' How are you?'), speaker: 'SPEAKER_1' },
+        { ...segment(5, 7, 'Fine.'), speaker: 'SPEAKER_2' },
+      ];
+
+      expect(formatSpeakerTranscript(segments, { SPEAKER_1: 'Alice' })).toBe(
+        'Alice: Hello. How are you?\n\nSpeaker 2: Fine.'
+      );
+    });
+
+    it('should return null when no segment has a speaker', () => {
+      expect(formatSpeakerTranscript([segment(0, 2)])).toBeNull();
+      expect(formatSpeakerTranscript(null)).toBeNull();
+    });
+  });
+
+  describe('defaultSpeakerName', () => {
+    it('should turn a label into a readable name', () => {
+      expect(defaultSpeakerName('SPEAKER_3')).toBe('Speaker 3');
+    });
+  });
+});
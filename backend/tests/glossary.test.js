@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTranscriptionPrompt,
+  applyGlossary,
+  formatGlossaryForPrompt,
+} from '../src/services/glossary.js';
+
+const glossary = [
+  { term: 'Kubernetes', variants: ['cuber netties', 'kubernetis'], description: 'Container orchestration' },
+  { term: 'AibaPM', variants: ['Eye-ba PM', 'aiba'], description: null },
+  { term: 'ACME Corp', variants: [], description: 'Customer' },
+];
+
+describe('Project glossary', () => {
+  describe('buildTranscriptionPrompt', () => {
+    it('should list the terms for Whisper', () => {
+      expect(buildTranscriptionPrompt(glossary)).toBe('Glossary: Kubernetes, AibaPM, ACME Corp.');
+    });
+
+    it('should return null for an empty glossary', () => {
+      expect(buildTranscriptionPrompt([])).toBeNull();
+      expect(buildTranscriptionPrompt(null)).toBeNull();
+    });
+
+    it('should stop adding terms before the prompt gets too long', () => {
+      const terms = Array.from({ length: 200 }, (_, i) => ({ term: `Term number ${i}`, variants: [] }));
+      const prompt = buildTranscriptionPrompt(terms);
+      expect(prompt.length).toBeLessThanOrEqual(800);
+      expect(prompt).toMatch(/^Glossary: Term number 0, .*\.$/);
+    });
+  });
+
+  describe('applyGlossary', () => {
+    it('should replace variants in the text and segments, ignoring case', () => {
+      const { transcription, replacements } = applyGlossary({
+        text: 'We deploy on Cuber Netties. KUBERNETIS is fine.',
+        segments: [
+          { start: 0, end: 4, text: 'We deploy on Cuber Netties.' },
+          { start: 4, end: 8, text: 'KUBERNETIS is fine.' },
+        ],
+      }, glossary);
+
+      expect(transcription.text).toBe('We deploy on Kubernetes. Kubernetes is fine.');
+      expect(transcription.segments.map(s => s.text)).toEqual(['We deploy on Kubernetes.', 'Kubernetes is fine.']);
+      expect(transcription.segments[1].start).toBe(4);
+      expect(replacements).toBe(2);
+    });
+
+    it('should only replace whole words', () => {
+      const { transcription, replacements } = applyGlossary({ text: 'Aibatross and aiba-based tools', segments: [] }, glossary);
+      expect(transcription.text).toBe('Aibatross and AibaPM-based tools');
+      expect(replacements).toBe(1);
+    });
+
+    it('should prefer the longest matching variant', () => {
+      const { transcription } = applyGlossary({ text: 'Open Eye-ba PM now', segments: [] }, glossary);
+      expect(transcription.text).toBe('Open AibaPM now');
+    });
+
+    it('should return the transcription unchanged without variants', () => {
+      const original = { text: 'Nothing to fix', segments: [] };
+      expect(applyGlossary(original, [])).toEqual({ transcription: original, replacements: 0 });
+    });
+  });
+
+  describe('formatGlossaryForPrompt', () => {
+    it('should describe each term with its known misspellings', () => {
+      expect(formatGlossaryForPrompt(glossary)).toBe([
+        '- Kubernetes: Container orchestration; may be transcribed as "cuber netties", "kubernetis"',
+        '- AibaPM: may be transcribed as "Eye-ba PM", "aiba"',
+        '- ACME Corp: Customer',
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// Two jobs at a time, with immediate retries
+vi.hoisted(() => {
+  process.env.JOB_CONCURRENCY = '2';
+  process.env.JOB_BACKOFF_SECONDS = '0';
+});
+
+const {
+  default: db,
+  createMeeting,
+  getJobById,
+  markJobRunning,
+  rescheduleJob,
+} = await import('../src/db/database.js');
+const {
+  registerJobHandler,
+  enqueueJob,
+  cancelJobForMeeting,
+  getBackoffSeconds,
+  getQueueInfo,
+  startJobQueue,
+  stopJobQueue,
+  JobStatus,
+} = await import('../src/services/jobQueue.js');
+
+// Wait for the queue to get somewhere - it runs jobs in the background
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the job queue');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const statusOf = (job) => getJobById.get(job.id).status;
+
+// A promise and the function that settles it, to hold a job running until the test lets go
+const gate = () => {
+  let open;
+  const promise = new Promise(resolve => {
+    open = resolve;
+  });
+  return { promise, open };
+};
+
+describe('Job queue', () => {
+  const started = [];
+  const failures = [];
+
+  registerJobHandler('record', async (job) => {
+    started.push(job.payload.name);
+  }, {
+    onFailure: (job, error) => failures.push({ id: job.id, message: error.message }),
+  });
+
+  describe('on startup', () => {
+    let ready;
+    let later;
+    let interrupted;
+    let exhausted;
+
+    beforeAll(() => {
+      // Queued before the worker starts, so nothing runs yet
+      ready = ['first', 'second', 'third'].map(name => enqueueJob('record', null, { name }));
+      later = enqueueJob('record', null, { name: 'later' });
+      rescheduleJob.run(null, '+1 hour', later.id);
+
+      // Left running by a crash: one with attempts to spare, one out of attempts
+      interrupted = enqueueJob('record', null, { name: 'interrupted' });
+      markJobRunning.run(interrupted.id);
+      exhausted = enqueueJob('record', null, { name: 'exhausted' }, { maxAttempts: 1 });
+      markJobRunning.run(exhausted.id);
+
+      startJobQueue();
+    });
+
+    it('should run due jobs in the order they were queued', async () => {
+      await waitFor(() => ready.every(job => statusOf(job) === JobStatus.COMPLETED));
+
+      expect(started.slice(0, 3)).toEqual(['first', 'second', 'third']);
+      expect(statusOf(later)).toBe(JobStatus.QUEUED);
+      expect(started).not.toContain('later');
+    });
+
+    it('should requeue interrupted jobs without giving the attempt back', async () => {
+      await waitFor(() => statusOf(interrupted) === JobStatus.COMPLETED);
+
+      expect(started).toContain('interrupted');
+      expect(getJobById.get(interrupted.id).attempts).toBe(2);
+    });
+
+    it('should fail interrupted jobs that are out of attempts', () => {
+      const job = getJobById.get(exhausted.id);
+
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.attempts).toBe(1);
+      expect(job.last_error).toMatch(/interrupted by a restart/);
+      expect(started).not.toContain('exhausted');
+      expect(failures.map(failure => failure.id)).toContain(exhausted.id);
+    });
+  });
+
+  afterAll(() => {
+    stopJobQueue();
+  });
+
+  it('should not run more jobs at once than the concurrency limit', async () => {
+    const release = gate();
+    let running = 0;
+    let mostRunning = 0;
+    registerJobHandler('hold', async () => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await release.promise;
+      running--;
+    });
+
+    const jobs = [1, 2, 3].map(() => enqueueJob('hold', null));
+    await waitFor(() => running === 2);
+
+    expect(getQueueInfo()).toEqual({ concurrency: 2, running: 2 });
+    expect(jobs.map(statusOf).filter(status => status === JobStatus.QUEUED)).toHaveLength(1);
+
+    release.open();
+    await waitFor(() => jobs.every(job => statusOf(job) === JobStatus.COMPLETED));
+    expect(mostRunning).toBe(2);
+  });
+
+  it('should retry failed attempts until they run out', async () => {
+    const retries = [];
+    let attempts = 0;
+    registerJobHandler('flaky', async () => {
+      attempts++;
+      throw new Error(`Attempt ${attempts} failed`);
+    }, {
+      onRetry: (job, error, delay) => retries.push(delay),
+      onFailure: (job, error) => failures.push({ id: job.id, message: error.message }),
+    });
+
+    const job = enqueueJob('flaky', null, {}, { maxAttempts: 3 });
+    await waitFor(() => statusOf(job) === JobStatus.FAILED);
+
+    expect(attempts).toBe(3);
+    expect(retries).toHaveLength(2);
+    expect(getJobById.get(job.id)).toMatchObject({ attempts: 3, last_error: 'Attempt 3 failed' });
+    expect(failures).toContainEqual({ id: job.id, message: 'Attempt 3 failed' });
+  });
+
+  it('should stop retrying once an attempt succeeds', async () => {
+    let attempts = 0;
+    registerJobHandler('second-time-lucky', async () => {
+      attempts++;
+      if (attempts === 1) throw new Error('Not yet');
+    });
+
+    const job = enqueueJob('second-time-lucky', null);
+    await waitFor(() => statusOf(job) === JobStatus.COMPLETED);
+
+    expect(getJobById.get(job.id)).toMatchObject({ attempts: 2, last_error: null });
+  });
+
+  it('should double the delay between attempts', () => {
+    expect([1, 2, 3, 4].map(attempts => getBackoffSeconds(attempts, 30))).toEqual([30, 60, 120, 240]);
+  });
+
+  it('should schedule the retry after the backoff delay', () => {
+    const job = enqueueJob('record', null, { name: 'scheduled' });
+    rescheduleJob.run('Failed', `+${getBackoffSeconds(2, 30)} seconds`, job.id);
+
+    const { delay } = db.prepare(`
+      SELECT CAST(ROUND((julianday(run_at) - julianday('now')) * 86400) AS INTEGER) AS delay FROM jobs WHERE id = ?
+    `).get(job.id);
+    expect(delay).toBeGreaterThanOrEqual(59);
+    expect(delay).toBeLessThanOrEqual(60);
+  });
+
+  it('should cancel a running job and abort its work', async () => {
+    const meetingId = createMeeting.run(null, 'Standup', '2026-03-02T10:00:00.000Z', null, null, null, null).lastInsertRowid;
+    let aborted = false;
+    registerJobHandler('cancellable', (job, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(signal.reason);
+      });
+    }));
+
+    const job = enqueueJob('cancellable', meetingId);
+    await waitFor(() => statusOf(job) === JobStatus.RUNNING);
+
+    const cancelled = cancelJobForMeeting(meetingId);
+    expect(cancelled).toMatchObject({ id: job.id, status: JobStatus.CANCELLED, wasRunning: true });
+
+    await waitFor(() => getQueueInfo().running === 0);
+    expect(aborted).toBe(true);
+    // Not retried or failed after the handler threw
+    expect(getJobById.get(job.id)).toMatchObject({ status: JobStatus.CANCELLED, attempts: 1 });
+  });
+
+  it('should cancel a queued job before it runs', () => {
+    const meetingId = createMeeting.run(null, 'Retro', '2026-03-02T10:00:00.000Z', null, null, null, null).lastInsertRowid;
+    const job = enqueueJob('record', meetingId, { name: 'never' });
+    rescheduleJob.run(null, '+1 hour', job.id);
+
+    expect(cancelJobForMeeting(meetingId)).toMatchObject({ id: job.id, status: JobStatus.CANCELLED, wasRunning: false });
+    expect(cancelJobForMeeting(meetingId)).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  startLiveSession,
+  addLiveSegment,
+  finishLiveSession,
+  getLiveTranscription,
+  discardLiveSession,
+  isValidSegmentCount,
+  MAX_LIVE_SESSIONS,
+  MAX_LIVE_SEGMENTS,
+} from '../src/services/liveTranscription.js';
+import { getTranscriptionProvider } from '../src/services/transcriptionProviders.js';
+
+// Mono 16kHz 16-bit PCM - the fake provider reads the duration from the header
+const silentWav = (seconds) => {
+  const dataSize = seconds * 16000 * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+};
+
+describe('Live transcription', () => {
+  const provider = getTranscriptionProvider('fake');
+
+  it('should transcribe segments with timestamps from the start of the recording', async () => {
+    const session = startLiveSession({ provider });
+    const results = [];
+
+    addLiveSegment(session.id, { index: 0, startTime: 0, endTime: 10, audio: silentWav(10) }, r => results.push(r));
+    addLiveSegment(session.id, { index: 1, startTime: 10, endTime: 20, audio: silentWav(10) }, r => results.push(r));
+
+    const summary = await finishLiveSession(session.id, 2);
+    expect(summary).toEqual({ complete: true, transcribed: 2, failed: [] });
+
+    expect(results.map(r => r.index)).toEqual([0, 1]);
+    expect(results[1].segments[0].start).toBe(10);
+    expect(results[1].text).toMatch(/^Fake segment 1 of live-/);
+
+    const transcription = getLiveTranscription(session.id);
+    expect(transcription.duration).toBe(20);
+    expect(transcription.segments.map(s => s.start)).toEqual([0, 5, 10, 15]);
+
+    discardLiveSession(session.id);
+    expect(getLiveTranscription(session.id)).toBeNull();
+  });
+
+  it('should not offer a transcript with missing segments', async () => {
+    const session = startLiveSession({ provider });
+    addLiveSegment(session.id, { index: 1, startTime: 10, endTime: 15, audio: silentWav(5) }, () => {});
+
+    const summary = await finishLiveSession(session.id, 2);
+    expect(summary.complete).toBe(false);
+    expect(getLiveTranscription(session.id)).toBeNull();
+    discardLiveSession(session.id);
+  });
+
+  it('should not offer a transcript when the segment count is missing or too low', async () => {
+    const session = startLiveSession({ provider });
+    addLiveSegment(session.id, { index: 0, startTime: 0, endTime: 5, audio: silentWav(5) }, () => {});
+    addLiveSegment(session.id, { index: 1, startTime: 5, endTime: 10, audio: silentWav(5) }, () => {});
+
+    expect((await finishLiveSession(session.id, undefined)).complete).toBe(false);
+    expect((await finishLiveSession(session.id, 1)).complete).toBe(false);
+    expect(getLiveTranscription(session.id)).toBeNull();
+
+    expect((await finishLiveSession(session.id, 2)).complete).toBe(true);
+    discardLiveSession(session.id);
+  });
+
+  it('should only accept positive whole segment counts', () => {
+    expect(isValidSegmentCount(3)).toBe(true);
+    expect([0, -1, 1.5, '2', undefined, null].some(isValidSegmentCount)).toBe(false);
+  });
+
+  it('should limit the number of open sessions', () => {
+    const open = Array.from({ length: MAX_LIVE_SESSIONS }, () => startLiveSession({ provider }));
+    expect(() => startLiveSession({ provider })).toThrow(/Too many live transcription sessions/);
+
+    discardLiveSession(open[0].id);
+    open[0] = startLiveSession({ provider });
+    open.forEach(session => discardLiveSession(session.id));
+  });
+
+  it('should limit the segments of a session', () => {
+    const session = startLiveSession({ provider });
+    session.received = MAX_LIVE_SEGMENTS;
+
+    expect(() => addLiveSegment(session.id, { index: MAX_LIVE_SEGMENTS, startTime: 0, endTime: 1, audio: silentWav(1) }, () => {}))
+      .toThrow(/at most/);
+    discardLiveSession(session.id);
+  });
+
+  it('should reject segments for unknown sessions', async () => {
+    expect(addLiveSegment('missing', { index: 0, startTime: 0, endTime: 1, audio: silentWav(1) }, () => {})).toBe(false);
+    expect(await finishLiveSession('missing', 1)).toBeNull();
+  });
+});
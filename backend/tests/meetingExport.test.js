@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatCaptionTime,
+  toSrt,
+  toVtt,
+  toMarkdownReport,
+  toHtmlReport,
+  getExportFilename,
+} from '../src/services/meetingExport.js';
+import { parseTranscript } from '../src/services/transcriptImport.js';
+
+const segments = [
+  { idx: 0, start: 0, end: 4.2, speaker: 'SPEAKER_1', speaker_name: 'Alice', text: 'Welcome to the review.' },
+  { idx: 1, start: 4.2, end: 3725.5, speaker: 'SPEAKER_2', speaker_name: null, text: 'Thanks <all>.' },
+];
+
+const record = {
+  meeting: { id: 7, title: 'Sprint Review: Q3!', date: '2024-03-05T10:00:00.000Z', duration: 3726 },
+  project: { id: 1, name: 'Atlas' },
+  summary: {
+    overview: 'We reviewed the sprint.',
+    key_decisions: ['Ship on Friday'],
+    action_items: [{ task: 'Write release notes', owner: 'Alice' }, 'Book the demo room'],
+  },
+  segments,
+  speakers: [{ label: 'SPEAKER_1', display_name: 'Alice' }, { label: 'SPEAKER_2', display_name: 'Speaker 2' }],
+  // Reassigned, checked off and cancelled since the analysis
+  actionItems: [
+    { task: 'Write release notes', owner: 'Bob', due_date: '2024-03-08', status: 'open' },
+    { task: 'Book the demo room', owner: null, due_date: null, status: 'done' },
+    { task: 'Order pizza', owner: 'Alice', due_date: null, status: 'cancelled' },
+  ],
+  transcript: 'Welcome to the review. Thanks <all>.',
+};
+
+describe('Meeting export', () => {
+  describe('formatCaptionTime', () => {
+    it('should format SRT and WebVTT timestamps', () => {
+      expect(formatCaptionTime(3725.5, ',')).toBe('01:02:05,500');
+      expect(formatCaptionTime(4.2, '.')).toBe('00:00:04.200');
+    });
+  });
+
+  describe('captions', () => {
+    it('should number SRT cues and prefix speakers', () => {
+      expect(toSrt(segments)).toBe([
+        '1',
+        '00:00:00,000 --> 00:00:04,200',
+        'Alice: Welcome to the review.',
+        '',
+        '2',
+        '00:00:04,200 --> 01:02:05,500',
+        'Speaker 2: Thanks <all>.',
+        '',
+      ].join('\n'));
+    });
+
+    it('should write WebVTT that imports back to the same segments', () => {
+      const vtt = toVtt(segments);
+      expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:04.200\n<v Alice>Welcome to the review.')).toBe(true);
+
+      const parsed = parseTranscript(vtt, 'vtt');
+      expect(parsed.segments.map(s => [s.start, s.end])).toEqual([[0, 4.2], [4.2, 3725.5]]);
+      expect(parsed.segments.map(s => s.text)).toEqual(['Welcome to the review.', 'Thanks <all>.']);
+      expect(parsed.speakerNames).toEqual({ SPEAKER_1: 'Alice', SPEAKER_2: 'Speaker 2' });
+    });
+
+    it('should escape WebVTT markup characters in text and speaker names', () => {
+      const vtt = toVtt([{ start: 0, end: 2, speaker: 'SPEAKER_1', speaker_name: 'R&D <lead>', text: 'A < B && B --> C' }]);
+
+      expect(vtt).toContain('<v R&amp;D &lt;lead&gt;>A &lt; B &amp;&amp; B --&gt; C\n');
+      expect(parseTranscript(vtt, 'vtt')).toMatchObject({
+        segments: [{ start: 0, end: 2, text: 'A < B && B --> C' }],
+        speakerNames: { SPEAKER_1: 'R&D <lead>' },
+      });
+    });
+
+    it('should keep each cue on one line', () => {
+      const multiline = [
+        { start: 0, end: 2, speaker: null, speaker_name: 'Alice\nSmith', text: 'First line\n\n2\n00:00:05,000 --> 00:00:06,000\nInjected' },
+        { start: 2, end: 4, speaker: null, speaker_name: null, text: 'Second\r\ncue' },
+      ];
+
+      expect(toSrt(multiline)).toBe([
+        '1',
+        '00:00:00,000 --> 00:00:02,000',
+        'Alice Smith: First line 2 00:00:05,000 -> 00:00:06,000 Injected',
+        '',
+        '2',
+        '00:00:02,000 --> 00:00:04,000',
+        'Second cue',
+        '',
+      ].join('\n'));
+      expect(parseTranscript(toVtt(multiline), 'vtt').segments.map(s => s.text)).toEqual([
+        'First line 2 00:00:05,000 --> 00:00:06,000 Injected',
+        'Second cue',
+      ]);
+    });
+  });
+
+  describe('reports', () => {
+    it('should include the summary and timestamped transcript in Markdown', () => {
+      const markdown = toMarkdownReport(record);
+      expect(markdown).toContain('# Sprint Review: Q3!');
+      expect(markdown).toContain('**Project:** Atlas');
+      expect(markdown).toContain('## Key Decisions\n\n- Ship on Friday');
+      expect(markdown).toContain('**[00:04] Speaker 2:** Thanks <all>.');
+    });
+
+    it('should list the saved action items with their status, not those of the summary', () => {
+      const markdown = toMarkdownReport(record);
+      expect(markdown).toContain([
+        '- [ ] Write release notes (**Bob**) - due 2024-03-08',
+        '- [x] Book the demo room',
+        '- [ ] ~~Order pizza~~ (cancelled) (**Alice**)',
+      ].join('\n'));
+
+      const html = toHtmlReport(record);
+      expect(html).toContain('<li>Write release notes <span class="owner">Bob</span> - due 2024-03-08</li>');
+      expect(html).toContain('<li class="done">Book the demo room (done)</li>');
+      expect(html).toContain('<li class="cancelled">Order pizza (cancelled)');
+    });
+
+    it('should escape transcript text in HTML', () => {
+      const html = toHtmlReport(record);
+      expect(html).toContain('<title>Sprint Review: Q3!</title>');
+      expect(html).toContain('Thanks &lt;all&gt;.');
+      expect(html).not.toContain('<all>');
+    });
+
+    it('should fall back to transcript paragraphs without segments', () => {
+      const markdown = toMarkdownReport({ ...record, summary: null, segments: [], transcript: 'First.\n\nSecond.' });
+      expect(markdown).toContain('## Transcript\n\nFirst.\n\nSecond.\n');
+      expect(markdown).not.toContain('## Overview');
+    });
+  });
+
+  describe('getExportFilename', () => {
+    it('should combine the date and a slug of the title', () => {
+      expect(getExportFilename(record.meeting, 'vtt')).toBe('2024-03-05-sprint-review-q3.vtt');
+      expect(getExportFilename({ title: '!!!', date: 'soon' }, 'md')).toBe('meeting.md');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import db, { backfillMeetingStatus, createJob, getMeetingById } from '../src/db/database.js';
+
+// A meeting as older versions saved it: no status, outcome in transcript_path
+const insertLegacyMeeting = (title, transcriptPath = null, summaryPath = null) => db.prepare(`
+  INSERT INTO meetings (title, date, transcript_path, summary_path, updated_at)
+  VALUES (?, '2024-03-05T10:00:00.000Z', ?, ?, '2024-03-05 11:00:00')
+`).run(title, transcriptPath, summaryPath).lastInsertRowid;
+
+describe('backfillMeetingStatus', () => {
+  const ids = {};
+  let updated;
+
+  beforeAll(() => {
+    ids.failed = insertLegacyMeeting('Failed', 'ERROR: Whisper timed out ');
+    ids.cancelled = insertLegacyMeeting('Cancelled', 'CANCELLED');
+    ids.completed = insertLegacyMeeting('Completed', 'transcripts/1.txt', 'summaries/1.json');
+    ids.queued = insertLegacyMeeting('Queued');
+    createJob.run(ids.queued, 'process_meeting', '{}', 3);
+    ids.interrupted = insertLegacyMeeting('Interrupted', 'transcripts/2.txt');
+    ids.current = insertLegacyMeeting('Current');
+    db.prepare("UPDATE meetings SET status = 'transcribing' WHERE id = ?").run(ids.current);
+
+    updated = backfillMeetingStatus();
+  });
+
+  it('should move old error messages out of transcript_path', () => {
+    expect(getMeetingById.get(ids.failed)).toMatchObject({
+      status: 'error',
+      status_detail: 'Whisper timed out',
+      error_code: 'processing_failed',
+      processing_finished_at: '2024-03-05 11:00:00',
+      transcript_path: null,
+      summary_path: null,
+    });
+  });
+
+  it('should mark cancellations', () => {
+    expect(getMeetingById.get(ids.cancelled)).toMatchObject({
+      status: 'cancelled',
+      status_detail: 'Processing cancelled by user',
+      transcript_path: null,
+    });
+  });
+
+  it('should complete meetings with a transcript and a summary', () => {
+    expect(getMeetingById.get(ids.completed)).toMatchObject({
+      status: 'completed',
+      transcript_path: 'transcripts/1.txt',
+      summary_path: 'summaries/1.json',
+      processing_finished_at: '2024-03-05 11:00:00',
+    });
+  });
+
+  it('should keep meetings with a pending job queued', () => {
+    expect(getMeetingById.get(ids.queued).status).toBe('queued');
+  });
+
+  it('should fail meetings whose processing stopped without an outcome', () => {
+    expect(getMeetingById.get(ids.interrupted)).toMatchObject({
+      status: 'error',
+      error_code: 'interrupted',
+      transcript_path: 'transcripts/2.txt',
+    });
+  });
+
+  it('should leave meetings that have a status alone, and only run once', () => {
+    expect(getMeetingById.get(ids.current).status).toBe('transcribing');
+    expect(updated).toBe(5);
+    expect(backfillMeetingStatus()).toBe(0);
+  });
+});
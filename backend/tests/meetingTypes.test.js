@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILT_IN_MEETING_TYPES,
+  findMeetingType,
+  getMeetingTypeForMeeting,
+  getSummarySections,
+  describeSectionsForPrompt,
+  normalizeAnalysis,
+} from '../src/services/meetingTypes.js';
+import { buildAnalysisPrompt } from '../src/services/aiAnalysis.js';
+import { toMarkdownReport } from '../src/services/meetingExport.js';
+
+const standup = findMeetingType('standup');
+
+describe('Meeting types', () => {
+  describe('built-in types', () => {
+    it('should keep decisions and action items under the shared keys', () => {
+      for (const type of BUILT_IN_MEETING_TYPES) {
+        const keys = type.sections.map(section => section.key);
+        expect(keys).toContain('key_decisions');
+        expect(keys).toContain('action_items');
+        expect(new Set(keys).size).toBe(keys.length);
+      }
+    });
+  });
+
+  describe('findMeetingType', () => {
+    it('should find built-in types by key', () => {
+      expect(findMeetingType('retro').name).toBe('Retrospective');
+      expect(findMeetingType('nope')).toBeNull();
+      expect(findMeetingType(null)).toBeNull();
+    });
+
+    it('should not find custom types outside a project', () => {
+      expect(findMeetingType('custom-1', null)).toBeNull();
+      expect(findMeetingType('custom-abc', 1)).toBeNull();
+    });
+
+    it('should analyze meetings without a known type as general meetings', () => {
+      expect(getMeetingTypeForMeeting({ meeting_type: null, project_id: 1 }).key).toBe('general');
+      expect(getMeetingTypeForMeeting({ meeting_type: 'custom-999999', project_id: 1 }).key).toBe('general');
+      expect(getMeetingTypeForMeeting({ meeting_type: 'standup', project_id: 1 }).key).toBe('standup');
+    });
+  });
+
+  describe('getSummarySections', () => {
+    it('should use the sections saved with the summary', () => {
+      const summary = { meeting_type: { key: 'standup', name: 'Standup', sections: standup.sections } };
+      expect(getSummarySections(summary)).toBe(standup.sections);
+    });
+
+    it('should give older summaries the general sections', () => {
+      expect(getSummarySections({ overview: 'Old' }).map(s => s.key)).toEqual([
+        'overview', 'context', 'discussion_topics', 'detailed_discussion',
+        'key_decisions', 'action_items', 'technical_details',
+      ]);
+    });
+  });
+
+  describe('analysis prompt', () => {
+    it('should number the fields and name the object fields', () => {
+      const fields = describeSectionsForPrompt(standup);
+      expect(fields).toContain('2. "updates": One entry per person');
+      expect(fields).toContain('objects with the string fields "person", "yesterday", "today", "blockers"');
+      expect(fields).toContain('EXCEPT updates and action_items which contain the objects');
+    });
+
+    it('should introduce the meeting type and its instructions', () => {
+      const prompt = buildAnalysisPrompt('Alice: Done with $1 of work.', [], standup);
+      expect(prompt).toContain('MEETING TYPE: Standup - Daily standup');
+      expect(prompt).toContain(standup.instructions);
+      // "$" in the transcript is not a replacement pattern
+      expect(prompt).toContain('Alice: Done with $1 of work.');
+    });
+
+    it('should ask general meetings for the general fields without an introduction', () => {
+      const prompt = buildAnalysisPrompt('Hello.');
+      expect(prompt).not.toContain('MEETING TYPE');
+      expect(prompt).toContain('"technical_details"');
+    });
+  });
+
+  describe('normalizeAnalysis', () => {
+    it('should keep the type\'s fields in the shape of their sections', () => {
+      const summary = normalizeAnalysis({
+        overview: 'Quick sync.',
+        updates: [{ person: 'Alice', today: 'Reviews' }, 'not a record'],
+        blockers: 'none',
+        technical_details: ['not part of a standup'],
+      }, standup);
+
+      expect(summary).toEqual({
+        overview: 'Quick sync.',
+        updates: [{ person: 'Alice', today: 'Reviews' }],
+        blockers: [],
+        key_decisions: [],
+        action_items: [],
+      });
+    });
+  });
+
+  describe('reports', () => {
+    it('should export the sections of the summary\'s type', () => {
+      const markdown = toMarkdownReport({
+        meeting: { id: 1, title: 'Daily', date: '2026-01-05T09:00:00.000Z' },
+        project: null,
+        summary: {
+          overview: 'Quick sync.',
+          updates: [{ person: 'Alice', yesterday: 'Fixed the build', today: 'Reviews', blockers: '' }],
+          action_items: [{ task: 'Merge the fix', owner: 'Alice' }],
+          meeting_type: { key: 'standup', name: 'Standup', sections: standup.sections },
+        },
+        segments: [],
+        speakers: [],
+        actionItems: [{ task: 'Merge the fix', owner: 'Alice', due_date: null, status: 'open' }],
+        transcript: '',
+      });
+
+      expect(markdown).toContain('## Updates\n\n- Alice - Yesterday: Fixed the build; Today: Reviews\n');
+      expect(markdown).toContain('- [ ] Merge the fix (**Alice**)');
+      expect(markdown).not.toContain('## Blockers Needing Help');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { sha256, getExpectedPartSize, checkUploadPart } from '../src/services/resumableUpload.js';
+import { validateAudioFile } from '../src/services/audioProcessor.js';
+
+// 10 bytes in parts of 4: 4 + 4 + 2
+const upload = { id: 'test', size: 10, part_size: 4, total_parts: 3 };
+
+describe('Resumable uploads', () => {
+  describe('getExpectedPartSize', () => {
+    it('should expect full parts except for the last one', () => {
+      expect(getExpectedPartSize(upload, 0)).toBe(4);
+      expect(getExpectedPartSize(upload, 1)).toBe(4);
+      expect(getExpectedPartSize(upload, 2)).toBe(2);
+    });
+
+    it('should handle a file that fits in one part', () => {
+      expect(getExpectedPartSize({ size: 3, part_size: 4, total_parts: 1 }, 0)).toBe(3);
+    });
+  });
+
+  describe('checkUploadPart', () => {
+    const part = Buffer.from('abcd');
+
+    it('should accept a part matching its checksum', () => {
+      expect(checkUploadPart(upload, 0, part, sha256(part))).toEqual({ valid: true });
+    });
+
+    it('should reject a part whose content does not match the checksum', () => {
+      const result = checkUploadPart(upload, 1, Buffer.from('abce'), sha256(part));
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Checksum mismatch for part 1');
+    });
+
+    it('should require a checksum', () => {
+      expect(checkUploadPart(upload, 0, part, '').valid).toBe(false);
+      expect(checkUploadPart(upload, 0, part, 'not-a-hash').valid).toBe(false);
+    });
+
+    it('should reject parts of the wrong size', () => {
+      const short = Buffer.from('abc');
+      const result = checkUploadPart(upload, 0, short, sha256(short));
+      expect(result.error).toBe('Part 0 should be 4 bytes, received 3');
+
+      const last = Buffer.from('xyz');
+      expect(checkUploadPart(upload, 2, last, sha256(last)).valid).toBe(false);
+      expect(checkUploadPart(upload, 2, Buffer.from('xy'), sha256(Buffer.from('xy'))).valid).toBe(true);
+    });
+
+    it('should reject part indexes outside the upload', () => {
+      expect(checkUploadPart(upload, 3, part, sha256(part)).error).toBe('Part index must be between 0 and 2');
+    });
+  });
+
+  describe('validateAudioFile size limit', () => {
+    it('should allow a larger limit for resumable uploads', () => {
+      const size = 200 * 1024 * 1024;
+      expect(validateAudioFile('audio/webm', size).error).toBe('File too large. Maximum size: 100MB');
+      expect(validateAudioFile('audio/webm', size, null, 500 * 1024 * 1024)).toEqual({ valid: true });
+    });
+  });
+});
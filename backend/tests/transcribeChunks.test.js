@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { transcribeChunks } from '../src/services/transcription.js';
+import { PipelineStep } from '../src/services/checkpoints.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Provider whose transcriptions take a different time per chunk, recording how many run at once
+const createStubProvider = ({ delays = {}, fail = {} } = {}) => {
+  const provider = {
+    name: 'stub',
+    label: 'Stub',
+    limits: { maxFileSizeMB: 25 },
+    getConfigError: () => null,
+    active: 0,
+    maxActive: 0,
+    aborted: [],
+    transcribe: async (filePath, { signal }) => {
+      const index = Number(path.basename(filePath, '.wav'));
+      provider.active++;
+      provider.maxActive = Math.max(provider.maxActive, provider.active);
+      try {
+        await new Promise((resolve, reject) => {
+          const onAbort = () => {
+            clearTimeout(timer);
+            provider.aborted.push(index);
+            reject(new Error('Request was aborted.'));
+          };
+          const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          }, delays[index] ?? 5);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        if (fail[index]) throw fail[index];
+        return { text: `Chunk ${index}.`, language: 'en', duration: 10, segments: [{ start: 0, end: 10, text: `Chunk ${index}.` }] };
+      } finally {
+        provider.active--;
+      }
+    },
+  };
+  return provider;
+};
+
+describe('transcribeChunks', () => {
+  let tmpDir;
+  let chunks;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-chunks-'));
+    chunks = [];
+    for (let index = 0; index < 5; index++) {
+      const chunkPath = path.join(tmpDir, `${index}.wav`);
+      await fs.writeFile(chunkPath, Buffer.alloc(16));
+      chunks.push({ index, path: chunkPath, startTime: index * 10, endTime: index * 10 + 10, overlap: 0, sizeMB: '0.00' });
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should run chunks in parallel up to the concurrency and keep their order', async () => {
+    // Later chunks finish first
+    const provider = createStubProvider({ delays: { 0: 60, 1: 40, 2: 20, 3: 10, 4: 5 } });
+    const progress = [];
+
+    const results = await transcribeChunks(chunks, (update) => progress.push(update), { provider, concurrency: 2 });
+
+    expect(provider.maxActive).toBe(2);
+    expect(results.map(r => r.chunk.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(results.map(r => r.transcription.text)).toEqual(['Chunk 0.', 'Chunk 1.', 'Chunk 2.', 'Chunk 3.', 'Chunk 4.']);
+    expect(progress.map(p => `${p.completed}/${p.total}`)).toEqual(['1/5', '2/5', '3/5', '4/5', '5/5']);
+    expect(progress.every(p => p.status === 'chunk_done')).toBe(true);
+  });
+
+  it('should reuse checkpointed chunks and save new ones', async () => {
+    const saved = new Map([[1, { startTime: 10, endTime: 20, transcription: { text: 'Saved.', segments: [] } }]]);
+    const checkpoints = {
+      get: (step, index) => (step === PipelineStep.TRANSCRIBE_CHUNK ? saved.get(index) : null),
+      save: (step, data, index) => saved.set(index, data),
+    };
+    const provider = createStubProvider();
+
+    const results = await transcribeChunks(chunks, null, { provider, checkpoints, concurrency: 3 });
+
+    expect(results[1].transcription.text).toBe('Saved.');
+    expect(saved.size).toBe(5);
+    expect(saved.get(4).transcription.text).toBe('Chunk 4.');
+  });
+
+  it('should stop the other chunks and ask for smaller chunks when one is too large', async () => {
+    const tooLarge = Object.assign(new Error('Request too large'), { status: 413 });
+    const provider = createStubProvider({ delays: { 0: 10, 1: 200 }, fail: { 0: tooLarge } });
+
+    await expect(transcribeChunks(chunks, null, { provider, concurrency: 2 })).rejects.toThrow('RECHUNK_NEEDED');
+    expect(provider.aborted).toEqual([1]);
+  });
+
+  it('should stop when cancelled', async () => {
+    const controller = new AbortController();
+    const provider = createStubProvider({ delays: { 0: 200, 1: 200 } });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(transcribeChunks(chunks, null, { provider, signal: controller.signal, concurrency: 2 }))
+      .rejects.toThrow('PROCESSING_CANCELLED');
+    expect(provider.aborted.sort()).toEqual([0, 1]);
+  });
+});
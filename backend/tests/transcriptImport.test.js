@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectTranscriptFormat,
+  parseTimestamp,
+  parseTranscript,
+} from '../src/services/transcriptImport.js';
+
+const VTT = `WEBVTT
+
+NOTE exported from a video call
+
+1
+00:00:01.000 --> 00:00:04.500 align:start
+<v Alice Smith>We should ship the importer this week.</v>
+
+00:00:04.500 --> 00:00:09.000
+<v Bob>Agreed, but
+<i>after</i> the review.</v>
+
+00:00:09.000 --> 00:00:12.250
+<v.loud Alice Smith>Great.</v>
+`;
+
+const SRT = `1\r
+00:00:00,000 --> 00:00:03,200\r
+Carol: Welcome everyone.\r
+\r
+2\r
+00:00:03,200 --> 00:01:05,900\r
+Let's start with the roadmap.\r
+`;
+
+describe('Transcript import', () => {
+  describe('detectTranscriptFormat', () => {
+    it('should use the file extension', () => {
+      expect(detectTranscriptFormat('call.VTT', '')).toBe('vtt');
+      expect(detectTranscriptFormat('call.srt', '')).toBe('srt');
+      expect(detectTranscriptFormat('notes.txt', '')).toBe('txt');
+    });
+
+    it('should recognise captions by their content when the extension is unknown', () => {
+      expect(detectTranscriptFormat('captions', VTT)).toBe('vtt');
+      expect(detectTranscriptFormat('captions.sub', SRT)).toBe('srt');
+      expect(detectTranscriptFormat('slides.pdf', '%PDF-1.4')).toBeNull();
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    it('should parse WebVTT and SRT timestamps', () => {
+      expect(parseTimestamp('00:01:02.500')).toBe(62.5);
+      expect(parseTimestamp('01:02,5')).toBe(62.5);
+      expect(parseTimestamp('1:00:00,000')).toBe(3600);
+    });
+
+    it('should reject malformed timestamps', () => {
+      expect(parseTimestamp('1.5 seconds')).toBeNull();
+    });
+  });
+
+  describe('parseTranscript', () => {
+    it('should read WebVTT cues with voice tags as speaker segments', () => {
+      const parsed = parseTranscript(VTT, 'vtt');
+
+      expect(parsed.segments).toEqual([
+        { start: 1, end: 4.5, text: 'We should ship the importer this week.', speaker: 'SPEAKER_1' },
+        { start: 4.5, end: 9, text: 'Agreed, but after the review.', speaker: 'SPEAKER_2' },
+        { start: 9, end: 12.25, text: 'Great.', speaker: 'SPEAKER_1' },
+      ]);
+      expect(parsed.speakerNames).toEqual({ SPEAKER_1: 'Alice Smith', SPEAKER_2: 'Bob' });
+      expect(parsed.duration).toBe(12.25);
+      expect(parsed.text).toBe('We should ship the importer this week. Agreed, but after the review. Great.');
+    });
+
+    it('should read SRT cues and "Name:" prefixes', () => {
+      const parsed = parseTranscript(SRT, 'srt');
+
+      expect(parsed.segments).toEqual([
+        { start: 0, end: 3.2, text: 'Welcome everyone.', speaker: 'SPEAKER_1' },
+        { start: 3.2, end: 65.9, text: "Let's start with the roadmap.", speaker: null },
+      ]);
+      expect(parsed.speakerNames).toEqual({ SPEAKER_1: 'Carol' });
+    });
+
+    it('should keep plain text as written, without segments', () => {
+      const parsed = parseTranscript('Alice: Hello\r\nBob: Hi\n\n', 'txt');
+      expect(parsed).toEqual({ text: 'Alice: Hello\nBob: Hi', duration: 0, segments: [], speakerNames: {} });
+    });
+  });
+});
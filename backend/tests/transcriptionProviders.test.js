@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getTranscriptionProvider,
+  getTranscriptionProviderNames,
+} from '../src/services/transcriptionProviders.js';
+import { getChunkDuration } from '../src/services/audioChunker.js';
+import { transcribeWithRetry } from '../src/services/transcription.js';
+
+// Mono 16kHz 16-bit PCM, like the WAVs produced by convertToWav
+const writeSilentWav = async (filePath, seconds) => {
+  const dataSize = seconds * 16000 * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  await fs.writeFile(filePath, Buffer.concat([header, Buffer.alloc(dataSize)]));
+};
+
+describe('Transcription providers', () => {
+  let tmpDir;
+  let wavPath;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-transcription-'));
+    wavPath = path.join(tmpDir, 'meeting.wav');
+    await writeSilentWav(wavPath, 12);
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getTranscriptionProvider', () => {
+    it('should list the built-in providers', () => {
+      expect(getTranscriptionProviderNames()).toEqual(expect.arrayContaining(['openai', 'local', 'fake']));
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => getTranscriptionProvider('nope')).toThrow('Unknown transcription provider: nope');
+    });
+
+    it('should report missing local server configuration', () => {
+      const previous = process.env.LOCAL_TRANSCRIPTION_URL;
+      delete process.env.LOCAL_TRANSCRIPTION_URL;
+      expect(getTranscriptionProvider('local').getConfigError()).toMatch(/LOCAL_TRANSCRIPTION_URL/);
+      if (previous !== undefined) process.env.LOCAL_TRANSCRIPTION_URL = previous;
+    });
+  });
+
+  describe('fake provider', () => {
+    it('should return the same timestamped transcript for the same file', async () => {
+      const provider = getTranscriptionProvider('fake');
+      const first = await provider.transcribe(wavPath, { language: 'en' });
+      const second = await provider.transcribe(wavPath, { language: 'en' });
+
+      expect(first).toEqual(second);
+      expect(first.duration).toBe(12);
+      expect(first.segments.map(s => [s.start, s.end])).toEqual([[0, 5], [5, 10], [10, 12]]);
+      expect(first.text).toBe('Fake segment 1 of meeting. Fake segment 2 of meeting. Fake segment 3 of meeting.');
+    });
+
+    it('should transcribe small files directly through transcribeWithRetry', async () => {
+      const result = await transcribeWithRetry(wavPath, null, null, { provider: getTranscriptionProvider('fake') });
+      expect(result.segments).toHaveLength(3);
+    });
+  });
+
+  describe('getChunkDuration', () => {
+    it('should keep the 10 minute default within the OpenAI limit', () => {
+      expect(getChunkDuration(32000, getTranscriptionProvider('openai').limits)).toBe(600);
+    });
+
+    it('should shorten chunks to fit a smaller size limit', () => {
+      const duration = getChunkDuration(32000, { maxFileSizeMB: 5, maxChunkSeconds: 600 });
+      expect((duration + 2) * 32000).toBeLessThanOrEqual(5 * 1024 * 1024);
+      expect(duration).toBeGreaterThan(100);
+    });
+
+    it('should allow longer chunks for providers with larger limits', () => {
+      expect(getChunkDuration(32000, { maxFileSizeMB: 200, maxChunkSeconds: 1800 })).toBe(1800);
+    });
+
+    it('should follow the local provider\'s limits', () => {
+      const { limits } = getTranscriptionProvider('local');
+      expect(limits).toEqual({ maxFileSizeMB: 200, maxChunkSeconds: 1800 });
+
+      // 16kHz mono WAV, and 44.1kHz stereo - a 2 hour recording of either is well over 50MB
+      expect(getChunkDuration(32000, limits)).toBe(1800);
+      const stereo = getChunkDuration(176400, limits);
+      expect((stereo + 2) * 176400).toBeLessThanOrEqual(200 * 1024 * 1024);
+      expect(stereo).toBeGreaterThan(1000);
+    });
+  });
+});
@@ -6,6 +6,17 @@ import {
   chatMessageSchema,
   updateWikiSchema,
   searchQuerySchema,
+  segmentsQuerySchema,
+  correctTranscriptSchema,
+  glossaryTermSchema,
+  completeUploadSchema,
+  meetingTypeSchema,
+  actionItemsQuerySchema,
+  exportActionItemsSchema,
+  actionItemFeedSchema,
+  decisionsQuerySchema,
+  createActionItemSchema,
+  updateActionItemSchema,
 } from '../src/middleware/validation.js';
 
 describe('Validation Schemas', () => {
@@ -174,4 +185,203 @@ describe('Validation Schemas', () => {
       expect(result.success).toBe(false);
     });
   });
+
+  describe('segmentsQuerySchema', () => {
+    it('should accept an empty window', () => {
+      const result = segmentsQuerySchema.safeParse({});
+      expect(result.success).toBe(true);
+    });
+
+    it('should coerce query string seconds to numbers', () => {
+      const result = segmentsQuerySchema.safeParse({ from: '30', to: '90.5' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ from: 30, to: 90.5 });
+    });
+
+    it('should reject a window that ends before it starts', () => {
+      const result = segmentsQuerySchema.safeParse({ from: '90', to: '30' });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject negative or non-numeric times', () => {
+      expect(segmentsQuerySchema.safeParse({ from: '-5' }).success).toBe(false);
+      expect(segmentsQuerySchema.safeParse({ to: 'soon' }).success).toBe(false);
+    });
+  });
+
+  describe('glossaryTermSchema', () => {
+    it('should trim the term and default variants to an empty list', () => {
+      const result = glossaryTermSchema.safeParse({ term: '  Kubernetes ' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ term: 'Kubernetes', variants: [] });
+    });
+
+    it('should reject an empty term or blank variants', () => {
+      expect(glossaryTermSchema.safeParse({ term: ' ' }).success).toBe(false);
+      expect(glossaryTermSchema.safeParse({ term: 'K8s', variants: ['  '] }).success).toBe(false);
+    });
+
+    it('should reject more than 20 variants', () => {
+      const variants = Array.from({ length: 21 }, (_, i) => `variant ${i}`);
+      expect(glossaryTermSchema.safeParse({ term: 'K8s', variants }).success).toBe(false);
+    });
+  });
+
+  describe('correctTranscriptSchema', () => {
+    it('should accept corrections and default reanalyze to false', () => {
+      const result = correctTranscriptSchema.safeParse({ segments: [{ idx: 0, text: '  Fixed text ' }] });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ segments: [{ idx: 0, text: 'Fixed text' }], reanalyze: false });
+    });
+
+    it('should reject an empty list of corrections', () => {
+      expect(correctTranscriptSchema.safeParse({ segments: [] }).success).toBe(false);
+    });
+
+    it('should reject blank segment text', () => {
+      const result = correctTranscriptSchema.safeParse({ segments: [{ idx: 2, text: '   ' }] });
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject invalid segment indexes', () => {
+      expect(correctTranscriptSchema.safeParse({ segments: [{ idx: -1, text: 'a' }] }).success).toBe(false);
+      expect(correctTranscriptSchema.safeParse({ segments: [{ idx: 1.5, text: 'a' }] }).success).toBe(false);
+    });
+  });
+
+  describe('completeUploadSchema', () => {
+    const body = { title: 'Weekly sync', date: '2026-01-05T10:00:00.000Z' };
+
+    it('should accept the recording source of in-app recordings', () => {
+      for (const recordingSource of ['microphone', 'system', 'mixed']) {
+        const result = completeUploadSchema.safeParse({ ...body, recordingSource });
+        expect(result.success).toBe(true);
+        expect(result.data.recordingSource).toBe(recordingSource);
+      }
+    });
+
+    it('should leave the recording source unset for uploaded files', () => {
+      const result = completeUploadSchema.safeParse(body);
+      expect(result.success).toBe(true);
+      expect(result.data.recordingSource).toBeUndefined();
+    });
+
+    it('should reject unknown recording sources', () => {
+      expect(completeUploadSchema.safeParse({ ...body, recordingSource: 'camera' }).success).toBe(false);
+    });
+
+    it('should accept built-in and custom meeting type keys', () => {
+      expect(completeUploadSchema.safeParse({ ...body, meetingType: 'retro' }).success).toBe(true);
+      expect(completeUploadSchema.safeParse({ ...body, meetingType: 'custom-12' }).success).toBe(true);
+      expect(completeUploadSchema.safeParse({ ...body, meetingType: 'custom-x; DROP' }).success).toBe(false);
+    });
+  });
+
+  describe('meetingTypeSchema', () => {
+    const type = {
+      name: ' Sales Demo ',
+      sections: [
+        { key: 'overview', title: 'Overview', kind: 'text' },
+        { key: 'questions', title: 'Questions Asked', kind: 'records', fields: ['asked_by', 'question', 'answer'] },
+      ],
+    };
+
+    it('should accept a type with text and record sections', () => {
+      const result = meetingTypeSchema.safeParse(type);
+      expect(result.success).toBe(true);
+      expect(result.data.name).toBe('Sales Demo');
+    });
+
+    it('should require at least one section with unique keys', () => {
+      expect(meetingTypeSchema.safeParse({ ...type, sections: [] }).success).toBe(false);
+      expect(meetingTypeSchema.safeParse({ ...type, sections: [type.sections[0], type.sections[0]] }).success).toBe(false);
+    });
+
+    it('should require fields on record sections', () => {
+      const sections = [{ key: 'people', title: 'People', kind: 'records' }];
+      expect(meetingTypeSchema.safeParse({ ...type, sections }).success).toBe(false);
+    });
+
+    it('should reject keys that are not snake_case or reserved', () => {
+      for (const key of ['Overview', 'next steps', '_private', 'meeting_type']) {
+        const sections = [{ key, title: 'Section', kind: 'list' }];
+        expect(meetingTypeSchema.safeParse({ ...type, sections }).success).toBe(false);
+      }
+    });
+
+    it('should reject unknown section kinds', () => {
+      const sections = [{ key: 'chart', title: 'Chart', kind: 'chart' }];
+      expect(meetingTypeSchema.safeParse({ ...type, sections }).success).toBe(false);
+    });
+  });
+
+  describe('actionItemsQuerySchema', () => {
+    it('should read the filters from the query string', () => {
+      const result = actionItemsQuerySchema.safeParse({ projectId: '3', status: 'open', overdue: 'true' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ projectId: 3, status: 'open', overdue: true });
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(actionItemsQuerySchema.safeParse({ status: 'closed' }).success).toBe(false);
+    });
+  });
+
+  describe('exportActionItemsSchema', () => {
+    it('should default to CSV and to-dos', () => {
+      const result = exportActionItemsSchema.safeParse({ projectId: '3', owner: 'Alice' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ projectId: 3, owner: 'Alice', format: 'csv', as: 'todo' });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(exportActionItemsSchema.safeParse({ format: 'xlsx' }).success).toBe(false);
+      expect(exportActionItemsSchema.safeParse({ format: 'ics', as: 'journal' }).success).toBe(false);
+    });
+  });
+
+  describe('actionItemFeedSchema', () => {
+    it('should accept owner and status filters', () => {
+      const result = actionItemFeedSchema.safeParse({ owner: 'Alice', status: 'open', as: 'event' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ owner: 'Alice', status: 'open', as: 'event' });
+    });
+  });
+
+  describe('decisionsQuerySchema', () => {
+    it('should accept the decision statuses only', () => {
+      expect(decisionsQuerySchema.safeParse({}).success).toBe(true);
+      expect(decisionsQuerySchema.safeParse({ status: 'superseded' }).success).toBe(true);
+      expect(decisionsQuerySchema.safeParse({ status: 'reverted' }).success).toBe(false);
+    });
+  });
+
+  describe('createActionItemSchema', () => {
+    it('should default new items to open', () => {
+      const result = createActionItemSchema.safeParse({ projectId: 1, task: ' Send the contract ' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ projectId: 1, task: 'Send the contract', status: 'open' });
+    });
+
+    it('should require a task and a YYYY-MM-DD due date', () => {
+      expect(createActionItemSchema.safeParse({ task: '  ' }).success).toBe(false);
+      expect(createActionItemSchema.safeParse({ task: 'Ship', dueDate: '03/06/2026' }).success).toBe(false);
+    });
+  });
+
+  describe('updateActionItemSchema', () => {
+    it('should only keep the fields given', () => {
+      const result = updateActionItemSchema.safeParse({ status: 'done' });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ status: 'done' });
+    });
+
+    it('should unassign items given an empty owner', () => {
+      expect(updateActionItemSchema.safeParse({ owner: ' ' }).data).toEqual({ owner: null });
+    });
+
+    it('should reject an empty update', () => {
+      expect(updateActionItemSchema.safeParse({}).success).toBe(false);
+    });
+  });
 });
@@ -4,6 +4,8 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'node',
+    // Each test file gets an empty database of its own instead of backend/aiba.db
+    env: { DB_PATH: ':memory:' },
     coverage: {
       provider: 'v8',
       reporter: ['text', 'html'],
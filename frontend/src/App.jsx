@@ -1,11 +1,16 @@
 import { useEffect, useState, useRef, useCallback } from 'react';
 import useStore from './stores/useStore';
 import { projectsAPI, meetingsAPI, healthCheck } from './services/api';
+import { useSocket } from './hooks/useSocket';
 import AudioRecorder from './components/Recording/AudioRecorder';
+import MeetingImport from './components/Recording/MeetingImport';
 import RecordingStatus from './components/Recording/RecordingStatus';
+import UnfinishedRecordings from './components/Recording/UnfinishedRecordings';
 import MeetingsList from './components/Meetings/MeetingsList';
 import MeetingDetails from './components/Meetings/MeetingDetails';
 import WikiEditor from './components/Wiki/WikiEditor';
+import TaskList from './components/Tasks/TaskList';
+import DecisionLog from './components/Decisions/DecisionLog';
 import GlobalSearch from './components/Search/GlobalSearch';
 import ProjectManager from './components/Projects/ProjectManager';
 import SkillsManager from './components/Skills/SkillsManager';
@@ -18,6 +23,8 @@ import './App.css';
 const TABS = [
   { id: 'recording', icon: '🎤', label: 'Record' },
   { id: 'meetings', icon: '📋', label: 'Meetings', countKey: 'meetings' },
+  { id: 'tasks', icon: '✅', label: 'Tasks' },
+  { id: 'decisions', icon: '🧭', label: 'Decisions' },
   { id: 'wiki', icon: '📚', label: 'Wiki' },
   { id: 'skills', icon: '🎯', label: 'Skills' },
   { id: 'projects', icon: '📁', label: 'Projects', countKey: 'projects' },
@@ -56,6 +63,15 @@ function App() {
     loadData();
   }, [setProjects, setMeetings, setStatus]);
 
+  // Decisions that contradict earlier ones are found after processing, usually with the meeting closed
+  const { subscribe } = useSocket();
+  useEffect(() => subscribe('meeting:conflicts', ({ meetingTitle, count }) => {
+    setStatus(
+      'warning',
+      `${meetingTitle ? `"${meetingTitle}"` : 'A meeting'} has ${count} decision${count === 1 ? '' : 's'} that may contradict earlier ones - see its summary`
+    );
+  }), [subscribe, setStatus]);
+
   // Keyboard navigation for tabs
   const handleTabKeyDown = useCallback((e, index) => {
     let newIndex = index;
@@ -117,6 +133,7 @@ function App() {
       {/* Main Content */}
       <div className="main-content">
         <RecordingStatus />
+        <UnfinishedRecordings />
 
         {/* Tab Navigation */}
         <div className="glass-card tab-navigation" role="tablist" aria-label="Main navigation">
@@ -142,6 +159,10 @@ function App() {
               <AudioRecorder />
             </div>
 
+            <div className="glass-card card-hover" style={{ marginBottom: '30px', padding: 0, overflow: 'hidden' }}>
+              <MeetingImport />
+            </div>
+
             {/* Stats Section */}
             {isLoading ? (
               <div className="stats-grid">
@@ -202,6 +223,12 @@ function App() {
           </div>
         )}
 
+        {/* Tasks Tab */}
+        {appTab === 'tasks' && <TaskList onMeetingSelect={() => setAppTab('meetings')} />}
+
+        {/* Decisions Tab */}
+        {appTab === 'decisions' && <DecisionLog onMeetingSelect={() => setAppTab('meetings')} />}
+
         {/* Wiki Tab */}
         {appTab === 'wiki' && <WikiEditor />}
 
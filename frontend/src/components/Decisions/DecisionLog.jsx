@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { projectsAPI, meetingsAPI } from '../../services/api';
+
+const VIEWS = [
+  { id: 'threads', label: 'How choices evolved' },
+  { id: 'timeline', label: 'Timeline' },
+];
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const linkButtonStyle = {
+  padding: 0,
+  fontSize: '12px',
+  background: 'none',
+  border: 'none',
+  color: '#007bff',
+  cursor: 'pointer'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+const StatusBadge = ({ status }) => (
+  <span style={{
+    marginLeft: '8px',
+    padding: '1px 6px',
+    fontSize: '11px',
+    fontWeight: 'normal',
+    background: status === 'active' ? '#28a745' : '#adb5bd',
+    color: 'white',
+    borderRadius: '8px',
+    whiteSpace: 'nowrap'
+  }}>
+    {status === 'active' ? 'In force' : 'Superseded'}
+  </span>
+);
+
+// A decision with its reasoning and the meeting it was made in
+const DecisionEntry = ({ decision, byId, onOpenMeeting, compact = false }) => {
+  const replacement = decision.superseded_by ? byId.get(decision.superseded_by) : null;
+  const replaced = decision.supersedes.map(id => byId.get(id)).filter(Boolean);
+  const isSuperseded = decision.status !== 'active';
+
+  return (
+    <div>
+      <div style={{
+        fontSize: compact ? '14px' : '15px',
+        fontWeight: compact ? 'normal' : 'bold',
+        color: isSuperseded ? '#6c757d' : '#212529',
+        textDecoration: isSuperseded ? 'line-through' : 'none'
+      }}>
+        {decision.decision}
+        {!compact && <StatusBadge status={decision.status} />}
+      </div>
+
+      {decision.rationale && (
+        <div style={{ marginTop: '4px', fontSize: '13px', color: '#495057' }}>
+          <strong>Why:</strong> {decision.rationale}
+        </div>
+      )}
+      {decision.alternatives.length > 0 && (
+        <div style={{ marginTop: '2px', fontSize: '13px', color: '#495057' }}>
+          <strong>Also considered:</strong> {decision.alternatives.join(', ')}
+        </div>
+      )}
+
+      <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+        {decision.meeting_title && (
+          <>
+            Decided in{' '}
+            <button onClick={() => onOpenMeeting(decision.meeting_id)} style={linkButtonStyle}>
+              {decision.meeting_title}
+            </button>
+          </>
+        )}
+        {decision.decided_at && ` - ${formatDate(decision.decided_at)}`}
+      </div>
+
+      {/* The thread view shows the links as the order of the decisions */}
+      {!compact && replaced.length > 0 && (
+        <div style={{ marginTop: '2px', fontSize: '12px', color: '#6c757d' }}>
+          Replaces: {replaced.map(earlier => earlier.decision).join('; ')}
+        </div>
+      )}
+      {!compact && replacement && (
+        <div style={{ marginTop: '2px', fontSize: '12px', color: '#6c757d' }}>
+          Replaced by: {replacement.decision} ({formatDate(replacement.decided_at)})
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A choice and the decisions that replaced it - latest on top, earlier ones below
+const DecisionThread = ({ ids, byId, onOpenMeeting }) => {
+  const decisions = ids.map(id => byId.get(id)).filter(Boolean);
+  const latest = decisions.at(-1);
+  const earlier = decisions.slice(0, -1).reverse();
+
+  return (
+    <div style={{ padding: '15px 20px', borderBottom: '1px solid #f1f3f5' }}>
+      <DecisionEntry decision={latest} byId={byId} onOpenMeeting={onOpenMeeting} />
+
+      {earlier.length > 0 && (
+        <div style={{ marginTop: '12px', marginLeft: '6px', paddingLeft: '14px', borderLeft: '2px solid #dee2e6' }}>
+          <div style={{ marginBottom: '6px', fontSize: '12px', color: '#6c757d' }}>
+            Earlier ({earlier.length})
+          </div>
+          {earlier.map(decision => (
+            <div key={decision.id} style={{ marginBottom: '10px' }}>
+              <DecisionEntry decision={decision} byId={byId} onOpenMeeting={onOpenMeeting} compact />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DecisionLog = ({ onMeetingSelect }) => {
+  const { projects, selectedProject, selectProject, selectMeeting, setStatus } = useStore();
+  const [log, setLog] = useState({ decisions: [], threads: [] });
+  const [isLoading, setIsLoading] = useState(false);
+  const [view, setView] = useState('threads');
+  const [showSuperseded, setShowSuperseded] = useState(true);
+
+  useEffect(() => {
+    if (!selectedProject) return;
+
+    const loadDecisions = async () => {
+      setIsLoading(true);
+      try {
+        setLog(await projectsAPI.getDecisions(selectedProject.id));
+      } catch (error) {
+        setStatus('error', 'Failed to load decisions: ' + error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadDecisions();
+  }, [selectedProject, setStatus]);
+
+  const handleOpenMeeting = async (meetingId) => {
+    try {
+      const { meeting } = await meetingsAPI.getById(meetingId);
+      selectMeeting(meeting);
+      if (onMeetingSelect) {
+        onMeetingSelect(meeting);
+      }
+    } catch (error) {
+      setStatus('error', 'Failed to open meeting: ' + error.message);
+    }
+  };
+
+  const projectSelect = (
+    <select
+      value={selectedProject?.id || ''}
+      onChange={(e) => {
+        const project = projects.find(p => p.id === parseInt(e.target.value));
+        if (project) selectProject(project);
+      }}
+      style={{
+        padding: '8px 12px',
+        fontSize: '14px',
+        border: '1px solid #ced4da',
+        borderRadius: '6px',
+        background: '#fff',
+        minWidth: '200px',
+        cursor: 'pointer'
+      }}
+    >
+      {!selectedProject && <option value="">Select a project...</option>}
+      {projects.map(project => (
+        <option key={project.id} value={project.id}>
+          {project.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (!selectedProject) {
+    return (
+      <div style={{
+        background: '#fff',
+        borderRadius: '8px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        padding: '60px 20px',
+        textAlign: 'center',
+        color: '#6c757d'
+      }}>
+        <p style={{ fontSize: '64px', margin: '0 0 20px 0' }}>🧭</p>
+        <h3 style={{ margin: '0 0 20px 0' }}>No Project Selected</h3>
+        <p style={{ margin: '0 0 20px 0' }}>Select a project to see its decisions</p>
+        {projects.length > 0 && projectSelect}
+      </div>
+    );
+  }
+
+  const byId = new Map(log.decisions.map(decision => [decision.id, decision]));
+  const activeCount = log.decisions.filter(decision => decision.status === 'active').length;
+  const supersededCount = log.decisions.length - activeCount;
+
+  // A thread is in force while its latest decision is
+  const visibleThreads = log.threads.filter(ids => showSuperseded || byId.get(ids.at(-1))?.status === 'active');
+  const visibleTimeline = [...log.decisions]
+    .reverse()
+    .filter(decision => showSuperseded || decision.status === 'active');
+  const isEmpty = view === 'threads' ? visibleThreads.length === 0 : visibleTimeline.length === 0;
+
+  return (
+    <div className="glass-card" style={{ overflow: 'hidden' }}>
+      {/* Header */}
+      <div style={{
+        padding: '15px 20px',
+        borderBottom: '1px solid #dee2e6',
+        background: '#f8f9fa',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        flexWrap: 'wrap',
+        gap: '15px'
+      }}>
+        <div>
+          <h2 style={{ margin: '0 0 5px 0', fontSize: '20px', fontWeight: 'bold' }}>
+            🧭 Decisions
+          </h2>
+          <div style={{ fontSize: '13px', color: '#6c757d' }}>
+            {activeCount} in force
+            {supersededCount > 0 && ` · ${supersededCount} superseded`}
+          </div>
+        </div>
+        {projectSelect}
+      </div>
+
+      {/* View and filter */}
+      <div style={{
+        padding: '10px 20px',
+        borderBottom: '1px solid #dee2e6',
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '12px',
+        fontSize: '13px'
+      }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {VIEWS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              style={{
+                ...smallButtonStyle,
+                background: view === id ? '#007bff' : '#e9ecef',
+                color: view === id ? 'white' : '#495057'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={showSuperseded} onChange={(e) => setShowSuperseded(e.target.checked)} />
+          Show superseded decisions
+        </label>
+      </div>
+
+      {/* Decisions */}
+      {isLoading ? (
+        <p style={{ padding: '20px', fontSize: '13px', color: '#6c757d' }}>Loading decisions...</p>
+      ) : isEmpty ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p>{log.decisions.length === 0 ? 'No decisions yet - they are collected from meeting summaries' : 'Every decision here has been superseded'}</p>
+        </div>
+      ) : view === 'threads' ? (
+        visibleThreads.map(ids => (
+          <DecisionThread key={ids[0]} ids={ids} byId={byId} onOpenMeeting={handleOpenMeeting} />
+        ))
+      ) : (
+        visibleTimeline.map(decision => (
+          <div key={decision.id} style={{ padding: '15px 20px', borderBottom: '1px solid #f1f3f5' }}>
+            <DecisionEntry decision={decision} byId={byId} onOpenMeeting={handleOpenMeeting} />
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DecisionLog;
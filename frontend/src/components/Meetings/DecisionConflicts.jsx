@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+
+const linkButtonStyle = {
+  padding: 0,
+  fontSize: '12px',
+  background: 'none',
+  border: 'none',
+  color: '#007bff',
+  cursor: 'pointer'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+// One side of a conflict: what was said, and a jump to where
+const Statement = ({ label, text, onJump }) => (
+  <div style={{ fontSize: '14px', color: '#212529', lineHeight: '1.5' }}>
+    <span style={{ color: '#6c757d' }}>{label}:</span> {text}
+    {onJump && (
+      <button onClick={onJump} title="Jump to where this was said in the transcript" style={{ ...linkButtonStyle, marginLeft: '8px' }}>
+        ⏱ Transcript
+      </button>
+    )}
+  </div>
+);
+
+// Decisions of a meeting that contradict what the project decided before
+const DecisionConflicts = ({ meeting }) => {
+  const { selectMeeting, focusTranscript, setStatus } = useStore();
+  const [conflicts, setConflicts] = useState([]);
+
+  // Checked at the end of processing, so reload when the meeting changes
+  useEffect(() => {
+    if (!meeting?.id) return;
+
+    let cancelled = false;
+    const loadConflicts = async () => {
+      try {
+        const loaded = await meetingsAPI.getConflicts(meeting.id);
+        if (!cancelled) setConflicts(loaded);
+      } catch (error) {
+        console.error('Failed to load decision conflicts:', error.message);
+      }
+    };
+    loadConflicts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [meeting?.id, meeting?.status, meeting?.updated_at]);
+
+  const handleOpenEarlier = async (meetingId, time = null) => {
+    try {
+      const { meeting: earlier } = await meetingsAPI.getById(meetingId);
+      selectMeeting(earlier);
+      if (time !== null) {
+        focusTranscript(earlier.id, time);
+      }
+    } catch (error) {
+      setStatus('error', 'Failed to open meeting: ' + error.message);
+    }
+  };
+
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div style={{
+      marginBottom: '30px',
+      padding: '15px',
+      background: '#fff3cd',
+      border: '1px solid #ffeeba',
+      borderRadius: '6px'
+    }}>
+      <h3 style={{ fontSize: '18px', fontWeight: 'bold', margin: '0 0 5px 0', color: '#856404' }}>
+        ⚠️ Possible contradictions
+      </h3>
+      <div style={{ fontSize: '13px', color: '#856404', marginBottom: '12px' }}>
+        {conflicts.length === 1 ? 'A decision' : `${conflicts.length} decisions`} in this meeting may go against what was decided before
+      </div>
+
+      {conflicts.map(conflict => (
+        <div key={conflict.id} style={{
+          padding: '12px 15px',
+          marginTop: '10px',
+          background: '#fff',
+          borderRadius: '6px',
+          borderLeft: '3px solid #ffc107'
+        }}>
+          <Statement
+            label="This meeting"
+            text={conflict.statement}
+            onJump={conflict.segment_start !== null ? () => focusTranscript(meeting.id, conflict.segment_start) : null}
+          />
+          <Statement
+            label={conflict.source === 'wiki' ? `Wiki${conflict.wiki_section ? ` - ${conflict.wiki_section}` : ''}` : 'Earlier'}
+            text={conflict.source === 'wiki' ? `"${conflict.earlier_statement}"` : conflict.earlier_statement}
+            onJump={conflict.earlier_segment_start !== null
+              ? () => handleOpenEarlier(conflict.earlier_meeting_id, conflict.earlier_segment_start)
+              : null}
+          />
+
+          {conflict.earlier_meeting_id && (
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+              {conflict.source === 'wiki' ? 'Written from' : 'Decided in'}{' '}
+              <button onClick={() => handleOpenEarlier(conflict.earlier_meeting_id)} style={linkButtonStyle}>
+                {conflict.earlier_meeting_title}
+              </button>
+              {conflict.earlier_meeting_date && ` - ${formatDate(conflict.earlier_meeting_date)}`}
+            </div>
+          )}
+
+          {conflict.explanation && (
+            <div style={{ marginTop: '6px', fontSize: '13px', color: '#495057' }}>
+              <strong>Why:</strong> {conflict.explanation}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DecisionConflicts;
@@ -1,35 +1,187 @@
-const MeetingActions = ({ actionItems }) => {
-  if (!actionItems || actionItems.length === 0) {
-    return (
-      <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
-        <p>No action items identified</p>
-      </div>
-    );
-  }
+import { useState } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+
+const EXPORT_OPTIONS = [
+  { format: 'md', label: 'Report (Markdown)' },
+  { format: 'html', label: 'Report (HTML)' },
+  { format: 'json', label: 'Full record (JSON)' },
+  { format: 'srt', label: 'Captions (SRT)' },
+  { format: 'vtt', label: 'Captions (WebVTT)' },
+];
+
+const DownloadMenu = ({ meetingId }) => {
+  const { setStatus } = useStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    try {
+      const { blob, filename } = await meetingsAPI.exportMeeting(meetingId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setIsOpen(false);
+    } catch (error) {
+      setStatus('error', 'Export failed: ' + error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
 
   return (
-    <div style={{ textAlign: 'left' }}>
-      {actionItems.map((item, idx) => (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={{
+          padding: '8px 16px',
+          fontSize: '14px',
+          background: '#007bff',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        ⬇️ Download {isOpen ? '▴' : '▾'}
+      </button>
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '4px',
+          minWidth: '200px',
+          background: '#fff',
+          border: '1px solid #dee2e6',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+          zIndex: 10,
+          overflow: 'hidden'
+        }}>
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => handleDownload(format)}
+              disabled={downloading !== null}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '10px 14px',
+                fontSize: '14px',
+                textAlign: 'left',
+                background: 'transparent',
+                border: 'none',
+                borderBottom: '1px solid #f1f3f5',
+                cursor: downloading ? 'wait' : 'pointer'
+              }}
+            >
+              {downloading === format ? 'Preparing...' : label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FOLLOW_UP_LABELS = {
+  done: { label: '✓ Done', color: '#28a745' },
+  updated: { label: '✎ Updated', color: '#007bff' },
+  open: { label: 'Still open', color: '#6c757d' },
+};
+
+const CHANGED_FIELD_LABELS = { task: 'task', owner: 'owner', due_date: 'due date' };
+
+// What this meeting said about action items still open from earlier meetings
+const EarlierActionItems = ({ updates }) => (
+  <div style={{ marginTop: '25px' }}>
+    <h4 style={{ margin: '0 0 10px 0', fontSize: '15px' }}>Earlier action items</h4>
+    {updates.map((update) => {
+      const { label, color } = FOLLOW_UP_LABELS[update.status] || FOLLOW_UP_LABELS.open;
+      return (
         <div
-          key={idx}
+          key={update.id}
           style={{
-            padding: '15px',
-            marginBottom: '15px',
+            display: 'flex',
+            gap: '12px',
+            alignItems: 'baseline',
+            padding: '10px 15px',
+            marginBottom: '8px',
             border: '1px solid #dee2e6',
-            borderRadius: '6px',
-            background: '#f8f9fa'
+            borderRadius: '6px'
           }}
         >
-          <div style={{ fontWeight: 'bold', marginBottom: '8px', fontSize: '15px' }}>
-            {item.task || item}
+          <span style={{ minWidth: '80px', fontSize: '13px', fontWeight: 'bold', color }}>{label}</span>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: '14px' }}>{update.task}</div>
+            {update.status === 'updated' && update.changed?.length > 0 && (
+              <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                New {update.changed.map(field => CHANGED_FIELD_LABELS[field] || field).join(' and ')}
+                {update.owner && ` - ${update.owner}`}
+                {update.due_date && ` - due ${update.due_date}`}
+              </div>
+            )}
           </div>
-          {item.owner && (
-            <div style={{ fontSize: '13px', color: '#6c757d' }}>
-              Assigned to: {item.owner}
-            </div>
-          )}
         </div>
-      ))}
+      );
+    })}
+  </div>
+);
+
+const MeetingActions = ({ actionItems, actionItemUpdates = [], meetingId = null }) => {
+  return (
+    <div style={{ textAlign: 'left' }}>
+      {meetingId && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '15px' }}>
+          <DownloadMenu meetingId={meetingId} />
+        </div>
+      )}
+
+      {actionItems?.length > 0 && (
+        <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#6c757d' }}>
+          Check off and reassign action items in the Tasks tab.
+        </p>
+      )}
+
+      {!actionItems || actionItems.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p>No action items identified</p>
+        </div>
+      ) : (
+        actionItems.map((item, idx) => (
+          <div
+            key={idx}
+            style={{
+              padding: '15px',
+              marginBottom: '15px',
+              border: '1px solid #dee2e6',
+              borderRadius: '6px',
+              background: '#f8f9fa'
+            }}
+          >
+            <div style={{ fontWeight: 'bold', marginBottom: '8px', fontSize: '15px' }}>
+              {item.task || item}
+            </div>
+            {item.owner && (
+              <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                Assigned to: {item.owner}
+              </div>
+            )}
+            {item.due && (
+              <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                Due: {item.due}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      {actionItemUpdates?.length > 0 && <EarlierActionItems updates={actionItemUpdates} />}
     </div>
   );
 };
@@ -6,17 +6,27 @@ import MeetingSummary from './MeetingSummary';
 import MeetingTranscript from './MeetingTranscript';
 import MeetingActions from './MeetingActions';
 import ProcessingStatus from './ProcessingStatus';
+import SpeakerNames from './SpeakerNames';
+import MeetingTypeSelect from './MeetingTypeSelect';
 
 const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD ? '' : 'http://localhost:3001');
 
+// Meeting statuses that mean the backend is still working on the meeting
+const PENDING_STATUSES = ['queued', 'transcribing', 'diarizing', 'saving', 'analyzing', 'indexing'];
+
 const MeetingDetails = () => {
-  const { selectedMeeting, updateMeeting, setStatus } = useStore();
+  const { selectedMeeting, updateMeeting, setStatus, transcriptFocus, focusTranscript, clearTranscriptFocus } = useStore();
   const [activeTab, setActiveTab] = useState('summary');
+  const [focusTime, setFocusTime] = useState(null);
+  const [speakersVersion, setSpeakersVersion] = useState(0);
   const [transcript, setTranscript] = useState('');
   const [summary, setSummary] = useState(null);
   const [metadata, setMetadata] = useState(null);
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [preprocessing, setPreprocessing] = useState(null); // What audio preprocessing removed
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingMessage, setProcessingMessage] = useState('');
+  const [chunkProgress, setChunkProgress] = useState(null); // { completed, total } while chunks are transcribed
   const [settings, setSettings] = useState(null);
   const [useWebSocket, setUseWebSocket] = useState(true);
 
@@ -24,7 +34,18 @@ const MeetingDetails = () => {
   const handleSocketStatus = useCallback((data) => {
     console.log('WebSocket status update:', data);
 
+    // Chunk progress lasts until transcription ends (later events without it are e.g. merging)
+    if (data.status !== 'transcribing') {
+      setChunkProgress(null);
+    } else if (data.progress) {
+      setChunkProgress(data.progress);
+    }
+
     switch (data.status) {
+      case 'queued':
+        setIsProcessing(true);
+        setProcessingMessage(data.message || 'Queued for processing...');
+        break;
       case 'processing_started':
         setIsProcessing(true);
         setProcessingMessage('Processing started...');
@@ -33,6 +54,10 @@ const MeetingDetails = () => {
         setIsProcessing(true);
         setProcessingMessage(data.message || 'Transcribing audio...');
         break;
+      case 'diarizing':
+        setIsProcessing(true);
+        setProcessingMessage(data.message || 'Identifying speakers...');
+        break;
       case 'analyzing':
         setIsProcessing(true);
         setProcessingMessage(data.message || 'Generating AI summary...');
@@ -41,6 +66,10 @@ const MeetingDetails = () => {
         setIsProcessing(true);
         setProcessingMessage(data.message || 'Saving...');
         break;
+      case 'indexing':
+        setIsProcessing(true);
+        setProcessingMessage(data.message || 'Building search index...');
+        break;
       case 'completed':
         setIsProcessing(false);
         setProcessingMessage('');
@@ -52,10 +81,12 @@ const MeetingDetails = () => {
       case 'error':
         setIsProcessing(false);
         setProcessingMessage(`Processing failed: ${data.error}`);
+        updateMeeting(data.meetingId, { status: 'error', status_detail: data.error });
         break;
-      case 'CANCELLED':
+      case 'cancelled':
         setIsProcessing(false);
         setProcessingMessage(data.message || 'Processing cancelled.');
+        updateMeeting(data.meetingId, { status: 'cancelled', status_detail: data.message });
         break;
     }
   }, [updateMeeting]);
@@ -82,9 +113,13 @@ const MeetingDetails = () => {
       setTranscript('');
       setSummary(null);
       setMetadata(null);
+      setCheckpoints([]);
+      setPreprocessing(null);
       setIsProcessing(false);
       setProcessingMessage('');
+      setChunkProgress(null);
       setActiveTab('summary');
+      setFocusTime(null);
       loadMeetingContent();
     } else {
       setTranscript('');
@@ -95,6 +130,30 @@ const MeetingDetails = () => {
     }
   }, [selectedMeeting?.id]);
 
+  // Jump to a transcript position requested by search results or the summary
+  useEffect(() => {
+    if (transcriptFocus && transcriptFocus.meetingId === selectedMeeting?.id) {
+      setActiveTab('transcript');
+      setFocusTime(transcriptFocus.time);
+      clearTranscriptFocus();
+    }
+  }, [transcriptFocus, selectedMeeting?.id, clearTranscriptFocus]);
+
+  const handleLocateInTranscript = async (text) => {
+    try {
+      const segment = await meetingsAPI.locateSegment(selectedMeeting.id, text);
+      if (segment) {
+        focusTranscript(selectedMeeting.id, segment.start);
+      } else {
+        setStatus('error', 'Could not find this in the transcript');
+      }
+    } catch (error) {
+      setStatus('error', 'Failed to search the transcript: ' + error.message);
+    }
+  };
+
+  const isPending = PENDING_STATUSES.includes(selectedMeeting?.status);
+
   // Fallback polling for background processing (reduced frequency with WebSocket)
   useEffect(() => {
     if (!selectedMeeting) return;
@@ -110,40 +169,38 @@ const MeetingDetails = () => {
         const meeting = response.meeting || response;
 
         updateMeeting(meeting.id, meeting);
+        setCheckpoints(response.checkpoints || []);
+      setPreprocessing(response.preprocessing || null);
 
-        if (meeting.transcript_path?.startsWith('ERROR:')) {
-          const errorMessage = meeting.transcript_path.substring(7);
+        if (meeting.status === 'error') {
           setIsProcessing(false);
-          setProcessingMessage(`Processing failed: ${errorMessage}`);
+          setProcessingMessage(`Processing failed: ${meeting.status_detail}`);
           if (pollInterval) clearInterval(pollInterval);
           return;
         }
 
-        if (meeting.transcript_path === 'CANCELLED') {
+        if (meeting.status === 'cancelled') {
           setIsProcessing(false);
           setProcessingMessage('Processing cancelled. Click "Reprocess Meeting" to try again.');
           if (pollInterval) clearInterval(pollInterval);
           return;
         }
 
-        const hasTranscript = !!meeting.transcript_path;
-        const hasSummary = !!meeting.summary_path;
-
-        if (hasTranscript && hasSummary) {
+        if (meeting.status === 'completed') {
           setIsProcessing(false);
           setProcessingMessage('');
           await loadMeetingContent();
           if (pollInterval) clearInterval(pollInterval);
         } else {
-          if (!isProcessing) {
-            setIsProcessing(true);
-            const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
-            const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
-            if (!hasTranscript) {
-              setProcessingMessage('Transcribing audio with OpenAI Whisper...');
-            } else if (!hasSummary) {
-              setProcessingMessage(`Generating AI summary with ${modelName}...`);
-            }
+          // Show the real queue position while the job waits for a worker
+          const job = meeting.status === 'queued' ? await meetingsAPI.getJob(meeting.id) : null;
+          setIsProcessing(true);
+          if (job?.status === 'queued') {
+            setProcessingMessage(job.attempts > 0
+              ? `Retrying after error: ${job.last_error} (queue position ${job.position})`
+              : `Queued for processing (position ${job.position})`);
+          } else if (meeting.status_detail) {
+            setProcessingMessage(meeting.status_detail);
           }
         }
 
@@ -159,7 +216,7 @@ const MeetingDetails = () => {
     };
 
     const initialCheck = async () => {
-      if (!selectedMeeting.transcript_path || !selectedMeeting.summary_path) {
+      if (PENDING_STATUSES.includes(selectedMeeting.status)) {
         setIsProcessing(true);
         const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
         const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
@@ -175,7 +232,7 @@ const MeetingDetails = () => {
     return () => {
       if (pollInterval) clearInterval(pollInterval);
     };
-  }, [selectedMeeting?.id, selectedMeeting?.transcript_path, selectedMeeting?.summary_path, settings]);
+  }, [selectedMeeting?.id, isPending, settings]);
 
   const loadMeetingContent = async () => {
     if (!selectedMeeting) return;
@@ -183,11 +240,11 @@ const MeetingDetails = () => {
     try {
       const response = await meetingsAPI.getById(selectedMeeting.id);
       const fullMeeting = response.meeting || response;
+      setCheckpoints(response.checkpoints || []);
 
-      if (fullMeeting.transcript_path?.startsWith('ERROR:')) {
-        const errorMessage = fullMeeting.transcript_path.substring(7);
+      if (fullMeeting.status === 'error') {
         setIsProcessing(false);
-        setProcessingMessage(`Processing failed: ${errorMessage}`);
+        setProcessingMessage(`Processing failed: ${fullMeeting.status_detail}`);
         return;
       }
 
@@ -209,27 +266,29 @@ const MeetingDetails = () => {
     }
   };
 
-  const handleReprocess = async () => {
+  // from: 'start' re-runs everything, 'analysis' reuses the transcript, 'resume' continues after the last checkpoint
+  // meetingType re-analyzes the meeting as another type
+  const handleReprocess = async (from = 'start', meetingType = null) => {
     if (!selectedMeeting) return;
 
     try {
-      setTranscript('');
+      if (from === 'start') {
+        setTranscript('');
+      }
       setSummary(null);
       setMetadata(null);
       setIsProcessing(true);
       const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
       const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
-      setProcessingMessage(`Reprocessing started - transcribing audio (using ${modelName})...`);
+      setProcessingMessage(from === 'analysis'
+        ? `Re-running AI analysis on the saved transcript (using ${modelName})...`
+        : `Reprocessing started - transcribing audio (using ${modelName})...`);
       setStatus('processing', 'Starting reprocessing...');
 
-      const response = await meetingsAPI.reprocess(selectedMeeting.id);
+      const response = await meetingsAPI.reprocess(selectedMeeting.id, from, meetingType);
       const clearedMeeting = response.meeting || response;
 
-      updateMeeting(selectedMeeting.id, {
-        ...clearedMeeting,
-        transcript_path: null,
-        summary_path: null
-      });
+      updateMeeting(selectedMeeting.id, clearedMeeting);
 
       setStatus('success', 'Reprocessing started! Watch for updates...');
       setTimeout(() => setStatus('idle'), 3000);
@@ -241,6 +300,38 @@ const MeetingDetails = () => {
     }
   };
 
+  // A different meeting type only changes the summary - the saved transcript is analyzed again
+  const handleChangeMeetingType = (meetingType) => {
+    if (!confirm('Re-run the analysis with this meeting type? The current summary will be replaced.')) return;
+    handleReprocess('analysis', meetingType);
+  };
+
+  // Corrections replace the meeting's transcript file; the segments returned are shown straight away
+  const handleCorrectTranscript = async (corrections, reanalyze = false) => {
+    try {
+      const response = await meetingsAPI.updateTranscript(selectedMeeting.id, corrections, reanalyze);
+      updateMeeting(selectedMeeting.id, response.meeting);
+
+      if (reanalyze) {
+        setSummary(null);
+        setMetadata(null);
+        setIsProcessing(true);
+        setProcessingMessage('Re-running AI analysis on the corrected transcript...');
+      }
+
+      const transcriptResponse = await fetch(`${API_URL}${response.meeting.transcript_path}`);
+      setTranscript(await transcriptResponse.text());
+
+      setStatus('success', response.message);
+      setTimeout(() => setStatus('idle'), 3000);
+      return response.segments;
+    } catch (error) {
+      console.error('Transcript correction failed:', error);
+      setStatus('error', 'Failed to save correction: ' + error.message);
+      throw error;
+    }
+  };
+
   const handleCancelProcessing = async () => {
     if (!selectedMeeting) return;
 
@@ -290,6 +381,25 @@ const MeetingDetails = () => {
     });
   };
 
+  const formatSeconds = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+  };
+
+  const hasSavedTranscript = checkpoints.includes('transcription') || !!selectedMeeting.transcript_path;
+  const canResume = ['error', 'cancelled'].includes(selectedMeeting.status) && checkpoints.length > 0;
+
+  const reprocessButtonStyle = {
+    padding: '6px 12px',
+    fontSize: '13px',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
   const tabs = [
     { id: 'summary', label: 'Summary', icon: '' },
     { id: 'transcript', label: 'Transcript', icon: '' },
@@ -318,6 +428,15 @@ const MeetingDetails = () => {
         <div style={{ fontSize: '14px', color: '#6c757d' }}>
           {formatDate(selectedMeeting.date)}
         </div>
+        {preprocessing && (
+          <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+            🎚️ Preprocessed before transcription:
+            {preprocessing.removedSeconds > 0
+              ? ` ${formatSeconds(preprocessing.removedSeconds)} of silence removed (${Math.round(preprocessing.removedSeconds / preprocessing.originalDuration * 100)}%)`
+              : ' no long silences found'}
+            {preprocessing.normalized && ', loudness normalized'}
+          </div>
+        )}
         <div style={{ marginTop: '10px', display: 'flex', gap: '8px' }}>
           {isProcessing ? (
             <button
@@ -335,20 +454,43 @@ const MeetingDetails = () => {
               Stop Processing
             </button>
           ) : (
-            <button
-              onClick={handleReprocess}
-              style={{
-                padding: '6px 12px',
-                fontSize: '13px',
-                background: '#007bff',
-                color: 'white',
-                border: 'none',
-                borderRadius: '4px',
-                cursor: 'pointer'
-              }}
-            >
-              Reprocess Meeting
-            </button>
+            <>
+              {canResume && (
+                <button
+                  onClick={() => handleReprocess('resume')}
+                  title="Continue from the last completed step without redoing finished work"
+                  style={{ ...reprocessButtonStyle, background: '#28a745' }}
+                >
+                  Resume Processing
+                </button>
+              )}
+              {hasSavedTranscript && (
+                <button
+                  onClick={() => handleReprocess('analysis')}
+                  title="Re-run the AI analysis on the saved transcript without transcribing again"
+                  style={{ ...reprocessButtonStyle, background: '#6c757d' }}
+                >
+                  Re-run Analysis
+                </button>
+              )}
+              <button
+                onClick={() => handleReprocess('start')}
+                style={reprocessButtonStyle}
+              >
+                Reprocess Meeting
+              </button>
+              {hasSavedTranscript && selectedMeeting.project_id && (
+                <div title="Meeting type - changing it re-runs the analysis with that type's template">
+                  <MeetingTypeSelect
+                    projectId={selectedMeeting.project_id}
+                    value={selectedMeeting.meeting_type || 'general'}
+                    onChange={handleChangeMeetingType}
+                    showDescription={false}
+                    style={{ width: 'auto', padding: '5px 8px', fontSize: '13px' }}
+                  />
+                </div>
+              )}
+            </>
           )}
         </div>
       </div>
@@ -382,7 +524,11 @@ const MeetingDetails = () => {
       </div>
 
       {/* Processing Status Banner */}
-      <ProcessingStatus isProcessing={isProcessing} message={processingMessage} />
+      <ProcessingStatus
+        isProcessing={isProcessing}
+        message={processingMessage}
+        progress={isProcessing ? chunkProgress : null}
+      />
 
       {/* Content */}
       <div style={{
@@ -396,15 +542,35 @@ const MeetingDetails = () => {
             summary={summary}
             metadata={metadata}
             meeting={selectedMeeting}
+            onLocateInTranscript={handleLocateInTranscript}
           />
         )}
 
         {activeTab === 'transcript' && (
-          <MeetingTranscript transcript={transcript} />
+          <>
+            {transcript && (
+              <SpeakerNames
+                meetingId={selectedMeeting.id}
+                onSaved={() => setSpeakersVersion(v => v + 1)}
+              />
+            )}
+            <MeetingTranscript
+              transcript={transcript}
+              meetingId={selectedMeeting.id}
+              hasAudio={!!selectedMeeting.audio_path}
+              focusTime={focusTime}
+              speakersVersion={speakersVersion}
+              onCorrect={isProcessing ? null : handleCorrectTranscript}
+            />
+          </>
         )}
 
         {activeTab === 'actions' && (
-          <MeetingActions actionItems={summary?.action_items} />
+          <MeetingActions
+            actionItems={summary?.action_items}
+            actionItemUpdates={summary?.action_item_updates}
+            meetingId={transcript || summary ? selectedMeeting.id : null}
+          />
         )}
       </div>
     </div>
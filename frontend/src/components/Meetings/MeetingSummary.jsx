@@ -1,7 +1,30 @@
 import MentorFeedback from './MentorFeedback';
 import WikiUpdateSuggestions from './WikiUpdateSuggestions';
+import DecisionConflicts from './DecisionConflicts';
 
-const MeetingSummary = ({ summary, metadata, meeting }) => {
+// Sections of summaries analyzed before meeting types existed - newer summaries carry their own
+const GENERAL_SECTIONS = [
+  { key: 'overview', title: 'Overview', kind: 'text' },
+  { key: 'context', title: 'Context & Background', kind: 'note' },
+  { key: 'discussion_topics', title: 'Discussion Topics', kind: 'tags' },
+  { key: 'detailed_discussion', title: 'Detailed Discussion', kind: 'paragraphs' },
+  { key: 'key_decisions', title: 'Key Decisions', kind: 'list' },
+  { key: 'action_items', title: 'Action Items', kind: 'tasks' },
+  { key: 'technical_details', title: 'Technical Details', kind: 'list' },
+];
+
+// Older analyses sometimes return objects where strings are expected
+const itemText = (item) => {
+  if (typeof item !== 'object' || item === null) return item;
+  const text = item.text || item.topic || item.name || item.decision || item.detail || item.content || JSON.stringify(item);
+  return item.reason ? `${text} (${item.reason})` : text;
+};
+
+const fieldLabel = (field) => field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ');
+
+const hasContent = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const MeetingSummary = ({ summary, metadata, meeting, onLocateInTranscript }) => {
   if (!summary) {
     return (
       <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
@@ -10,123 +33,34 @@ const MeetingSummary = ({ summary, metadata, meeting }) => {
     );
   }
 
+  const meetingType = summary.meeting_type;
+  const sections = meetingType?.sections || GENERAL_SECTIONS;
+
   return (
     <div style={{ textAlign: 'left' }}>
+      {/* Decisions that go against earlier ones */}
+      <DecisionConflicts meeting={meeting} />
+
       {/* AI Model Info Badge */}
       {metadata?.ai_model_info && <AIModelBadge metadata={metadata} />}
 
-      {/* Overview */}
-      {summary.overview && (
-        <Section title="Overview" icon="">
-          <p style={{ lineHeight: '1.6', color: '#495057' }}>
-            {summary.overview}
-          </p>
-        </Section>
-      )}
-
-      {/* Context */}
-      {summary.context && (
-        <div style={{ marginBottom: '30px', background: '#f8f9fa', padding: '15px', borderRadius: '6px', borderLeft: '4px solid #007bff' }}>
-          <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px', color: '#007bff' }}>
-            Context & Background
-          </h3>
-          <p style={{ lineHeight: '1.6', color: '#495057', margin: 0 }}>
-            {summary.context}
-          </p>
+      {meetingType && meetingType.key !== 'general' && (
+        <div style={{ marginBottom: '20px', fontSize: '13px', color: '#6c757d' }}>
+          Summarized as: <strong style={{ color: '#495057' }}>{meetingType.name}</strong>
         </div>
       )}
 
-      {/* Discussion Topics */}
-      {summary.discussion_topics?.length > 0 && (
-        <Section title="Discussion Topics" icon="">
-          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
-            {summary.discussion_topics.map((topic, idx) => {
-              const isObject = typeof topic === 'object' && topic !== null;
-              const topicText = isObject ? (topic.topic || topic.name || JSON.stringify(topic)) : topic;
-              return (
-                <span key={idx} style={{
-                  padding: '6px 12px',
-                  background: '#e7f3ff',
-                  color: '#0056b3',
-                  borderRadius: '16px',
-                  fontSize: '14px',
-                  fontWeight: '500'
-                }}>
-                  {topicText}
-                </span>
-              );
-            })}
-          </div>
-        </Section>
-      )}
-
-      {/* Detailed Discussion */}
-      {summary.detailed_discussion?.length > 0 && (
-        <Section title="Detailed Discussion" icon="">
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
-            {summary.detailed_discussion.map((point, idx) => {
-              const isObject = typeof point === 'object' && point !== null;
-              const topic = isObject ? point.topic : null;
-              const details = isObject ? point.details : point;
-              return (
-                <div key={idx} style={{
-                  padding: '15px',
-                  background: '#f8f9fa',
-                  borderRadius: '6px',
-                  borderLeft: '3px solid #28a745'
-                }}>
-                  <div style={{
-                    fontSize: '12px',
-                    fontWeight: 'bold',
-                    color: '#28a745',
-                    marginBottom: '8px'
-                  }}>
-                    {topic || `Point ${idx + 1}`}
-                  </div>
-                  <p style={{ lineHeight: '1.8', color: '#495057', margin: 0 }}>
-                    {details}
-                  </p>
-                </div>
-              );
-            })}
-          </div>
-        </Section>
-      )}
-
-      {/* Key Decisions */}
-      {summary.key_decisions?.length > 0 && (
-        <Section title="Key Decisions" icon="">
-          <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
-            {summary.key_decisions.map((decision, idx) => {
-              const isObject = typeof decision === 'object' && decision !== null;
-              const decisionText = isObject ? (decision.decision || decision.text || JSON.stringify(decision)) : decision;
-              return (
-                <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
-                  {decisionText}
-                </li>
-              );
-            })}
-          </ul>
-        </Section>
-      )}
-
-      {/* Technical Details */}
-      {summary.technical_details?.length > 0 && (
-        <Section title="Technical Details" icon="">
-          <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
-            {summary.technical_details.map((detail, idx) => {
-              const isObject = typeof detail === 'object' && detail !== null;
-              const detailText = isObject ? (detail.detail || detail.content || JSON.stringify(detail)) : detail;
-              const reason = isObject && detail.reason ? ` (${detail.reason})` : '';
-              return (
-                <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
-                  {detailText}{reason}
-                </li>
-              );
-            })}
-          </ul>
-        </Section>
-      )}
+      {/* Action items have their own tab */}
+      {sections
+        .filter(section => section.key !== 'action_items' && hasContent(summary[section.key]))
+        .map(section => (
+          <SummarySection
+            key={section.key}
+            section={section}
+            value={summary[section.key]}
+            onLocateInTranscript={onLocateInTranscript}
+          />
+        ))}
 
       {/* Mentor Feedback */}
       <MentorFeedback meeting={meeting} />
@@ -137,6 +71,168 @@ const MeetingSummary = ({ summary, metadata, meeting }) => {
   );
 };
 
+// One section of the summary, laid out by its kind
+const SummarySection = ({ section, value, onLocateInTranscript }) => {
+  const { title, kind, fields = [] } = section;
+
+  if (kind === 'note') {
+    return (
+      <div style={{ marginBottom: '30px', background: '#f8f9fa', padding: '15px', borderRadius: '6px', borderLeft: '4px solid #007bff' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px', color: '#007bff' }}>
+          {title}
+        </h3>
+        <p style={{ lineHeight: '1.6', color: '#495057', margin: 0 }}>
+          {value}
+        </p>
+      </div>
+    );
+  }
+
+  if (kind === 'text' || !Array.isArray(value)) {
+    return (
+      <Section title={title} icon="">
+        <p style={{ lineHeight: '1.6', color: '#495057' }}>
+          {itemText(value)}
+        </p>
+      </Section>
+    );
+  }
+
+  if (kind === 'tags') {
+    return (
+      <Section title={title} icon="">
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+          {value.map((tag, idx) => (
+            <span key={idx} style={{
+              padding: '6px 12px',
+              background: '#e7f3ff',
+              color: '#0056b3',
+              borderRadius: '16px',
+              fontSize: '14px',
+              fontWeight: '500'
+            }}>
+              {itemText(tag)}
+            </span>
+          ))}
+        </div>
+      </Section>
+    );
+  }
+
+  if (kind === 'paragraphs') {
+    return (
+      <Section title={title} icon="">
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
+          {value.map((point, idx) => {
+            const isObject = typeof point === 'object' && point !== null;
+            const topic = isObject ? point.topic : null;
+            const details = isObject ? (point.details || itemText(point)) : point;
+            return (
+              <div key={idx} style={{
+                padding: '15px',
+                background: '#f8f9fa',
+                borderRadius: '6px',
+                borderLeft: '3px solid #28a745'
+              }}>
+                <div style={{
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  color: '#28a745',
+                  marginBottom: '8px'
+                }}>
+                  {topic || `Point ${idx + 1}`}
+                </div>
+                <p style={{ lineHeight: '1.8', color: '#495057', margin: 0 }}>
+                  {details}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+    );
+  }
+
+  if (kind === 'records') {
+    const [heading, ...details] = fields;
+    return (
+      <Section title={title} icon="">
+        <div style={{ display: 'grid', gap: '10px' }}>
+          {value.map((record, idx) => (
+            <div key={idx} style={{
+              padding: '12px 15px',
+              background: '#f8f9fa',
+              borderRadius: '6px',
+              border: '1px solid #dee2e6'
+            }}>
+              {heading && record[heading] && (
+                <div style={{ fontWeight: 'bold', marginBottom: '6px', color: '#212529' }}>
+                  {itemText(record[heading])}
+                </div>
+              )}
+              {details.filter(field => record[field]).map(field => (
+                <div key={field} style={{ fontSize: '14px', lineHeight: '1.6', color: '#495057' }}>
+                  <span style={{ color: '#6c757d' }}>{fieldLabel(field)}:</span> {itemText(record[field])}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </Section>
+    );
+  }
+
+  if (kind === 'tasks') {
+    return (
+      <Section title={title} icon="">
+        <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
+          {value.map((item, idx) => (
+            <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
+              {item?.task || itemText(item)}
+              {item?.owner && <span style={{ color: '#6c757d' }}> - {item.owner}</span>}
+              {item?.due && <span style={{ color: '#6c757d' }}> (due {item.due})</span>}
+            </li>
+          ))}
+        </ul>
+      </Section>
+    );
+  }
+
+  // list
+  return (
+    <Section title={title} icon="">
+      <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
+        {value.map((item, idx) => {
+          const text = itemText(item);
+          return (
+            <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
+              {text}
+              {onLocateInTranscript && (
+                <button
+                  onClick={() => onLocateInTranscript(text)}
+                  title="Jump to where this was discussed in the transcript"
+                  style={{
+                    marginLeft: '8px',
+                    padding: '0 6px',
+                    fontSize: '12px',
+                    color: '#007bff',
+                    background: 'transparent',
+                    border: '1px solid #b8daff',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  ⏱ Transcript
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </Section>
+  );
+};
+
 const Section = ({ title, icon, children }) => (
   <div style={{ marginBottom: '30px' }}>
     <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px' }}>
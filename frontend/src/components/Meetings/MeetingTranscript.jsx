@@ -1,4 +1,159 @@
-const MeetingTranscript = ({ transcript }) => {
+import { useState, useEffect, useRef } from 'react';
+import { meetingsAPI } from '../../services/api';
+
+const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD ? '' : 'http://localhost:3001');
+
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const speakerLabel = (segment) =>
+  segment.speaker_name || (segment.speaker ? segment.speaker.replace(/^SPEAKER_/, 'Speaker ') : null);
+
+const editButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+const MeetingTranscript = ({
+  transcript,
+  meetingId,
+  hasAudio = false,
+  focusTime = null,
+  speakersVersion = 0,
+  onCorrect = null
+}) => {
+  const [segments, setSegments] = useState([]);
+  const [editingIdx, setEditingIdx] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [audioError, setAudioError] = useState(false);
+  const segmentRefs = useRef({});
+  const audioRef = useRef(null);
+  const pendingSeekRef = useRef(null);
+
+  useEffect(() => {
+    if (!meetingId || !transcript) {
+      setSegments([]);
+      return;
+    }
+
+    const loadSegments = async () => {
+      try {
+        setSegments(await meetingsAPI.getSegments(meetingId));
+      } catch (error) {
+        console.error('Error loading transcript segments:', error);
+        setSegments([]);
+      }
+    };
+    loadSegments();
+  }, [meetingId, transcript, speakersVersion]);
+
+  useEffect(() => {
+    setCurrentTime(0);
+    setIsPlaying(false);
+    setAudioError(false);
+    setEditingIdx(null);
+  }, [meetingId]);
+
+  // Seeking before the audio metadata has loaded is ignored by the browser, so it is applied on load
+  const seek = (time) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.readyState >= 1) {
+      audio.currentTime = time;
+    } else {
+      pendingSeekRef.current = time;
+    }
+    setCurrentTime(time);
+  };
+
+  const handleLoadedMetadata = () => {
+    audioRef.current.playbackRate = playbackRate;
+    if (pendingSeekRef.current !== null) {
+      audioRef.current.currentTime = pendingSeekRef.current;
+      pendingSeekRef.current = null;
+    }
+  };
+
+  const handleSegmentClick = (segment) => {
+    if (!audioRef.current || editingIdx !== null) return;
+    seek(segment.start);
+    audioRef.current.play().catch(error => console.error('Playback failed:', error));
+  };
+
+  const startEditing = (segment) => {
+    if (!onCorrect || isSaving) return;
+    setEditingIdx(segment.idx);
+    setDraft(segment.text);
+  };
+
+  const cancelEditing = () => {
+    setEditingIdx(null);
+    setDraft('');
+  };
+
+  // Saving the original text again undoes a correction
+  const saveCorrection = async (idx, text, reanalyze = false) => {
+    if (!text.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const updated = await onCorrect([{ idx, text: text.trim() }], reanalyze);
+      if (updated) {
+        setSegments(updated);
+      }
+      cancelEditing();
+    } catch (error) {
+      console.error('Error saving transcript correction:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRateChange = (rate) => {
+    setPlaybackRate(rate);
+    if (audioRef.current) {
+      audioRef.current.playbackRate = rate;
+    }
+  };
+
+  // Segment being jumped to: the last one starting at or before the focus time
+  const focusedIdx = focusTime === null
+    ? null
+    : segments.filter(segment => segment.start <= focusTime + 0.5).pop()?.idx ?? segments[0]?.idx ?? null;
+
+  // Segment under the playhead
+  const activeIdx = isPlaying || currentTime > 0
+    ? segments.find(segment => segment.start <= currentTime && currentTime < segment.end)?.idx ?? null
+    : null;
+
+  useEffect(() => {
+    if (focusedIdx !== null) {
+      segmentRefs.current[focusedIdx]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    if (focusTime !== null) {
+      seek(focusTime);
+    }
+  }, [focusedIdx, focusTime]);
+
+  useEffect(() => {
+    if (isPlaying && activeIdx !== null) {
+      segmentRefs.current[activeIdx]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [activeIdx, isPlaying]);
+
   if (!transcript) {
     return (
       <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
@@ -7,17 +162,230 @@ const MeetingTranscript = ({ transcript }) => {
     );
   }
 
+  const canPlay = hasAudio && !audioError;
+
   return (
     <div style={{ textAlign: 'left' }}>
-      <pre style={{
-        whiteSpace: 'pre-wrap',
-        fontFamily: 'inherit',
-        lineHeight: '1.8',
-        color: '#495057',
-        margin: 0
-      }}>
-        {transcript}
-      </pre>
+      {/* Audio player */}
+      {hasAudio && (
+        <div style={{
+          position: 'sticky',
+          top: '-20px',
+          zIndex: 1,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          padding: '10px 0',
+          marginBottom: '10px',
+          background: '#fff',
+          borderBottom: '1px solid #dee2e6'
+        }}>
+          {audioError ? (
+            <span style={{ fontSize: '13px', color: '#6c757d' }}>
+              The audio recording is no longer available.
+            </span>
+          ) : (
+            <>
+              <audio
+                ref={audioRef}
+                src={`${API_URL}/api/meetings/${meetingId}/audio`}
+                controls
+                preload="metadata"
+                onLoadedMetadata={handleLoadedMetadata}
+                onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                onPlay={() => setIsPlaying(true)}
+                onPause={() => setIsPlaying(false)}
+                onEnded={() => setIsPlaying(false)}
+                onError={() => setAudioError(true)}
+                style={{ flex: 1, height: '36px' }}
+              />
+              <select
+                value={playbackRate}
+                onChange={(e) => handleRateChange(parseFloat(e.target.value))}
+                title="Playback speed"
+                style={{
+                  padding: '6px',
+                  fontSize: '13px',
+                  border: '1px solid #ced4da',
+                  borderRadius: '4px',
+                  background: '#fff',
+                  cursor: 'pointer'
+                }}
+              >
+                {PLAYBACK_RATES.map(rate => (
+                  <option key={rate} value={rate}>{rate}x</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Meetings processed before segments were stored only have the transcript file */}
+      {segments.length === 0 ? (
+        <pre style={{
+          whiteSpace: 'pre-wrap',
+          fontFamily: 'inherit',
+          lineHeight: '1.8',
+          color: '#495057',
+          margin: 0
+        }}>
+          {transcript}
+        </pre>
+      ) : (
+        segments.map(segment => {
+          const isActive = segment.idx === activeIdx;
+          const isFocused = segment.idx === focusedIdx;
+          const isEditing = segment.idx === editingIdx;
+          const speaker = speakerLabel(segment);
+
+          if (isEditing) {
+            return (
+              <div
+                key={segment.idx}
+                ref={el => { segmentRefs.current[segment.idx] = el; }}
+                style={{
+                  padding: '8px',
+                  margin: '4px 0',
+                  borderRadius: '4px',
+                  background: '#f8f9fa',
+                  border: '1px solid #ced4da'
+                }}
+              >
+                <div style={{ fontSize: '12px', color: '#6c757d', marginBottom: '6px' }}>
+                  <span style={{ fontFamily: 'monospace' }}>{formatTimestamp(segment.start)}</span>
+                  {speaker && <strong style={{ marginLeft: '8px' }}>{speaker}</strong>}
+                </div>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') cancelEditing();
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) saveCorrection(segment.idx, draft);
+                  }}
+                  autoFocus
+                  rows={3}
+                  disabled={isSaving}
+                  style={{
+                    width: '100%',
+                    padding: '6px',
+                    fontSize: '14px',
+                    fontFamily: 'inherit',
+                    lineHeight: '1.6',
+                    border: '1px solid #ced4da',
+                    borderRadius: '4px',
+                    resize: 'vertical',
+                    boxSizing: 'border-box'
+                  }}
+                />
+                {segment.original_text && (
+                  <div style={{ fontSize: '12px', color: '#6c757d', margin: '4px 0' }}>
+                    Transcribed as: <em>{segment.original_text}</em>
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                  <button
+                    onClick={() => saveCorrection(segment.idx, draft)}
+                    disabled={isSaving || !draft.trim()}
+                    style={{ ...editButtonStyle, background: '#007bff' }}
+                  >
+                    {isSaving ? 'Saving...' : 'Save'}
+                  </button>
+                  <button
+                    onClick={() => saveCorrection(segment.idx, draft, true)}
+                    disabled={isSaving || !draft.trim()}
+                    title="Save and re-run the AI analysis on the corrected transcript"
+                    style={{ ...editButtonStyle, background: '#6c757d' }}
+                  >
+                    Save & Re-run Analysis
+                  </button>
+                  {segment.original_text && (
+                    <button
+                      onClick={() => saveCorrection(segment.idx, segment.original_text)}
+                      disabled={isSaving}
+                      style={{ ...editButtonStyle, background: '#ffc107', color: '#212529' }}
+                    >
+                      Revert
+                    </button>
+                  )}
+                  <button
+                    onClick={cancelEditing}
+                    disabled={isSaving}
+                    style={{ ...editButtonStyle, background: 'transparent', color: '#6c757d' }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            );
+          }
+
+          return (
+            <div
+              key={segment.idx}
+              ref={el => { segmentRefs.current[segment.idx] = el; }}
+              onClick={canPlay ? () => handleSegmentClick(segment) : undefined}
+              onDoubleClick={() => startEditing(segment)}
+              title={[
+                canPlay && `Play from ${formatTimestamp(segment.start)}`,
+                onCorrect && 'Double-click to correct'
+              ].filter(Boolean).join(' - ') || undefined}
+              style={{
+                display: 'flex',
+                gap: '12px',
+                padding: '6px 8px',
+                borderRadius: '4px',
+                borderLeft: isActive ? '3px solid #007bff' : '3px solid transparent',
+                lineHeight: '1.6',
+                color: '#495057',
+                background: isActive ? '#e7f1ff' : isFocused ? '#fff3cd' : 'transparent',
+                cursor: canPlay ? 'pointer' : 'default',
+                transition: 'background 0.3s'
+              }}
+            >
+              <span style={{
+                fontFamily: 'monospace',
+                fontSize: '12px',
+                color: isActive ? '#007bff' : '#6c757d',
+                paddingTop: '3px',
+                minWidth: '42px'
+              }}>
+                {formatTimestamp(segment.start)}
+              </span>
+              <span style={{ flex: 1 }}>
+                {speaker && <strong style={{ marginRight: '6px' }}>{speaker}:</strong>}
+                {segment.text}
+                {segment.original_text && (
+                  <span
+                    title={`Transcribed as: ${segment.original_text}`}
+                    style={{ marginLeft: '6px', fontSize: '11px', color: '#856404', background: '#fff3cd', padding: '1px 5px', borderRadius: '3px' }}
+                  >
+                    edited
+                  </span>
+                )}
+              </span>
+              {onCorrect && (
+                <button
+                  onClick={(e) => { e.stopPropagation(); startEditing(segment); }}
+                  disabled={isSaving || editingIdx !== null}
+                  title="Correct this segment"
+                  style={{
+                    alignSelf: 'flex-start',
+                    padding: '0 4px',
+                    border: 'none',
+                    background: 'transparent',
+                    color: '#adb5bd',
+                    cursor: 'pointer',
+                    fontSize: '13px'
+                  }}
+                >
+                  ✎
+                </button>
+              )}
+            </div>
+          );
+        })
+      )}
     </div>
   );
 };
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { projectsAPI } from '../../services/api';
+
+const DEFAULT_MEETING_TYPE = 'general';
+
+// Picks the meeting type - the analysis template - from the built-in types and the project's own.
+// Custom types belong to one project: reset the value to 'general' when the project changes
+const MeetingTypeSelect = ({ projectId, value, onChange, disabled = false, showDescription = true, style = {} }) => {
+  const [types, setTypes] = useState([]);
+
+  useEffect(() => {
+    if (!projectId) {
+      setTypes([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadTypes = async () => {
+      try {
+        const loaded = await projectsAPI.getMeetingTypes(projectId);
+        if (!cancelled) setTypes(loaded);
+      } catch (error) {
+        console.error('Error loading meeting types:', error);
+      }
+    };
+    loadTypes();
+    return () => { cancelled = true; };
+  }, [projectId]);
+
+  const selected = types.find(type => type.key === value);
+  const builtIn = types.filter(type => type.builtIn);
+  const custom = types.filter(type => !type.builtIn);
+
+  return (
+    <div>
+      <select
+        value={selected ? value : DEFAULT_MEETING_TYPE}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled || types.length === 0}
+        style={{
+          width: '100%',
+          padding: '10px',
+          fontSize: '14px',
+          border: '1px solid #ccc',
+          borderRadius: '4px',
+          ...style,
+        }}
+      >
+        {types.length === 0 && <option value={DEFAULT_MEETING_TYPE}>General</option>}
+        {builtIn.map(type => (
+          <option key={type.key} value={type.key}>{type.name}</option>
+        ))}
+        {custom.length > 0 && (
+          <optgroup label="Project types">
+            {custom.map(type => (
+              <option key={type.key} value={type.key}>{type.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      {showDescription && selected?.description && (
+        <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+          {selected.description}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MeetingTypeSelect;
@@ -1,6 +1,19 @@
 import { useState } from 'react';
 import useStore from '../../stores/useStore';
 import { meetingsAPI } from '../../services/api';
+import { RECORDING_SOURCES } from '../../services/audioSources';
+
+// Badge colors for meetings that aren't completed yet
+const STATUS_BADGES = {
+  queued: { label: 'Queued', background: '#e9ecef', color: '#495057' },
+  transcribing: { label: 'Transcribing', background: '#cfe2ff', color: '#084298' },
+  diarizing: { label: 'Identifying speakers', background: '#cfe2ff', color: '#084298' },
+  saving: { label: 'Saving', background: '#cfe2ff', color: '#084298' },
+  analyzing: { label: 'Analyzing', background: '#cfe2ff', color: '#084298' },
+  indexing: { label: 'Indexing', background: '#cfe2ff', color: '#084298' },
+  error: { label: 'Failed', background: '#f8d7da', color: '#842029' },
+  cancelled: { label: 'Cancelled', background: '#fff3cd', color: '#664d03' },
+};
 
 const MeetingsList = () => {
   const {
@@ -14,6 +27,7 @@ const MeetingsList = () => {
   } = useStore();
 
   const [filterProjectId, setFilterProjectId] = useState('');
+  const [filterStatus, setFilterStatus] = useState('');
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
 
   const getProjectName = (projectId) => {
@@ -21,9 +35,9 @@ const MeetingsList = () => {
     return project ? project.name : 'Unknown Project';
   };
 
-  const filteredMeetings = filterProjectId
-    ? meetings.filter(m => m.project_id === parseInt(filterProjectId))
-    : meetings;
+  const filteredMeetings = meetings
+    .filter(m => !filterProjectId || m.project_id === parseInt(filterProjectId))
+    .filter(m => !filterStatus || m.status === filterStatus);
 
   const handleMeetingClick = async (meeting) => {
     try {
@@ -111,6 +125,28 @@ const MeetingsList = () => {
             </option>
           ))}
         </select>
+
+        <select
+          value={filterStatus}
+          onChange={(e) => setFilterStatus(e.target.value)}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            padding: '8px',
+            fontSize: '14px',
+            border: '1px solid #ced4da',
+            borderRadius: '4px',
+            background: '#fff'
+          }}
+        >
+          <option value="">All Statuses</option>
+          <option value="completed">Completed</option>
+          {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+            <option key={status} value={status}>
+              {badge.label}
+            </option>
+          ))}
+        </select>
       </div>
 
       {/* Meetings List */}
@@ -168,6 +204,25 @@ const MeetingsList = () => {
                 {getProjectName(meeting.project_id)}
               </div>
 
+              {/* Status Badge */}
+              {STATUS_BADGES[meeting.status] && (
+                <div
+                  title={meeting.status_detail || ''}
+                  style={{
+                    display: 'inline-block',
+                    background: STATUS_BADGES[meeting.status].background,
+                    color: STATUS_BADGES[meeting.status].color,
+                    padding: '3px 8px',
+                    borderRadius: '12px',
+                    fontSize: '12px',
+                    marginBottom: '8px',
+                    marginLeft: '6px'
+                  }}
+                >
+                  {STATUS_BADGES[meeting.status].label}
+                </div>
+              )}
+
               {/* Metadata */}
               <div style={{
                 fontSize: '13px',
@@ -180,6 +235,11 @@ const MeetingsList = () => {
                 {meeting.duration && (
                   <span>⏱️ {formatDuration(meeting.duration)}</span>
                 )}
+                {RECORDING_SOURCES[meeting.recording_source] && (
+                  <span title="Recorded from">
+                    {RECORDING_SOURCES[meeting.recording_source].icon} {RECORDING_SOURCES[meeting.recording_source].label}
+                  </span>
+                )}
               </div>
 
               {/* Delete Button */}
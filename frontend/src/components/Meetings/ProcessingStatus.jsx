@@ -1,4 +1,5 @@
-const ProcessingStatus = ({ isProcessing, message }) => {
+// progress: { completed, total } chunks of a long recording, shown as a bar
+const ProcessingStatus = ({ isProcessing, message, progress = null }) => {
   if (!isProcessing && !message) return null;
 
   const isError = message?.startsWith('Processing failed') || message?.includes('failed');
@@ -27,7 +28,25 @@ const ProcessingStatus = ({ isProcessing, message }) => {
           animation: 'spin 1s linear infinite'
         }} />
       )}
-      {message}
+      <div style={{ flex: 1 }}>
+        {message}
+        {progress && progress.total > 0 && (
+          <div style={{
+            marginTop: '8px',
+            height: '6px',
+            background: 'rgba(255,255,255,0.3)',
+            borderRadius: '3px',
+            overflow: 'hidden'
+          }}>
+            <div style={{
+              width: `${Math.round(progress.completed / progress.total * 100)}%`,
+              height: '100%',
+              background: 'white',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+        )}
+      </div>
       <style>{`
         @keyframes spin {
           0% { transform: rotate(0deg); }
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+
+const formatTalkTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+};
+
+const SpeakerNames = ({ meetingId, onSaved }) => {
+  const { setStatus } = useStore();
+  const [speakers, setSpeakers] = useState([]);
+  const [names, setNames] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    const loadSpeakers = async () => {
+      try {
+        const loaded = await meetingsAPI.getSpeakers(meetingId);
+        setSpeakers(loaded);
+        setNames(Object.fromEntries(loaded.map(s => [s.label, s.name || ''])));
+        setSaved(false);
+      } catch (error) {
+        console.error('Error loading speakers:', error);
+      }
+    };
+    loadSpeakers();
+  }, [meetingId]);
+
+  if (speakers.length === 0) {
+    return null;
+  }
+
+  const hasChanges = speakers.some(s => (s.name || '') !== (names[s.label] || '').trim());
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const updated = await meetingsAPI.updateSpeakers(
+        meetingId,
+        speakers.map(s => ({ label: s.label, name: names[s.label] || '' }))
+      );
+      setSpeakers(updated);
+      setNames(Object.fromEntries(updated.map(s => [s.label, s.name || ''])));
+      setSaved(true);
+      onSaved?.();
+    } catch (error) {
+      setStatus('error', 'Failed to save speaker names: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div style={{
+      padding: '15px',
+      marginBottom: '20px',
+      border: '1px solid #dee2e6',
+      borderRadius: '6px',
+      background: '#f8f9fa',
+      textAlign: 'left'
+    }}>
+      <h4 style={{ margin: '0 0 10px 0', fontSize: '15px', fontWeight: 'bold' }}>
+        Speakers
+      </h4>
+
+      {speakers.map(speaker => (
+        <div
+          key={speaker.label}
+          style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}
+        >
+          <input
+            type="text"
+            value={names[speaker.label] || ''}
+            placeholder={speaker.display_name}
+            onChange={(e) => {
+              setNames({ ...names, [speaker.label]: e.target.value });
+              setSaved(false);
+            }}
+            style={{
+              flex: 1,
+              padding: '6px 8px',
+              fontSize: '14px',
+              border: '1px solid #ced4da',
+              borderRadius: '4px'
+            }}
+          />
+          <span style={{ fontSize: '12px', color: '#6c757d', minWidth: '90px' }}>
+            {formatTalkTime(speaker.talk_time)} talking
+          </span>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '10px' }}>
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || isSaving}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            background: hasChanges ? '#007bff' : '#adb5bd',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: hasChanges && !isSaving ? 'pointer' : 'not-allowed'
+          }}
+        >
+          {isSaving ? 'Saving...' : 'Save Names'}
+        </button>
+        {saved && (
+          <span style={{ fontSize: '12px', color: '#6c757d' }}>
+            Saved. Use "Re-run Analysis" to update action item owners.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpeakerNames;
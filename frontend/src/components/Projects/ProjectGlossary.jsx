@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { projectsAPI } from '../../services/api';
+
+const EMPTY_FORM = { term: '', variants: '', description: '' };
+
+const inputStyle = {
+  padding: '8px',
+  fontSize: '13px',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Variants are typed as a comma-separated list
+const parseVariants = (text) => text.split(',').map(v => v.trim()).filter(Boolean);
+
+const ProjectGlossary = ({ projectId }) => {
+  const { setStatus } = useStore();
+  const [terms, setTerms] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadGlossary = async () => {
+      setIsLoading(true);
+      try {
+        setTerms(await projectsAPI.getGlossary(projectId));
+      } catch (error) {
+        console.error('Error loading glossary:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadGlossary();
+  }, [projectId]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (term) => {
+    setEditingId(term.id);
+    setForm({
+      term: term.term,
+      variants: term.variants.join(', '),
+      description: term.description || ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.term.trim()) return;
+
+    const payload = {
+      term: form.term.trim(),
+      variants: parseVariants(form.variants),
+      description: form.description.trim() || null
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        const updated = await projectsAPI.updateGlossaryTerm(projectId, editingId, payload);
+        setTerms(terms.map(t => (t.id === editingId ? updated : t)));
+      } else {
+        const added = await projectsAPI.addGlossaryTerm(projectId, payload);
+        setTerms([...terms, added].sort((a, b) => a.term.localeCompare(b.term)));
+      }
+      resetForm();
+    } catch (error) {
+      setStatus('error', 'Failed to save glossary term: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (term) => {
+    if (!confirm(`Remove "${term.term}" from the glossary?`)) return;
+
+    try {
+      await projectsAPI.deleteGlossaryTerm(projectId, term.id);
+      setTerms(terms.filter(t => t.id !== term.id));
+      if (editingId === term.id) resetForm();
+    } catch (error) {
+      setStatus('error', 'Failed to delete glossary term: ' + error.message);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
+      <p style={{ margin: '0 0 10px 0', fontSize: '12px', color: '#6c757d' }}>
+        Names, acronyms and jargon used in this project. Terms are given to the transcription and the AI
+        summary so they are spelled correctly; variants (common mis-hearings) are replaced with the term
+        in new transcripts.
+      </p>
+
+      {isLoading ? (
+        <p style={{ fontSize: '13px', color: '#6c757d' }}>Loading glossary...</p>
+      ) : terms.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#6c757d' }}>No glossary terms yet.</p>
+      ) : (
+        <div style={{ display: 'grid', gap: '6px', marginBottom: '12px' }}>
+          {terms.map(term => (
+            <div
+              key={term.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                gap: '10px',
+                padding: '8px 10px',
+                background: editingId === term.id ? '#e7f1ff' : '#fff',
+                border: '1px solid #dee2e6',
+                borderRadius: '4px',
+                fontSize: '13px'
+              }}
+            >
+              <div>
+                <strong>{term.term}</strong>
+                {term.description && <span style={{ color: '#495057' }}> - {term.description}</span>}
+                {term.variants.length > 0 && (
+                  <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                    Replaces: {term.variants.join(', ')}
+                  </div>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                <button
+                  onClick={() => handleEdit(term)}
+                  style={{ ...smallButtonStyle, background: '#6c757d', color: 'white' }}
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(term)}
+                  style={{ ...smallButtonStyle, background: '#dc3545', color: 'white' }}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} style={{ display: 'grid', gap: '6px' }}>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="text"
+            value={form.term}
+            onChange={(e) => setForm({ ...form, term: e.target.value })}
+            placeholder="Term, e.g. Kubernetes"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <input
+            type="text"
+            value={form.variants}
+            onChange={(e) => setForm({ ...form, variants: e.target.value })}
+            placeholder="Variants, comma-separated (optional)"
+            style={{ ...inputStyle, flex: 2 }}
+          />
+        </div>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="What it means (optional)"
+          style={inputStyle}
+        />
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button
+            type="submit"
+            disabled={isSaving || !form.term.trim()}
+            style={{
+              ...smallButtonStyle,
+              padding: '6px 14px',
+              background: '#007bff',
+              color: 'white',
+              opacity: isSaving || !form.term.trim() ? 0.6 : 1
+            }}
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Update Term' : 'Add Term'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              style={{ ...smallButtonStyle, background: 'transparent', color: '#6c757d' }}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ProjectGlossary;
@@ -1,12 +1,21 @@
 import { useState } from 'react';
 import useStore from '../../stores/useStore';
 import { projectsAPI } from '../../services/api';
+import ProjectGlossary from './ProjectGlossary';
+import ProjectMeetingTypes from './ProjectMeetingTypes';
+
+// Per-project settings opened below a project
+const PANELS = [
+  { id: 'glossary', label: '📖 Glossary' },
+  { id: 'meetingTypes', label: '🗂️ Meeting Types' },
+];
 
 const ProjectManager = () => {
   const { projects, setProjects, addProject, setStatus } = useStore();
   const [showForm, setShowForm] = useState(false);
   const [newProjectName, setNewProjectName] = useState('');
   const [isCreating, setIsCreating] = useState(false);
+  const [openPanel, setOpenPanel] = useState(null); // { projectId, panel }
 
   const handleCreateProject = async (e) => {
     e.preventDefault();
@@ -132,20 +141,51 @@ const ProjectManager = () => {
                 padding: '15px',
                 background: '#f8f9fa',
                 border: '1px solid #dee2e6',
-                borderRadius: '6px',
+                borderRadius: '6px'
+              }}
+            >
+              <div style={{
                 display: 'flex',
                 justifyContent: 'space-between',
                 alignItems: 'center'
-              }}
-            >
-              <div>
-                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
-                  {project.name}
+              }}>
+                <div>
+                  <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                    {project.name}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#6c757d' }}>
+                    Created: {new Date(project.created_at).toLocaleDateString()}
+                  </div>
                 </div>
-                <div style={{ fontSize: '12px', color: '#6c757d' }}>
-                  Created: {new Date(project.created_at).toLocaleDateString()}
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  {PANELS.map(({ id, label }) => {
+                    const isOpen = openPanel?.projectId === project.id && openPanel.panel === id;
+                    return (
+                      <button
+                        key={id}
+                        onClick={() => setOpenPanel(isOpen ? null : { projectId: project.id, panel: id })}
+                        style={{
+                          padding: '6px 12px',
+                          fontSize: '13px',
+                          background: isOpen ? '#6c757d' : '#fff',
+                          color: isOpen ? 'white' : '#495057',
+                          border: '1px solid #ced4da',
+                          borderRadius: '4px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {label}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
+              {openPanel?.projectId === project.id && openPanel.panel === 'glossary' && (
+                <ProjectGlossary projectId={project.id} />
+              )}
+              {openPanel?.projectId === project.id && openPanel.panel === 'meetingTypes' && (
+                <ProjectMeetingTypes projectId={project.id} />
+              )}
             </div>
           ))}
         </div>
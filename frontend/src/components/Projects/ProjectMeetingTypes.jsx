@@ -0,0 +1,346 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { projectsAPI } from '../../services/api';
+
+// Section kinds, as the backend's meeting types define them
+const SECTION_KINDS = [
+  { kind: 'text', label: 'Text' },
+  { kind: 'note', label: 'Highlighted paragraph' },
+  { kind: 'tags', label: 'Tags' },
+  { kind: 'paragraphs', label: 'Paragraphs' },
+  { kind: 'list', label: 'Bullet list' },
+  { kind: 'tasks', label: 'Tasks with owners' },
+  { kind: 'records', label: 'Cards with fields' },
+];
+
+const EMPTY_SECTION = { title: '', kind: 'list', description: '', fields: '' };
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  instructions: '',
+  sections: [
+    { title: 'Overview', kind: 'text', description: 'A 2-3 sentence summary of the meeting', fields: '' },
+    { ...EMPTY_SECTION },
+  ],
+};
+
+const inputStyle = {
+  padding: '8px',
+  fontSize: '13px',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Section keys become the fields of the summary JSON: "Next Steps" -> "next_steps"
+const toKey = (text) => {
+  const key = text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[a-z]/.test(key) ? key.slice(0, 40) : `section_${key}`.slice(0, 40);
+};
+
+const toForm = (type, name = type.name) => ({
+  name,
+  description: type.description || '',
+  instructions: type.instructions || '',
+  sections: type.sections.map(section => ({
+    title: section.title,
+    kind: section.kind,
+    description: section.description || '',
+    fields: (section.fields || []).join(', ')
+  }))
+});
+
+const toPayload = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim() || null,
+  instructions: form.instructions.trim() || null,
+  sections: form.sections
+    .filter(section => section.title.trim())
+    .map(section => ({
+      key: toKey(section.title),
+      title: section.title.trim(),
+      kind: section.kind,
+      description: section.description.trim() || null,
+      ...(section.kind === 'records'
+        ? { fields: section.fields.split(',').map(f => f.trim()).filter(Boolean).map(toKey) }
+        : {})
+    }))
+});
+
+const ProjectMeetingTypes = ({ projectId }) => {
+  const { setStatus } = useStore();
+  const [types, setTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(null); // null while the editor is closed
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadTypes = async () => {
+      setIsLoading(true);
+      try {
+        setTypes(await projectsAPI.getMeetingTypes(projectId));
+      } catch (error) {
+        console.error('Error loading meeting types:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadTypes();
+  }, [projectId]);
+
+  const closeEditor = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleEdit = (type) => {
+    setEditingId(type.id);
+    setForm(toForm(type));
+  };
+
+  // Built-in types are a starting point for a project's own version
+  const handleCustomize = (type) => {
+    setEditingId(null);
+    setForm(toForm(type, `${type.name} (custom)`));
+  };
+
+  const updateSection = (index, changes) => {
+    setForm({
+      ...form,
+      sections: form.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    });
+  };
+
+  const removeSection = (index) => {
+    setForm({ ...form, sections: form.sections.filter((_, i) => i !== index) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = toPayload(form);
+    if (!payload.name || payload.sections.length === 0) return;
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        const updated = await projectsAPI.updateMeetingType(projectId, editingId, payload);
+        setTypes(types.map(t => (t.id === editingId ? updated : t)));
+      } else {
+        const added = await projectsAPI.addMeetingType(projectId, payload);
+        setTypes([...types, added]);
+      }
+      closeEditor();
+    } catch (error) {
+      setStatus('error', 'Failed to save meeting type: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (type) => {
+    if (!confirm(`Delete the meeting type "${type.name}"? Its meetings keep their summaries.`)) return;
+
+    try {
+      await projectsAPI.deleteMeetingType(projectId, type.id);
+      setTypes(types.filter(t => t.id !== type.id));
+      if (editingId === type.id) closeEditor();
+    } catch (error) {
+      setStatus('error', 'Failed to delete meeting type: ' + error.message);
+    }
+  };
+
+  const canSave = form && form.name.trim() && form.sections.some(section => section.title.trim());
+
+  return (
+    <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #dee2e6' }}>
+      <p style={{ margin: '0 0 10px 0', fontSize: '12px', color: '#6c757d' }}>
+        The meeting type chosen when recording decides which sections the AI summary has. Sections
+        titled "Key Decisions" and "Action Items" also feed the project's decisions and action items.
+      </p>
+
+      {isLoading ? (
+        <p style={{ fontSize: '13px', color: '#6c757d' }}>Loading meeting types...</p>
+      ) : (
+        <div style={{ display: 'grid', gap: '6px', marginBottom: '12px' }}>
+          {types.map(type => (
+            <div
+              key={type.key}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                gap: '10px',
+                padding: '8px 10px',
+                background: editingId && editingId === type.id ? '#e7f1ff' : '#fff',
+                border: '1px solid #dee2e6',
+                borderRadius: '4px',
+                fontSize: '13px'
+              }}
+            >
+              <div>
+                <strong>{type.name}</strong>
+                {type.builtIn && <span style={{ fontSize: '11px', color: '#6c757d' }}> (built-in)</span>}
+                {type.description && <span style={{ color: '#495057' }}> - {type.description}</span>}
+                <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                  Sections: {type.sections.map(section => section.title).join(', ')}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                {type.builtIn ? (
+                  <button
+                    onClick={() => handleCustomize(type)}
+                    style={{ ...smallButtonStyle, background: '#6c757d', color: 'white' }}
+                  >
+                    Customize
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => handleEdit(type)}
+                      style={{ ...smallButtonStyle, background: '#6c757d', color: 'white' }}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(type)}
+                      style={{ ...smallButtonStyle, background: '#dc3545', color: 'white' }}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!form ? (
+        <button
+          onClick={() => setForm(EMPTY_FORM)}
+          style={{ ...smallButtonStyle, padding: '6px 14px', background: '#007bff', color: 'white' }}
+        >
+          + New Meeting Type
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} style={{ display: 'grid', gap: '6px' }}>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name, e.g. Sales Demo"
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="What kind of meeting (optional)"
+              style={{ ...inputStyle, flex: 2 }}
+            />
+          </div>
+          <textarea
+            value={form.instructions}
+            onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+            placeholder="Extra instructions for the AI summary (optional), e.g. Note every objection the customer raised"
+            rows={2}
+            style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+          />
+
+          <div style={{ fontSize: '12px', fontWeight: 'bold', color: '#495057', marginTop: '4px' }}>
+            Sections
+          </div>
+          {form.sections.map((section, index) => (
+            <div key={index} style={{ display: 'grid', gap: '4px', padding: '8px', background: '#fff', border: '1px solid #dee2e6', borderRadius: '4px' }}>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <input
+                  type="text"
+                  value={section.title}
+                  onChange={(e) => updateSection(index, { title: e.target.value })}
+                  placeholder="Title, e.g. Objections"
+                  style={{ ...inputStyle, flex: 2 }}
+                />
+                <select
+                  value={section.kind}
+                  onChange={(e) => updateSection(index, { kind: e.target.value })}
+                  style={{ ...inputStyle, flex: 1 }}
+                >
+                  {SECTION_KINDS.map(({ kind, label }) => (
+                    <option key={kind} value={kind}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => removeSection(index)}
+                  disabled={form.sections.length === 1}
+                  title="Remove section"
+                  style={{ ...smallButtonStyle, background: 'transparent', color: '#dc3545' }}
+                >
+                  ✕
+                </button>
+              </div>
+              <input
+                type="text"
+                value={section.description}
+                onChange={(e) => updateSection(index, { description: e.target.value })}
+                placeholder="What the AI should put here (optional)"
+                style={inputStyle}
+              />
+              {section.kind === 'records' && (
+                <input
+                  type="text"
+                  value={section.fields}
+                  onChange={(e) => updateSection(index, { fields: e.target.value })}
+                  placeholder="Fields of each card, comma-separated, e.g. person, question, answer"
+                  style={inputStyle}
+                />
+              )}
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setForm({ ...form, sections: [...form.sections, { ...EMPTY_SECTION }] })}
+            disabled={form.sections.length >= 15}
+            style={{ ...smallButtonStyle, justifySelf: 'start', background: 'transparent', color: '#007bff', border: '1px dashed #b8daff' }}
+          >
+            + Add Section
+          </button>
+
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button
+              type="submit"
+              disabled={isSaving || !canSave}
+              style={{
+                ...smallButtonStyle,
+                padding: '6px 14px',
+                background: '#007bff',
+                color: 'white',
+                opacity: isSaving || !canSave ? 0.6 : 1
+              }}
+            >
+              {isSaving ? 'Saving...' : editingId ? 'Update Meeting Type' : 'Add Meeting Type'}
+            </button>
+            <button
+              type="button"
+              onClick={closeEditor}
+              style={{ ...smallButtonStyle, background: 'transparent', color: '#6c757d' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ProjectMeetingTypes;
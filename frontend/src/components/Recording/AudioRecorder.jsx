@@ -1,19 +1,41 @@
 import { useState, useEffect, useRef } from 'react';
 import useStore from '../../stores/useStore';
 import { meetingsAPI } from '../../services/api';
+import {
+  isRecordingStorageAvailable,
+  createRecording,
+  appendChunk,
+  markRecordingStopped,
+  deleteRecording,
+} from '../../services/recordingStore';
+import { startLiveTranscription } from '../../services/liveTranscription';
+import {
+  RECORDING_SOURCES,
+  isSystemAudioSupported,
+  usesMicrophone,
+  captureAudioSource,
+  watchInputLevel,
+} from '../../services/audioSources';
+import MeetingTypeSelect from '../Meetings/MeetingTypeSelect';
 
 const AudioRecorder = () => {
   const {
     isRecording,
+    isPaused,
     recordingDuration,
     audioChunks,
     projects,
     mediaRecorder,
     startRecording,
     stopRecording,
+    pauseRecording,
+    resumeRecording,
     setRecordingDuration,
     addAudioChunk,
     clearAudioChunks,
+    addLiveTranscript,
+    setLiveTranscriptionError,
+    clearLiveTranscript,
     setStatus,
     addMeeting,
     selectMeeting,
@@ -22,8 +44,15 @@ const AudioRecorder = () => {
 
   const [selectedProjectId, setSelectedProjectId] = useState('');
   const [meetingTitle, setMeetingTitle] = useState('');
+  const [meetingType, setMeetingType] = useState('general');
   const [permissionGranted, setPermissionGranted] = useState(false);
+  const [recordingSource, setRecordingSource] = useState('microphone');
+  const [inputLevel, setInputLevel] = useState(0);
   const timerRef = useRef(null);
+  const recordingIdRef = useRef(null); // IndexedDB copy of the current recording
+  const chunkSeqRef = useRef(0);
+  const liveRef = useRef(null); // Live transcription of the current recording
+  const recordedSourceRef = useRef(null); // Source of the recording being made/uploaded
 
   // Request microphone permission on mount
   useEffect(() => {
@@ -42,9 +71,9 @@ const AudioRecorder = () => {
     requestPermission();
   }, [setStatus]);
 
-  // Start recording timer
+  // Start recording timer - it doesn't run while paused
   useEffect(() => {
-    if (isRecording) {
+    if (isRecording && !isPaused) {
       timerRef.current = setInterval(() => {
         setRecordingDuration(recordingDuration + 1);
       }, 1000);
@@ -59,7 +88,7 @@ const AudioRecorder = () => {
         clearInterval(timerRef.current);
       }
     };
-  }, [isRecording, recordingDuration, setRecordingDuration]);
+  }, [isRecording, isPaused, recordingDuration, setRecordingDuration]);
 
   const handleStartRecording = async () => {
     if (!meetingTitle.trim()) {
@@ -73,33 +102,99 @@ const AudioRecorder = () => {
     }
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const recorder = new MediaRecorder(stream, {
+      let recorder = null;
+      const capture = await captureAudioSource(recordingSource, {
+        // "Stop sharing" in the browser bar: a tab-only recording has nothing left to record
+        onSystemAudioEnded: () => {
+          if (recordingSource === 'system') {
+            if (recorder?.state === 'recording') recorder.requestData();
+            if (recorder?.state !== 'inactive') useStore.getState().stopRecording();
+          } else {
+            setLiveTranscriptionError('Tab audio is no longer shared - only the microphone is being recorded');
+          }
+        },
+      });
+      const { stream } = capture;
+      recorder = new MediaRecorder(stream, {
         mimeType: 'audio/webm',
       });
+      recordedSourceRef.current = recordingSource;
+      const stopLevelMeter = watchInputLevel(stream, setInputLevel);
+
+      // Keep a copy in IndexedDB so the recording survives a closed tab or a crash.
+      // Recording still works without it (e.g. private browsing), just without recovery
+      recordingIdRef.current = null;
+      chunkSeqRef.current = 0;
+      if (isRecordingStorageAvailable()) {
+        try {
+          recordingIdRef.current = await createRecording({
+            projectId: selectedProjectId,
+            title: meetingTitle,
+            mimeType: 'audio/webm',
+            source: recordingSource,
+            meetingType,
+          });
+        } catch (error) {
+          console.warn('⚠️ Recording will not be saved in the browser:', error);
+        }
+      }
 
       recorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           console.log('📊 Audio chunk received:', event.data.size, 'bytes');
           addAudioChunk(event.data);
+
+          if (recordingIdRef.current) {
+            appendChunk(recordingIdRef.current, chunkSeqRef.current++, event.data, useStore.getState().recordingDuration)
+              .catch(error => console.warn('⚠️ Failed to save audio chunk:', error));
+          }
         }
       };
 
       recorder.onstop = async () => {
         console.log('🛑 MediaRecorder stopped');
 
-        // Stop all tracks
-        stream.getTracks().forEach(track => track.stop());
+        // Stop the live segments before the tracks they record
+        const live = liveRef.current;
+        liveRef.current = null;
+        const liveSession = live?.stop();
+
+        // Stop all tracks (and the mixer)
+        stopLevelMeter();
+        setInputLevel(0);
+        capture.stop();
 
         // Small delay to ensure all chunks are processed
         await new Promise(resolve => setTimeout(resolve, 100));
 
+        let liveSessionId = null;
+        if (liveSession) {
+          setStatus('processing', 'Finishing live transcript...');
+          liveSessionId = await liveSession.catch(() => null);
+        }
+
         // Upload recording
-        await handleUpload();
+        await handleUpload(liveSessionId);
       };
 
+      // Live transcription is best effort - without it the recording is transcribed after upload
+      let liveError = null;
+      try {
+        liveRef.current = await startLiveTranscription(stream, {
+          projectId: selectedProjectId,
+          onTranscript: ({ index, startTime, text }) => addLiveTranscript({ index, startTime, text }),
+          onError: setLiveTranscriptionError,
+        });
+      } catch (error) {
+        liveRef.current = null;
+        liveError = error.message;
+      }
+
       recorder.start(1000); // Collect data every second
       startRecording(recorder);
+      if (liveError) {
+        setLiveTranscriptionError(`Live transcription unavailable: ${liveError}`);
+      }
       console.log('🎤 Recording started');
     } catch (error) {
       console.error('❌ Error starting recording:', error);
@@ -134,7 +229,17 @@ const AudioRecorder = () => {
     stopRecording();
   };
 
-  const handleUpload = async () => {
+  const handlePauseRecording = () => {
+    pauseRecording();
+    liveRef.current?.pause();
+  };
+
+  const handleResumeRecording = () => {
+    resumeRecording();
+    liveRef.current?.resume();
+  };
+
+  const handleUpload = async (liveSessionId = null) => {
     try {
       setStatus('processing', 'Uploading and processing recording...');
 
@@ -169,10 +274,21 @@ const AudioRecorder = () => {
       }
 
       // Upload to backend
-      const response = await meetingsAPI.create(audioBlob, selectedProjectId, meetingTitle);
+      const response = await meetingsAPI.create(audioBlob, selectedProjectId, meetingTitle, {
+        liveSessionId,
+        recordingSource: recordedSourceRef.current,
+        meetingType,
+        onProgress: ({ percent }) => setStatus('processing', `Uploading recording... ${percent}%`),
+      });
       const meeting = response.meeting || response;
 
       console.log('✅ Recording uploaded:', meeting);
+
+      // Uploaded - the browser copy is no longer needed
+      if (recordingIdRef.current) {
+        await deleteRecording(recordingIdRef.current).catch(error => console.warn('⚠️ Failed to delete saved recording:', error));
+        recordingIdRef.current = null;
+      }
       console.log('📍 Meeting ID:', meeting.id);
       console.log('📍 Meeting title:', meeting.title);
 
@@ -187,6 +303,7 @@ const AudioRecorder = () => {
       // Clear form and reset state
       setMeetingTitle('');
       clearAudioChunks();
+      clearLiveTranscript();
       setRecordingDuration(0); // Reset timer
 
       setStatus('success', 'Recording uploaded! Processing started...');
@@ -197,8 +314,16 @@ const AudioRecorder = () => {
       }, 5000);
     } catch (error) {
       console.error('❌ Error uploading recording:', error);
-      setStatus('error', 'Failed to upload recording: ' + error.message);
+      if (recordingIdRef.current) {
+        // Kept in the browser - it is offered under "Unfinished recordings" to upload again
+        await markRecordingStopped(recordingIdRef.current).catch(() => {});
+        recordingIdRef.current = null;
+        setStatus('error', 'Failed to upload recording: ' + error.message + '. The recording is saved in this browser - you can upload it again below.');
+      } else {
+        setStatus('error', 'Failed to upload recording: ' + error.message);
+      }
       clearAudioChunks();
+      clearLiveTranscript();
       setRecordingDuration(0); // Reset timer on error too
     }
   };
@@ -209,11 +334,14 @@ const AudioRecorder = () => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Tab-only recordings don't need the microphone
+  const canStart = (permissionGranted || !usesMicrophone(recordingSource)) && meetingTitle.trim() && selectedProjectId;
+
   return (
     <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto' }}>
       <h2>Record Meeting</h2>
 
-      {!permissionGranted && (
+      {!permissionGranted && usesMicrophone(recordingSource) && (
         <div style={{
           padding: '15px',
           background: '#fff3cd',
@@ -231,7 +359,10 @@ const AudioRecorder = () => {
         </label>
         <select
           value={selectedProjectId}
-          onChange={(e) => setSelectedProjectId(e.target.value)}
+          onChange={(e) => {
+            setSelectedProjectId(e.target.value);
+            setMeetingType('general'); // Custom types belong to the previous project
+          }}
           disabled={isRecording}
           style={{
             width: '100%',
@@ -270,6 +401,55 @@ const AudioRecorder = () => {
         />
       </div>
 
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          Meeting Type
+        </label>
+        <MeetingTypeSelect
+          projectId={selectedProjectId}
+          value={meetingType}
+          onChange={setMeetingType}
+          disabled={isRecording}
+        />
+      </div>
+
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          Record from
+        </label>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {Object.entries(RECORDING_SOURCES).map(([source, { label, icon, description }]) => {
+            const unavailable = source !== 'microphone' && !isSystemAudioSupported();
+            const selected = recordingSource === source;
+            return (
+              <button
+                key={source}
+                onClick={() => setRecordingSource(source)}
+                disabled={isRecording || unavailable}
+                title={unavailable ? 'Your browser cannot capture tab or system audio' : description}
+                style={{
+                  flex: 1,
+                  padding: '10px',
+                  fontSize: '14px',
+                  border: selected ? '2px solid #007bff' : '1px solid #ccc',
+                  borderRadius: '4px',
+                  background: selected ? '#e7f1ff' : 'white',
+                  cursor: isRecording || unavailable ? 'not-allowed' : 'pointer',
+                  opacity: unavailable ? 0.5 : 1,
+                }}
+              >
+                {icon} {label}
+              </button>
+            );
+          })}
+        </div>
+        {recordingSource !== 'microphone' && !isRecording && (
+          <div style={{ marginTop: '6px', fontSize: '13px', color: '#6c757d' }}>
+            Your browser will ask which tab or screen to share - tick "Share audio" so the call can be heard.
+          </div>
+        )}
+      </div>
+
       <div style={{
         marginBottom: '20px',
         padding: '30px',
@@ -287,7 +467,13 @@ const AudioRecorder = () => {
           {formatDuration(recordingDuration)}
         </div>
 
-        {isRecording && (
+        {isPaused && (
+          <div style={{ marginBottom: '20px', fontWeight: 'bold', color: '#6c757d' }}>
+            ⏸️ Paused
+          </div>
+        )}
+
+        {isRecording && !isPaused && (
           <div style={{
             display: 'inline-block',
             width: '20px',
@@ -299,11 +485,36 @@ const AudioRecorder = () => {
           }} />
         )}
 
+        {isRecording && (
+          <div style={{ marginBottom: '20px' }}>
+            <div
+              title="Input level"
+              style={{
+                height: '8px',
+                background: '#dee2e6',
+                borderRadius: '4px',
+                overflow: 'hidden',
+              }}
+            >
+              <div style={{
+                width: `${Math.round(inputLevel * 100)}%`,
+                height: '100%',
+                background: inputLevel > 0.9 ? '#dc3545' : '#28a745',
+                transition: 'width 0.1s linear',
+              }} />
+            </div>
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+              {RECORDING_SOURCES[recordingSource].icon} {RECORDING_SOURCES[recordingSource].label}
+              {!isPaused && inputLevel < 0.05 && ' - no sound detected'}
+            </div>
+          </div>
+        )}
+
         <div>
           {!isRecording ? (
             <button
               onClick={handleStartRecording}
-              disabled={!permissionGranted || !meetingTitle.trim() || !selectedProjectId}
+              disabled={!canStart}
               style={{
                 padding: '15px 40px',
                 fontSize: '18px',
@@ -312,28 +523,45 @@ const AudioRecorder = () => {
                 color: 'white',
                 border: 'none',
                 borderRadius: '8px',
-                cursor: permissionGranted && meetingTitle.trim() && selectedProjectId ? 'pointer' : 'not-allowed',
-                opacity: permissionGranted && meetingTitle.trim() && selectedProjectId ? 1 : 0.5,
+                cursor: canStart ? 'pointer' : 'not-allowed',
+                opacity: canStart ? 1 : 0.5,
               }}
             >
               🎤 Start Recording
             </button>
           ) : (
-            <button
-              onClick={handleStopRecording}
-              style={{
-                padding: '15px 40px',
-                fontSize: '18px',
-                fontWeight: 'bold',
-                background: '#dc3545',
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                cursor: 'pointer',
-              }}
-            >
-              ⏹️ Stop Recording
-            </button>
+            <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+              <button
+                onClick={isPaused ? handleResumeRecording : handlePauseRecording}
+                style={{
+                  padding: '15px 30px',
+                  fontSize: '18px',
+                  fontWeight: 'bold',
+                  background: isPaused ? '#28a745' : '#ffc107',
+                  color: isPaused ? 'white' : '#212529',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                }}
+              >
+                {isPaused ? '▶️ Resume' : '⏸️ Pause'}
+              </button>
+              <button
+                onClick={handleStopRecording}
+                style={{
+                  padding: '15px 40px',
+                  fontSize: '18px',
+                  fontWeight: 'bold',
+                  background: '#dc3545',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                }}
+              >
+                ⏹️ Stop Recording
+              </button>
+            </div>
           )}
         </div>
       </div>
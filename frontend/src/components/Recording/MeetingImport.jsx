@@ -0,0 +1,198 @@
+import { useState, useRef } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+import MeetingTypeSelect from '../Meetings/MeetingTypeSelect';
+
+const RECORDING_EXTENSIONS = ['mp3', 'm4a', 'mp4', 'mov', 'wav', 'webm', 'ogg'];
+const TRANSCRIPT_EXTENSIONS = ['vtt', 'srt', 'txt'];
+
+const getExtension = (filename) => filename.split('.').pop().toLowerCase();
+
+const fieldStyle = {
+  width: '100%',
+  padding: '10px',
+  fontSize: '14px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+};
+
+const MeetingImport = () => {
+  const { projects, setStatus, addMeeting, selectMeeting, setActiveTab } = useStore();
+
+  const [selectedProjectId, setSelectedProjectId] = useState('');
+  const [meetingTitle, setMeetingTitle] = useState('');
+  const [meetingType, setMeetingType] = useState('general');
+  const [meetingDate, setMeetingDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [file, setFile] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const extension = file ? getExtension(file.name) : null;
+  const isTranscript = TRANSCRIPT_EXTENSIONS.includes(extension);
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0] || null;
+    if (chosen && ![...RECORDING_EXTENSIONS, ...TRANSCRIPT_EXTENSIONS].includes(getExtension(chosen.name))) {
+      setStatus('error', 'Unsupported file. Choose an audio/video recording or a VTT, SRT or TXT transcript.');
+      e.target.value = '';
+      setFile(null);
+      return;
+    }
+
+    setFile(chosen);
+    // Default the title to the file name
+    if (chosen && !meetingTitle.trim()) {
+      setMeetingTitle(chosen.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' '));
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file || !selectedProjectId || !meetingTitle.trim()) return;
+
+    setIsUploading(true);
+    try {
+      setStatus('processing', isTranscript ? 'Importing transcript...' : 'Uploading recording...');
+
+      const date = new Date(meetingDate).toISOString();
+      const meeting = isTranscript
+        ? await meetingsAPI.importTranscript(file, selectedProjectId, meetingTitle.trim(), date, { meetingType })
+        : await meetingsAPI.create(file, selectedProjectId, meetingTitle.trim(), {
+          filename: file.name,
+          date,
+          meetingType,
+          onProgress: ({ percent }) => setStatus('processing', `Uploading recording... ${percent}%`),
+        });
+
+      addMeeting(meeting);
+      selectMeeting(meeting);
+      setActiveTab('meetings');
+
+      setMeetingTitle('');
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+
+      setStatus('success', isTranscript
+        ? 'Transcript imported! Analysis started...'
+        : 'Recording uploaded! Processing started...');
+      setTimeout(() => setStatus('idle'), 5000);
+    } catch (error) {
+      console.error('❌ Error importing meeting:', error);
+      setStatus('error', 'Failed to import: ' + error.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const canImport = file && selectedProjectId && meetingTitle.trim() && !isUploading;
+
+  return (
+    <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto' }}>
+      <h2>Import Meeting</h2>
+      <p style={{ marginTop: 0, fontSize: '14px', color: '#6c757d' }}>
+        Upload an existing recording (mp3, m4a, mp4, wav...) to transcribe it, or a transcript
+        (VTT, SRT or plain text) to analyze it without transcribing.
+      </p>
+
+      <div style={{ marginBottom: '15px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          File *
+        </label>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={[...RECORDING_EXTENSIONS, ...TRANSCRIPT_EXTENSIONS].map(ext => `.${ext}`).join(',')}
+          onChange={handleFileChange}
+          disabled={isUploading}
+          style={{ ...fieldStyle, padding: '8px', background: '#fff' }}
+        />
+        {file && (
+          <div style={{ marginTop: '5px', fontSize: '12px', color: '#6c757d' }}>
+            {isTranscript ? '📝 Transcript' : '🎧 Recording'} - {(file.size / (1024 * 1024)).toFixed(1)}MB
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '15px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          Project *
+        </label>
+        <select
+          value={selectedProjectId}
+          onChange={(e) => {
+            setSelectedProjectId(e.target.value);
+            setMeetingType('general'); // Custom types belong to the previous project
+          }}
+          disabled={isUploading}
+          style={fieldStyle}
+        >
+          <option value="">Select a project...</option>
+          {projects.map((project) => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+        <div style={{ flex: 2 }}>
+          <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+            Meeting Title *
+          </label>
+          <input
+            type="text"
+            value={meetingTitle}
+            onChange={(e) => setMeetingTitle(e.target.value)}
+            disabled={isUploading}
+            placeholder="e.g., Customer call - March 3"
+            style={fieldStyle}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+            Date *
+          </label>
+          <input
+            type="date"
+            value={meetingDate}
+            onChange={(e) => setMeetingDate(e.target.value)}
+            disabled={isUploading}
+            style={fieldStyle}
+          />
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          Meeting Type
+        </label>
+        <MeetingTypeSelect
+          projectId={selectedProjectId}
+          value={meetingType}
+          onChange={setMeetingType}
+          disabled={isUploading}
+        />
+      </div>
+
+      <button
+        onClick={handleImport}
+        disabled={!canImport || !meetingDate}
+        style={{
+          padding: '12px 28px',
+          fontSize: '16px',
+          fontWeight: 'bold',
+          background: '#007bff',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: canImport ? 'pointer' : 'not-allowed',
+          opacity: canImport ? 1 : 0.5,
+        }}
+      >
+        {isUploading ? 'Uploading...' : isTranscript ? '📝 Import Transcript' : '⬆️ Upload Recording'}
+      </button>
+    </div>
+  );
+};
+
+export default MeetingImport;
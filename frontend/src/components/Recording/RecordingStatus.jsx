@@ -1,7 +1,67 @@
+import { useEffect, useRef } from 'react';
 import useStore from '../../stores/useStore';
 
+const formatOffset = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Transcript of the recording so far, filled in as segments are transcribed
+const LiveTranscript = ({ segments, error }) => {
+  const scrollRef = useRef(null);
+
+  // Follow the newest text
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [segments.length]);
+
+  return (
+    <div style={{
+      marginTop: '-12px',
+      marginBottom: '20px',
+      padding: '12px 16px',
+      background: '#fff',
+      border: '1px solid #dee2e6',
+      borderTop: 'none',
+      borderRadius: '0 0 4px 4px',
+    }}>
+      <div style={{ fontSize: '12px', fontWeight: 'bold', color: '#6c757d', marginBottom: '6px' }}>
+        📝 Live transcript
+      </div>
+      {error && (
+        <div style={{ fontSize: '12px', color: '#856404', marginBottom: '6px' }}>⚠️ {error}</div>
+      )}
+      <div ref={scrollRef} style={{ maxHeight: '160px', overflowY: 'auto', fontSize: '14px', lineHeight: 1.5 }}>
+        {segments.length === 0 ? (
+          <span style={{ color: '#6c757d' }}>{error ? '' : 'Listening... text appears every few seconds.'}</span>
+        ) : (
+          segments.map(({ index, startTime, text }) => (
+            <p key={index} style={{ margin: '0 0 6px 0' }}>
+              <span style={{ fontFamily: 'monospace', fontSize: '12px', color: '#6c757d', marginRight: '8px' }}>
+                {formatOffset(startTime)}
+              </span>
+              {text || <em style={{ color: '#adb5bd' }}>(silence)</em>}
+            </p>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
 const RecordingStatus = () => {
-  const { isRecording, status, errorMessage, clearError } = useStore();
+  const {
+    isRecording,
+    isPaused,
+    status,
+    errorMessage,
+    clearError,
+    liveTranscript,
+    liveTranscriptionError,
+  } = useStore();
 
   const getStatusConfig = () => {
     if (isRecording) {
@@ -9,8 +69,8 @@ const RecordingStatus = () => {
         color: '#dc3545',
         bgColor: '#f8d7da',
         borderColor: '#f5c6cb',
-        icon: '🔴',
-        text: 'Recording in progress...',
+        icon: isPaused ? '⏸️' : '🔴',
+        text: isPaused ? 'Recording paused' : 'Recording in progress...',
         showSpinner: false,
       };
     }
@@ -34,6 +94,15 @@ const RecordingStatus = () => {
           text: errorMessage || 'Success!',
           showSpinner: false,
         };
+      case 'warning':
+        return {
+          color: '#856404',
+          bgColor: '#fff3cd',
+          borderColor: '#ffeeba',
+          icon: '⚠️',
+          text: errorMessage || 'Needs your attention',
+          showSpinner: false,
+        };
       case 'error':
         return {
           color: '#dc3545',
@@ -62,61 +131,68 @@ const RecordingStatus = () => {
     return null;
   }
 
+  // Kept on screen while the recording is uploaded
+  const showLiveTranscript = (isRecording || status === 'processing')
+    && (liveTranscript.length > 0 || liveTranscriptionError || isRecording);
+
   return (
-    <div
-      style={{
-        padding: '15px 20px',
-        background: config.bgColor,
-        border: `1px solid ${config.borderColor}`,
-        borderRadius: '4px',
-        marginBottom: '20px',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'space-between',
-        color: config.color,
-        fontWeight: '500',
-      }}
-    >
-      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
-        <span style={{ fontSize: '20px' }}>{config.icon}</span>
-        <span>{config.text}</span>
-        {config.showSpinner && (
-          <div
+    <>
+      <div
+        style={{
+          padding: '15px 20px',
+          background: config.bgColor,
+          border: `1px solid ${config.borderColor}`,
+          borderRadius: '4px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          color: config.color,
+          fontWeight: '500',
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <span style={{ fontSize: '20px' }}>{config.icon}</span>
+          <span>{config.text}</span>
+          {config.showSpinner && (
+            <div
+              style={{
+                width: '16px',
+                height: '16px',
+                border: '2px solid ' + config.color,
+                borderTopColor: 'transparent',
+                borderRadius: '50%',
+                animation: 'spin 1s linear infinite',
+              }}
+            />
+          )}
+        </div>
+
+        {(status === 'error' || status === 'warning') && (
+          <button
+            onClick={clearError}
             style={{
-              width: '16px',
-              height: '16px',
-              border: '2px solid ' + config.color,
-              borderTopColor: 'transparent',
-              borderRadius: '50%',
-              animation: 'spin 1s linear infinite',
+              background: 'transparent',
+              border: 'none',
+              color: config.color,
+              cursor: 'pointer',
+              fontSize: '18px',
+              padding: '0',
             }}
-          />
+          >
+            ✕
+          </button>
         )}
-      </div>
-
-      {status === 'error' && (
-        <button
-          onClick={clearError}
-          style={{
-            background: 'transparent',
-            border: 'none',
-            color: config.color,
-            cursor: 'pointer',
-            fontSize: '18px',
-            padding: '0',
-          }}
-        >
-          ✕
-        </button>
-      )}
 
-      <style>{`
-        @keyframes spin {
-          from { transform: rotate(0deg); }
-          to { transform: rotate(360deg); }
-        }
-      `}</style>
-    </div>
+        <style>{`
+          @keyframes spin {
+            from { transform: rotate(0deg); }
+            to { transform: rotate(360deg); }
+          }
+        `}</style>
+      </div>
+      {showLiveTranscript && <LiveTranscript segments={liveTranscript} error={liveTranscriptionError} />}
+    </>
   );
 };
 
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+import {
+  isRecordingStorageAvailable,
+  listUnfinishedRecordings,
+  loadRecordingBlob,
+  deleteRecording,
+} from '../../services/recordingStore';
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return hours > 0
+    ? `${hours}h ${mins.toString().padStart(2, '0')}m`
+    : `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const buttonStyle = {
+  padding: '6px 14px',
+  fontSize: '13px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Recordings left in the browser by a closed tab, a crash or a failed upload
+const UnfinishedRecordings = () => {
+  const { isRecording, status, projects, setStatus, addMeeting, selectMeeting, setActiveTab } = useStore();
+  const [recordings, setRecordings] = useState([]);
+  const [uploadingId, setUploadingId] = useState(null);
+
+  const loadRecordings = useCallback(async () => {
+    if (!isRecordingStorageAvailable()) return;
+    try {
+      setRecordings(await listUnfinishedRecordings());
+    } catch (error) {
+      console.error('Error checking for unfinished recordings:', error);
+    }
+  }, []);
+
+  // Check on load, and again when a recording ends or an upload fails
+  useEffect(() => {
+    loadRecordings();
+  }, [loadRecordings, isRecording, status]);
+
+  const handleUpload = async (recording) => {
+    setUploadingId(recording.id);
+    try {
+      setStatus('processing', `Uploading "${recording.title}"...`);
+      const blob = await loadRecordingBlob(recording.id);
+      const meeting = await meetingsAPI.create(blob, recording.projectId, recording.title, {
+        date: recording.startedAt,
+        recordingSource: recording.source,
+        meetingType: recording.meetingType,
+        onProgress: ({ percent }) => setStatus('processing', `Uploading "${recording.title}"... ${percent}%`),
+      });
+
+      await deleteRecording(recording.id);
+      setRecordings(current => current.filter(r => r.id !== recording.id));
+
+      addMeeting(meeting);
+      selectMeeting(meeting);
+      setActiveTab('meetings');
+
+      setStatus('success', 'Recording recovered! Processing started...');
+      setTimeout(() => setStatus('idle'), 5000);
+    } catch (error) {
+      console.error('❌ Error uploading recovered recording:', error);
+      setStatus('error', 'Failed to upload recording: ' + error.message);
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  const handleDiscard = async (recording) => {
+    if (!confirm(`Discard the recording "${recording.title}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteRecording(recording.id);
+      setRecordings(current => current.filter(r => r.id !== recording.id));
+    } catch (error) {
+      setStatus('error', 'Failed to discard recording: ' + error.message);
+    }
+  };
+
+  if (recordings.length === 0) return null;
+
+  return (
+    <div className="glass-card" style={{ marginBottom: '30px', padding: '20px' }}>
+      <h3 style={{ marginTop: 0 }}>💾 Unfinished recordings</h3>
+      <p style={{ marginTop: 0, fontSize: '14px', color: '#6c757d' }}>
+        These recordings were saved in this browser but never uploaded - the tab was closed, the browser
+        crashed or the upload failed.
+      </p>
+
+      <div style={{ display: 'grid', gap: '8px' }}>
+        {recordings.map(recording => {
+          const project = projects.find(p => String(p.id) === String(recording.projectId));
+          return (
+            <div
+              key={recording.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px 12px',
+                background: '#fff',
+                border: '1px solid #dee2e6',
+                borderRadius: '6px'
+              }}
+            >
+              <div>
+                <strong>{recording.title}</strong>
+                <div style={{ fontSize: '12px', color: '#6c757d' }}>
+                  {new Date(recording.startedAt).toLocaleString()}
+                  {project && ` - ${project.name}`}
+                  {' - '}{formatDuration(recording.duration)}
+                  {' - '}{(recording.size / (1024 * 1024)).toFixed(1)}MB
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                <button
+                  onClick={() => handleUpload(recording)}
+                  disabled={uploadingId !== null || recording.size === 0}
+                  style={{ ...buttonStyle, background: '#007bff', color: 'white', opacity: uploadingId ? 0.6 : 1 }}
+                >
+                  {uploadingId === recording.id ? 'Uploading...' : '⬆️ Upload'}
+                </button>
+                <button
+                  onClick={() => handleDiscard(recording)}
+                  disabled={uploadingId === recording.id}
+                  style={{ ...buttonStyle, background: '#dc3545', color: 'white' }}
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default UnfinishedRecordings;
@@ -3,7 +3,7 @@ import useStore from '../../stores/useStore';
 import { searchAPI, meetingsAPI } from '../../services/api';
 
 const GlobalSearch = ({ onMeetingSelect }) => {
-  const { projects, setSearchQuery, selectMeeting } = useStore();
+  const { projects, setSearchQuery, selectMeeting, focusTranscript } = useStore();
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
@@ -64,11 +64,15 @@ const GlobalSearch = ({ onMeetingSelect }) => {
     }
   };
 
-  const handleResultClick = async (result) => {
+  // time: transcript position (seconds) to jump to, when a timestamped hit was clicked
+  const handleResultClick = async (result, time = null) => {
     try {
       // Load full meeting data
-      const meeting = await meetingsAPI.getById(result.meeting_id);
+      const { meeting } = await meetingsAPI.getById(result.id);
       selectMeeting(meeting);
+      if (time !== null) {
+        focusTranscript(meeting.id, time);
+      }
       setShowResults(false);
       setQuery('');
 
@@ -95,6 +99,12 @@ const GlobalSearch = ({ onMeetingSelect }) => {
     });
   };
 
+  const formatTimestamp = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  };
+
   const highlightMatch = (text, maxLength = 150) => {
     if (!text) return '';
 
@@ -272,6 +282,32 @@ const GlobalSearch = ({ onMeetingSelect }) => {
                       "{highlightMatch(result.content)}"
                     </div>
                   )}
+
+                  {result.segmentHits?.map(hit => (
+                    <div
+                      key={hit.idx}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleResultClick(result, hit.start);
+                      }}
+                      title="Jump to this point in the transcript"
+                      style={{
+                        display: 'flex',
+                        gap: '8px',
+                        marginTop: '4px',
+                        padding: '4px 6px',
+                        fontSize: '12px',
+                        color: '#495057',
+                        borderRadius: '4px',
+                        background: '#f1f3f5'
+                      }}
+                    >
+                      <span style={{ fontFamily: 'monospace', color: '#007bff' }}>
+                        ⏱ {formatTimestamp(hit.start)}
+                      </span>
+                      <span>{highlightMatch(hit.text, 100)}</span>
+                    </div>
+                  ))}
                 </div>
               ))}
             </>
@@ -7,6 +7,9 @@ const SettingsModal = ({ isOpen, onClose }) => {
     'ai.chat': 'anthropic',
     'ai.wiki_updates': 'anthropic',
     'ai.mentor_feedback': 'anthropic',
+    'ai.transcription': 'openai',
+    'audio.normalize': 'off',
+    'audio.trim_silence': 'off',
   });
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -83,6 +86,25 @@ const SettingsModal = ({ isOpen, onClose }) => {
     }
   ];
 
+  const transcriptionProviders = [
+    { value: 'openai', label: 'OpenAI Whisper', detail: '(Cloud API)' },
+    { value: 'local', label: 'Local Whisper', detail: '(LOCAL_TRANSCRIPTION_URL)' },
+    { value: 'fake', label: 'Fake', detail: '(Testing only)' }
+  ];
+
+  const audioOptions = [
+    {
+      key: 'audio.trim_silence',
+      label: 'Shorten long silences',
+      description: 'Pauses over 2 seconds are cut to 1 second - less audio to transcribe'
+    },
+    {
+      key: 'audio.normalize',
+      label: 'Normalize loudness',
+      description: 'Evens out quiet and loud speakers for better accuracy'
+    }
+  ];
+
   return (
     <>
       {/* Backdrop */}
@@ -262,6 +284,110 @@ const SettingsModal = ({ isOpen, onClose }) => {
                   </div>
                 </div>
               ))}
+
+              <div
+                style={{
+                  padding: '20px',
+                  background: '#f8f9fa',
+                  borderRadius: '8px',
+                  border: '2px solid #e9ecef'
+                }}
+              >
+                <div style={{ marginBottom: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                    <span style={{ fontSize: '20px' }}>🎙️</span>
+                    <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600' }}>
+                      Transcription
+                    </h3>
+                  </div>
+                  <p style={{ margin: 0, fontSize: '13px', color: '#6c757d' }}>
+                    Speech-to-text service for meeting recordings
+                  </p>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  {transcriptionProviders.map(provider => {
+                    const isSelected = (settings['ai.transcription'] || 'openai') === provider.value;
+                    return (
+                      <button
+                        key={provider.value}
+                        onClick={() => handleChange('ai.transcription', provider.value)}
+                        style={{
+                          flex: 1,
+                          padding: '12px 16px',
+                          background: isSelected
+                            ? 'linear-gradient(135deg, #10a37f 0%, #0e8c6a 100%)'
+                            : 'white',
+                          color: isSelected ? 'white' : '#495057',
+                          border: '2px solid',
+                          borderColor: isSelected ? '#10a37f' : '#dee2e6',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          cursor: 'pointer',
+                          transition: 'all 0.2s',
+                          display: 'flex',
+                          flexDirection: 'column',
+                          alignItems: 'center',
+                          gap: '4px'
+                        }}
+                      >
+                        <span>{provider.label}</span>
+                        <span style={{
+                          fontSize: '11px',
+                          opacity: 0.8,
+                          fontWeight: 'normal'
+                        }}>
+                          {provider.detail}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div
+                style={{
+                  padding: '20px',
+                  background: '#f8f9fa',
+                  borderRadius: '8px',
+                  border: '2px solid #e9ecef'
+                }}
+              >
+                <div style={{ marginBottom: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                    <span style={{ fontSize: '20px' }}>🎚️</span>
+                    <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600' }}>
+                      Audio Preprocessing
+                    </h3>
+                  </div>
+                  <p style={{ margin: 0, fontSize: '13px', color: '#6c757d' }}>
+                    Applied to recordings before transcription. Transcript timestamps still match the original audio
+                  </p>
+                </div>
+
+                <div style={{ display: 'grid', gap: '10px' }}>
+                  {audioOptions.map(option => (
+                    <label
+                      key={option.key}
+                      style={{ display: 'flex', alignItems: 'flex-start', gap: '10px', cursor: 'pointer' }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={settings[option.key] === 'on'}
+                        onChange={(e) => handleChange(option.key, e.target.checked ? 'on' : 'off')}
+                        style={{ marginTop: '3px' }}
+                      />
+                      <span>
+                        <span style={{ fontSize: '14px', fontWeight: '600' }}>{option.label}</span>
+                        <span style={{ display: 'block', fontSize: '12px', color: '#6c757d' }}>
+                          {option.description}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
             </div>
           )}
 
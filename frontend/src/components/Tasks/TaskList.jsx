@@ -0,0 +1,561 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { actionItemsAPI, meetingsAPI } from '../../services/api';
+
+const STATUS_FILTERS = [
+  { id: 'open', label: 'Open' },
+  { id: 'done', label: 'Done' },
+  { id: 'cancelled', label: 'Cancelled' },
+  { id: 'all', label: 'All' },
+];
+
+const UNASSIGNED = '__unassigned';
+
+const inputStyle = {
+  padding: '6px 8px',
+  fontSize: '13px',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const TaskRow = ({ item, onUpdate, onDelete, onOpenMeeting }) => {
+  const [owner, setOwner] = useState(item.owner || '');
+  const isClosed = item.status !== 'open';
+
+  useEffect(() => {
+    setOwner(item.owner || '');
+  }, [item.owner]);
+
+  // Reassign once the owner field is left
+  const saveOwner = () => {
+    if (owner.trim() !== (item.owner || '')) {
+      onUpdate(item, { owner: owner.trim() });
+    }
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '12px',
+      padding: '12px 15px',
+      borderBottom: '1px solid #f1f3f5',
+      background: item.overdue ? '#fff5f5' : '#fff'
+    }}>
+      <input
+        type="checkbox"
+        checked={item.status === 'done'}
+        onChange={(e) => onUpdate(item, { status: e.target.checked ? 'done' : 'open' })}
+        title={item.status === 'done' ? 'Reopen' : 'Mark as done'}
+        style={{ marginTop: '4px', width: '16px', height: '16px', cursor: 'pointer' }}
+      />
+
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{
+          fontSize: '14px',
+          color: isClosed ? '#6c757d' : '#212529',
+          textDecoration: isClosed ? 'line-through' : 'none'
+        }}>
+          {item.task}
+          {item.overdue && (
+            <span style={{
+              marginLeft: '8px',
+              padding: '1px 6px',
+              fontSize: '11px',
+              background: '#dc3545',
+              color: 'white',
+              borderRadius: '8px'
+            }}>
+              Overdue
+            </span>
+          )}
+          {item.status === 'cancelled' && (
+            <span style={{ marginLeft: '8px', fontSize: '11px', color: '#6c757d' }}>(cancelled)</span>
+          )}
+        </div>
+
+        {item.meeting_id && (
+          <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+            From{' '}
+            <button
+              onClick={() => onOpenMeeting(item.meeting_id, item.segment_start)}
+              style={{ padding: 0, fontSize: '12px', background: 'none', border: 'none', color: '#007bff', cursor: 'pointer' }}
+            >
+              {item.meeting_title}
+              {item.segment_start !== null && ` ⏱ ${formatTimestamp(item.segment_start)}`}
+            </button>
+            {item.meeting_date && ` - ${new Date(item.meeting_date).toLocaleDateString()}`}
+          </div>
+        )}
+
+        {item.status === 'done' && item.closed_meeting_id && (
+          <div style={{ marginTop: '2px', fontSize: '12px', color: '#28a745' }}>
+            Closed in{' '}
+            <button
+              onClick={() => onOpenMeeting(item.closed_meeting_id)}
+              style={{ padding: 0, fontSize: '12px', background: 'none', border: 'none', color: '#007bff', cursor: 'pointer' }}
+            >
+              {item.closed_meeting_title}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <input
+        type="text"
+        value={owner}
+        onChange={(e) => setOwner(e.target.value)}
+        onBlur={saveOwner}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        list="task-owners"
+        placeholder="Unassigned"
+        aria-label="Owner"
+        style={{ ...inputStyle, width: '140px' }}
+      />
+      <input
+        type="date"
+        value={item.due_date || ''}
+        onChange={(e) => onUpdate(item, { dueDate: e.target.value || null })}
+        aria-label="Due date"
+        style={{ ...inputStyle, width: '140px', color: item.overdue ? '#dc3545' : undefined }}
+      />
+
+      <div style={{ display: 'flex', gap: '4px' }}>
+        {item.status === 'open' && (
+          <button
+            onClick={() => onUpdate(item, { status: 'cancelled' })}
+            title="No longer needed"
+            style={{ ...smallButtonStyle, background: 'transparent', color: '#6c757d' }}
+          >
+            Cancel
+          </button>
+        )}
+        {item.status === 'cancelled' && (
+          <button
+            onClick={() => onUpdate(item, { status: 'open' })}
+            style={{ ...smallButtonStyle, background: 'transparent', color: '#007bff' }}
+          >
+            Reopen
+          </button>
+        )}
+        <button
+          onClick={() => onDelete(item)}
+          title="Delete"
+          style={{ ...smallButtonStyle, background: 'transparent', color: '#dc3545' }}
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV (Jira, GitHub)' },
+  { format: 'ics', as: 'todo', label: 'Calendar to-dos (ICS)' },
+  { format: 'ics', as: 'event', label: 'Calendar events (ICS)' },
+  { format: 'markdown', label: 'Checklist (Markdown)' },
+  { format: 'json', label: 'JSON' },
+];
+
+const FEED_OPTIONS = [
+  { as: 'todo', label: 'Copy to-do feed URL' },
+  { as: 'event', label: 'Copy event feed URL' },
+];
+
+const menuItemStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '10px 14px',
+  fontSize: '14px',
+  textAlign: 'left',
+  background: 'transparent',
+  border: 'none',
+  borderBottom: '1px solid #f1f3f5',
+  cursor: 'pointer'
+};
+
+// Downloads the listed tasks, or copies the project's calendar feed address
+const ExportMenu = ({ projectId, filters }) => {
+  const { setStatus } = useStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+
+  const handleDownload = async ({ format, as, label }) => {
+    setDownloading(label);
+    try {
+      const { blob, filename } = await actionItemsAPI.exportItems(filters, format, as);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setIsOpen(false);
+    } catch (error) {
+      setStatus('error', 'Export failed: ' + error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleCopyFeed = async (as) => {
+    const url = actionItemsAPI.getFeedUrl(projectId, as);
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus('success', 'Feed URL copied - add it to your calendar app as a subscription');
+    } catch {
+      // No clipboard access (plain http) - let the user copy it
+      prompt('Subscribe to this URL in your calendar app:', url);
+    }
+    setIsOpen(false);
+  };
+
+  return (
+    <div style={{ position: 'relative', display: 'inline-block' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={{
+          padding: '8px 16px',
+          fontSize: '14px',
+          background: '#007bff',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer'
+        }}
+      >
+        ⬇️ Export {isOpen ? '▴' : '▾'}
+      </button>
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '4px',
+          minWidth: '230px',
+          background: '#fff',
+          border: '1px solid #dee2e6',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+          zIndex: 10,
+          overflow: 'hidden'
+        }}>
+          {EXPORT_OPTIONS.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => handleDownload(option)}
+              disabled={downloading !== null}
+              style={{ ...menuItemStyle, cursor: downloading ? 'wait' : 'pointer' }}
+            >
+              {downloading === option.label ? 'Preparing...' : option.label}
+            </button>
+          ))}
+          <div style={{ padding: '8px 14px 4px', fontSize: '12px', color: '#6c757d', background: '#f8f9fa' }}>
+            Subscribe from a calendar app - every task of the project, kept up to date
+          </div>
+          {FEED_OPTIONS.map(({ as, label }) => (
+            <button key={as} onClick={() => handleCopyFeed(as)} style={menuItemStyle}>
+              🔗 {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TaskList = ({ onMeetingSelect }) => {
+  const { projects, selectedProject, selectProject, selectMeeting, focusTranscript, setStatus } = useStore();
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [ownerFilter, setOwnerFilter] = useState('');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [newTask, setNewTask] = useState({ task: '', owner: '', dueDate: '' });
+
+  useEffect(() => {
+    if (!selectedProject) return;
+
+    const loadItems = async () => {
+      setIsLoading(true);
+      try {
+        setItems(await actionItemsAPI.getAll({ projectId: selectedProject.id }));
+      } catch (error) {
+        setStatus('error', 'Failed to load tasks: ' + error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadItems();
+    setOwnerFilter('');
+  }, [selectedProject, setStatus]);
+
+  const owners = [...new Set(items.map(item => item.owner).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+
+  const visibleItems = items.filter(item => (
+    (statusFilter === 'all' || item.status === statusFilter)
+    && (!ownerFilter || (ownerFilter === UNASSIGNED ? !item.owner : item.owner?.toLowerCase() === ownerFilter.toLowerCase()))
+    && (!overdueOnly || item.overdue)
+  ));
+
+  // Exports follow the filters, except "Unassigned", which the server can't filter on
+  const exportFilters = {
+    projectId: selectedProject?.id,
+    owner: ownerFilter === UNASSIGNED ? null : ownerFilter,
+    status: statusFilter === 'all' ? null : statusFilter,
+    overdue: overdueOnly || null,
+  };
+
+  const openCount = items.filter(item => item.status === 'open').length;
+  const overdueCount = items.filter(item => item.overdue).length;
+
+  const handleUpdate = async (item, changes) => {
+    try {
+      const updated = await actionItemsAPI.update(item.id, changes);
+      setItems(current => current.map(i => (i.id === item.id ? updated : i)));
+    } catch (error) {
+      setStatus('error', 'Failed to update task: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(`Delete the task "${item.task}"?`)) return;
+
+    try {
+      await actionItemsAPI.delete(item.id);
+      setItems(current => current.filter(i => i.id !== item.id));
+    } catch (error) {
+      setStatus('error', 'Failed to delete task: ' + error.message);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newTask.task.trim()) return;
+
+    try {
+      const added = await actionItemsAPI.create({
+        projectId: selectedProject.id,
+        task: newTask.task.trim(),
+        owner: newTask.owner.trim() || null,
+        dueDate: newTask.dueDate || null,
+      });
+      setItems(current => [added, ...current]);
+      setNewTask({ task: '', owner: '', dueDate: '' });
+    } catch (error) {
+      setStatus('error', 'Failed to add task: ' + error.message);
+    }
+  };
+
+  // Opens the meeting at the point the task came up
+  const handleOpenMeeting = async (meetingId, time = null) => {
+    try {
+      const { meeting } = await meetingsAPI.getById(meetingId);
+      selectMeeting(meeting);
+      if (time !== null) {
+        focusTranscript(meeting.id, time);
+      }
+      if (onMeetingSelect) {
+        onMeetingSelect(meeting);
+      }
+    } catch (error) {
+      setStatus('error', 'Failed to open meeting: ' + error.message);
+    }
+  };
+
+  const projectSelect = (
+    <select
+      value={selectedProject?.id || ''}
+      onChange={(e) => {
+        const project = projects.find(p => p.id === parseInt(e.target.value));
+        if (project) selectProject(project);
+      }}
+      style={{
+        padding: '8px 12px',
+        fontSize: '14px',
+        border: '1px solid #ced4da',
+        borderRadius: '6px',
+        background: '#fff',
+        minWidth: '200px',
+        cursor: 'pointer'
+      }}
+    >
+      {!selectedProject && <option value="">Select a project...</option>}
+      {projects.map(project => (
+        <option key={project.id} value={project.id}>
+          {project.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (!selectedProject) {
+    return (
+      <div style={{
+        background: '#fff',
+        borderRadius: '8px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        padding: '60px 20px',
+        textAlign: 'center',
+        color: '#6c757d'
+      }}>
+        <p style={{ fontSize: '64px', margin: '0 0 20px 0' }}>✅</p>
+        <h3 style={{ margin: '0 0 20px 0' }}>No Project Selected</h3>
+        <p style={{ margin: '0 0 20px 0' }}>Select a project to see its action items</p>
+        {projects.length > 0 && projectSelect}
+      </div>
+    );
+  }
+
+  return (
+    <div className="glass-card" style={{ overflow: 'hidden' }}>
+      {/* Header */}
+      <div style={{
+        padding: '15px 20px',
+        borderBottom: '1px solid #dee2e6',
+        background: '#f8f9fa',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        flexWrap: 'wrap',
+        gap: '15px'
+      }}>
+        <div>
+          <h2 style={{ margin: '0 0 5px 0', fontSize: '20px', fontWeight: 'bold' }}>
+            ✅ Tasks
+          </h2>
+          <div style={{ fontSize: '13px', color: '#6c757d' }}>
+            {openCount} open
+            {overdueCount > 0 && <span style={{ color: '#dc3545' }}> · {overdueCount} overdue</span>}
+          </div>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <ExportMenu projectId={selectedProject.id} filters={exportFilters} />
+          {projectSelect}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div style={{
+        padding: '10px 20px',
+        borderBottom: '1px solid #dee2e6',
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '12px',
+        fontSize: '13px'
+      }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {STATUS_FILTERS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setStatusFilter(id)}
+              style={{
+                ...smallButtonStyle,
+                background: statusFilter === id ? '#007bff' : '#e9ecef',
+                color: statusFilter === id ? 'white' : '#495057'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={ownerFilter}
+          onChange={(e) => setOwnerFilter(e.target.value)}
+          aria-label="Owner"
+          style={inputStyle}
+        >
+          <option value="">Everyone</option>
+          <option value={UNASSIGNED}>Unassigned</option>
+          {owners.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={overdueOnly} onChange={(e) => setOverdueOnly(e.target.checked)} />
+          Overdue only
+        </label>
+      </div>
+
+      {/* Owner suggestions for the new task and every row */}
+      <datalist id="task-owners">
+        {owners.map(name => <option key={name} value={name} />)}
+      </datalist>
+
+      {/* New task */}
+      <form onSubmit={handleAdd} style={{ padding: '12px 20px', display: 'flex', gap: '8px', borderBottom: '1px solid #dee2e6' }}>
+        <input
+          type="text"
+          value={newTask.task}
+          onChange={(e) => setNewTask({ ...newTask, task: e.target.value })}
+          placeholder="Add a task..."
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <input
+          type="text"
+          value={newTask.owner}
+          onChange={(e) => setNewTask({ ...newTask, owner: e.target.value })}
+          list="task-owners"
+          placeholder="Owner"
+          style={{ ...inputStyle, width: '140px' }}
+        />
+        <input
+          type="date"
+          value={newTask.dueDate}
+          onChange={(e) => setNewTask({ ...newTask, dueDate: e.target.value })}
+          aria-label="Due date"
+          style={{ ...inputStyle, width: '140px' }}
+        />
+        <button
+          type="submit"
+          disabled={!newTask.task.trim()}
+          style={{
+            ...smallButtonStyle,
+            padding: '6px 14px',
+            background: '#007bff',
+            color: 'white',
+            opacity: newTask.task.trim() ? 1 : 0.6
+          }}
+        >
+          Add
+        </button>
+      </form>
+
+      {/* Tasks */}
+      {isLoading ? (
+        <p style={{ padding: '20px', fontSize: '13px', color: '#6c757d' }}>Loading tasks...</p>
+      ) : visibleItems.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p>{items.length === 0 ? 'No action items yet - they are collected from meeting summaries' : 'No tasks match these filters'}</p>
+        </div>
+      ) : (
+        visibleItems.map(item => (
+          <TaskRow
+            key={item.id}
+            item={item}
+            onUpdate={handleUpdate}
+            onDelete={handleDelete}
+            onOpenMeeting={handleOpenMeeting}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default TaskList;
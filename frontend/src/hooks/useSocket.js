@@ -2,7 +2,7 @@ import { useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 
 // In production (same origin), use relative URL. In dev, use localhost:3001
-const SOCKET_URL = import.meta.env.VITE_API_URL ||
+export const SOCKET_URL = import.meta.env.VITE_API_URL ||
   (import.meta.env.PROD ? window.location.origin : 'http://localhost:3001');
 
 export function useSocket() {
@@ -26,6 +26,26 @@ const handleError = (error) => {
   }
 };
 
+// File downloads get their error bodies as a blob too
+const readBlobError = async (error) => {
+  if (error.response?.data instanceof Blob) {
+    const body = await error.response.data.text();
+    try {
+      error.response.data = JSON.parse(body);
+    } catch {
+      error.response.data = { error: body };
+    }
+  }
+  return error;
+};
+
+// Resolves a downloaded file and the name the server gave it
+const toDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallbackName;
+  return { blob: response.data, filename };
+};
+
 // Projects API
 export const projectsAPI = {
   getAll: async () => {
@@ -72,13 +92,184 @@ export const projectsAPI = {
       handleError(error);
     }
   },
+
+  getGlossary: async (id) => {
+    try {
+      const response = await api.get(`/api/projects/${id}/glossary`);
+      return response.data.terms || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // term: { term, variants, description }
+  addGlossaryTerm: async (id, term) => {
+    try {
+      const response = await api.post(`/api/projects/${id}/glossary`, term);
+      return response.data.term;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  updateGlossaryTerm: async (id, termId, term) => {
+    try {
+      const response = await api.put(`/api/projects/${id}/glossary/${termId}`, term);
+      return response.data.term;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  deleteGlossaryTerm: async (id, termId) => {
+    try {
+      const response = await api.delete(`/api/projects/${id}/glossary/${termId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Built-in meeting types followed by the project's own ({ key, name, sections, builtIn, ... })
+  getMeetingTypes: async (id) => {
+    try {
+      const response = await api.get(`/api/projects/${id}/meeting-types`);
+      return response.data.types || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // type: { name, description, instructions, sections: [{ key, title, kind, description, fields }] }
+  addMeetingType: async (id, type) => {
+    try {
+      const response = await api.post(`/api/projects/${id}/meeting-types`, type);
+      return response.data.type;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  updateMeetingType: async (id, typeId, type) => {
+    try {
+      const response = await api.put(`/api/projects/${id}/meeting-types/${typeId}`, type);
+      return response.data.type;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  deleteMeetingType: async (id, typeId) => {
+    try {
+      const response = await api.delete(`/api/projects/${id}/meeting-types/${typeId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Resolves to { decisions (oldest first), threads (decision ID lists, most recent first) }
+  getDecisions: async (id) => {
+    try {
+      const response = await api.get(`/api/projects/${id}/decisions`);
+      return { decisions: response.data.decisions || [], threads: response.data.threads || [] };
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Resumable uploads
+const UPLOAD_PART_SIZE = 5 * 1024 * 1024; // 5MB
+const UPLOAD_PART_RETRIES = 4;
+
+const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Upload sessions in progress are remembered, so retrying the same file resumes it instead of
+// starting over. Recordings have no modification date, so the first part's hash tells them apart
+const uploadKey = async (blob, filename) => (
+  `aiba.upload:${filename}:${blob.size}:${await sha256Hex(blob.slice(0, UPLOAD_PART_SIZE))}`
+);
+
+// Network errors, server errors and corrupted parts are worth another try
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429
+    || /checksum mismatch/i.test(error.response?.data?.error || '');
+};
+
+const withRetry = async (request) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= UPLOAD_PART_RETRIES || !isRetryable(error)) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+};
+
+// Start (or resume) an upload session and send the parts the server doesn't have yet
+const uploadInParts = async (blob, filename, onProgress) => {
+  const key = await uploadKey(blob, filename);
+  let upload = null;
+
+  const savedId = localStorage.getItem(key);
+  if (savedId) {
+    upload = await api.get(`/api/uploads/${savedId}`).then(res => res.data.upload).catch(() => null);
+  }
+
+  if (!upload) {
+    const response = await withRetry(() => api.post('/api/uploads', {
+      filename,
+      mimetype: blob.type,
+      size: blob.size,
+      partSize: UPLOAD_PART_SIZE,
+    }));
+    upload = response.data.upload;
+    localStorage.setItem(key, upload.id);
+  }
+
+  const received = new Set(upload.receivedParts);
+  let uploadedBytes = upload.receivedBytes;
+  const report = (loaded) => onProgress?.({
+    loaded,
+    total: blob.size,
+    percent: Math.round((loaded / blob.size) * 100),
+  });
+  report(uploadedBytes);
+
+  for (let index = 0; index < upload.totalParts; index++) {
+    if (received.has(index)) continue;
+
+    const part = blob.slice(index * upload.partSize, (index + 1) * upload.partSize);
+    const checksum = await sha256Hex(part);
+
+    await withRetry(() => api.put(`/api/uploads/${upload.id}/parts/${index}`, part, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Part-Checksum': checksum,
+      },
+      onUploadProgress: (event) => report(uploadedBytes + Math.min(event.loaded, part.size)),
+    }));
+
+    uploadedBytes += part.size;
+    report(uploadedBytes);
+  }
+
+  return { uploadId: upload.id, key };
 };
 
 // Meetings API
 export const meetingsAPI = {
-  getAll: async (projectId = null) => {
+  getAll: async (projectId = null, status = null) => {
     try {
-      const params = projectId ? { projectId } : {};
+      const params = {};
+      if (projectId) params.projectId = projectId;
+      if (status) params.status = status;
       const response = await api.get('/api/meetings', { params });
       return response.data.meetings || [];
     } catch (error) {
@@ -95,15 +286,47 @@ export const meetingsAPI = {
     }
   },
 
-  create: async (audioBlob, projectId, title) => {
+  // Uploaded in parts (see uploadInParts), so a dropped connection only resends what is missing.
+  // Imported recordings pass their file name (the extension tells the backend the format) and date.
+  // onProgress receives { loaded, total, percent }. liveSessionId reuses the transcript made while recording,
+  // recordingSource ('microphone' | 'system' | 'mixed') records what the in-app recorder captured,
+  // meetingType ('standup', 'custom-3', ...) picks the analysis template
+  create: async (audioBlob, projectId, title, {
+    filename = 'recording.webm',
+    date = new Date().toISOString(),
+    onProgress,
+    liveSessionId = null,
+    recordingSource = null,
+    meetingType = null,
+  } = {}) => {
+    try {
+      const { uploadId, key } = await uploadInParts(audioBlob, filename, onProgress);
+      const response = await api.post(`/api/uploads/${uploadId}/complete`, {
+        projectId: projectId ? Number(projectId) : null,
+        title,
+        date,
+        ...(liveSessionId ? { liveSessionId } : {}),
+        ...(recordingSource ? { recordingSource } : {}),
+        ...(meetingType ? { meetingType } : {}),
+      });
+      localStorage.removeItem(key);
+      return response.data.meeting || response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // WebVTT, SRT or plain-text transcript - skips transcription
+  importTranscript: async (file, projectId, title, date, { meetingType = null } = {}) => {
     try {
       const formData = new FormData();
-      formData.append('audio', audioBlob, 'recording.webm');
+      formData.append('transcript', file, file.name);
       formData.append('projectId', projectId);
       formData.append('title', title);
-      formData.append('date', new Date().toISOString());
+      formData.append('date', date);
+      if (meetingType) formData.append('meetingType', meetingType);
 
-      const response = await api.post('/api/meetings', formData, {
+      const response = await api.post('/api/meetings/import-transcript', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -114,9 +337,97 @@ export const meetingsAPI = {
     }
   },
 
-  reprocess: async (id) => {
+  // format: 'srt' | 'vtt' | 'md' | 'html' | 'json' - resolves to the file and its download name
+  exportMeeting: async (id, format) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/export`, {
+        params: { format },
+        responseType: 'blob',
+      });
+      return toDownload(response, `meeting-${id}.${format}`);
+    } catch (error) {
+      handleError(await readBlobError(error));
+    }
+  },
+
+  getJob: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/job`);
+      return response.data.job || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      handleError(error);
+    }
+  },
+
+  getSegments: async (id, { from, to } = {}) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/segments`, { params: { from, to } });
+      return response.data.segments || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Resolves to the matching segment, or null if the text isn't in the transcript
+  locateSegment: async (id, text) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/segments/locate`, { params: { text } });
+      return response.data.segment;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      handleError(error);
+    }
+  },
+
+  getSpeakers: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/speakers`);
+      return response.data.speakers || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getConflicts: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/conflicts`);
+      return response.data.conflicts || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  updateSpeakers: async (id, speakers) => {
     try {
-      const response = await api.post(`/api/meetings/${id}/reprocess`);
+      const response = await api.put(`/api/meetings/${id}/speakers`, { speakers });
+      return response.data.speakers || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Save corrected segment text; reanalyze re-runs the analysis on the corrected transcript
+  updateTranscript: async (id, segments, reanalyze = false) => {
+    try {
+      const response = await api.put(`/api/meetings/${id}/transcript`, { segments, reanalyze });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // meetingType re-analyzes the meeting as another type ('start' and 'analysis' only)
+  reprocess: async (id, from = 'start', meetingType = null) => {
+    try {
+      const response = await api.post(`/api/meetings/${id}/reprocess`, {
+        from,
+        ...(meetingType ? { meetingType } : {}),
+      });
       return response.data;
     } catch (error) {
       handleError(error);
@@ -142,6 +453,85 @@ export const meetingsAPI = {
   },
 };
 
+// Jobs API
+export const jobsAPI = {
+  getAll: async (status = null) => {
+    try {
+      const params = status ? { status } : {};
+      const response = await api.get('/api/jobs', { params });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Action items API
+const actionItemParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+export const actionItemsAPI = {
+  // filters: { projectId, owner, status, overdue } - all optional
+  getAll: async (filters = {}) => {
+    try {
+      const response = await api.get('/api/action-items', { params: actionItemParams(filters) });
+      return response.data.actionItems || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // item: { task, projectId, meetingId, owner, dueDate, status }
+  create: async (item) => {
+    try {
+      const response = await api.post('/api/action-items', item);
+      return response.data.actionItem;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // changes: any of { task, owner, dueDate, status }
+  update: async (id, changes) => {
+    try {
+      const response = await api.put(`/api/action-items/${id}`, changes);
+      return response.data.actionItem;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/action-items/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // format: 'csv' | 'ics' | 'markdown' | 'json', as: 'todo' | 'event' for ICS - resolves to the file and its name
+  exportItems: async (filters, format, as = 'todo') => {
+    try {
+      const response = await api.get('/api/action-items/export', {
+        params: { ...actionItemParams(filters), format, as },
+        responseType: 'blob',
+      });
+      return toDownload(response, `action-items.${format === 'markdown' ? 'md' : format}`);
+    } catch (error) {
+      handleError(await readBlobError(error));
+    }
+  },
+
+  // Address of a project's calendar feed, for calendar apps to subscribe to
+  getFeedUrl: (projectId, as = 'todo') => {
+    const url = new URL(`/api/projects/${projectId}/action-items.ics`, API_URL || window.location.origin);
+    if (as !== 'todo') url.searchParams.set('as', as);
+    return url.toString();
+  },
+};
+
 // Wiki API
 export const wikiAPI = {
   get: async (projectId) => {
@@ -0,0 +1,98 @@
+// Inputs the recorder can capture. Remote participants of an online meeting are only heard through
+// the tab or system audio, so a call is best recorded as "mixed": their voices plus the microphone
+export const RECORDING_SOURCES = {
+  microphone: { label: 'Microphone', icon: '🎤', description: 'Only your microphone' },
+  system: { label: 'Tab / system audio', icon: '🔊', description: 'The audio of a shared tab or screen, e.g. a video call' },
+  mixed: { label: 'Microphone + tab audio', icon: '🎧', description: 'Your microphone mixed with the shared audio' },
+};
+
+// Browsers without getDisplayMedia (e.g. mobile) can only record the microphone
+export const isSystemAudioSupported = () => Boolean(navigator.mediaDevices?.getDisplayMedia);
+
+export const usesMicrophone = (source) => source === 'microphone' || source === 'mixed';
+const usesSystemAudio = (source) => source === 'system' || source === 'mixed';
+
+// Share a tab or screen and keep only its audio. Browsers require video in the request;
+// the video track is stopped straight away
+const captureSystemAudio = async () => {
+  const display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+  display.getVideoTracks().forEach(track => track.stop());
+
+  const audioTracks = display.getAudioTracks();
+  if (audioTracks.length === 0) {
+    throw new Error('No audio was shared. Share a tab (or your screen) and tick "Share audio"');
+  }
+  return new MediaStream(audioTracks);
+};
+
+/**
+ * Open the recording input
+ * @param {string} source - 'microphone' | 'system' | 'mixed'
+ * @param {Object} options - { onSystemAudioEnded() } called when the user stops sharing from the browser
+ * @returns {Promise<Object>} { stream, stop() } - stop releases every device and the mixer
+ */
+export const captureAudioSource = async (source, { onSystemAudioEnded } = {}) => {
+  const opened = [];
+  let context = null;
+
+  const stop = () => {
+    opened.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+    context?.close().catch(() => {});
+  };
+
+  try {
+    if (usesSystemAudio(source)) {
+      const systemStream = await captureSystemAudio();
+      opened.push(systemStream);
+      systemStream.getAudioTracks()[0].addEventListener('ended', () => onSystemAudioEnded?.());
+    }
+    if (usesMicrophone(source)) {
+      opened.push(await navigator.mediaDevices.getUserMedia({ audio: true }));
+    }
+  } catch (error) {
+    stop();
+    throw error;
+  }
+
+  if (opened.length === 1) {
+    return { stream: opened[0], stop };
+  }
+
+  // Mix both inputs into one track - MediaRecorder records a single audio track only
+  context = new AudioContext();
+  const destination = context.createMediaStreamDestination();
+  opened.forEach(stream => context.createMediaStreamSource(stream).connect(destination));
+
+  return { stream: destination.stream, stop };
+};
+
+/**
+ * Measure a stream's input level, for a meter showing the recording actually picks up sound
+ * @param {MediaStream} stream - Stream being recorded
+ * @param {Function} onLevel - Called about every animation frame with the level (0 - 1)
+ * @returns {Function} Stops measuring
+ */
+export const watchInputLevel = (stream, onLevel) => {
+  const context = new AudioContext();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  context.createMediaStreamSource(stream).connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+
+  const measure = () => {
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    // Speech sits around -30 to -10 dBFS: scale -60..0 dBFS to 0..1
+    const db = 20 * Math.log10(rms || 1e-6);
+    onLevel(Math.min(1, Math.max(0, (db + 60) / 60)));
+    frame = requestAnimationFrame(measure);
+  };
+  measure();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    context.close().catch(() => {});
+  };
+};
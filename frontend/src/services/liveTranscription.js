@@ -0,0 +1,120 @@
+import { io } from 'socket.io-client';
+import { SOCKET_URL } from '../hooks/useSocket';
+
+// Rolling segments are recorded alongside the main recording: each one is a standalone file
+// the backend can transcribe, so text appears while the meeting is still going
+const SEGMENT_SECONDS = 20;
+const FINISH_TIMEOUT_MS = 2 * 60 * 1000; // Waiting for the last segments to be transcribed
+
+/**
+ * Start live transcription of a recording's stream
+ * @param {MediaStream} stream - Stream being recorded
+ * @param {Object} options - { projectId, mimeType, onTranscript({ index, startTime, text }), onError(message) }
+ * @returns {Promise<Object>} Controller: { pause(), resume(), stop(), cancel() } - stop resolves to the
+ *   session ID when every segment was transcribed (so the meeting can reuse the transcript), null otherwise
+ */
+export const startLiveTranscription = async (stream, { projectId, mimeType = 'audio/webm', onTranscript, onError }) => {
+  const socket = io(SOCKET_URL, { transports: ['websocket', 'polling'] });
+
+  const started = await socket.timeout(10000).emitWithAck('live:start', { projectId: Number(projectId) || null })
+    .catch(() => ({ error: 'Live transcription server not reachable' }));
+  if (started.error) {
+    socket.disconnect();
+    throw new Error(started.error);
+  }
+
+  const { sessionId } = started;
+  let failed = false;
+
+  socket.on('live:transcript', (result) => {
+    if (result.sessionId === sessionId) onTranscript?.(result);
+  });
+  socket.on('live:error', (result) => {
+    if (result.sessionId !== sessionId) return;
+    failed = true;
+    onError?.(`Segment ${result.index + 1} could not be transcribed: ${result.error}`);
+  });
+
+  // Recording clock in seconds - it stops while paused, like the recorded file
+  let activeMs = 0;
+  let resumedAt = null;
+  const elapsed = () => (activeMs + (resumedAt === null ? 0 : performance.now() - resumedAt)) / 1000;
+
+  let segmentCount = 0;
+  const sends = [];
+  let current = null;
+
+  const startSegment = () => {
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const parts = [];
+    const index = segmentCount++;
+    const startTime = elapsed();
+
+    const sent = new Promise((resolve) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) parts.push(event.data);
+      };
+      recorder.onstop = async () => {
+        const audio = await new Blob(parts, { type: mimeType }).arrayBuffer();
+        socket.emit('live:segment', { sessionId, index, startTime, endTime: elapsed(), audio });
+        resolve();
+      };
+    });
+
+    recorder.start();
+    sends.push(sent);
+    return { recorder, startTime };
+  };
+
+  // Start the next segment before stopping the previous one, so no audio falls between them
+  const rotate = () => {
+    const previous = current;
+    current = startSegment();
+    previous?.recorder.stop();
+  };
+
+  resumedAt = performance.now();
+  rotate();
+  const timer = setInterval(() => {
+    if (resumedAt !== null && elapsed() - current.startTime >= SEGMENT_SECONDS) {
+      rotate();
+    }
+  }, 1000);
+
+  return {
+    pause: () => {
+      if (resumedAt === null) return;
+      activeMs += performance.now() - resumedAt;
+      resumedAt = null;
+      if (current.recorder.state === 'recording') current.recorder.pause();
+    },
+
+    resume: () => {
+      if (resumedAt !== null) return;
+      resumedAt = performance.now();
+      if (current.recorder.state === 'paused') current.recorder.resume();
+    },
+
+    stop: async () => {
+      clearInterval(timer);
+      if (current.recorder.state !== 'inactive') current.recorder.stop();
+      await Promise.all(sends);
+
+      const summary = await socket.timeout(FINISH_TIMEOUT_MS).emitWithAck('live:finish', { sessionId, segmentCount })
+        .catch(() => null);
+      const complete = Boolean(summary?.complete) && !failed;
+      if (!complete) socket.emit('live:cancel', sessionId);
+      socket.disconnect();
+
+      return complete ? sessionId : null;
+    },
+
+    // Recording abandoned - drop the session without waiting for transcripts
+    cancel: () => {
+      clearInterval(timer);
+      if (current.recorder.state !== 'inactive') current.recorder.stop();
+      socket.emit('live:cancel', sessionId);
+      socket.disconnect();
+    },
+  };
+};
@@ -0,0 +1,132 @@
+// Recordings are written to IndexedDB as they are captured, so closing the tab or a browser
+// crash doesn't lose a meeting. A recording is deleted once it has been uploaded.
+
+const DB_NAME = 'aiba-recordings';
+const DB_VERSION = 1;
+
+// Recordings updated more recently than this may still be running in another tab
+const ACTIVE_THRESHOLD_MS = 15 * 1000;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // { id, projectId, title, mimeType, source, meetingType, startedAt, updatedAt, duration }
+        db.createObjectStore('recordings', { keyPath: 'id' });
+        // { recordingId, seq, blob } - seq keeps chunks in capture order
+        const chunks = db.createObjectStore('chunks', { keyPath: ['recordingId', 'seq'] });
+        chunks.createIndex('recordingId', 'recordingId');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn against the named stores in one transaction; resolves with fn's result once committed
+const withStores = async (names, mode, fn) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = names.map(name => tx.objectStore(name));
+    let result;
+    Promise.resolve(fn(...stores)).then(value => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const isRecordingStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+// Start a recording - resolves to its ID
+export const createRecording = async ({ projectId, title, mimeType, source = null, meetingType = null }) => {
+  const now = Date.now();
+  const recording = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    projectId,
+    title,
+    mimeType,
+    source,
+    meetingType,
+    startedAt: new Date(now).toISOString(),
+    updatedAt: now,
+    duration: 0,
+  };
+  await withStores(['recordings'], 'readwrite', (recordings) => recordings.put(recording));
+  return recording.id;
+};
+
+// Save a captured chunk, and the recording's duration so far (in seconds)
+export const appendChunk = (recordingId, seq, blob, duration) => withStores(
+  ['recordings', 'chunks'],
+  'readwrite',
+  async (recordings, chunks) => {
+    chunks.put({ recordingId, seq, blob });
+    const recording = await requestResult(recordings.get(recordingId));
+    if (recording) {
+      recordings.put({ ...recording, duration, updatedAt: Date.now() });
+    }
+  }
+);
+
+// Recordings left behind by a closed tab, a crash or a failed upload, newest first.
+// Each has its chunk count and size in bytes
+export const listUnfinishedRecordings = async ({ excludeId = null } = {}) => {
+  const { recordings, chunks } = await withStores(['recordings', 'chunks'], 'readonly', async (recordingStore, chunkStore) => ({
+    recordings: await requestResult(recordingStore.getAll()),
+    chunks: await requestResult(chunkStore.getAll()),
+  }));
+
+  const cutoff = Date.now() - ACTIVE_THRESHOLD_MS;
+  return recordings
+    .filter(recording => recording.id !== excludeId && (recording.stoppedAt || recording.updatedAt < cutoff))
+    .map(recording => {
+      const own = chunks.filter(chunk => chunk.recordingId === recording.id);
+      return {
+        ...recording,
+        chunkCount: own.length,
+        size: own.reduce((sum, chunk) => sum + chunk.blob.size, 0),
+      };
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Mark a recording as stopped, so it shows up for recovery straight away if its upload fails
+export const markRecordingStopped = (recordingId) => withStores(['recordings'], 'readwrite', async (recordings) => {
+  const recording = await requestResult(recordings.get(recordingId));
+  if (recording) {
+    recordings.put({ ...recording, stoppedAt: Date.now() });
+  }
+});
+
+// Reassemble a recording's audio
+export const loadRecordingBlob = async (recordingId) => {
+  const { recording, chunks } = await withStores(['recordings', 'chunks'], 'readonly', async (recordingStore, chunkStore) => ({
+    recording: await requestResult(recordingStore.get(recordingId)),
+    chunks: await requestResult(chunkStore.index('recordingId').getAll(recordingId)),
+  }));
+
+  chunks.sort((a, b) => a.seq - b.seq);
+  return new Blob(chunks.map(chunk => chunk.blob), { type: recording?.mimeType || 'audio/webm' });
+};
+
+export const deleteRecording = (recordingId) => withStores(['recordings', 'chunks'], 'readwrite', (recordings, chunks) => {
+  recordings.delete(recordingId);
+  chunks.delete(IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]));
+});
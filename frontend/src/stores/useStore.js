@@ -8,12 +8,16 @@ const useStore = create((set, get) => ({
   // Meetings
   meetings: [],
   selectedMeeting: null,
+  transcriptFocus: null, // { meetingId, time } - transcript position to jump to
 
   // Recording
   isRecording: false,
+  isPaused: false,
   recordingDuration: 0,
   mediaRecorder: null,
   audioChunks: [],
+  liveTranscript: [], // { index, startTime, text } - transcribed while recording
+  liveTranscriptionError: null,
 
   // UI
   activeTab: 'recording',
@@ -21,7 +25,7 @@ const useStore = create((set, get) => ({
   isChatSidebarOpen: false,
 
   // Status
-  status: 'idle', // idle, processing, error, success
+  status: 'idle', // idle, processing, error, warning, success
   errorMessage: null,
 
   // Actions - Projects
@@ -70,12 +74,19 @@ const useStore = create((set, get) => ({
     set({ selectedMeeting: meeting });
   },
 
+  focusTranscript: (meetingId, time) => set({ transcriptFocus: { meetingId, time } }),
+
+  clearTranscriptFocus: () => set({ transcriptFocus: null }),
+
   // Actions - Recording
   startRecording: (mediaRecorder) => set({
     isRecording: true,
+    isPaused: false,
     recordingDuration: 0,
     mediaRecorder,
     audioChunks: [],
+    liveTranscript: [],
+    liveTranscriptionError: null,
     status: 'idle',
     errorMessage: null
   }),
@@ -86,10 +97,25 @@ const useStore = create((set, get) => ({
     }
     return {
       isRecording: false,
+      isPaused: false,
       mediaRecorder: null
     };
   }),
 
+  pauseRecording: () => set((state) => {
+    if (state.mediaRecorder?.state === 'recording') {
+      state.mediaRecorder.pause();
+    }
+    return { isPaused: true };
+  }),
+
+  resumeRecording: () => set((state) => {
+    if (state.mediaRecorder?.state === 'paused') {
+      state.mediaRecorder.resume();
+    }
+    return { isPaused: false };
+  }),
+
   setRecordingDuration: (duration) => set({ recordingDuration: duration }),
 
   addAudioChunk: (chunk) => set((state) => ({
@@ -98,6 +124,16 @@ const useStore = create((set, get) => ({
 
   clearAudioChunks: () => set({ audioChunks: [] }),
 
+  // Segments can arrive out of order after a reconnect
+  addLiveTranscript: (segment) => set((state) => ({
+    liveTranscript: [...state.liveTranscript.filter(s => s.index !== segment.index), segment]
+      .sort((a, b) => a.index - b.index)
+  })),
+
+  setLiveTranscriptionError: (message) => set({ liveTranscriptionError: message }),
+
+  clearLiveTranscript: () => set({ liveTranscript: [], liveTranscriptionError: null }),
+
   // Actions - UI
   setActiveTab: (tab) => set({ activeTab: tab }),
 